@@ -1,26 +1,21 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/authTokens');
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ error: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ error: 'Token is not valid' });
-    }
+    const { user, session } = await verifyAccessToken(token);
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    res.status(401).json({ error: 'Token is not valid' });
+    console.error('Auth middleware error:', error.message);
+    res.status(401).json({ error: error.status ? error.message : 'Token is not valid' });
   }
 };
 
@@ -28,23 +23,42 @@ const auth = async (req, res, next) => {
 const tryAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return next(); // Continue without authentication
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (user) {
-      req.user = user;
-    }
-    
+    const { user, session } = await verifyAccessToken(token);
+    req.user = user;
+    req.authSession = session;
+
     next();
   } catch (error) {
-    // If token is invalid, just continue without setting req.user
+    // If token is invalid or its session was revoked, just continue without setting req.user
     next();
   }
 };
 
-module.exports = { auth, tryAuth };
\ No newline at end of file
+// Socket.IO handshake authentication - expects the access token in `auth.token`
+const socketAuth = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token ||
+      socket.handshake.headers?.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return next(new Error('No token, authorization denied'));
+    }
+
+    const { user, session } = await verifyAccessToken(token);
+    socket.data.user = user;
+    socket.data.sessionId = session._id.toString();
+
+    // Lets a session revocation disconnect every socket opened with it
+    socket.join(`session:${socket.data.sessionId}`);
+    next();
+  } catch (error) {
+    next(new Error(error.status ? error.message : 'Token is not valid'));
+  }
+};
+
+module.exports = { auth, tryAuth, socketAuth };
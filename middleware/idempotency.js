@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+
+const getTtlMs = () => (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+// How long a request may hold its key; a record still 'processing' after that was left by a crash
+const getLeaseMs = () => (parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS, 10) || 60) * 1000;
+
+// JSON with sorted object keys, so { a, b } and { b, a } fingerprint the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonicalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+};
+
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({
+    method: req.method,
+    path: `${req.baseUrl}${req.route?.path || req.path}`,
+    body: canonicalize(req.body || {})
+  }))
+  .digest('hex');
+
+/**
+ * Make a money-moving route safe to retry
+ * Requests carrying the same Idempotency-Key (per user) run once: later ones replay the stored
+ * response, or get a 422 if the body differs. Responses with a 5xx status are not stored, so
+ * the client can retry them. A key left 'processing' for longer than IDEMPOTENCY_LEASE_SECONDS
+ * (a crashed process) is taken over by the next retry. Must run after `auth`.
+ * @param {Object} options
+ * @param {Function} options.keyFrom - Fallback key when the header is absent, e.g. req => req.body.txHash
+ * @returns {Function} Express middleware
+ */
+const idempotent = ({ keyFrom } = {}) => async (req, res, next) => {
+  const headerKey = req.header('Idempotency-Key');
+  const fallbackKey = !headerKey && keyFrom ? keyFrom(req) : null;
+  const key = headerKey || (fallbackKey ? `auto:${String(fallbackKey).toLowerCase()}` : null);
+
+  if (!key) return next();
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const fingerprint = fingerprintRequest(req);
+    const leaseId = crypto.randomBytes(12).toString('hex');
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user: req.user.id,
+        method: req.method,
+        path: req.originalUrl,
+        fingerprint,
+        leaseId,
+        lockedUntil: new Date(Date.now() + getLeaseMs()),
+        expiresAt: new Date(Date.now() + getTtlMs())
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ user: req.user.id, key });
+      if (!existing) {
+        // Expired between the insert and the lookup
+        return res.status(409).json({ error: 'Idempotency-Key conflict, please retry' });
+      }
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+      }
+      if (existing.status !== 'completed') {
+        // Take over a key whose lease ran out; only one retry can win it
+        record = await IdempotencyKey.findOneAndUpdate(
+          {
+            _id: existing._id,
+            status: 'processing',
+            $or: [{ lockedUntil: { $lt: new Date() } }, { lockedUntil: { $exists: false } }]
+          },
+          { $set: { leaseId, lockedUntil: new Date(Date.now() + getLeaseMs()) } },
+          { new: true }
+        );
+        if (!record) {
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+        }
+      } else {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    }
+    // Writes below only touch the record while this request still holds its lease
+    const owned = { _id: record._id, leaseId };
+
+    // Store the response before it is sent so an immediate retry already sees it
+    let stored = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      stored = true;
+      const statusCode = res.statusCode;
+      const store = statusCode >= 500
+        ? IdempotencyKey.deleteOne(owned)
+        : IdempotencyKey.updateOne(owned, {
+          status: 'completed',
+          responseStatus: statusCode,
+          responseBody: JSON.parse(JSON.stringify(body ?? null)),
+          completedAt: new Date()
+        });
+
+      store
+        .catch(error => console.error('Idempotency store error:', error))
+        .then(() => sendJson(body));
+      return res;
+    };
+
+    // A response sent some other way (or an error page) leaves nothing to replay, so free the key
+    res.on('finish', () => {
+      if (!stored) {
+        IdempotencyKey.deleteOne(owned)
+          .catch(error => console.error('Idempotency cleanup error:', error));
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const authNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'register'],
+    default: 'login'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+authNonceSchema.index({ walletAddress: 1, usedAt: 1 });
+
+// Let MongoDB purge expired nonces an hour after they lapse
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
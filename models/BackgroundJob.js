@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS) || 7;
+
+// A unit of background work run by the job worker (see utils/jobQueue.js)
+const backgroundJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // queued -> running -> completed, or back to queued for a retry, or dead once attempts run out
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  failures: [{
+    attempt: Number,
+    message: String,
+    failedAt: Date
+  }],
+  result: mongoose.Schema.Types.Mixed,
+  // Deduplicates work: only one queued or running job may hold a given key
+  uniqueKey: String,
+  activeKey: String,
+  completedAt: Date,
+  deadAt: Date
+}, {
+  timestamps: true
+});
+
+backgroundJobSchema.index({ status: 1, runAt: 1 });
+backgroundJobSchema.index({ status: 1, lockedAt: 1 });
+backgroundJobSchema.index({ name: 1, status: 1, createdAt: -1 });
+backgroundJobSchema.index({ activeKey: 1 }, { unique: true, sparse: true });
+
+// Completed jobs are purged after JOB_RETENTION_DAYS; dead jobs stay until someone looks at them
+backgroundJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('BackgroundJob', backgroundJobSchema);
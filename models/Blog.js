@@ -102,6 +102,11 @@ const blogSchema = new mongoose.Schema({
       default: 0 // Total withdrawn
     }
   },
+  // Most recent earnings milestones credited ('view:1000'), so a retried credit job adds nothing; capped by the job
+  earningCredits: {
+    type: [String],
+    select: false
+  },
   // View/Impression tracking (to prevent spam)
   viewTracking: [{
     ipAddress: String,
@@ -21,6 +21,8 @@ const blogEarningSchema = new mongoose.Schema({
     required: true,
     default: 0
   },
+  // View or impression count that crossed the earnings threshold
+  milestone: Number,
   status: {
     type: String,
     enum: ['pending', 'available', 'withdrawn'],
@@ -33,5 +35,9 @@ const blogEarningSchema = new mongoose.Schema({
 
 blogEarningSchema.index({ user: 1, status: 1 });
 blogEarningSchema.index({ blog: 1 });
+blogEarningSchema.index(
+  { blog: 1, type: 1, milestone: 1 },
+  { unique: true, partialFilterExpression: { milestone: { $exists: true } } }
+);
 
 module.exports = mongoose.model('BlogEarning', blogEarningSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Per-contract progress of the chain indexer
+const chainCursorSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['staking', 'escrow'],
+    required: true,
+    unique: true
+  },
+  contractAddress: {
+    type: String,
+    lowercase: true
+  },
+  // Last block whose logs have been fully processed
+  lastBlock: {
+    type: Number,
+    default: null
+  },
+  // Hash of lastBlock when it was processed, used to detect reorgs
+  lastBlockHash: String,
+  headBlock: Number,
+  safeBlock: Number,
+  lastRunAt: Date,
+  lastSuccessAt: Date,
+  lastError: String,
+  eventsIndexed: {
+    type: Number,
+    default: 0
+  },
+  reorgs: {
+    type: Number,
+    default: 0
+  },
+  lastReorgBlock: Number
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ChainCursor', chainCursorSchema);
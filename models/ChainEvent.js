@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One contract log picked up by the chain indexer (see utils/chainIndexer.js)
+const chainEventSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['staking', 'escrow'],
+    required: true
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Application-level action the event maps to (stake, unstake, claim, deposit, ...)
+  action: String,
+  txHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: {
+    type: String,
+    required: true
+  },
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    // unmatched: a valid escrow event for a chat the app cannot find
+    enum: ['applied', 'unmatched', 'failed', 'reorged'],
+    default: 'applied'
+  },
+  error: String,
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  appliedAt: Date
+}, {
+  timestamps: true
+});
+
+// A log is identified by its transaction and position; this is what makes indexing idempotent
+chainEventSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+chainEventSchema.index({ source: 1, blockNumber: -1 });
+chainEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ChainEvent', chainEventSchema);
@@ -38,7 +38,7 @@ const chatSchema = new mongoose.Schema({
   },
   workflowStatus: {
     type: String,
-    enum: ['offered', 'deposit', 'in-progress', 'completed', 'confirmed'],
+    enum: ['offered', 'deposit', 'in-progress', 'completed', 'confirmed', 'cancelled'],
     default: 'offered'
   },
   escrow: {
@@ -54,6 +54,19 @@ const chatSchema = new mongoose.Schema({
         txHash: String,
         amountUSD: Number,
         amountETH: Number,
+        // Token the escrow is funded with (native ETH unless another registered token is used)
+        token: {
+          symbol: String,
+          address: String,
+          decimals: Number,
+          chainId: Number
+        },
+        amountToken: Number,
+        priceUSD: Number,
+        quote: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'EscrowQuote'
+        },
         fromAddress: String,
         toAddress: String,
         performedBy: {
@@ -85,6 +98,13 @@ const chatSchema = new mongoose.Schema({
         txHash: String,
         amountUSD: Number,
         amountETH: Number,
+        amountToken: Number,
+        quote: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'EscrowQuote'
+        },
+        // Platform fee taken from this payout (see utils/fees.js)
+        feeUSD: Number,
         fromAddress: String,
         toAddress: String,
         performedBy: {
@@ -95,6 +115,7 @@ const chatSchema = new mongoose.Schema({
       }],
       confirmation: {
         txHash: String,
+        feeUSD: Number,
         fromAddress: String,
         toAddress: String,
         performedBy: {
@@ -102,10 +123,184 @@ const chatSchema = new mongoose.Schema({
           ref: 'User'
         },
         occurredAt: Date
+      },
+      // Client cancellation before work starts, or a cancellation both parties agreed to
+      // (see utils/escrowCancellation.js)
+      cancellation: {
+        kind: {
+          type: String,
+          enum: ['client', 'mutual']
+        },
+        status: {
+          type: String,
+          enum: ['proposed', 'agreed', 'declined', 'settled']
+        },
+        reason: String,
+        previousStatus: String,
+        // Split of what was still in escrow: refundUSD back to the client, talentUSD to the talent
+        refundUSD: Number,
+        talentUSD: Number,
+        refundToken: Number,
+        talentToken: Number,
+        feeUSD: Number,
+        proposedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        proposedAt: Date,
+        approvals: [{
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          },
+          role: String,
+          approvedAt: Date
+        }],
+        declinedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        declinedAt: Date,
+        txHash: String,
+        fromAddress: String,
+        performedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        settledAt: Date
+      },
+      // Escrow steps whose txHash failed on-chain verification (see utils/escrowRecords.js).
+      // Later steps of the same escrow, or of the same milestone, are refused while one is held.
+      verificationHolds: [{
+        txHash: String,
+        action: String,
+        milestoneId: mongoose.Schema.Types.ObjectId,
+        reasons: [String],
+        heldAt: Date
+      }],
+      // Client confirmation window that starts when the talent marks the work complete
+      // (see utils/escrowAutoRelease.js)
+      autoRelease: {
+        status: {
+          type: String,
+          enum: ['scheduled', 'confirmed', 'disputed', 'escalated', 'cancelled']
+        },
+        startedAt: Date,
+        dueAt: Date,
+        reminders: [{
+          hoursBefore: Number,
+          dueAt: Date,
+          sentAt: {
+            type: Date,
+            default: null
+          }
+        }],
+        dispute: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Proposal'
+        },
+        closedAt: Date
       }
     },
     default: {}
   },
+  // Optional milestone-based escrow: each milestone is funded and released on its own
+  milestones: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: String,
+    deliverable: String,
+    amountUSD: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    dueDate: Date,
+    status: {
+      type: String,
+      enum: ['proposed', 'funded', 'submitted', 'approved', 'released', 'disputed', 'resolved'],
+      default: 'proposed'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    funding: {
+      txHash: String,
+      amountUSD: Number,
+      amountETH: Number,
+      token: {
+        symbol: String,
+        address: String,
+        decimals: Number,
+        chainId: Number
+      },
+      amountToken: Number,
+      priceUSD: Number,
+      quote: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EscrowQuote'
+      },
+      fromAddress: String,
+      toAddress: String,
+      performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      occurredAt: Date
+    },
+    submission: {
+      txHash: String,
+      note: String,
+      deliverableUrl: String,
+      fromAddress: String,
+      performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      occurredAt: Date
+    },
+    approval: {
+      note: String,
+      performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      occurredAt: Date
+    },
+    release: {
+      txHash: String,
+      amountUSD: Number,
+      amountETH: Number,
+      amountToken: Number,
+      feeUSD: Number,
+      fromAddress: String,
+      toAddress: String,
+      performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      occurredAt: Date
+    },
+    dispute: {
+      proposal: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Proposal'
+      },
+      previousStatus: String,
+      raisedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      raisedAt: Date,
+      outcome: String,
+      txHash: String,
+      resolvedAt: Date
+    }
+  }],
   price: {
     original: Number,
     current: Number,
@@ -153,6 +348,7 @@ const chatSchema = new mongoose.Schema({
 
 // Index for efficient queries
 chatSchema.index({ 'participants.user': 1, status: 1 });
+chatSchema.index({ 'escrow.autoRelease.status': 1, 'escrow.autoRelease.dueAt': 1 });
 chatSchema.index({ type: 1, status: 1 });
 chatSchema.index({ updatedAt: -1 });
 
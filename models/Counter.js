@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named sequences for gap-free document numbers (e.g. invoice numbers per year)
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Increment a sequence and return its new value
+ * @param {String} key - Sequence name
+ * @returns {Promise<Number>} Next value, starting at 1
+ */
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One user handing their governance vote to another, for every proposal or one category
+const delegationSchema = new mongoose.Schema({
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'all' applies to every category without a delegation of its own
+  scope: {
+    type: String,
+    enum: ['all', 'platform', 'feature', 'policy', 'dispute', 'other'],
+    default: 'all'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+delegationSchema.index(
+  { delegator: 1, scope: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+delegationSchema.index({ delegate: 1, active: 1 });
+
+module.exports = mongoose.model('Delegation', delegationSchema);
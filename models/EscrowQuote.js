@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Locked USD/token conversion for one escrow deposit or disbursement
+const escrowQuoteSchema = new mongoose.Schema({
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['deposit', 'disburse'],
+    required: true
+  },
+  token: {
+    symbol: String,
+    address: String,
+    decimals: Number,
+    chainId: Number
+  },
+  amountUSD: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountToken: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // USD per whole token at the time of the quote
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  priceUpdatedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  txHash: String
+}, {
+  timestamps: true
+});
+
+escrowQuoteSchema.index({ chat: 1, user: 1, createdAt: -1 });
+// Keep quotes for a week after they expire so used quotes can be audited
+escrowQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EscrowQuote', escrowQuoteSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A client-supplied Idempotency-Key and the response it produced (see middleware/idempotency.js)
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: String,
+  path: String,
+  // Hash of the route and request body; a reused key must match it
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // The request currently processing this key, and until when it holds it
+  leaseId: String,
+  lockedUntil: Date,
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped to the user who sent them
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// Let MongoDB purge keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Billing details copied from the user at issue time, so later profile edits do not change issued documents
+const partySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: String,
+  legalName: String,
+  companyName: String,
+  taxId: String,
+  vatNumber: String,
+  email: String,
+  walletAddress: String,
+  address: {
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String
+  }
+}, { _id: false });
+
+// Invoice (talent to client) or receipt (payment acknowledgement) for a confirmed engagement
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['invoice', 'receipt'],
+    required: true
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  // Receipts point at the invoice they settle
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  gig: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig'
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  description: String,
+  lineItems: [{
+    description: String,
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    unitPriceUSD: Number,
+    amountUSD: Number
+  }],
+  priceHistory: [{
+    amount: Number,
+    reason: String,
+    changedAt: Date
+  }],
+  payments: [{
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    type: String,
+    txHash: String,
+    amountUSD: Number,
+    feeUSD: Number,
+    amountToken: Number,
+    tokenSymbol: String,
+    paidAt: Date
+  }],
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  token: {
+    symbol: String,
+    address: String,
+    decimals: Number,
+    chainId: Number
+  },
+  // Escrow amounts are tax inclusive; the tax is the seller's rate applied to the total
+  subtotalUSD: Number,
+  tax: {
+    label: String,
+    ratePercent: Number,
+    amountUSD: Number,
+    inclusive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  totalUSD: Number,
+  platformFeeUSD: Number,
+  netUSD: Number,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  emailedAt: Date
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ chat: 1, kind: 1 }, { unique: true });
+invoiceSchema.index({ 'seller.user': 1, issuedAt: -1 });
+invoiceSchema.index({ 'buyer.user': 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Cached balance of one ledger account. The journal (LedgerEntry) is the source of truth;
+// balanceUnits is updated in the same MongoDB transaction as every entry that touches it.
+const ledgerAccountSchema = new mongoose.Schema({
+  // e.g. "user:<id>:available", "user:<id>:escrow", "platform:deposits"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: ['available', 'escrow', 'platform'],
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // Base units per whole unit of the currency: 2 for USD (cents), the token's decimals otherwise
+  decimals: {
+    type: Number,
+    required: true
+  },
+  // Credits minus debits, in integer base units. User accounts are what the platform owes the user.
+  balanceUnits: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: '0'
+  },
+  allowNegative: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+ledgerAccountSchema.index({ user: 1, currency: 1, kind: 1 });
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
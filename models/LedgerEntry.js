@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Integer base units of the entry's currency
+  debitUnits: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: '0'
+  },
+  creditUnits: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: '0'
+  }
+}, { _id: false });
+
+const toBigInt = (units) => BigInt((units ?? 0).toString());
+
+// One balanced journal entry: total debits always equal total credits
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['opening_balance', 'deposit', 'withdrawal', 'transfer', 'escrow_deposit', 'escrow_release', 'escrow_refund', 'escrow_settlement'],
+    required: true
+  },
+  description: String,
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  decimals: {
+    type: Number,
+    required: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => {
+        if (!lines || lines.length < 2) return false;
+        if (lines.some(line => toBigInt(line.debitUnits) < 0n || toBigInt(line.creditUnits) < 0n)) return false;
+        const debits = lines.reduce((sum, line) => sum + toBigInt(line.debitUnits), 0n);
+        const credits = lines.reduce((sum, line) => sum + toBigInt(line.creditUnits), 0n);
+        return debits > 0n && debits === credits;
+      },
+      message: 'Journal entry must have at least two lines with equal debits and credits'
+    }
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ 'lines.account': 1, createdAt: -1 });
+ledgerEntrySchema.index({ 'lines.user': 1, createdAt: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
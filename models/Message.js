@@ -6,10 +6,13 @@ const messageSchema = new mongoose.Schema({
     ref: 'Chat',
     required: true
   },
+  // System messages are posted by the platform and have no sender
   senderId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function () {
+      return this.type !== 'system';
+    }
   },
   content: {
     type: String,
@@ -32,6 +35,66 @@ const messageSchema = new mongoose.Schema({
     of: Boolean,
     default: new Map()
   },
+  // Per-participant read receipts (isRead is kept for older clients)
+  readBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  editHistory: [{
+    content: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  reactions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    emoji: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Soft delete: content is kept but never sent to clients
+  deletedForEveryone: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Participants who removed the message from their own view only
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   timestamp: {
     type: Date,
     default: Date.now
@@ -40,9 +103,24 @@ const messageSchema = new mongoose.Schema({
   timestamps: true
 });
 
+messageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.deletedForEveryone) {
+      ret.content = '';
+      ret.attachments = [];
+      ret.editHistory = [];
+      ret.reactions = [];
+    }
+    delete ret.deletedFor;
+    return ret;
+  }
+});
+
 // Index for efficient queries
 messageSchema.index({ chatId: 1, timestamp: 1 });
+messageSchema.index({ chatId: 1, timestamp: -1, _id: -1 });
 messageSchema.index({ senderId: 1 });
 messageSchema.index({ timestamp: -1 });
+messageSchema.index({ chatId: 1, 'readBy.user': 1 });
 
 module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
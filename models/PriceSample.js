@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const HISTORY_DAYS = parseInt(process.env.PRICE_HISTORY_DAYS, 10) || 90;
+
+// One aggregated USD price per token per oracle run, with the quotes it was built from
+const priceSampleSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  usd: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  sources: [{
+    provider: String,
+    usd: Number,
+    // Quotes too far from the median are kept for auditing but not used
+    excluded: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  sampledAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceSampleSchema.index({ symbol: 1, sampledAt: -1 });
+priceSampleSchema.index({ sampledAt: 1 }, { expireAfterSeconds: HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PriceSample', priceSampleSchema);
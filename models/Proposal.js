@@ -40,7 +40,7 @@ const proposalSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['voting', 'awaiting_resolution', 'passed', 'rejected', 'resolved'],
+    enum: ['voting', 'awaiting_resolution', 'passed', 'rejected', 'failed_quorum', 'resolved'],
     default: 'voting'
   },
   voting: {
@@ -72,6 +72,64 @@ const proposalSchema = new mongoose.Schema({
     quorum: {
       type: Number,
       default: 0
+    },
+    // How much each vote counts (see utils/governance.js)
+    strategy: {
+      type: String,
+      enum: ['one_person_one_vote', 'stake_weighted', 'activity_weighted', 'quadratic'],
+      default: 'one_person_one_vote'
+    },
+    // Point in time (or chain block) at which locked stake is read; per-user eligibility is in VoterSnapshot
+    snapshot: {
+      blockNumber: Number,
+      takenAt: Date,
+      recordedAt: Date,
+      minLockedStake: Number,
+      recordedUsers: Number
+    },
+    // commit_reveal: ballots are committed as hashes until commitEndsAt and revealed until endsAt
+    ballot: {
+      type: String,
+      enum: ['open', 'commit_reveal'],
+      default: 'open'
+    },
+    commitEndsAt: Date,
+    // Finalization rules frozen at creation (see governance_finalization_rules)
+    rules: {
+      minVoters: Number,
+      quorumPercent: Number,
+      approvalThresholdPercent: Number,
+      tieBreak: {
+        type: String,
+        enum: ['extend', 'status_quo', 'first_to_reach']
+      },
+      extensionHours: Number,
+      maxExtensions: Number
+    },
+    extensions: [{
+      reason: {
+        type: String,
+        enum: ['failed_quorum', 'tie']
+      },
+      previousEndsAt: Date,
+      endsAt: Date,
+      extendedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Why the vote ended the way it did
+    finalization: {
+      reason: {
+        type: String,
+        enum: ['majority', 'tie_broken', 'tie', 'below_threshold', 'failed_quorum', 'no_votes']
+      },
+      voters: Number,
+      requiredVoters: Number,
+      winningShare: Number,
+      thresholdPercent: Number,
+      tiedOptions: [String],
+      tieBreak: String
     }
   },
   votes: [{
@@ -89,11 +147,53 @@ const proposalSchema = new mongoose.Schema({
       type: String,
       default: ''
     },
+    // What the vote adds to its option's tally under the proposal's strategy
+    weight: {
+      type: Number,
+      default: 1
+    },
+    // Locked LOB or activity points the weight was derived from
+    weightBasis: Number,
+    // Weight of members who delegated to this voter and did not vote themselves (see utils/delegations.js)
+    delegatedWeight: {
+      type: Number,
+      default: 0
+    },
+    delegatedFrom: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      weight: Number,
+      _id: false
+    }],
     votedAt: {
       type: Date,
       default: Date.now
     }
   }],
+  // Secret ballots; a commit becomes a vote when it is revealed
+  commits: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    commitHash: {
+      type: String,
+      required: true
+    },
+    weight: {
+      type: Number,
+      default: 1
+    },
+    weightBasis: Number,
+    committedAt: {
+      type: Date,
+      default: Date.now
+    },
+    revealedAt: Date
+  }],
   voteTallies: {
     approve: {
       type: Number,
@@ -136,6 +236,11 @@ const proposalSchema = new mongoose.Schema({
     uniqueVoters: {
       type: Number,
       default: 0
+    },
+    // Combined weight of every eligible voter at the snapshot; participationRate is measured against it
+    totalEligibleWeight: {
+      type: Number,
+      default: 0
     }
   },
   tags: [{
@@ -174,6 +279,16 @@ const proposalSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Set when the dispute covers a single escrow milestone rather than the whole engagement
+    milestone: {
+      chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat'
+      },
+      milestoneId: mongoose.Schema.Types.ObjectId,
+      title: String,
+      amountUSD: Number
+    },
     issueSummary: String,
     clientNarrative: String,
     talentNarrative: String,
@@ -300,6 +415,21 @@ proposalSchema.methods.isVotingOpen = function() {
   return this.status === 'voting' && now <= this.voting.endsAt;
 };
 
+/**
+ * Where a proposal's ballot stands
+ * @returns {String} 'open' (open ballot accepting votes), 'commit', 'reveal' or 'closed'
+ */
+proposalSchema.methods.ballotPhase = function() {
+  if (!this.isVotingOpen()) return 'closed';
+  if (this.voting.ballot !== 'commit_reveal') return 'open';
+  return new Date() < this.voting.commitEndsAt ? 'commit' : 'reveal';
+};
+
+// Secret ballot choices stay hidden until voting has been finalized
+proposalSchema.methods.hidesTallies = function() {
+  return this.voting?.ballot === 'commit_reveal' && !this.voting.autoFinalized;
+};
+
 proposalSchema.methods.allowedVoteOptions = function() {
   if (this.proposalType === 'platform') {
     return ['approve', 'reject', 'abstain'];
@@ -324,8 +454,9 @@ proposalSchema.methods.recalculateTallies = function() {
 
   this.votes.forEach(vote => {
     if (tallies[vote.vote] !== undefined) {
-      tallies[vote.vote] += 1;
-      tallies.total += 1;
+      const weight = (vote.weight ?? 1) + (vote.delegatedWeight || 0);
+      tallies[vote.vote] += weight;
+      tallies.total += weight;
     }
   });
 
@@ -335,37 +466,123 @@ proposalSchema.methods.recalculateTallies = function() {
     this.analytics = {};
   }
   this.analytics.uniqueVoters = this.votes.length;
+  if (this.analytics.totalEligibleWeight > 0) {
+    this.analytics.participationRate = Math.min(100, Number(((tallies.total / this.analytics.totalEligibleWeight) * 100).toFixed(2)));
+  }
   this.markModified('analytics');
 };
 
-proposalSchema.methods.finalizeIfNeeded = function() {
+proposalSchema.methods.requiredVoters = function(rules = {}) {
+  const eligible = this.analytics?.totalEligibleVoters || 0;
+  const fromPercent = Math.ceil(((rules.quorumPercent || 0) * eligible) / 100);
+  return Math.max(rules.minVoters || 0, fromPercent);
+};
+
+// Option that reached the tied total first, replaying the votes in the order they were cast
+proposalSchema.methods.firstToReach = function(options, total) {
+  const running = {};
+  const ordered = [...this.votes].sort((a, b) => new Date(a.votedAt) - new Date(b.votedAt));
+  for (const vote of ordered) {
+    if (!options.includes(vote.vote)) continue;
+    running[vote.vote] = (running[vote.vote] || 0) + (vote.weight ?? 1) + (vote.delegatedWeight || 0);
+    if (running[vote.vote] >= total) return vote.vote;
+  }
+  return options[0];
+};
+
+/**
+ * Work out how a closed vote ends under the given rules
+ * Platform proposals decide between approve and reject (abstentions only count towards quorum);
+ * the approval threshold is the share of that weight approve needs. Disputes need the winning
+ * option to hold the threshold share of all weight, where 0 means a plurality is enough.
+ * @param {Object} rules - { minVoters, quorumPercent, approvalThresholdPercent, tieBreak, extensionHours, maxExtensions }
+ * @returns {Object} { extend, decision, finalization }
+ */
+proposalSchema.methods.evaluateOutcome = function(rules = {}) {
+  const canExtend = rules.extensionHours > 0 && (this.voting.extensions?.length || 0) < (rules.maxExtensions || 0);
+  // Members represented through delegation took part as well
+  const voters = this.votes.reduce((count, vote) => count + 1 + (vote.delegatedFrom?.length || 0), 0);
+  const requiredVoters = this.requiredVoters(rules);
+  const thresholdPercent = rules.approvalThresholdPercent || 0;
+  const finalization = { voters, requiredVoters, thresholdPercent };
+
+  if (voters < requiredVoters) {
+    return { extend: canExtend && 'failed_quorum', decision: undefined, finalization: { ...finalization, reason: 'failed_quorum' } };
+  }
+
+  const options = this.proposalType === 'platform' ? ['approve', 'reject'] : this.allowedVoteOptions();
+  const optionTallies = options
+    .map(option => ({ option, total: this.voteTallies[option] || 0 }))
+    .sort((a, b) => b.total - a.total);
+  const decisiveTotal = optionTallies.reduce((sum, entry) => sum + entry.total, 0);
+  // Without a decision a platform proposal keeps the status quo
+  const noDecision = this.proposalType === 'platform' ? 'reject' : undefined;
+
+  if (decisiveTotal === 0) {
+    return { decision: noDecision, finalization: { ...finalization, reason: 'no_votes' } };
+  }
+
+  let winner = optionTallies[0].option;
+  let reason = 'majority';
+  const tiedOptions = optionTallies.filter(entry => entry.total === optionTallies[0].total).map(entry => entry.option);
+
+  if (tiedOptions.length > 1) {
+    const tieFinalization = { ...finalization, tiedOptions, tieBreak: rules.tieBreak || 'status_quo' };
+    if (rules.tieBreak === 'extend' && canExtend) {
+      return { extend: 'tie', decision: undefined, finalization: { ...tieFinalization, reason: 'tie' } };
+    }
+    if (rules.tieBreak !== 'first_to_reach') {
+      return { decision: noDecision, finalization: { ...tieFinalization, reason: 'tie' } };
+    }
+    winner = this.firstToReach(tiedOptions, optionTallies[0].total);
+    reason = 'tie_broken';
+    Object.assign(finalization, { tiedOptions, tieBreak: rules.tieBreak });
+  }
+
+  const winningShare = Number((((this.voteTallies[winner] || 0) / decisiveTotal) * 100).toFixed(2));
+  finalization.winningShare = winningShare;
+  // For platform proposals the threshold is what approve needs; rejecting never does
+  const needsThreshold = this.proposalType !== 'platform' || winner === 'approve';
+  if (needsThreshold && winningShare < thresholdPercent) {
+    return { decision: noDecision, finalization: { ...finalization, reason: 'below_threshold' } };
+  }
+
+  return { decision: winner, finalization: { ...finalization, reason } };
+};
+
+/**
+ * Close voting once the window has ended, or extend it when the rules allow
+ * @param {Object} rules - Finalization rules (see evaluateOutcome)
+ * @returns {String|undefined} 'finalized', 'extended', or undefined when voting is still open
+ */
+proposalSchema.methods.finalizeIfNeeded = function(rules = {}) {
   const now = new Date();
 
   if (this.voting.autoFinalized || this.voting.endsAt > now) {
-    return;
+    return undefined;
   }
 
   this.recalculateTallies();
 
-  let decision;
-  const options = this.allowedVoteOptions();
-  const optionTallies = options.map(option => ({
-    option,
-    total: this.voteTallies[option] || 0
-  }));
-
-  optionTallies.sort((a, b) => b.total - a.total);
+  const { extend, decision, finalization } = this.evaluateOutcome(rules);
 
-  if (optionTallies[0] && optionTallies[0].total > 0) {
-    decision = optionTallies[0].option;
+  if (extend) {
+    const endsAt = new Date(now.getTime() + rules.extensionHours * 60 * 60 * 1000);
+    this.voting.extensions.push({ reason: extend, previousEndsAt: this.voting.endsAt, endsAt, extendedAt: now });
+    this.voting.endsAt = endsAt;
+    this.markModified('voting');
+    return 'extended';
   }
 
   this.voting.finalDecision = decision || undefined;
   this.voting.finalizedAt = now;
   this.voting.autoFinalized = true;
+  this.voting.finalization = finalization;
   this.markModified('voting');
 
-  if (!decision) {
+  if (finalization.reason === 'failed_quorum') {
+    this.status = 'failed_quorum';
+  } else if (!decision) {
     this.status = 'rejected';
   } else if (this.proposalType === 'platform') {
     this.status = decision === 'approve' ? 'passed' : 'rejected';
@@ -380,6 +597,7 @@ proposalSchema.methods.finalizeIfNeeded = function() {
   this.resolution.outcome = decision || undefined;
   this.resolution.decidedAt = now;
   this.markModified('resolution');
+  return 'finalized';
 };
 
 module.exports = mongoose.model('Proposal', proposalSchema);
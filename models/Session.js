@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  deviceName: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  loginMethod: {
+    type: String,
+    enum: ['email', 'wallet'],
+    required: true
+  },
+  // SHA-256 of the current refresh token secret; the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'replaced', 'refresh_reuse', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ user: 1, deviceId: 1 });
+
+// Drop sessions a week after they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -20,6 +20,15 @@ const stakerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Claims already deducted from claimableRewards, so a claim is never counted twice
+  claims: [{
+    txHash: String,
+    amount: Number,
+    claimedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lastSyncedAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Tokens accepted for escrow payments and wallet balances
+const tokenSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Contract address; null for the chain's native coin (ETH)
+  address: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  decimals: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 36
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  isNative: {
+    type: Boolean,
+    default: false
+  },
+  isStablecoin: {
+    type: Boolean,
+    default: false
+  },
+  // CoinGecko id used to refresh the USD price, e.g. "usd-coin"
+  coingeckoId: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+tokenSchema.index({ chainId: 1, symbol: 1 }, { unique: true });
+tokenSchema.index({ chainId: 1, address: 1 }, { unique: true });
+
+// Compact form stored on escrow records and transactions
+tokenSchema.methods.toReference = function() {
+  return {
+    symbol: this.symbol,
+    address: this.address,
+    decimals: this.decimals,
+    chainId: this.chainId
+  };
+};
+
+module.exports = mongoose.model('Token', tokenSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Latest USD price of a registered token
+const tokenPriceSchema = new mongoose.Schema({
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true,
+    unique: true
+  },
+  symbol: {
+    type: String,
+    required: true
+  },
+  usd: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    default: 'coingecko'
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TokenPrice', tokenPriceSchema);
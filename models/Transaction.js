@@ -27,6 +27,9 @@ const transactionSchema = new mongoose.Schema({
       'escrow_disburse',
       'escrow_confirm',
       'escrow_release',
+      'escrow_milestone_fund',
+      'escrow_milestone_release',
+      'escrow_settlement',
       'job_payment',
       'gig_payment',
       'refund',
@@ -103,6 +106,8 @@ const transactionSchema = new mongoose.Schema({
   fromAddress: String,
   toAddress: String,
   blockNumber: Number,
+  // Position of the escrow contract log this record was matched to or built from (chain indexer)
+  logIndex: Number,
   gasUsed: Number,
   gasPrice: Number,
   direction: {
@@ -110,7 +115,25 @@ const transactionSchema = new mongoose.Schema({
     enum: ['credit', 'debit'],
     default: 'credit'
   },
-  metadata: mongoose.Schema.Types.Mixed
+  metadata: mongoose.Schema.Types.Mixed,
+  // Result of checking txHash against the chain (see utils/chainVerifier.js)
+  verification: {
+    status: {
+      type: String,
+      enum: ['unverified', 'pending', 'verified', 'rejected', 'flagged'],
+      default: 'unverified'
+    },
+    reasons: [String],
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    chainId: Number,
+    blockNumber: Number,
+    confirmations: Number,
+    checkedAt: Date,
+    verifiedAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -120,5 +143,6 @@ transactionSchema.index({ fromUser: 1, createdAt: -1 });
 transactionSchema.index({ toUser: 1, createdAt: -1 });
 transactionSchema.index({ type: 1, status: 1 });
 transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ 'verification.status': 1, createdAt: 1 });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -219,9 +219,50 @@ const userSchema = new mongoose.Schema({
       }
     }
   },
+  // Billing and tax details printed on invoices, receipts and earnings statements;
+  // excluded from queries unless selected with +billingProfile
+  billingProfile: {
+    type: {
+      legalName: String,
+      companyName: String,
+      entityType: {
+        type: String,
+        enum: ['individual', 'business']
+      },
+      taxResidenceCountry: String,
+      taxId: String,
+      vatNumber: String,
+      email: String,
+      address: {
+        line1: String,
+        line2: String,
+        city: String,
+        state: String,
+        postalCode: String,
+        country: String
+      },
+      // Sales tax or VAT the user charges on their services, included in escrow amounts
+      taxLabel: {
+        type: String,
+        default: 'VAT'
+      },
+      taxRatePercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+      }
+    },
+    select: false
+  },
   lastSeen: {
     type: Date,
     default: Date.now
+  },
+  // Driven by Socket.IO connect/disconnect
+  isOnline: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
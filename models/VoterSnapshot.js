@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One user's voting eligibility on one proposal, frozen when the proposal opens
+// (activity-weighted proposals opened before snapshots freeze each voter when first checked)
+const voterSnapshotSchema = new mongoose.Schema({
+  proposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: String,
+  walletAddress: String,
+  activityPoints: {
+    type: Number,
+    default: 0
+  },
+  // LOB locked in staking at the proposal's snapshot time
+  lockedStake: {
+    type: Number,
+    default: 0
+  },
+  eligible: {
+    type: Boolean,
+    default: false
+  },
+  ineligibleReason: {
+    type: String,
+    enum: ['inactive', 'activity_points', 'locked_stake']
+  },
+  // What the user's vote would count for under the proposal's strategy
+  weight: {
+    type: Number,
+    default: 0
+  },
+  recordedAt: Date
+});
+
+voterSnapshotSchema.index({ proposal: 1, user: 1 }, { unique: true });
+voterSnapshotSchema.index({ proposal: 1, eligible: 1, weight: -1 });
+
+module.exports = mongoose.model('VoterSnapshot', voterSnapshotSchema);
@@ -1,16 +1,53 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { auth } = require('../middleware/auth');
+const { SiweError, WALLET_ADDRESS_REGEX, issueNonce, verifySiweLogin } = require('../utils/siwe');
+const { AuthTokenError, createSession, rotateSession, disconnectSessionSockets } = require('../utils/authTokens');
 
 const router = express.Router();
 
-// Helper function to generate token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'your-secret-key', {
-    expiresIn: '7d'
-  });
-};
+// Shape a session for the session list without exposing token material
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceId: session.deviceId,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  loginMethod: session.loginMethod,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId
+});
+
+// @route   POST /api/auth/nonce
+// @desc    Issue a one-time Sign-In with Ethereum (EIP-4361) challenge for a wallet
+// @access  Public
+router.post('/nonce', [
+  body('walletAddress').matches(WALLET_ADDRESS_REGEX).withMessage('Please enter a valid wallet address'),
+  body('purpose').optional().isIn(['login', 'register']).withMessage('Purpose must be login or register')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { walletAddress, purpose = 'login' } = req.body;
+    const challenge = await issueNonce(walletAddress.trim(), purpose);
+
+    res.json({
+      nonce: challenge.nonce,
+      message: challenge.message,
+      expiresAt: challenge.expiresAt
+    });
+  } catch (error) {
+    console.error('Nonce generation error:', error);
+    res.status(500).json({ error: 'Server error while generating nonce' });
+  }
+});
 
 // @route   POST /api/auth/register-email
 // @desc    Register a new user with email and password
@@ -120,10 +157,11 @@ router.post('/register-email', [
       await referrer.save();
     }
 
-    const token = generateToken(newUser._id);
+    const { token, refreshToken } = await createSession(newUser, req, 'email');
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: newUser._id,
         username: newUser.username,
@@ -144,11 +182,13 @@ router.post('/register-email', [
 });
 
 // @route   POST /api/auth/register-wallet
-// @desc    Register a new user with wallet address
+// @desc    Register a new user with a wallet address proven by a signed SIWE challenge
 // @access  Public
 router.post('/register-wallet', [
   body('username').trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
-  body('walletAddress').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Please enter a valid wallet address')
+  body('walletAddress').matches(WALLET_ADDRESS_REGEX).withMessage('Please enter a valid wallet address'),
+  body('message').notEmpty().withMessage('Signed sign-in message is required'),
+  body('signature').notEmpty().withMessage('Wallet signature is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -156,19 +196,20 @@ router.post('/register-wallet', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, walletAddress, referredBy } = req.body;
+    const { username, walletAddress, referredBy, message, signature } = req.body;
 
     // Normalize inputs
     const trimmedUsername = username.trim();
-    const normalizedWallet = walletAddress.trim().toLowerCase();
+    const trimmedWallet = walletAddress.trim();
 
-    // Check if user already exists
+    // Check if user already exists before the signed challenge is consumed,
+    // so a rejected registration does not force the wallet to sign in again
     const existingUsername = await User.findOne({ 
       $expr: { $eq: [{ $toLower: "$username" }, trimmedUsername.toLowerCase()] }
     });
 
     const existingWallet = await User.findOne({ 
-        $expr: { $eq: [{ $toLower: "$walletAddress" }, normalizedWallet] }
+        $expr: { $eq: [{ $toLower: "$walletAddress" }, trimmedWallet.toLowerCase()] }
       });
 
     if (existingUsername) {
@@ -178,6 +219,13 @@ router.post('/register-wallet', [
       return res.status(400).json({ error: 'Wallet address already registered' });
     }
 
+    const normalizedWallet = await verifySiweLogin({
+      walletAddress: trimmedWallet,
+      message,
+      signature,
+      purpose: 'register'
+    });
+
     // Find referrer if provided
     let referrer = null;
     if (referredBy) {
@@ -345,10 +393,11 @@ router.post('/register-wallet', [
       await referrer.save();
     }
 
-    const token = generateToken(newUser._id);
+    const { token, refreshToken } = await createSession(newUser, req, 'wallet');
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: newUser._id,
         username: newUser.username,
@@ -363,6 +412,9 @@ router.post('/register-wallet', [
       loginMethod: 'wallet'
     });
   } catch (error) {
+    if (error instanceof SiweError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Server error during registration' });
   }
@@ -383,7 +435,7 @@ router.post('/login', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { identifier, password } = req.body;
+    const { identifier, password, message, signature } = req.body;
 
     // Normalize identifier for case-insensitive lookup
     const normalizedIdentifier = identifier.toLowerCase().trim();
@@ -408,10 +460,14 @@ router.post('/login', [
     const isEmailLogin = normalizedEmail === normalizedIdentifier;
     const isWalletLogin = normalizedWallet === normalizedIdentifier;
 
-    // If logging in with wallet address, password is NOT required (wallet-only login)
+    // Wallet login - no password, but the wallet must sign a SIWE challenge from POST /api/auth/nonce
     if (isWalletLogin) {
-      // Wallet login - no password needed, allow login to proceed
-      // This is the wallet-only login flow
+      await verifySiweLogin({
+        walletAddress: normalizedWallet,
+        message,
+        signature,
+        purpose: 'login'
+      });
     } 
     // If logging in with email, password is required (if user has password)
     else if (isEmailLogin) {
@@ -437,10 +493,11 @@ router.post('/login', [
     user.lastSeen = new Date();
     await user.save();
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await createSession(user, req, isEmailLogin ? 'email' : 'wallet');
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -455,6 +512,9 @@ router.post('/login', [
       loginMethod: isEmailLogin ? 'email' : 'wallet'
     });
   } catch (error) {
+    if (error instanceof SiweError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Login error:', error);
     res.status(500).json({ error: 'Server error during login' });
   }
@@ -463,7 +523,7 @@ router.post('/login', [
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', require('../middleware/auth').auth, async (req, res) => {
+router.get('/me', auth, async (req, res) => {
   try {
     // Determine login method: if user has email, they logged in with email; otherwise with wallet
     const loginMethod = req.user.email ? 'email' : 'wallet';
@@ -478,4 +538,127 @@ router.get('/me', require('../middleware/auth').auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, refreshToken, session } = await rotateSession(req.body.refreshToken);
+
+    res.json({
+      token,
+      refreshToken,
+      sessionId: session._id
+    });
+  } catch (error) {
+    if (error instanceof AuthTokenError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Server error during token refresh' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session used for this request
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.authSession._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+    disconnectSessionSockets(req.app.get('io'), [req.authSession._id.toString()]);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('-refreshTokenHash')
+      .sort({ lastUsedAt: -1 });
+
+    const currentSessionId = req.authSession._id.toString();
+    res.json({
+      sessions: sessions.map((session) => formatSession(session, currentSessionId))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id
+    }).catch(() => null);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke('revoked');
+    }
+    disconnectSessionSockets(req.app.get('io'), [session._id.toString()]);
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's sessions except the one making the request
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      _id: { $ne: req.authSession._id }
+    }).select('_id');
+
+    const sessionIds = sessions.map((session) => session._id);
+    await Session.updateMany(
+      { _id: { $in: sessionIds } },
+      { revokedAt: new Date(), revokedReason: 'revoked' }
+    );
+    disconnectSessionSockets(req.app.get('io'), sessionIds.map((id) => id.toString()));
+
+    res.json({
+      message: 'Other sessions revoked',
+      revoked: sessionIds.length
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -8,6 +8,8 @@ const BlogSave = require('../models/BlogSave');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const { auth, tryAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { enqueueJob } = require('../utils/jobQueue');
 
 const router = express.Router();
 const Config = require('../models/Config');
@@ -32,6 +34,13 @@ const getBlogEarningsConfig = async () => {
   };
 };
 
+// Credit the author from the job queue; the milestone makes the credit idempotent
+const queueEarningsCredit = (blog, type, milestone, amount) => enqueueJob(
+  'blogs.credit-earnings',
+  { blogId: blog._id.toString(), type, milestone, amount },
+  { uniqueKey: `blogs.credit-earnings:${blog._id}:${type}:${milestone}` }
+).catch(error => console.error('Error queueing blog earnings:', error.message));
+
 // Helper function to get client IP
 const getClientIP = (req) => {
   return req.ip || 
@@ -344,22 +353,12 @@ router.post('/:id/view', tryAuth, async (req, res) => {
     const previousViewEarnings = Math.floor((blog.views - 1) / earningsConfig.viewsThreshold) * earningsConfig.viewsRate;
     const newEarnings = viewEarnings - previousViewEarnings;
 
+    await blog.save();
+
     if (newEarnings > 0) {
-      blog.earnings.totalEarned += newEarnings;
-      blog.earnings.available += newEarnings;
-
-      // Create earning record
-      await BlogEarning.create({
-        user: blog.author,
-        blog: blog._id,
-        type: 'view',
-        amount: newEarnings,
-        status: 'available'
-      });
+      await queueEarningsCredit(blog, 'view', blog.views, newEarnings);
     }
 
-    await blog.save();
-
     res.json({ 
       success: true, 
       views: blog.views,
@@ -410,22 +409,12 @@ router.post('/:id/impression', tryAuth, async (req, res) => {
     const previousImpressionEarnings = Math.floor((blog.impressions - 1) / earningsConfig.impressionsThreshold) * earningsConfig.impressionsRate;
     const newEarnings = impressionEarnings - previousImpressionEarnings;
 
+    await blog.save();
+
     if (newEarnings > 0) {
-      blog.earnings.totalEarned += newEarnings;
-      blog.earnings.available += newEarnings;
-
-      // Create earning record
-      await BlogEarning.create({
-        user: blog.author,
-        blog: blog._id,
-        type: 'impression',
-        amount: newEarnings,
-        status: 'available'
-      });
+      await queueEarningsCredit(blog, 'impression', blog.impressions, newEarnings);
     }
 
-    await blog.save();
-
     res.json({ 
       success: true, 
       impressions: blog.impressions,
@@ -704,7 +693,7 @@ router.get('/user/earnings', auth, async (req, res) => {
 // @route   POST /api/blogs/user/withdraw
 // @desc    Withdraw blog earnings
 // @access  Private
-router.post('/user/withdraw', auth, [
+router.post('/user/withdraw', auth, idempotent(), [
   body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0')
 ], async (req, res) => {
   try {
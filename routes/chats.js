@@ -8,8 +8,52 @@ const Message = require('../models/Message');
 const User = require('../models/User');
 const Job = require('../models/Job');
 const Gig = require('../models/Gig');
-const Transaction = require('../models/Transaction');
 const { uploadImage } = require('../utils/cloudinary');
+const { userRoom, emitToUser, emitToUsers } = require('../utils/socketRooms');
+const {
+  ChatMessageError,
+  REPLY_PREVIEW_FIELDS,
+  resolveReplyTo,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  postSystemMessage
+} = require('../utils/chatMessages');
+const { fetchMessagePage, searchChatMessages } = require('../utils/chatHistory');
+const { TokenError, resolveToken, findTokenByReference, resolveEscrowPayment } = require('../utils/tokens');
+const { PriceOracleError } = require('../utils/priceOracle');
+const {
+  EscrowQuoteError,
+  getQuoteConfig,
+  createEscrowQuote,
+  redeemEscrowQuote
+} = require('../utils/escrowQuotes');
+const { EscrowRecordError, saveEscrowStep } = require('../utils/escrowRecords');
+const { calculateChatFee } = require('../utils/fees');
+const { LedgerError } = require('../utils/ledger');
+const { enqueueJob } = require('../utils/jobQueue');
+const {
+  CANCELLABLE_STATUSES,
+  CLIENT_CANCELLABLE_STATUSES,
+  CancellationError,
+  getDepositToken,
+  getDepositedTokenAmount,
+  sumDisbursedTokens,
+  getEscrowRemaining,
+  splitRemainingEscrow,
+  settleCancellation
+} = require('../utils/escrowCancellation');
+const { scheduleAutoRelease, closeAutoRelease } = require('../utils/escrowAutoRelease');
+const {
+  MilestoneError,
+  findMilestone,
+  assertMilestoneStatus,
+  usesMilestoneEscrow,
+  confirmIfAllSettled,
+  finishMilestoneEngagement,
+  summarizeMilestones
+} = require('../utils/milestones');
+const { completeEngagement } = require('../utils/engagements');
 
 const router = express.Router();
 
@@ -46,9 +90,46 @@ const toLowerAddress = (address = '') => (address ? address.toLowerCase() : addr
 
 const loadChatForEscrow = async (chatId) => {
   return Chat.findById(chatId)
-    .populate('participants.user', 'username email role walletAddress stats activityPoints')
+    .populate('participants.user', 'username email role walletAddress stats activityPoints referral.referredBy createdAt')
     .populate('job', 'title status client hiredTalent budget')
-    .populate('gig', 'title status talent pricing orders');
+    .populate('gig', 'title status talent pricing orders type');
+};
+
+/**
+ * Record read receipts for a user and recompute their unread count
+ * @param {Object} chat - Chat document (saved by this helper)
+ * @param {String} userId - Reader
+ * @param {Object} upToMessage - Last message read; null marks everything read
+ * @returns {Promise<Object>} { readAt, modifiedCount, unreadCount }
+ */
+const markMessagesRead = async (chat, userId, upToMessage = null) => {
+  const readAt = new Date();
+  const filter = {
+    chatId: chat._id,
+    senderId: { $ne: userId },
+    'readBy.user': { $ne: userId }
+  };
+  if (upToMessage) {
+    filter.timestamp = { $lte: upToMessage.timestamp };
+  }
+
+  const result = await Message.updateMany(filter, {
+    $push: { readBy: { user: userId, readAt } },
+    $set: { [`isRead.${userId}`]: true }
+  });
+
+  const unreadCount = upToMessage
+    ? await Message.countDocuments({
+      chatId: chat._id,
+      senderId: { $ne: userId },
+      [`isRead.${userId}`]: { $ne: true }
+    })
+    : 0;
+
+  chat.unreadCount.set(userId.toString(), unreadCount);
+  await chat.save();
+
+  return { readAt, modifiedCount: result.modifiedCount, unreadCount };
 };
 
 const buildTransactionDescription = (chat) => {
@@ -85,7 +166,7 @@ router.get('/', auth, async (req, res) => {
     }
 
     const chats = await Chat.find(query)
-      .populate('participants.user', 'username email profile')
+      .populate('participants.user', 'username email profile isOnline lastSeen')
       .populate('job', 'title')
       .populate('gig', 'title')
       .populate('lastMessage.sender', 'username')
@@ -141,7 +222,7 @@ router.get('/unread-count', auth, async (req, res) => {
 router.get('/:id', auth, async (req, res) => {
   try {
     const chat = await Chat.findById(req.params.id)
-      .populate('participants.user', 'username email profile')
+      .populate('participants.user', 'username email profile isOnline lastSeen')
       .populate('job', 'title duration')
       .populate('gig', 'title pricing orders');
 
@@ -337,37 +418,47 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to access this chat' });
     }
 
-    // Mark messages as read for this user
-    await Message.updateMany(
-      { 
-        chatId: req.params.id,
-        senderId: { $ne: req.user.id }
-      },
-      { 
-        $set: { [`isRead.${req.user.id}`]: true }
-      }
-    );
-
-    // Reset unread count for this user
-    chat.unreadCount.set(req.user.id.toString(), 0);
-    await chat.save();
+    // Mark messages as read for this user and reset their unread count
+    const { readAt, modifiedCount } = await markMessagesRead(chat, req.user.id);
 
     // Emit socket event to update unread count for this user
     const io = req.app.get('io');
     if (io) {
-      io.emit('unread-count-updated', { userId: req.user.id.toString() });
+      emitToUser(io, req.user.id, 'unread-count-updated', { userId: req.user.id.toString() });
+      if (modifiedCount > 0) {
+        io.to(req.params.id).emit('messages-read', {
+          chatId: req.params.id,
+          userId: req.user.id.toString(),
+          upToMessageId: null,
+          readAt
+        });
+      }
       console.log(`Unread count reset for user ${req.user.id} in chat ${req.params.id}`);
     }
 
-    // Get messages
-    const messages = await Message.find({ chatId: req.params.id })
-      .populate('senderId', 'username email profile')
-      .sort({ timestamp: 1 });
+    // Get messages (minus the ones this user deleted for themselves).
+    // With ?limit only the newest page is returned; older pages come from GET /:id/messages
+    let messages;
+    let pagination = null;
+    if (req.query.limit) {
+      ({ messages, pagination } = await fetchMessagePage(chat._id, req.user.id, { limit: req.query.limit }));
+    } else {
+      messages = await Message.find({ chatId: req.params.id, deletedFor: { $ne: req.user.id } })
+        .populate('senderId', 'username email profile')
+        .populate('replyTo', REPLY_PREVIEW_FIELDS)
+        .sort({ timestamp: 1 });
+    }
+
+    // Application/order details are posted when the chat is created, so a page of
+    // recent messages may not contain them
+    const openingMessages = pagination
+      ? await Message.find({ chatId: req.params.id }).sort({ timestamp: 1 }).limit(10)
+      : messages;
 
     // If we couldn't find application/order data, try to extract from first message
-    if (chat.job && !chat.job.application && messages && messages.length > 0) {
+    if (chat.job && !chat.job.application && openingMessages && openingMessages.length > 0) {
       // Find the first message that contains application details
-      const firstMessage = messages.find(m => 
+      const firstMessage = openingMessages.find(m => 
         m.content && (
           m.content.includes('Application Approved') || 
           m.content.includes('Cover Letter') ||
@@ -428,9 +519,9 @@ router.get('/:id', auth, async (req, res) => {
     }
     
     // If we couldn't find order data, try to extract from first message
-    if (chat.gig && !chat.gig.order && messages && messages.length > 0) {
+    if (chat.gig && !chat.gig.order && openingMessages && openingMessages.length > 0) {
       // Find the first message that contains order details
-      const firstMessage = messages.find(m => 
+      const firstMessage = openingMessages.find(m => 
         m.content && (
           m.content.includes('Order Approved') || 
           m.content.includes('Requirements:') ||
@@ -497,13 +588,135 @@ router.get('/:id', auth, async (req, res) => {
       }
     }
 
-    res.json({ chat, messages });
+    res.json({ chat, messages, ...(pagination && { pagination }) });
   } catch (error) {
+    if (error instanceof ChatMessageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// @route   GET /api/chats/:id/messages?before=&after=&limit=
+// @desc    Cursor-paginated message history (oldest first within a page)
+// @access  Private
+router.get('/:id/messages', auth, async (req, res) => {
+  try {
+    const chat = await Chat.findById(req.params.id).select('participants');
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const isParticipant = chat.participants.some(p => p.user.toString() === req.user.id);
+    if (!isParticipant) {
+      return res.status(403).json({ error: 'Not authorized to access this chat' });
+    }
+
+    const { before, after, limit } = req.query;
+    const page = await fetchMessagePage(chat._id, req.user.id, { before, after, limit });
+
+    res.json(page);
+  } catch (error) {
+    if (error instanceof ChatMessageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/chats/:id/messages/search?q=&sender=&hasAttachments=&from=&to=&before=&limit=
+// @desc    Search messages in a chat with highlighted matches (newest first)
+// @access  Private
+router.get('/:id/messages/search', auth, async (req, res) => {
+  try {
+    const chat = await Chat.findById(req.params.id).select('participants');
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const isParticipant = chat.participants.some(p => p.user.toString() === req.user.id);
+    if (!isParticipant) {
+      return res.status(403).json({ error: 'Not authorized to access this chat' });
+    }
+
+    const { q, sender, from, to, before, limit } = req.query;
+    const search = await searchChatMessages(chat._id, req.user.id, {
+      q,
+      sender,
+      hasAttachments: req.query.hasAttachments === 'true',
+      from,
+      to,
+      before,
+      limit
+    });
+
+    res.json(search);
+  } catch (error) {
+    if (error instanceof ChatMessageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error searching messages:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/chats/:id/read
+// @desc    Mark messages read up to (and including) a given message
+// @access  Private
+router.post('/:id/read', [
+  auth,
+  body('messageId').isMongoId().withMessage('Valid message ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chat = await Chat.findById(req.params.id);
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const isParticipant = chat.participants.some(p => p.user.toString() === req.user.id);
+    if (!isParticipant) {
+      return res.status(403).json({ error: 'Not authorized to access this chat' });
+    }
+
+    const upToMessage = await Message.findOne({ _id: req.body.messageId, chatId: chat._id });
+    if (!upToMessage) {
+      return res.status(404).json({ error: 'Message not found in this chat' });
+    }
+
+    const { readAt, modifiedCount, unreadCount } = await markMessagesRead(chat, req.user.id, upToMessage);
+
+    const io = req.app.get('io');
+    if (io) {
+      emitToUser(io, req.user.id, 'unread-count-updated', { userId: req.user.id.toString() });
+      if (modifiedCount > 0) {
+        io.to(req.params.id).emit('messages-read', {
+          chatId: req.params.id,
+          userId: req.user.id.toString(),
+          upToMessageId: upToMessage._id.toString(),
+          readAt
+        });
+      }
+    }
+
+    res.json({
+      message: 'Messages marked as read',
+      markedCount: modifiedCount,
+      unreadCount,
+      readAt
+    });
+  } catch (error) {
+    console.error('Error marking messages as read:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   POST /api/chats
 // @desc    Create a new chat
 // @access  Private
@@ -673,64 +886,107 @@ const getParticipantsByRole = (chat) => {
   return { client, talent };
 };
 
-// Helper function to approve pending referrals when a user completes their first job/gig
-const approvePendingReferrals = async (userId) => {
+// @route   GET /api/chats/:id/escrow/fees
+// @desc    Preview the platform fee on this chat's payout (?amountUSD= defaults to the agreed price)
+// @access  Private
+router.get('/:id/escrow/fees', auth, async (req, res) => {
   try {
-    const Referral = require('../models/Referral');
-    const User = require('../models/User');
-    
-    // Find all pending referrals for this user (the referred user)
-    const pendingReferrals = await Referral.find({
-      referredUser: userId,
-      status: 'pending'
-    }).populate('referrer');
+    const chat = await loadChatForEscrow(req.params.id);
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+    if (!chat.participants.some(p => (p.user?._id || p.user).toString() === req.user.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    if (pendingReferrals.length === 0) {
-      return; // No pending referrals to approve
+    const { talent } = getParticipantsByRole(chat);
+    if (!talent) {
+      return res.status(400).json({ error: 'Chat has no talent participant' });
     }
 
-    // Check if this is the user's first completed job/gig
-    const user = await User.findById(userId);
-    if (!user) {
-      return;
+    const amountUSD = Number(req.query.amountUSD ?? (chat.price?.current || chat.price?.original || 0));
+    if (!Number.isFinite(amountUSD) || amountUSD < 0) {
+      return res.status(400).json({ error: 'amountUSD must be zero or more' });
     }
 
-    // Only approve referrals if this is the first completion
-    // We check if jobsCompleted is 1 (just incremented) or if it was 0 before
-    const isFirstCompletion = user.stats?.jobsCompleted === 1;
+    res.json({ fee: await calculateChatFee(chat, talent.user, amountUSD) });
+  } catch (error) {
+    console.error('Fee preview error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
 
-    if (!isFirstCompletion) {
-      return; // Not the first completion, don't approve referrals
-    }
+// @route   POST /api/chats/:id/escrow/quote
+// @desc    Lock the USD/token rate for the next deposit, milestone funding or disbursement (client)
+// @access  Private
+router.post(
+  '/:id/escrow/quote',
+  [
+    auth,
+    body('action').isIn(['deposit', 'disburse']).withMessage('Action must be "deposit" or "disburse"'),
+    body('amountUSD').isFloat({ gt: 0 }).withMessage('USD amount must be greater than zero'),
+    body('token').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Approve all pending referrals for this user
-    for (const referral of pendingReferrals) {
-      // Update referral status to approved
-      referral.status = 'approved';
-      referral.approvedAt = new Date();
-      await referral.save();
+      const chat = await loadChatForEscrow(req.params.id);
+      if (!chat) {
+        return res.status(404).json({ error: 'Chat not found' });
+      }
 
-      // Update referrer's LOB tokens
-      const referrer = await User.findById(referral.referrer._id);
-      if (referrer) {
-        // Move tokens from pending to available
-        referrer.referral.lobTokens.pending = Math.max(0, (referrer.referral.lobTokens.pending || 0) - (referral.lobTokens || 100));
-        referrer.referral.lobTokens.available = (referrer.referral.lobTokens.available || 0) + (referral.lobTokens || 100);
-        
-        // Add activity points
-        referrer.stats = referrer.stats || {};
-        referrer.stats.activityPoints = (referrer.stats.activityPoints || 0) + (referral.activityPoints || 5);
-        
-        await referrer.save();
+      const { client } = getParticipantsByRole(chat);
+      if (!client || client.user._id.toString() !== req.user.id) {
+        return res.status(403).json({ error: 'Only the client can request an escrow quote' });
       }
-    }
 
-    console.log(`Approved ${pendingReferrals.length} pending referrals for user ${userId}`);
-  } catch (error) {
-    console.error('Error approving pending referrals:', error);
-    // Don't throw - this is a non-critical operation
+      const { action } = req.body;
+      let token;
+      if (action === 'deposit') {
+        if (chat.escrow?.deposit?.txHash) {
+          return res.status(400).json({ error: 'Deposit already recorded for this chat' });
+        }
+        token = await resolveToken(req.body.token, req.body.chainId || undefined);
+      } else {
+        if (!chat.escrow?.deposit?.txHash) {
+          return res.status(400).json({ error: 'Deposit must be recorded before disbursement' });
+        }
+        const depositToken = getDepositToken(chat);
+        token = (await findTokenByReference(depositToken)) || depositToken;
+      }
+
+      const { quoteId, quote } = await createEscrowQuote({
+        chat,
+        userId: req.user.id,
+        action,
+        token,
+        amountUSD: Number(req.body.amountUSD)
+      });
+
+      res.status(201).json({
+        quoteId,
+        action,
+        token: quote.token,
+        amountUSD: quote.amountUSD,
+        amountToken: quote.amountToken,
+        amountETH: quote.token.address ? undefined : quote.amountToken,
+        rate: quote.rate,
+        expiresAt: quote.expiresAt,
+        toleranceBps: getQuoteConfig().toleranceBps
+      });
+    } catch (error) {
+      if (error instanceof TokenError || error instanceof PriceOracleError || error instanceof EscrowQuoteError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Escrow quote error:', error);
+      res.status(500).json({ error: 'Server error', details: error.message });
+    }
   }
-};
+);
 
 router.post(
   '/:id/escrow/deposit',
@@ -739,18 +995,22 @@ router.post(
     body('txHash').notEmpty().withMessage('Transaction hash is required'),
     body('fromAddress').notEmpty().withMessage('Depositing wallet address is required'),
     body('amountUSD').isFloat({ gt: 0 }).withMessage('USD amount must be greater than zero'),
-    body('amountETH').isFloat({ gt: 0 }).withMessage('ETH amount must be greater than zero'),
+    body('amountETH').optional().isFloat({ gt: 0 }).withMessage('ETH amount must be greater than zero'),
+    body('token').optional().isString(),
+    body('amountToken').optional().isFloat({ gt: 0 }).withMessage('Token amount must be greater than zero'),
     body('customerWallet').notEmpty().withMessage('Customer wallet address is required'),
-    body('talentWallet').optional().isString()
+    body('talentWallet').optional().isString(),
+    body('quoteId').notEmpty().withMessage('A quote is required; request one from /escrow/quote')
   ],
   async (req, res) => {
+    let chat;
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const chat = await loadChatForEscrow(req.params.id);
+      chat = await loadChatForEscrow(req.params.id);
       if (!chat) {
         return res.status(404).json({ error: 'Chat not found' });
       }
@@ -778,12 +1038,38 @@ router.post(
         return res.status(400).json({ error: 'Deposit already recorded for this chat' });
       }
 
+      if (usesMilestoneEscrow(chat)) {
+        return res.status(400).json({ error: 'This chat is funded through milestones' });
+      }
+
       if (chat.workflowStatus !== 'offered') {
         return res.status(400).json({ error: `Cannot deposit when workflow status is "${chat.workflowStatus}"` });
       }
 
       const amountUSD = Number(req.body.amountUSD);
-      const amountETH = Number(req.body.amountETH);
+      let payment;
+      let quote;
+      try {
+        payment = await resolveEscrowPayment(req.body);
+        // The quote locked a fresh rate when it was issued, so the feed is not checked again here
+        quote = await redeemEscrowQuote({
+          quoteId: req.body.quoteId,
+          chat,
+          userId: req.user.id,
+          action: 'deposit',
+          token: payment.token,
+          amountUSD,
+          amountToken: payment.amountToken,
+          txHash: req.body.txHash
+        });
+      } catch (error) {
+        if (error instanceof TokenError || error instanceof PriceOracleError || error instanceof EscrowQuoteError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+      }
+
+      const { token, amountToken, amountETH } = payment;
       const fromAddress = toLowerAddress(req.body.fromAddress);
       const talentWallet = req.body.talentWallet ? toLowerAddress(req.body.talentWallet) : null;
 
@@ -808,6 +1094,10 @@ router.post(
         txHash: req.body.txHash,
         amountUSD,
         amountETH,
+        token: token.toReference(),
+        amountToken,
+        priceUSD: quote.rate,
+        quote: quote._id,
         fromAddress,
         toAddress: talentWallet,
         performedBy: req.user.id,
@@ -817,7 +1107,32 @@ router.post(
       chat.workflowStatus = 'deposit';
       chat.status = 'active';
       chat.markModified('escrow');
-      await chat.save();
+      await saveEscrowStep(chat, {
+        fromUser: client.user._id,
+        toUser: talent.user._id,
+        amount: amountUSD,
+        type: 'escrow_deposit',
+        status: 'completed',
+        description: `${buildTransactionDescription(chat)} — deposit`,
+        job: chat.job?._id,
+        gig: chat.gig?._id,
+        currency: 'USD',
+        isOnChain: true,
+        txHash: req.body.txHash,
+        tokenSymbol: token.symbol,
+        tokenAddress: token.address || undefined,
+        fromAddress,
+        toAddress: talentWallet,
+        metadata: {
+          amountETH,
+          amountToken,
+          tokenDecimals: token.decimals,
+          chatId: chat._id.toString(),
+          action: 'deposit'
+        },
+        chat: chat._id,
+        direction: 'debit'
+      }, quote);
 
       // Update application status to 'accepted' when escrow is deposited (for jobs)
       if (chat.job) {
@@ -848,29 +1163,6 @@ router.post(
         }
       }
 
-      await Transaction.create({
-        fromUser: client.user._id,
-        toUser: talent.user._id,
-        amount: amountUSD,
-        type: 'escrow_deposit',
-        status: 'completed',
-        description: `${buildTransactionDescription(chat)} — deposit`,
-        job: chat.job?._id,
-        gig: chat.gig?._id,
-        currency: 'USD',
-        isOnChain: true,
-        txHash: req.body.txHash,
-        fromAddress,
-        toAddress: talentWallet,
-        metadata: {
-          amountETH,
-          chatId: chat._id.toString(),
-          action: 'deposit'
-        },
-        chat: chat._id,
-        direction: 'debit'
-      });
-
       const io = req.app.get('io');
       if (io) {
         io.to(chat._id.toString()).emit('escrow-updated', {
@@ -886,6 +1178,9 @@ router.post(
         chat: updatedChat
       });
     } catch (error) {
+      if (error instanceof EscrowRecordError || error instanceof LedgerError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Escrow deposit error:', error);
       console.error('Error stack:', error.stack);
       console.error('Chat ID:', req.params.id);
@@ -967,7 +1262,26 @@ router.post(
 
       chat.workflowStatus = 'in-progress';
       chat.markModified('escrow');
-      await chat.save();
+      await saveEscrowStep(chat, {
+        fromUser: talent.user._id,
+        toUser: client.user._id,
+        amount: 0,
+        type: 'escrow_in_progress',
+        status: 'completed',
+        description: `${buildTransactionDescription(chat)} — in-progress milestone`,
+        job: chat.job?._id,
+        gig: chat.gig?._id,
+        currency: 'USD',
+        isOnChain: true,
+        txHash: req.body.txHash,
+        fromAddress: toLowerAddress(req.body.fromAddress),
+        metadata: {
+          chatId: chat._id.toString(),
+          action: 'in-progress'
+        },
+        chat: chat._id,
+        direction: 'credit'
+      });
 
       // Update order status to 'in-progress' when workflow status changes
       if (chat.gig) {
@@ -1027,27 +1341,6 @@ router.post(
         }
       }
 
-      await Transaction.create({
-        fromUser: talent.user._id,
-        toUser: client.user._id,
-        amount: 0,
-        type: 'escrow_in_progress',
-        status: 'completed',
-        description: `${buildTransactionDescription(chat)} — in-progress milestone`,
-        job: chat.job?._id,
-        gig: chat.gig?._id,
-        currency: 'USD',
-        isOnChain: true,
-        txHash: req.body.txHash,
-        fromAddress: toLowerAddress(req.body.fromAddress),
-        metadata: {
-          chatId: chat._id.toString(),
-          action: 'in-progress'
-        },
-        chat: chat._id,
-        direction: 'credit'
-      });
-
       const io = req.app.get('io');
       if (io) {
         io.to(chat._id.toString()).emit('escrow-updated', {
@@ -1071,6 +1364,9 @@ router.post(
         chat: updatedChat
       });
     } catch (error) {
+      if (error instanceof EscrowRecordError || error instanceof LedgerError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Escrow in-progress error:', error);
       res.status(500).json({
         error: 'Server error',
@@ -1088,13 +1384,14 @@ router.post(
     body('fromAddress').notEmpty().withMessage('Talent wallet address is required')
   ],
   async (req, res) => {
+    let chat;
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const chat = await loadChatForEscrow(req.params.id);
+      chat = await loadChatForEscrow(req.params.id);
       if (!chat) {
         return res.status(404).json({ error: 'Chat not found' });
       }
@@ -1160,6 +1457,10 @@ router.post(
         return res.status(400).json({ error: `Cannot complete when workflow status is "${chat.workflowStatus}"` });
       }
 
+      if (['proposed', 'agreed'].includes(chat.escrow.cancellation?.status)) {
+        return res.status(400).json({ error: 'A cancellation is pending; settle or decline it first' });
+      }
+
       chat.escrow = chat.escrow || {};
       chat.escrow.completion = {
         txHash: req.body.txHash,
@@ -1169,8 +1470,28 @@ router.post(
       };
 
       chat.workflowStatus = 'completed';
+      const autoRelease = scheduleAutoRelease(chat);
       chat.markModified('escrow');
-      await chat.save();
+      await saveEscrowStep(chat, {
+        fromUser: talent.user._id,
+        toUser: client.user._id,
+        amount: 0,
+        type: 'escrow_completion',
+        status: 'completed',
+        description: `${buildTransactionDescription(chat)} — completion milestone`,
+        job: chat.job?._id,
+        gig: chat.gig?._id,
+        currency: 'USD',
+        isOnChain: true,
+        txHash: req.body.txHash,
+        fromAddress: toLowerAddress(req.body.fromAddress),
+        metadata: {
+          chatId: chat._id.toString(),
+          action: 'completed'
+        },
+        chat: chat._id,
+        direction: 'credit'
+      });
 
       // Update order status to 'in-progress' when workflow status is 'completed' (work is done, awaiting confirmation)
       // Note: Order should already be 'in-progress' from earlier, but ensure it's set correctly
@@ -1232,27 +1553,6 @@ router.post(
         }
       }
 
-      await Transaction.create({
-        fromUser: talent.user._id,
-        toUser: client.user._id,
-        amount: 0,
-        type: 'escrow_completion',
-        status: 'completed',
-        description: `${buildTransactionDescription(chat)} — completion milestone`,
-        job: chat.job?._id,
-        gig: chat.gig?._id,
-        currency: 'USD',
-        isOnChain: true,
-        txHash: req.body.txHash,
-        fromAddress: toLowerAddress(req.body.fromAddress),
-        metadata: {
-          chatId: chat._id.toString(),
-          action: 'completed'
-        },
-        chat: chat._id,
-        direction: 'credit'
-      });
-
       const io = req.app.get('io');
       if (io) {
         io.to(chat._id.toString()).emit('escrow-updated', {
@@ -1270,12 +1570,23 @@ router.post(
         }
       }
 
+      if (autoRelease) {
+        await postSystemMessage({
+          io,
+          chat,
+          content: `The talent marked the work complete. The client has until ${autoRelease.dueAt.toUTCString()} to confirm and release the escrow or open a dispute; after that the engagement is escalated for review.`
+        });
+      }
+
       const updatedChat = await loadChatForEscrow(chat._id);
       res.json({
         message: 'Work completion recorded. Awaiting client confirmation.',
         chat: updatedChat
       });
     } catch (error) {
+      if (error instanceof EscrowRecordError || error instanceof LedgerError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Escrow completion error:', error);
       console.error('Error stack:', error.stack);
       console.error('Chat ID:', req.params.id);
@@ -1297,7 +1608,10 @@ router.post(
     body('txHash').notEmpty().withMessage('Transaction hash is required'),
     body('fromAddress').notEmpty().withMessage('Client wallet address is required'),
     body('amountUSD').isFloat({ gt: 0 }).withMessage('USD amount must be greater than zero'),
-    body('amountETH').isFloat({ gt: 0 }).withMessage('ETH amount must be greater than zero')
+    body('amountETH').optional().isFloat({ gt: 0 }).withMessage('ETH amount must be greater than zero'),
+    body('token').optional().isString(),
+    body('amountToken').optional().isFloat({ gt: 0 }).withMessage('Token amount must be greater than zero'),
+    body('quoteId').notEmpty().withMessage('A quote is required; request one from /escrow/quote')
   ],
   async (req, res) => {
     try {
@@ -1332,6 +1646,10 @@ router.post(
         return res.status(400).json({ error: `Cannot disburse when workflow status is "${chat.workflowStatus}"` });
       }
 
+      if (['proposed', 'agreed'].includes(chat.escrow.cancellation?.status)) {
+        return res.status(400).json({ error: 'A cancellation is pending; settle or decline it first' });
+      }
+
       const depositWallet = toLowerAddress(chat.escrow.deposit.fromAddress);
       const disburseWallet = toLowerAddress(req.body.fromAddress);
       if (depositWallet !== disburseWallet) {
@@ -1341,9 +1659,50 @@ router.post(
         });
       }
 
+      // Disbursements are paid out of the escrow, so they always use the deposit token
+      const depositToken = getDepositToken(chat);
+      if (req.body.token && ![depositToken.symbol, depositToken.address].includes(
+        /^0x/i.test(req.body.token) ? req.body.token.toLowerCase() : req.body.token.toUpperCase()
+      )) {
+        return res.status(400).json({ error: `Disbursements must use the deposit token (${depositToken.symbol})` });
+      }
+
       const amountUSD = Number(req.body.amountUSD);
-      const amountETH = Number(req.body.amountETH);
+      const amountToken = Number(req.body.amountToken ?? (depositToken.address ? undefined : req.body.amountETH));
+      if (!Number.isFinite(amountToken) || amountToken <= 0) {
+        return res.status(400).json({ error: `${depositToken.symbol} amount must be greater than zero` });
+      }
+      const amountETH = depositToken.address ? undefined : amountToken;
+
+      const depositedToken = getDepositedTokenAmount(chat);
+      const disbursedToken = sumDisbursedTokens(chat);
+      if (depositedToken > 0 && disbursedToken + amountToken > depositedToken * (1 + 1e-9)) {
+        return res.status(400).json({
+          error: `Disbursement exceeds the remaining escrow (${depositedToken - disbursedToken} ${depositToken.symbol})`
+        });
+      }
+
       const talentWallet = chat.escrow.inProgress.toAddress || chat.escrow.deposit.toAddress;
+      const fee = await calculateChatFee(chat, talent.user, amountUSD);
+
+      let quote;
+      try {
+        quote = await redeemEscrowQuote({
+          quoteId: req.body.quoteId,
+          chat,
+          userId: req.user.id,
+          action: 'disburse',
+          token: depositToken,
+          amountUSD,
+          amountToken,
+          txHash: req.body.txHash
+        });
+      } catch (error) {
+        if (error instanceof EscrowQuoteError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+      }
 
       chat.escrow = chat.escrow || {};
       chat.escrow.disbursements = chat.escrow.disbursements || [];
@@ -1352,6 +1711,9 @@ router.post(
         txHash: req.body.txHash,
         amountUSD,
         amountETH,
+        amountToken,
+        quote: quote._id,
+        feeUSD: fee.feeUSD,
         fromAddress: disburseWallet,
         toAddress: talentWallet,
         performedBy: req.user.id,
@@ -1359,30 +1721,34 @@ router.post(
       });
 
       chat.markModified('escrow');
-      await chat.save();
-
-      await Transaction.create({
+      await saveEscrowStep(chat, {
         fromUser: client.user._id,
         toUser: talent.user._id,
         amount: amountUSD,
         type: 'escrow_disburse',
         status: 'completed',
+        fees: fee.feeUSD,
         description: `${buildTransactionDescription(chat)} — partial disbursement`,
         job: chat.job?._id,
         gig: chat.gig?._id,
         currency: 'USD',
         isOnChain: true,
         txHash: req.body.txHash,
+        tokenSymbol: depositToken.symbol,
+        tokenAddress: depositToken.address || undefined,
         fromAddress: disburseWallet,
         toAddress: talentWallet,
         metadata: {
           amountETH,
+          amountToken,
+          tokenDecimals: depositToken.decimals,
+          fee,
           chatId: chat._id.toString(),
           action: 'disburse'
         },
         chat: chat._id,
         direction: 'debit'
-      });
+      }, quote);
 
       const io = req.app.get('io');
       if (io) {
@@ -1396,9 +1762,13 @@ router.post(
       const updatedChat = await loadChatForEscrow(chat._id);
       res.json({
         message: `Disbursement of $${amountUSD.toFixed(2)} recorded successfully.`,
+        fee,
         chat: updatedChat
       });
     } catch (error) {
+      if (error instanceof EscrowRecordError || error instanceof LedgerError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Escrow disbursement error:', error);
       res.status(500).json({
         error: 'Server error',
@@ -1429,6 +1799,7 @@ router.post(
     }).withMessage('Talent wallet must be a valid wallet address if provided')
   ],
   async (req, res) => {
+    let chat;
     try {
       // Log request body for debugging
       console.log('=== Escrow Confirmation Request ===');
@@ -1462,7 +1833,7 @@ router.post(
         });
       }
       
-      const chat = await loadChatForEscrow(req.params.id);
+      chat = await loadChatForEscrow(req.params.id);
       if (!chat) {
         return res.status(404).json({ error: 'Chat not found' });
       }
@@ -1683,6 +2054,10 @@ router.post(
       amountETH = Math.max(0, remainingAmountETH); // Ensure non-negative
       
       console.log('Final amounts for transaction (remaining) - USD:', amountUSD, 'ETH:', amountETH);
+
+      const depositToken = getDepositToken(chat);
+      const remainingToken = Math.max(0, getDepositedTokenAmount(chat) - sumDisbursedTokens(chat));
+      const fee = await calculateChatFee(chat, talent.user, amountUSD);
       
       // Resolve talent wallet - prioritize from request, then deposit, then completion, then talent user
       // This is critical for the smart contract to know where to send the payment
@@ -1732,6 +2107,7 @@ router.post(
       // Record confirmation
       chat.escrow.confirmation = {
         txHash: req.body.txHash,
+        feeUSD: fee.feeUSD,
         fromAddress: confirmationWallet,
         toAddress: talentWallet || undefined,
         performedBy: req.user.id,
@@ -1760,131 +2136,41 @@ router.post(
 
       chat.workflowStatus = 'confirmed';
       chat.status = 'completed';
+      closeAutoRelease(chat, 'confirmed');
       chat.markModified('escrow');
-      await chat.save();
-
-      const [clientUser, talentUser] = await Promise.all([
-        User.findById(client.user._id),
-        User.findById(talent.user._id)
-      ]);
-
-      if (clientUser) {
-        clientUser.stats = clientUser.stats || {};
-        // Get activity points from config (default: 10)
-        const Config = require('../models/Config');
-        const activityPoints = await Config.getValue('activity_points_job_completion', 10);
-        clientUser.stats.activityPoints = (clientUser.stats.activityPoints || 0) + activityPoints;
-        // Increment jobsCompleted for both jobs and gigs (treating gigs as jobs for completion tracking)
-        if (chat.type === 'job' || chat.type === 'gig') {
-          clientUser.stats.jobsCompleted = (clientUser.stats.jobsCompleted || 0) + 1;
-        }
-        await clientUser.save();
-      }
-
-      if (talentUser) {
-        talentUser.stats = talentUser.stats || {};
-        // Get activity points from config (default: 10)
-        const Config = require('../models/Config');
-        const activityPoints = await Config.getValue('activity_points_job_completion', 10);
-        talentUser.stats.activityPoints = (talentUser.stats.activityPoints || 0) + activityPoints;
-        // Increment jobsCompleted for both jobs and gigs (treating gigs as jobs for completion tracking)
-        if (chat.type === 'job' || chat.type === 'gig') {
-          talentUser.stats.jobsCompleted = (talentUser.stats.jobsCompleted || 0) + 1;
-        }
-        await talentUser.save();
-
-        // Approve pending referrals for the talent user when they complete their first job/gig
-        await approvePendingReferrals(talentUser._id);
-      }
-
-      if (chat.job) {
-        const Job = require('../models/Job');
-        const job = await Job.findById(chat.job._id || chat.job);
-        if (job) {
-          // Update application status to 'completed' when chat is confirmed
-          const application = job.applications.find(app => 
-            app.chatId && app.chatId.toString() === chat._id.toString()
-          );
-          if (!application && chat.escrow?.identifiers) {
-            // Try to find by talent ID from escrow identifiers
-            const talentId = chat.escrow.identifiers.talentId;
-            if (talentId) {
-              const matchingApplication = job.applications.find(app => 
-                app.talent && (app.talent.toString() === talentId.toString() || 
-                           (app.talent._id && app.talent._id.toString() === talentId.toString()))
-              );
-              if (matchingApplication) {
-                matchingApplication.status = 'completed';
-                await job.save();
-              }
-            }
-          } else if (application) {
-            application.status = 'completed';
-            await job.save();
-          }
-        }
-        await Job.findByIdAndUpdate(chat.job._id, { status: 'completed' });
-      }
+      await saveEscrowStep(chat, {
+        fromUser: client.user._id,
+        toUser: talent.user._id,
+        amount: amountUSD,
+        type: 'escrow_confirm',
+        status: 'completed',
+        fees: fee.feeUSD,
+        description: `${buildTransactionDescription(chat)} — confirmation and release`,
+        job: chat.job?._id,
+        gig: chat.gig?._id,
+        currency: 'USD',
+        isOnChain: true,
+        txHash: req.body.txHash,
+        tokenSymbol: depositToken.symbol,
+        tokenAddress: depositToken.address || undefined,
+        fromAddress: confirmationWallet,
+        toAddress: talentWallet || undefined,
+        metadata: {
+          amountETH,
+          amountToken: remainingToken,
+          tokenDecimals: depositToken.decimals,
+          fee,
+          chatId: chat._id.toString(),
+          action: 'confirm'
+        },
+        chat: chat._id,
+        direction: 'debit'
+      });
 
-      if (chat.gig) {
-        const Gig = require('../models/Gig');
-        const gig = await Gig.findById(chat.gig._id);
-        if (gig) {
-          // Update order status to 'completed' when chat is confirmed
-          const order = gig.orders.find(o => 
-            o.chatId && o.chatId.toString() === chat._id.toString()
-          );
-          if (!order && chat.escrow?.identifiers) {
-            // Try to find by client ID from escrow identifiers
-            const clientId = chat.escrow.identifiers.customerId;
-            if (clientId) {
-              const matchingOrder = gig.orders.find(o => 
-                o.client && (o.client.toString() === clientId.toString() || 
-                           (o.client._id && o.client._id.toString() === clientId.toString()))
-              );
-              if (matchingOrder) {
-                matchingOrder.status = 'completed';
-                await gig.save();
-              }
-            }
-          } else if (order) {
-            order.status = 'completed';
-            await gig.save();
-          }
-        }
-        await Gig.findByIdAndUpdate(chat.gig._id, { status: 'completed' });
-      }
+      await completeEngagement(chat, client, talent);
 
-      // Create transaction record
-      try {
-        await Transaction.create({
-          fromUser: client.user._id,
-          toUser: talent.user._id,
-          amount: amountUSD,
-          type: 'escrow_confirm',
-          status: 'completed',
-          description: `${buildTransactionDescription(chat)} — confirmation and release`,
-          job: chat.job?._id,
-          gig: chat.gig?._id,
-          currency: 'USD',
-          isOnChain: true,
-          txHash: req.body.txHash,
-          fromAddress: confirmationWallet,
-          toAddress: talentWallet || undefined,
-          metadata: {
-            amountETH,
-            chatId: chat._id.toString(),
-            action: 'confirm'
-          },
-          chat: chat._id,
-          direction: 'debit'
-        });
-        console.log('Transaction record created successfully');
-      } catch (txError) {
-        console.error('Error creating transaction record:', txError);
-        // Don't fail the entire request if transaction record creation fails
-        // The confirmation is already recorded in the chat
-      }
+      await enqueueJob('invoices.issue', { chatId: chat._id.toString() }, { uniqueKey: `invoices.issue:${chat._id}` })
+        .catch(error => console.error('Error queueing invoices:', error.message));
 
       const io = req.app.get('io');
       if (io) {
@@ -1913,6 +2199,9 @@ router.post(
         chat: updatedChat
       });
     } catch (error) {
+      if (error instanceof EscrowRecordError || error instanceof LedgerError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Escrow confirmation error:', error);
       console.error('Error stack:', error.stack);
       console.error('Chat ID:', req.params.id);
@@ -1927,101 +2216,873 @@ router.post(
   }
 );
 
-// @route   PUT /api/chats/:id/price
-// @desc    Update chat price (only before deposit)
-// @access  Private
-router.put('/:id/price', [
-  auth,
-  body('price').isNumeric().withMessage('Price must be a number'),
-  body('reason').optional().isString().withMessage('Reason must be a string')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+// Load a chat for a cancellation action and resolve who the client and talent are
+const loadCancellationContext = async (req) => {
+  const chat = await loadChatForEscrow(req.params.id);
+  if (!chat) {
+    throw new CancellationError('Chat not found', 404);
+  }
 
-    const chat = await Chat.findById(req.params.id)
-      .populate('participants.user', 'role');
-    
-    if (!chat) {
-      return res.status(404).json({ error: 'Chat not found' });
-    }
+  const { client, talent } = getParticipantsByRole(chat);
+  if (!client || !talent) {
+    throw new CancellationError('Escrow requires both client and talent participants');
+  }
 
-    // Check if user is a participant
-    const participant = chat.participants.find(p => p.user._id.toString() === req.user.id);
-    if (!participant) {
-      return res.status(403).json({ error: 'Not authorized to update this chat' });
-    }
+  const isClient = client.user._id.toString() === req.user.id;
+  const isTalent = talent.user._id.toString() === req.user.id;
+  if (!isClient && !isTalent) {
+    throw new CancellationError('Not authorized to cancel this chat', 403);
+  }
 
-    // Only allow price updates before deposit
-    if (chat.workflowStatus !== 'offered') {
-      return res.status(400).json({ error: 'Price can only be updated before deposit' });
-    }
+  return { chat, client, talent, isClient, isTalent };
+};
 
-    const { price, reason } = req.body;
-    const userRole = participant.role;
+// Cancellations refund the single deposit; milestone escrows are settled per milestone
+const assertCancellable = (chat, statuses) => {
+  if (!chat.escrow?.deposit?.txHash) {
+    throw new CancellationError('There is no escrow deposit to cancel');
+  }
+  if (usesMilestoneEscrow(chat)) {
+    throw new CancellationError('This chat is funded through milestones');
+  }
+  if (!statuses.includes(chat.workflowStatus)) {
+    throw new CancellationError(`Cannot cancel when workflow status is "${chat.workflowStatus}"`);
+  }
+};
 
-    // Only client can update job price, talent can update gig price
-    if ((userRole === 'client' && chat.type !== 'job') || (userRole === 'talent' && chat.type !== 'gig')) {
-      return res.status(403).json({ error: `${userRole} cannot update ${chat.type} price` });
-    }
+// The refund is paid from the escrow by the wallet that funded it
+const assertDepositWallet = (chat, fromAddress) => {
+  const depositWallet = toLowerAddress(chat.escrow.deposit.fromAddress);
+  if (depositWallet !== toLowerAddress(fromAddress)) {
+    throw new CancellationError(`Please refund using the same wallet used for deposit (${shortenAddress(depositWallet)})`);
+  }
+};
 
-    // Initialize price if not set
-    if (!chat.price) {
-      chat.price = { original: 0, current: 0, currency: 'USD' };
+const emitCancellationUpdate = (req, chat) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  io.to(chat._id.toString()).emit('escrow-updated', {
+    chatId: chat._id.toString(),
+    escrow: chat.escrow,
+    workflowStatus: chat.workflowStatus
+  });
+};
+
+const sendCancellationError = (res, error, label) => {
+  if (error instanceof CancellationError || error instanceof LedgerError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Escrow ${label} error:`, error);
+  return res.status(500).json({
+    error: 'Server error',
+    details: error?.message || 'Unknown error'
+  });
+};
+
+// @route   POST /api/chats/:id/escrow/cancel
+// @desc    Cancel before work starts and record the full refund to the client (client)
+// @access  Private
+router.post(
+  '/:id/escrow/cancel',
+  [
+    auth,
+    body('txHash').notEmpty().withMessage('Transaction hash is required'),
+    body('fromAddress').notEmpty().withMessage('Client wallet address is required'),
+    body('reason').optional().isString().isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chat, client, talent, isClient } = await loadCancellationContext(req);
+      if (!isClient) {
+        return res.status(403).json({ error: 'Only the client can cancel before work starts' });
+      }
+      assertCancellable(chat, CLIENT_CANCELLABLE_STATUSES);
+      assertDepositWallet(chat, req.body.fromAddress);
+
+      const split = splitRemainingEscrow(chat);
+      const now = new Date();
+      chat.escrow.cancellation = {
+        kind: 'client',
+        status: 'agreed',
+        reason: req.body.reason,
+        previousStatus: chat.workflowStatus,
+        refundUSD: split.refundUSD,
+        talentUSD: 0,
+        refundToken: split.refundToken,
+        talentToken: 0,
+        proposedBy: req.user.id,
+        proposedAt: now,
+        approvals: [{ user: req.user.id, role: 'client', approvedAt: now }]
+      };
+
+      const { refund } = await settleCancellation({
+        chat,
+        client,
+        talent,
+        fee: null,
+        txHash: req.body.txHash,
+        fromAddress: toLowerAddress(req.body.fromAddress),
+        description: buildTransactionDescription(chat),
+        userId: req.user.id
+      });
+
+      emitCancellationUpdate(req, chat);
+
+      const updatedChat = await loadChatForEscrow(chat._id);
+      res.json({
+        message: `Escrow cancelled. $${split.refundUSD.toFixed(2)} refunded to the client.`,
+        refund,
+        chat: updatedChat
+      });
+    } catch (error) {
+      sendCancellationError(res, error, 'cancel');
     }
+  }
+);
 
-    const oldPrice = chat.price.current;
-    chat.price.current = price;
+// @route   POST /api/chats/:id/escrow/cancellation
+// @desc    Propose cancelling the engagement; refundUSD of the remaining escrow goes back to the client,
+//          the rest to the talent (either party)
+// @access  Private
+router.post(
+  '/:id/escrow/cancellation',
+  [
+    auth,
+    body('refundUSD').optional().isFloat({ min: 0 }).withMessage('Refund must be zero or more'),
+    body('reason').optional().isString().isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Add to price history
-    chat.priceHistory.push({
-      amount: price,
-      changedBy: req.user.id,
-      reason: reason || `${userRole} updated price from $${oldPrice} to $${price}`
-    });
+      const { chat, isClient } = await loadCancellationContext(req);
+      assertCancellable(chat, CANCELLABLE_STATUSES);
+      if (['proposed', 'agreed'].includes(chat.escrow.cancellation?.status)) {
+        return res.status(400).json({ error: 'A cancellation is already pending for this chat' });
+      }
+
+      const split = splitRemainingEscrow(chat, req.body.refundUSD);
+      const now = new Date();
+      chat.escrow.cancellation = {
+        kind: 'mutual',
+        status: 'proposed',
+        reason: req.body.reason,
+        previousStatus: chat.workflowStatus,
+        refundUSD: split.refundUSD,
+        talentUSD: split.talentUSD,
+        refundToken: split.refundToken,
+        talentToken: split.talentToken,
+        proposedBy: req.user.id,
+        proposedAt: now,
+        approvals: [{ user: req.user.id, role: isClient ? 'client' : 'talent', approvedAt: now }]
+      };
+      chat.markModified('escrow');
+      await chat.save();
 
-    await chat.save();
+      emitCancellationUpdate(req, chat);
 
-    // Emit socket event for real-time updates
-    const io = req.app.get('io');
-    if (io) {
-      io.to(req.params.id).emit('price-updated', {
-        chatId: req.params.id,
-        newPrice: price,
-        oldPrice,
-        updatedBy: req.user.id,
-        reason
+      res.status(201).json({
+        message: 'Cancellation proposed. The other party must approve it.',
+        cancellation: chat.escrow.cancellation,
+        remaining: getEscrowRemaining(chat)
       });
+    } catch (error) {
+      sendCancellationError(res, error, 'cancellation proposal');
     }
+  }
+);
 
-    res.json(chat);
+// @route   POST /api/chats/:id/escrow/cancellation/approve
+// @desc    Approve the other party's cancellation proposal
+// @access  Private
+router.post('/:id/escrow/cancellation/approve', auth, async (req, res) => {
+  try {
+    const { chat, isClient } = await loadCancellationContext(req);
+    const cancellation = chat.escrow?.cancellation;
+    if (cancellation?.status !== 'proposed') {
+      return res.status(400).json({ error: 'There is no cancellation proposal to approve' });
+    }
+    if (cancellation.approvals.some(approval => approval.user.toString() === req.user.id)) {
+      return res.status(400).json({ error: 'You have already approved this cancellation' });
+    }
+    assertCancellable(chat, CANCELLABLE_STATUSES);
+
+    cancellation.approvals.push({ user: req.user.id, role: isClient ? 'client' : 'talent', approvedAt: new Date() });
+    cancellation.status = 'agreed';
+    chat.markModified('escrow');
+    await chat.save();
+
+    emitCancellationUpdate(req, chat);
+
+    res.json({
+      message: 'Cancellation agreed. The client can now release the escrow and record the transaction.',
+      cancellation
+    });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Server error' });
+    sendCancellationError(res, error, 'cancellation approval');
   }
 });
 
-// @route   POST /api/chats/:id/messages
-// @desc    Send a message
+// @route   POST /api/chats/:id/escrow/cancellation/decline
+// @desc    Decline (or, for the proposer, withdraw) a cancellation proposal
 // @access  Private
-router.post('/:id/messages', [
-  auth,
-  upload.array('attachments', 10), // Allow up to 10 attachments
-  body('content').optional(),
-  body('type').optional().isIn(['text', 'image', 'file']).withMessage('Invalid message type')
-], async (req, res) => {
+router.post('/:id/escrow/cancellation/decline', auth, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+    const { chat } = await loadCancellationContext(req);
+    const cancellation = chat.escrow?.cancellation;
+    if (cancellation?.status !== 'proposed') {
+      return res.status(400).json({ error: 'There is no cancellation proposal to decline' });
     }
 
-    const chat = await Chat.findById(req.params.id);
-    if (!chat) {
-      return res.status(404).json({ error: 'Chat not found' });
-    }
+    cancellation.status = 'declined';
+    cancellation.declinedBy = req.user.id;
+    cancellation.declinedAt = new Date();
+    chat.markModified('escrow');
+    await chat.save();
+
+    emitCancellationUpdate(req, chat);
+
+    res.json({ message: 'Cancellation declined', cancellation });
+  } catch (error) {
+    sendCancellationError(res, error, 'cancellation decline');
+  }
+});
+
+// @route   POST /api/chats/:id/escrow/cancellation/settle
+// @desc    Record the contract call that paid out an agreed cancellation (client)
+// @access  Private
+router.post(
+  '/:id/escrow/cancellation/settle',
+  [
+    auth,
+    body('txHash').notEmpty().withMessage('Transaction hash is required'),
+    body('fromAddress').notEmpty().withMessage('Client wallet address is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chat, client, talent, isClient } = await loadCancellationContext(req);
+      if (!isClient) {
+        return res.status(403).json({ error: 'Only the client can record the cancellation payout' });
+      }
+      const cancellation = chat.escrow?.cancellation;
+      if (cancellation?.status !== 'agreed') {
+        return res.status(400).json({ error: 'Both parties must agree to the cancellation first' });
+      }
+      assertCancellable(chat, CANCELLABLE_STATUSES);
+      assertDepositWallet(chat, req.body.fromAddress);
+
+      const remaining = getEscrowRemaining(chat);
+      if (cancellation.refundToken + cancellation.talentToken > remaining.amountToken * (1 + 1e-9)) {
+        return res.status(400).json({ error: 'The agreed split exceeds what is left in escrow' });
+      }
+
+      const fee = cancellation.talentUSD > 0
+        ? await calculateChatFee(chat, talent.user, cancellation.talentUSD)
+        : null;
+
+      const { refund, payout } = await settleCancellation({
+        chat,
+        client,
+        talent,
+        fee,
+        txHash: req.body.txHash,
+        fromAddress: toLowerAddress(req.body.fromAddress),
+        description: buildTransactionDescription(chat),
+        userId: req.user.id
+      });
+
+      emitCancellationUpdate(req, chat);
+
+      const updatedChat = await loadChatForEscrow(chat._id);
+      res.json({
+        message: `Escrow cancelled. $${cancellation.refundUSD.toFixed(2)} refunded to the client, $${cancellation.talentUSD.toFixed(2)} paid to the talent.`,
+        refund,
+        payout,
+        fee,
+        chat: updatedChat
+      });
+    } catch (error) {
+      sendCancellationError(res, error, 'cancellation settlement');
+    }
+  }
+);
+
+const emitMilestoneUpdate = (req, chat, milestone) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  io.to(chat._id.toString()).emit('milestone-updated', {
+    chatId: chat._id.toString(),
+    milestone,
+    summary: summarizeMilestones(chat),
+    workflowStatus: chat.workflowStatus
+  });
+};
+
+// Load a chat for a milestone action and resolve who the client and talent are
+const loadMilestoneContext = async (req) => {
+  const chat = await loadChatForEscrow(req.params.id);
+  if (!chat) {
+    throw new MilestoneError('Chat not found', 404);
+  }
+
+  const { client, talent } = getParticipantsByRole(chat);
+  if (!client || !talent) {
+    throw new MilestoneError('Escrow requires both client and talent participants');
+  }
+
+  return {
+    chat,
+    client,
+    talent,
+    isClient: client.user._id.toString() === req.user.id,
+    isTalent: talent.user._id.toString() === req.user.id
+  };
+};
+
+const sendMilestoneError = (res, error, label) => {
+  if (error instanceof MilestoneError || error instanceof PriceOracleError || error instanceof TokenError ||
+    error instanceof EscrowQuoteError || error instanceof EscrowRecordError || error instanceof LedgerError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Milestone ${label} error:`, error);
+  return res.status(500).json({
+    error: 'Server error',
+    details: error?.message || 'Unknown error'
+  });
+};
+
+// @route   GET /api/chats/:id/milestones
+// @desc    List a chat's milestones with escrow totals
+// @access  Private
+router.get('/:id/milestones', auth, async (req, res) => {
+  try {
+    const chat = await Chat.findById(req.params.id).select('participants milestones workflowStatus');
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const isParticipant = chat.participants.some(p => p.user.toString() === req.user.id);
+    if (!isParticipant) {
+      return res.status(403).json({ error: 'Not authorized to access this chat' });
+    }
+
+    res.json({
+      milestones: chat.milestones,
+      summary: summarizeMilestones(chat),
+      workflowStatus: chat.workflowStatus
+    });
+  } catch (error) {
+    console.error('Error fetching milestones:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/chats/:id/milestones
+// @desc    Propose a milestone (client or talent)
+// @access  Private
+router.post(
+  '/:id/milestones',
+  [
+    auth,
+    body('title').trim().notEmpty().withMessage('Milestone title is required'),
+    body('amountUSD').isFloat({ gt: 0 }).withMessage('USD amount must be greater than zero'),
+    body('description').optional().isString(),
+    body('deliverable').optional().isString(),
+    body('dueDate').optional({ checkFalsy: true }).isISO8601().withMessage('Due date must be a valid date')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chat, isClient, isTalent } = await loadMilestoneContext(req);
+      if (!isClient && !isTalent) {
+        return res.status(403).json({ error: 'Only the client or talent can propose milestones' });
+      }
+
+      if (chat.escrow?.deposit?.txHash) {
+        return res.status(400).json({ error: 'This chat already uses a single escrow deposit' });
+      }
+
+      if (['completed', 'confirmed'].includes(chat.workflowStatus)) {
+        return res.status(400).json({ error: `Cannot add milestones when workflow status is "${chat.workflowStatus}"` });
+      }
+
+      chat.milestones.push({
+        title: req.body.title,
+        description: req.body.description,
+        deliverable: req.body.deliverable,
+        amountUSD: Number(req.body.amountUSD),
+        dueDate: req.body.dueDate ? new Date(req.body.dueDate) : undefined,
+        createdBy: req.user.id
+      });
+      await chat.save();
+
+      const milestone = chat.milestones[chat.milestones.length - 1];
+      emitMilestoneUpdate(req, chat, milestone);
+
+      res.status(201).json({
+        message: 'Milestone created',
+        milestone,
+        summary: summarizeMilestones(chat)
+      });
+    } catch (error) {
+      sendMilestoneError(res, error, 'create');
+    }
+  }
+);
+
+// @route   POST /api/chats/:id/milestones/:milestoneId/fund
+// @desc    Record the on-chain deposit for one milestone (client)
+// @access  Private
+router.post(
+  '/:id/milestones/:milestoneId/fund',
+  [
+    auth,
+    body('txHash').notEmpty().withMessage('Transaction hash is required'),
+    body('fromAddress').notEmpty().withMessage('Depositing wallet address is required'),
+    body('token').optional().isString(),
+    body('amountToken').optional().isFloat({ gt: 0 }).withMessage('Token amount must be greater than zero'),
+    body('amountETH').optional().isFloat({ gt: 0 }).withMessage('ETH amount must be greater than zero'),
+    body('amountUSD').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('USD amount must be greater than zero'),
+    body('talentWallet').optional({ nullable: true, checkFalsy: true }).isString(),
+    body('quoteId').notEmpty().withMessage('A quote is required; request one from /escrow/quote')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chat, client, talent, isClient } = await loadMilestoneContext(req);
+      if (!isClient) {
+        return res.status(403).json({ error: 'Only the client can fund a milestone' });
+      }
+
+      if (chat.escrow?.deposit?.txHash) {
+        return res.status(400).json({ error: 'This chat already uses a single escrow deposit' });
+      }
+
+      const milestone = findMilestone(chat, req.params.milestoneId);
+      assertMilestoneStatus(milestone, ['proposed'], 'fund');
+      const { token, amountToken, amountETH } = await resolveEscrowPayment(req.body);
+
+      const amountUSD = req.body.amountUSD ? Number(req.body.amountUSD) : milestone.amountUSD;
+      if (amountUSD + 0.01 < milestone.amountUSD) {
+        return res.status(400).json({
+          error: `Funding must cover the milestone amount of $${milestone.amountUSD.toFixed(2)}`
+        });
+      }
+
+      // Same rate lock as a single deposit: the token amount must match a quote for this USD amount
+      const quote = await redeemEscrowQuote({
+        quoteId: req.body.quoteId,
+        chat,
+        userId: req.user.id,
+        action: 'deposit',
+        token,
+        amountUSD,
+        amountToken,
+        txHash: req.body.txHash
+      });
+
+      const fromAddress = toLowerAddress(req.body.fromAddress);
+      const talentWallet = req.body.talentWallet
+        ? toLowerAddress(req.body.talentWallet)
+        : toLowerAddress(talent.user.walletAddress || '') || null;
+
+      // Contract calls for every milestone use the same identifiers
+      chat.escrow = chat.escrow || {};
+      if (!chat.escrow.identifiers?.chatId) {
+        chat.escrow.identifiers = {
+          jobId: chat.job?._id?.toString() || chat.gig?._id?.toString() || chat._id.toString(),
+          customerId: client.user._id.toString(),
+          talentId: talent.user._id.toString(),
+          chatId: chat._id.toString()
+        };
+        chat.markModified('escrow');
+      }
+
+      milestone.funding = {
+        txHash: req.body.txHash,
+        amountUSD,
+        amountETH,
+        token: token.toReference(),
+        amountToken,
+        priceUSD: quote.rate,
+        quote: quote._id,
+        fromAddress,
+        toAddress: talentWallet,
+        performedBy: req.user.id,
+        occurredAt: new Date()
+      };
+      milestone.status = 'funded';
+
+      if (chat.workflowStatus === 'offered') {
+        chat.workflowStatus = 'deposit';
+      }
+      chat.status = 'active';
+      await saveEscrowStep(chat, {
+        fromUser: client.user._id,
+        toUser: talent.user._id,
+        amount: amountUSD,
+        type: 'escrow_milestone_fund',
+        status: 'completed',
+        description: `${buildTransactionDescription(chat)} — milestone "${milestone.title}" funded`,
+        job: chat.job?._id,
+        gig: chat.gig?._id,
+        currency: 'USD',
+        isOnChain: true,
+        txHash: req.body.txHash,
+        tokenSymbol: token.symbol,
+        tokenAddress: token.address || undefined,
+        fromAddress,
+        toAddress: talentWallet,
+        metadata: {
+          amountETH,
+          amountToken,
+          tokenDecimals: token.decimals,
+          chatId: chat._id.toString(),
+          milestoneId: milestone._id.toString(),
+          action: 'milestone_fund'
+        },
+        chat: chat._id,
+        direction: 'debit'
+      }, quote);
+
+      emitMilestoneUpdate(req, chat, milestone);
+
+      res.json({
+        message: `Milestone funded. Release wallet: ${shortenAddress(fromAddress)}`,
+        milestone,
+        summary: summarizeMilestones(chat)
+      });
+    } catch (error) {
+      sendMilestoneError(res, error, 'fund');
+    }
+  }
+);
+
+// @route   POST /api/chats/:id/milestones/:milestoneId/submit
+// @desc    Submit the deliverable for a funded milestone (talent)
+// @access  Private
+router.post(
+  '/:id/milestones/:milestoneId/submit',
+  [
+    auth,
+    body('note').optional().isString(),
+    body('deliverableUrl').optional({ checkFalsy: true }).isURL().withMessage('Deliverable URL must be a valid URL'),
+    body('txHash').optional({ checkFalsy: true }).isString(),
+    body('fromAddress').optional({ checkFalsy: true }).isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chat, isTalent } = await loadMilestoneContext(req);
+      if (!isTalent) {
+        return res.status(403).json({ error: 'Only the talent can submit a milestone' });
+      }
+
+      const milestone = findMilestone(chat, req.params.milestoneId);
+      assertMilestoneStatus(milestone, ['funded'], 'submit');
+
+      milestone.submission = {
+        txHash: req.body.txHash || undefined,
+        note: req.body.note,
+        deliverableUrl: req.body.deliverableUrl,
+        fromAddress: req.body.fromAddress ? toLowerAddress(req.body.fromAddress) : undefined,
+        performedBy: req.user.id,
+        occurredAt: new Date()
+      };
+      milestone.status = 'submitted';
+
+      if (['offered', 'deposit'].includes(chat.workflowStatus)) {
+        chat.workflowStatus = 'in-progress';
+      }
+      await chat.save();
+
+      emitMilestoneUpdate(req, chat, milestone);
+
+      res.json({
+        message: 'Milestone submitted for approval',
+        milestone,
+        summary: summarizeMilestones(chat)
+      });
+    } catch (error) {
+      sendMilestoneError(res, error, 'submit');
+    }
+  }
+);
+
+// @route   POST /api/chats/:id/milestones/:milestoneId/approve
+// @desc    Accept a submitted milestone (client)
+// @access  Private
+router.post(
+  '/:id/milestones/:milestoneId/approve',
+  [
+    auth,
+    body('note').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chat, isClient } = await loadMilestoneContext(req);
+      if (!isClient) {
+        return res.status(403).json({ error: 'Only the client can approve a milestone' });
+      }
+
+      const milestone = findMilestone(chat, req.params.milestoneId);
+      assertMilestoneStatus(milestone, ['submitted'], 'approve');
+
+      milestone.approval = {
+        note: req.body.note,
+        performedBy: req.user.id,
+        occurredAt: new Date()
+      };
+      milestone.status = 'approved';
+      await chat.save();
+
+      emitMilestoneUpdate(req, chat, milestone);
+
+      res.json({
+        message: 'Milestone approved',
+        milestone,
+        summary: summarizeMilestones(chat)
+      });
+    } catch (error) {
+      sendMilestoneError(res, error, 'approve');
+    }
+  }
+);
+
+// @route   POST /api/chats/:id/milestones/:milestoneId/release
+// @desc    Record the on-chain release of an approved milestone (client)
+// @access  Private
+router.post(
+  '/:id/milestones/:milestoneId/release',
+  [
+    auth,
+    body('txHash').notEmpty().withMessage('Transaction hash is required'),
+    body('fromAddress').notEmpty().withMessage('Client wallet address is required'),
+    body('amountETH').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('ETH amount must be greater than zero')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chat, client, talent, isClient } = await loadMilestoneContext(req);
+      if (!isClient) {
+        return res.status(403).json({ error: 'Only the client can release a milestone' });
+      }
+
+      const milestone = findMilestone(chat, req.params.milestoneId);
+      assertMilestoneStatus(milestone, ['approved'], 'release');
+
+      const fundingWallet = toLowerAddress(milestone.funding.fromAddress);
+      const releaseWallet = toLowerAddress(req.body.fromAddress);
+      if (fundingWallet !== releaseWallet) {
+        return res.status(400).json({
+          error: 'Wallet mismatch',
+          details: `Please release using the same wallet used to fund this milestone (${shortenAddress(fundingWallet)})`
+        });
+      }
+
+      const amountUSD = milestone.funding.amountUSD;
+      // Paid out in the token the milestone was funded with
+      const token = milestone.funding.token?.symbol ? milestone.funding.token : { symbol: 'ETH', address: null };
+      const amountToken = milestone.funding.amountToken ?? milestone.funding.amountETH;
+      const amountETH = token.address
+        ? undefined
+        : (req.body.amountETH ? Number(req.body.amountETH) : milestone.funding.amountETH);
+      const talentWallet = milestone.funding.toAddress || toLowerAddress(talent.user.walletAddress || '') || null;
+      const fee = await calculateChatFee(chat, talent.user, amountUSD);
+
+      milestone.release = {
+        txHash: req.body.txHash,
+        amountUSD,
+        amountETH,
+        amountToken,
+        feeUSD: fee.feeUSD,
+        fromAddress: releaseWallet,
+        toAddress: talentWallet,
+        performedBy: req.user.id,
+        occurredAt: new Date()
+      };
+      milestone.status = 'released';
+
+      const engagementComplete = confirmIfAllSettled(chat);
+      await saveEscrowStep(chat, {
+        fromUser: client.user._id,
+        toUser: talent.user._id,
+        amount: amountUSD,
+        type: 'escrow_milestone_release',
+        status: 'completed',
+        fees: fee.feeUSD,
+        description: `${buildTransactionDescription(chat)} — milestone "${milestone.title}" released`,
+        job: chat.job?._id,
+        gig: chat.gig?._id,
+        currency: 'USD',
+        isOnChain: true,
+        txHash: req.body.txHash,
+        tokenSymbol: token.symbol,
+        tokenAddress: token.address || undefined,
+        fromAddress: releaseWallet,
+        toAddress: talentWallet,
+        metadata: {
+          amountETH,
+          amountToken,
+          tokenDecimals: token.decimals,
+          fee,
+          chatId: chat._id.toString(),
+          milestoneId: milestone._id.toString(),
+          action: 'milestone_release'
+        },
+        chat: chat._id,
+        direction: 'debit'
+      });
+
+      if (engagementComplete) {
+        await finishMilestoneEngagement(chat, client, talent);
+      }
+
+      emitMilestoneUpdate(req, chat, milestone);
+
+      res.json({
+        message: engagementComplete
+          ? 'Final milestone released. Engagement completed.'
+          : `Milestone "${milestone.title}" released`,
+        milestone,
+        summary: summarizeMilestones(chat)
+      });
+    } catch (error) {
+      sendMilestoneError(res, error, 'release');
+    }
+  }
+);
+
+// @route   PUT /api/chats/:id/price
+// @desc    Update chat price (only before deposit)
+// @access  Private
+router.put('/:id/price', [
+  auth,
+  body('price').isNumeric().withMessage('Price must be a number'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chat = await Chat.findById(req.params.id)
+      .populate('participants.user', 'role');
+    
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    // Check if user is a participant
+    const participant = chat.participants.find(p => p.user._id.toString() === req.user.id);
+    if (!participant) {
+      return res.status(403).json({ error: 'Not authorized to update this chat' });
+    }
+
+    // Only allow price updates before deposit
+    if (chat.workflowStatus !== 'offered') {
+      return res.status(400).json({ error: 'Price can only be updated before deposit' });
+    }
+
+    const { price, reason } = req.body;
+    const userRole = participant.role;
+
+    // Only client can update job price, talent can update gig price
+    if ((userRole === 'client' && chat.type !== 'job') || (userRole === 'talent' && chat.type !== 'gig')) {
+      return res.status(403).json({ error: `${userRole} cannot update ${chat.type} price` });
+    }
+
+    // Initialize price if not set
+    if (!chat.price) {
+      chat.price = { original: 0, current: 0, currency: 'USD' };
+    }
+
+    const oldPrice = chat.price.current;
+    chat.price.current = price;
+
+    // Add to price history
+    chat.priceHistory.push({
+      amount: price,
+      changedBy: req.user.id,
+      reason: reason || `${userRole} updated price from $${oldPrice} to $${price}`
+    });
+
+    await chat.save();
+
+    // Emit socket event for real-time updates
+    const io = req.app.get('io');
+    if (io) {
+      io.to(req.params.id).emit('price-updated', {
+        chatId: req.params.id,
+        newPrice: price,
+        oldPrice,
+        updatedBy: req.user.id,
+        reason
+      });
+    }
+
+    res.json(chat);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/chats/:id/messages
+// @desc    Send a message
+// @access  Private
+router.post('/:id/messages', [
+  auth,
+  upload.array('attachments', 10), // Allow up to 10 attachments
+  body('content').optional(),
+  body('type').optional().isIn(['text', 'image', 'file']).withMessage('Invalid message type'),
+  body('replyTo').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid reply target')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chat = await Chat.findById(req.params.id);
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
 
     // Check if user is a participant
     const isParticipant = chat.participants.some(p => p.user.toString() === req.user.id);
@@ -2037,6 +3098,8 @@ router.post('/:id/messages', [
       return res.status(400).json({ error: 'Message content or attachments are required' });
     }
 
+    const replyTo = await resolveReplyTo(chat, req.body.replyTo);
+
     // Process file uploads
     const attachments = [];
     if (req.files && req.files.length > 0) {
@@ -2093,7 +3156,8 @@ router.post('/:id/messages', [
       senderId: req.user.id,
       content: req.body.content || (attachments.length > 0 ? `Sent ${attachments.length} attachment(s)` : ''),
       type: messageType,
-      attachments: attachments
+      attachments: attachments,
+      replyTo
     });
 
     await message.save();
@@ -2107,7 +3171,10 @@ router.post('/:id/messages', [
     };
 
     // Get sender info for notifications
-    await message.populate('senderId', 'username email profile');
+    await message.populate([
+      { path: 'senderId', select: 'username email profile' },
+      { path: 'replyTo', select: REPLY_PREVIEW_FIELDS }
+    ]);
     const sender = message.senderId;
 
     // Increment unread count for all participants except sender and create notifications
@@ -2132,41 +3199,10 @@ router.post('/:id/messages', [
             messageId: message._id
           }
         });
+        // The recipient's email preferences are checked when the job runs
         notificationPromises.push(notification.save().then(async (savedNotification) => {
-          // Send email notification if enabled
-          try {
-            const User = require('../models/User');
-            const recipient = await User.findById(participant.user)
-              .select('notificationEmail preferences.notifications');
-            
-            console.log('Checking email notification for chat message:', {
-              recipientId: recipient?._id,
-              hasEmail: !!recipient?.notificationEmail,
-              emailEnabled: recipient?.preferences?.notifications?.email,
-              chatEnabled: recipient?.preferences?.notifications?.chat
-            });
-            
-            if (recipient?.preferences?.notifications?.email && 
-                recipient?.preferences?.notifications?.chat &&
-                recipient?.notificationEmail) {
-              const { sendEmailForNotification } = require('../utils/emailService');
-              const emailResult = await sendEmailForNotification(savedNotification, recipient).catch(err => {
-                console.error('Failed to send email notification:', err);
-                return { success: false, error: err.message };
-              });
-              
-              if (emailResult.success) {
-                console.log('Email notification sent successfully for chat message');
-              } else {
-                console.log('Email notification not sent:', emailResult.reason || emailResult.error);
-              }
-            } else {
-              console.log('Email notification skipped - conditions not met');
-            }
-          } catch (emailError) {
-            console.error('Error in email notification process:', emailError);
-            // Don't fail the notification creation if email fails
-          }
+          await enqueueJob('notifications.email', { notificationId: savedNotification._id.toString() })
+            .catch(error => console.error('Error queueing notification email:', error.message));
           return savedNotification;
         }));
       }
@@ -2187,18 +3223,18 @@ router.post('/:id/messages', [
         content: message.content,
         type: message.type,
         attachments: message.attachments,
+        replyTo: message.replyTo,
         timestamp: message.timestamp
       });
       
-      // Emit unread count update for all participants except sender
-      chat.participants.forEach(participant => {
-        if (participant.user.toString() !== req.user.id) {
-          io.emit('unread-count-updated', { userId: participant.user.toString() });
-        }
+      // Emit unread count and notification updates only to the recipients
+      const recipientIds = chat.participants
+        .map(participant => participant.user.toString())
+        .filter(participantId => participantId !== req.user.id);
+      recipientIds.forEach(recipientId => {
+        emitToUser(io, recipientId, 'unread-count-updated', { userId: recipientId });
       });
-      
-      // Emit notification event
-      io.emit('new-notification');
+      emitToUsers(io, recipientIds, 'new-notification');
       
       console.log(`API: Message broadcasted to chat ${req.params.id}, notifications created`);
     } else {
@@ -2207,11 +3243,115 @@ router.post('/:id/messages', [
 
     res.status(201).json(message);
   } catch (error) {
+    if (error instanceof ChatMessageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// @route   PUT /api/chats/:id/messages/:messageId
+// @desc    Edit one of your own messages (previous content is kept in editHistory)
+// @access  Private
+router.put('/:id/messages/:messageId', [
+  auth,
+  body('content').trim().notEmpty().withMessage('Message content is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chat = await Chat.findById(req.params.id);
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const message = await editMessage({
+      io: req.app.get('io'),
+      chat,
+      messageId: req.params.messageId,
+      userId: req.user.id,
+      content: req.body.content
+    });
+
+    res.json(message);
+  } catch (error) {
+    if (error instanceof ChatMessageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error editing message:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/chats/:id/messages/:messageId?scope=everyone|me
+// @desc    Delete a message for everyone (sender only) or hide it for yourself
+// @access  Private
+router.delete('/:id/messages/:messageId', auth, async (req, res) => {
+  try {
+    const chat = await Chat.findById(req.params.id);
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const scope = req.query.scope || req.body?.scope || 'me';
+    const message = await deleteMessage({
+      io: req.app.get('io'),
+      chat,
+      messageId: req.params.messageId,
+      userId: req.user.id,
+      scope
+    });
+
+    res.json({ message: 'Message deleted', id: message._id, scope });
+  } catch (error) {
+    if (error instanceof ChatMessageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting message:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/chats/:id/messages/:messageId/reactions
+// @desc    Toggle an emoji reaction on a message
+// @access  Private
+router.post('/:id/messages/:messageId/reactions', [
+  auth,
+  body('emoji').isString().withMessage('Emoji is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chat = await Chat.findById(req.params.id);
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const message = await toggleReaction({
+      io: req.app.get('io'),
+      chat,
+      messageId: req.params.messageId,
+      userId: req.user.id,
+      emoji: req.body.emoji
+    });
+
+    res.json({ id: message._id, reactions: message.reactions });
+  } catch (error) {
+    if (error instanceof ChatMessageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error reacting to message:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/chats/users/search
 // @desc    Search users by username for adding to chat
 // @access  Private
@@ -2327,6 +3467,7 @@ router.post('/:id/participants', [
         }
       });
       await notification.save();
+      emitToUser(req.app.get('io'), userId, 'new-notification');
     } catch (notifError) {
       // Log but don't fail if notification creation fails
       console.error('Error creating notification:', notifError);
@@ -2452,6 +3593,12 @@ router.delete('/:id/participants/:userId', auth, async (req, res) => {
 
     await chat.save();
 
+    // Removed participants must stop receiving this chat's room events
+    const io = req.app.get('io');
+    if (io) {
+      io.in(userRoom(userId)).socketsLeave(chat._id.toString());
+    }
+
     res.json({ message: 'Participant removed successfully' });
   } catch (error) {
     console.error('Error removing participant:', error);
@@ -2468,7 +3615,7 @@ router.get('/download/:messageId/:attachmentIndex', auth, async (req, res) => {
     
     // Find the message
     const message = await Message.findById(messageId);
-    if (!message) {
+    if (!message || message.deletedForEveryone) {
       return res.status(404).json({ error: 'Message not found' });
     }
 
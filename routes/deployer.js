@@ -3,6 +3,34 @@ const router = express.Router();
 const { auth } = require('../middleware/auth');
 const Transaction = require('../models/Transaction');
 const Config = require('../models/Config');
+const ChainEvent = require('../models/ChainEvent');
+const Chat = require('../models/Chat');
+const BackgroundJob = require('../models/BackgroundJob');
+const { ChainVerificationError, verifyTransaction } = require('../utils/chainVerifier');
+const { syncVerificationHold } = require('../utils/escrowRecords');
+const { getIndexerStatus } = require('../utils/chainIndexer');
+const { reconcileLedger } = require('../utils/ledger');
+const { getAutoReleaseConfig } = require('../utils/escrowAutoRelease');
+const { JobQueueError, retryJob, getQueueStats } = require('../utils/jobQueue');
+const {
+  VOTING_STRATEGIES,
+  BALLOT_MODES,
+  FINALIZATION_RULES_KEY,
+  DEFAULT_FINALIZATION_RULES,
+  GovernanceError,
+  validateFinalizationRules,
+  getFinalizationRules
+} = require('../utils/governance');
+const Token = require('../models/Token');
+const { getDefaultChainId } = require('../utils/tokens');
+const {
+  FEE_SCHEDULE_KEY,
+  FEE_TRANSACTION_TYPES,
+  DEFAULT_FEE_SCHEDULE,
+  FeeError,
+  validateFeeSchedule,
+  getFeeSchedule
+} = require('../utils/fees');
 
 const ALLOWED_DEPLOYER_TYPES = new Set([
   'deployer_set_fee',
@@ -168,6 +196,384 @@ router.post('/transactions', auth, ensureDeployer, async (req, res) => {
   }
 });
 
+// List on-chain transactions by verification outcome (defaults to flagged ones awaiting review)
+router.get('/transactions/verification', auth, ensureDeployer, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'flagged';
+
+    const filter = {
+      isOnChain: true,
+      'verification.status': status
+    };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter)
+        .populate('fromUser', 'username walletAddress')
+        .populate('toUser', 'username walletAddress')
+        .sort({ 'verification.checkedAt': -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Transaction.countDocuments(filter)
+    ]);
+
+    res.json({
+      transactions,
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching transaction verifications:', error);
+    res.status(500).json({ error: 'Failed to fetch transaction verifications' });
+  }
+});
+
+// Re-run verification, or settle a flagged transaction after manual review
+router.post('/transactions/:id/verification', auth, ensureDeployer, async (req, res) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction || !transaction.isOnChain) {
+      return res.status(404).json({ error: 'On-chain transaction not found' });
+    }
+
+    const { decision, note } = req.body;
+    if (!decision) {
+      const verification = await verifyTransaction(transaction, { io: req.app.get('io') });
+      return res.json({ transaction, verification });
+    }
+
+    if (!['verified', 'rejected'].includes(decision)) {
+      return res.status(400).json({ error: 'Decision must be "verified" or "rejected"' });
+    }
+
+    transaction.verification.status = decision;
+    transaction.verification.reasons = [
+      ...(transaction.verification.reasons || []),
+      `Manually ${decision} by deployer${note ? `: ${note}` : ''}`
+    ];
+    transaction.verification.checkedAt = new Date();
+    if (decision === 'verified') {
+      transaction.verification.verifiedAt = new Date();
+      if (transaction.status === 'pending') {
+        transaction.status = 'completed';
+      }
+    } else {
+      transaction.status = 'failed';
+    }
+    await transaction.save();
+    await syncVerificationHold(transaction, req.app.get('io'));
+
+    res.json({ transaction, verification: transaction.verification });
+  } catch (error) {
+    if (error instanceof ChainVerificationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating transaction verification:', error);
+    res.status(500).json({ error: 'Failed to update transaction verification' });
+  }
+});
+
+// Chain indexer progress and lag per contract
+router.get('/indexer', auth, ensureDeployer, async (req, res) => {
+  try {
+    res.json(await getIndexerStatus());
+  } catch (error) {
+    console.error('Error fetching indexer status:', error);
+    res.status(500).json({ error: 'Failed to fetch indexer status' });
+  }
+});
+
+// Indexed contract events, e.g. ?status=unmatched for escrow events whose chat could not be found
+router.get('/indexer/events', auth, ensureDeployer, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.source) filter.source = req.query.source;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.action) filter.action = req.query.action;
+
+    const [events, total] = await Promise.all([
+      ChainEvent.find(filter)
+        .sort({ blockNumber: -1, logIndex: -1 })
+        .skip(skip)
+        .limit(limit),
+      ChainEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      events,
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching indexed events:', error);
+    res.status(500).json({ error: 'Failed to fetch indexed events' });
+  }
+});
+
+// Chats in the client confirmation window after completion: ?status=escalated|scheduled|disputed
+router.get('/escrow/auto-release', auth, ensureDeployer, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { 'escrow.autoRelease.status': req.query.status || 'escalated' };
+    const [chats, total] = await Promise.all([
+      Chat.find(filter)
+        .select('participants job gig workflowStatus price escrow.deposit escrow.completion escrow.autoRelease')
+        .populate('participants.user', 'username walletAddress')
+        .populate('job', 'title')
+        .populate('gig', 'title')
+        .sort({ 'escrow.autoRelease.dueAt': 1 })
+        .skip(skip)
+        .limit(limit),
+      Chat.countDocuments(filter)
+    ]);
+
+    res.json({
+      chats,
+      config: getAutoReleaseConfig(),
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching auto-release chats:', error);
+    res.status(500).json({ error: 'Failed to fetch auto-release chats' });
+  }
+});
+
+// Background jobs with queue counts, e.g. ?status=dead for jobs that ran out of attempts
+router.get('/jobs', auth, ensureDeployer, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.name) filter.name = req.query.name;
+
+    const [jobs, total, stats] = await Promise.all([
+      BackgroundJob.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      BackgroundJob.countDocuments(filter),
+      getQueueStats()
+    ]);
+
+    res.json({
+      jobs,
+      stats,
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching background jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch background jobs' });
+  }
+});
+
+// Requeue a dead job with a fresh set of attempts
+router.post('/jobs/:id/retry', auth, ensureDeployer, async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
+    res.json({ job });
+  } catch (error) {
+    if (error instanceof JobQueueError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error retrying background job:', error);
+    res.status(500).json({ error: 'Failed to retry background job' });
+  }
+});
+
+// Check the wallet ledger: balanced entries, cached balances and User.wallet all agree
+router.get('/ledger/reconciliation', auth, ensureDeployer, async (req, res) => {
+  try {
+    res.json(await reconcileLedger());
+  } catch (error) {
+    console.error('Error reconciling ledger:', error);
+    res.status(500).json({ error: 'Failed to reconcile ledger' });
+  }
+});
+
+// Platform fee schedule currently applied to escrow payouts
+router.get('/fees', auth, ensureDeployer, async (req, res) => {
+  try {
+    res.json({ schedule: await getFeeSchedule(), defaults: DEFAULT_FEE_SCHEDULE });
+  } catch (error) {
+    console.error('Error fetching fee schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch fee schedule' });
+  }
+});
+
+// Replace the fee schedule; applies to payouts recorded from now on
+router.put('/fees', auth, ensureDeployer, async (req, res) => {
+  try {
+    validateFeeSchedule(req.body.schedule);
+    await Config.setValue(FEE_SCHEDULE_KEY, req.body.schedule, 'Platform fee schedule', req.user.id);
+    res.json({ message: 'Fee schedule updated successfully', schedule: await getFeeSchedule() });
+  } catch (error) {
+    if (error instanceof FeeError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating fee schedule:', error);
+    res.status(500).json({ error: 'Failed to update fee schedule' });
+  }
+});
+
+// Quorum, approval thresholds and tie-breaking used when proposals are finalized
+router.get('/governance/rules', auth, ensureDeployer, async (req, res) => {
+  try {
+    res.json({ rules: await getFinalizationRules(), defaults: DEFAULT_FINALIZATION_RULES });
+  } catch (error) {
+    console.error('Error fetching governance rules:', error);
+    res.status(500).json({ error: 'Failed to fetch governance rules' });
+  }
+});
+
+// Replace the finalization rules; proposals keep the rules they were created with
+router.put('/governance/rules', auth, ensureDeployer, async (req, res) => {
+  try {
+    validateFinalizationRules(req.body.rules);
+    await Config.setValue(FINALIZATION_RULES_KEY, req.body.rules, 'Governance finalization rules', req.user.id);
+    res.json({ message: 'Governance rules updated successfully', rules: await getFinalizationRules() });
+  } catch (error) {
+    if (error instanceof GovernanceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating governance rules:', error);
+    res.status(500).json({ error: 'Failed to update governance rules' });
+  }
+});
+
+// Platform fees accrued on escrow payouts: ?from=&to=&groupBy=day|month
+// The escrow contract pays the talent in full, so these fees are owed to the platform, not yet collected
+router.get('/revenue', auth, ensureDeployer, async (req, res) => {
+  try {
+    const match = { type: { $in: FEE_TRANSACTION_TYPES }, status: 'completed', fees: { $gt: 0 } };
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      const value = req.query[param];
+      if (value === undefined || value === '') continue;
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || isNaN(date.getTime())) {
+        return res.status(400).json({ error: `"${param}" must be a valid date` });
+      }
+      match.createdAt = { ...match.createdAt, [operator]: date };
+    }
+    const format = req.query.groupBy === 'month' ? '%Y-%m' : '%Y-%m-%d';
+    const totals = {
+      accruedFeesUSD: { $sum: '$fees' },
+      volumeUSD: { $sum: '$amount' },
+      payouts: { $sum: 1 }
+    };
+
+    const [summary] = await Transaction.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $group: { _id: null, ...totals } }],
+          byPeriod: [
+            { $group: { _id: { $dateToString: { format, date: '$createdAt' } }, ...totals } },
+            { $sort: { _id: 1 } }
+          ],
+          byCategory: [
+            { $group: { _id: { category: '$metadata.fee.category', gigType: '$metadata.fee.gigType' }, ...totals } },
+            { $sort: { accruedFeesUSD: -1 } }
+          ],
+          byTier: [
+            { $group: { _id: '$metadata.fee.tier', ...totals } },
+            { $sort: { accruedFeesUSD: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const strip = ({ _id, ...row }) => row;
+    res.json({
+      basis: 'accrued',
+      total: summary.total[0] ? strip(summary.total[0]) : { accruedFeesUSD: 0, volumeUSD: 0, payouts: 0 },
+      byPeriod: summary.byPeriod.map(row => ({ period: row._id, ...strip(row) })),
+      byCategory: summary.byCategory.map(row => ({ category: row._id.category || null, gigType: row._id.gigType || null, ...strip(row) })),
+      byTier: summary.byTier.map(row => ({ tier: row._id || null, ...strip(row) }))
+    });
+  } catch (error) {
+    console.error('Error building fee report:', error);
+    res.status(500).json({ error: 'Failed to build fee report' });
+  }
+});
+
+const TOKEN_FIELDS = ['symbol', 'name', 'address', 'decimals', 'chainId', 'isNative', 'isStablecoin', 'coingeckoId', 'isActive'];
+
+const pickTokenFields = (body) => TOKEN_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Register a token for escrow payments and wallet balances
+router.post('/tokens', auth, ensureDeployer, async (req, res) => {
+  try {
+    const fields = pickTokenFields(req.body);
+    if (!fields.symbol || fields.decimals === undefined) {
+      return res.status(400).json({ error: 'symbol and decimals are required' });
+    }
+    if (!fields.isNative && !/^0x[0-9a-fA-F]{40}$/.test(fields.address || '')) {
+      return res.status(400).json({ error: 'A valid contract address is required for non-native tokens' });
+    }
+    if (fields.isNative) fields.address = null;
+    fields.chainId = Number(fields.chainId) || getDefaultChainId();
+
+    const token = await Token.create(fields);
+    res.status(201).json({ token });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Token is already registered on this chain' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error registering token:', error);
+    res.status(500).json({ error: 'Failed to register token' });
+  }
+});
+
+// Update a registered token; set isActive: false to stop accepting it
+router.put('/tokens/:id', auth, ensureDeployer, async (req, res) => {
+  try {
+    const token = await Token.findByIdAndUpdate(req.params.id, pickTokenFields(req.body), {
+      new: true,
+      runValidators: true
+    });
+    if (!token) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ token });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Token is already registered on this chain' });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating token:', error);
+    res.status(500).json({ error: 'Failed to update token' });
+  }
+});
+
 // GET /api/deployer/config
 // Get all configuration values
 router.get('/config', auth, ensureDeployer, async (req, res) => {
@@ -184,7 +590,10 @@ router.get('/config', auth, ensureDeployer, async (req, res) => {
         'blog_earnings_views_rate',
         'blog_earnings_views_threshold',
         'blog_earnings_impressions_rate',
-        'blog_earnings_impressions_threshold'
+        'blog_earnings_impressions_threshold',
+        'governance_voting_strategy',
+        'dispute_ballot_mode',
+        'reveal_period_hours'
       ]}
     });
 
@@ -200,7 +609,10 @@ router.get('/config', auth, ensureDeployer, async (req, res) => {
       blog_earnings_views_rate: 100,
       blog_earnings_views_threshold: 1000,
       blog_earnings_impressions_rate: 100,
-      blog_earnings_impressions_threshold: 100
+      blog_earnings_impressions_threshold: 100,
+      governance_voting_strategy: 'one_person_one_vote',
+      dispute_ballot_mode: 'open',
+      reveal_period_hours: 24
     };
 
     const configMap = {};
@@ -220,7 +632,10 @@ router.get('/config', auth, ensureDeployer, async (req, res) => {
       blog_earnings_views_rate: configMap.blog_earnings_views_rate ?? defaults.blog_earnings_views_rate,
       blog_earnings_views_threshold: configMap.blog_earnings_views_threshold ?? defaults.blog_earnings_views_threshold,
       blog_earnings_impressions_rate: configMap.blog_earnings_impressions_rate ?? defaults.blog_earnings_impressions_rate,
-      blog_earnings_impressions_threshold: configMap.blog_earnings_impressions_threshold ?? defaults.blog_earnings_impressions_threshold
+      blog_earnings_impressions_threshold: configMap.blog_earnings_impressions_threshold ?? defaults.blog_earnings_impressions_threshold,
+      governance_voting_strategy: configMap.governance_voting_strategy ?? defaults.governance_voting_strategy,
+      dispute_ballot_mode: configMap.dispute_ballot_mode ?? defaults.dispute_ballot_mode,
+      reveal_period_hours: configMap.reveal_period_hours ?? defaults.reveal_period_hours
     };
 
     res.json(result);
@@ -245,7 +660,10 @@ router.put('/config', auth, ensureDeployer, async (req, res) => {
       blog_earnings_views_rate,
       blog_earnings_views_threshold,
       blog_earnings_impressions_rate,
-      blog_earnings_impressions_threshold
+      blog_earnings_impressions_threshold,
+      governance_voting_strategy,
+      dispute_ballot_mode,
+      reveal_period_hours
     } = req.body;
 
     const updates = [];
@@ -393,6 +811,45 @@ router.put('/config', auth, ensureDeployer, async (req, res) => {
       updates.push('blog_earnings_impressions_threshold');
     }
 
+    if (governance_voting_strategy !== undefined) {
+      if (!VOTING_STRATEGIES.includes(governance_voting_strategy)) {
+        return res.status(400).json({ error: `Voting strategy must be one of: ${VOTING_STRATEGIES.join(', ')}` });
+      }
+      await Config.setValue(
+        'governance_voting_strategy',
+        governance_voting_strategy,
+        'Voting strategy for new proposals that do not choose one',
+        req.user._id
+      );
+      updates.push('governance_voting_strategy');
+    }
+
+    if (dispute_ballot_mode !== undefined) {
+      if (!BALLOT_MODES.includes(dispute_ballot_mode)) {
+        return res.status(400).json({ error: `Dispute ballot mode must be one of: ${BALLOT_MODES.join(', ')}` });
+      }
+      await Config.setValue(
+        'dispute_ballot_mode',
+        dispute_ballot_mode,
+        'Ballot mode for new dispute proposals that do not choose one',
+        req.user._id
+      );
+      updates.push('dispute_ballot_mode');
+    }
+
+    if (reveal_period_hours !== undefined) {
+      if (typeof reveal_period_hours !== 'number' || reveal_period_hours <= 0) {
+        return res.status(400).json({ error: 'Reveal period must be a positive number of hours' });
+      }
+      await Config.setValue(
+        'reveal_period_hours',
+        reveal_period_hours,
+        'Hours commit-reveal voters have to reveal their ballots after the commit phase',
+        req.user._id
+      );
+      updates.push('reveal_period_hours');
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No valid configuration values provided' });
     }
@@ -419,7 +876,10 @@ router.put('/config', auth, ensureDeployer, async (req, res) => {
         'blog_earnings_views_rate',
         'blog_earnings_views_threshold',
         'blog_earnings_impressions_rate',
-        'blog_earnings_impressions_threshold'
+        'blog_earnings_impressions_threshold',
+        'governance_voting_strategy',
+        'dispute_ballot_mode',
+        'reveal_period_hours'
       ]}
     });
 
@@ -434,7 +894,10 @@ router.put('/config', auth, ensureDeployer, async (req, res) => {
       blog_earnings_views_rate: 100,
       blog_earnings_views_threshold: 1000,
       blog_earnings_impressions_rate: 100,
-      blog_earnings_impressions_threshold: 100
+      blog_earnings_impressions_threshold: 100,
+      governance_voting_strategy: 'one_person_one_vote',
+      dispute_ballot_mode: 'open',
+      reveal_period_hours: 24
     };
 
     const configMap = {};
@@ -453,7 +916,10 @@ router.put('/config', auth, ensureDeployer, async (req, res) => {
       blog_earnings_views_rate: configMap.blog_earnings_views_rate ?? defaults.blog_earnings_views_rate,
       blog_earnings_views_threshold: configMap.blog_earnings_views_threshold ?? defaults.blog_earnings_views_threshold,
       blog_earnings_impressions_rate: configMap.blog_earnings_impressions_rate ?? defaults.blog_earnings_impressions_rate,
-      blog_earnings_impressions_threshold: configMap.blog_earnings_impressions_threshold ?? defaults.blog_earnings_impressions_threshold
+      blog_earnings_impressions_threshold: configMap.blog_earnings_impressions_threshold ?? defaults.blog_earnings_impressions_threshold,
+      governance_voting_strategy: configMap.governance_voting_strategy ?? defaults.governance_voting_strategy,
+      dispute_ballot_mode: configMap.dispute_ballot_mode ?? defaults.dispute_ballot_mode,
+      reveal_period_hours: configMap.reveal_period_hours ?? defaults.reveal_period_hours
     };
 
     res.json({
@@ -1,11 +1,16 @@
 const express = require("express");
 const router = express.Router();
-const axios = require("axios");
 const EthPrice = require("../models/EthPrice");
+const { PriceOracleError, getLatestPrice, getPriceHistory, getTwap } = require("../utils/priceOracle");
 
-// GET latest ETH price (from DB)
-router.get("/eth", async (req, res) => {
+// Latest ETH price from the oracle, falling back to the legacy EthPrice document
+const sendLatestEthPrice = async (req, res) => {
   try {
+    const latest = await getLatestPrice("ETH");
+    if (latest) {
+      return res.json(latest);
+    }
+
     const priceDoc = await EthPrice.findOne({});
     if (!priceDoc) {
       return res.status(404).json({ error: "ETH price not available" });
@@ -18,44 +23,38 @@ router.get("/eth", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: "Server error" });
   }
-});
+};
 
-// Alias route for compatibility with Escrowintegration.js
-router.get("/", async (req, res) => {
-  try {
-    const priceDoc = await EthPrice.findOne({});
-    if (!priceDoc) {
-      return res.status(404).json({ error: "ETH price not available" });
-    }
+const sendOracleError = (res, err, label) => {
+  if (err instanceof PriceOracleError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`Error fetching ${label}:`, err);
+  res.status(500).json({ error: "Server error" });
+};
 
-    res.json({
-      usd: priceDoc.usd,
-      lastUpdated: priceDoc.lastUpdated,
-    });
+// GET latest ETH price (from DB)
+router.get("/eth", sendLatestEthPrice);
+
+// GET price history: ?symbol=ETH&from=&to=&interval=1h
+router.get("/history", async (req, res) => {
+  try {
+    res.json(await getPriceHistory(req.query));
   } catch (err) {
-    res.status(500).json({ error: "Server error" });
+    sendOracleError(res, err, "price history");
   }
 });
 
-// Internal use: Update ETH price from CoinGecko
-const updateEthPrice = async () => {
+// GET time-weighted average price: ?symbol=ETH&window=1h
+router.get("/twap", async (req, res) => {
   try {
-    const response = await axios.get(
-      "https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd"
-    );
-    const ethPrice = response.data.ethereum.usd;
-
-    await EthPrice.findOneAndUpdate(
-      {},
-      { usd: ethPrice, lastUpdated: new Date() },
-      { upsert: true, new: true }
-    );
-
-    console.log("ETH price updated:", ethPrice);
+    res.json(await getTwap(req.query));
   } catch (err) {
-    console.error("Error updating ETH price:", err.message);
+    sendOracleError(res, err, "TWAP");
   }
-};
+});
+
+// Alias route for compatibility with Escrowintegration.js
+router.get("/", sendLatestEthPrice);
 
-// Export the update function so it can be called from your main server
-module.exports = { router, updateEthPrice };
+module.exports = { router };
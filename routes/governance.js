@@ -11,7 +11,37 @@ const Job = require('../models/Job');
 const Order = require('../models/Order');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
+const VoterSnapshot = require('../models/VoterSnapshot');
 const Config = require('../models/Config');
+const {
+  MilestoneError,
+  DISPUTABLE_STATUSES,
+  markMilestoneDisputed,
+  resolveMilestoneDispute
+} = require('../utils/milestones');
+const {
+  VOTING_STRATEGIES,
+  BALLOT_MODES,
+  MIN_SALT_LENGTH,
+  GovernanceError,
+  getFinalizationRules,
+  getProposalRules,
+  resolveSnapshot,
+  recordEligibilitySnapshot,
+  discardEligibilitySnapshot,
+  getVoterEligibility,
+  hashBallot,
+  finalizeProposalIfExpired
+} = require('../utils/governance');
+const {
+  DELEGATION_SCOPES,
+  DelegationError,
+  createDelegation,
+  revokeDelegation,
+  applyDelegatedWeight,
+  listDelegations
+} = require('../utils/delegations');
+const { enqueueJob } = require('../utils/jobQueue');
 
 // Configure multer for file uploads
 const uploadDir = path.join(__dirname, '../uploads/governance');
@@ -140,23 +170,33 @@ const humanizeDuration = (milliseconds) => {
   return `${minutes}m remaining`;
 };
 
-const eligibleJobStatuses = ['in-progress', 'completed'];
-const eligibleOrderStatuses = ['in-progress', 'delivered', 'completed'];
+const getIneligibleMessage = (proposal, reason) => {
+  const minActivityPoints = proposal.voting?.minActivityPoints ?? 0;
+  switch (reason) {
+    case 'not_in_snapshot':
+      return 'Your account was created after this proposal opened, so it is not in its voter snapshot';
+    case 'inactive':
+      return 'Your account was inactive when this proposal opened';
+    case 'activity_points':
+      return `Minimum ${minActivityPoints} activity points were required when this proposal opened`;
+    case 'locked_stake':
+      return proposal.voting?.snapshot?.recordedAt
+        ? `Minimum ${proposal.voting.snapshot.minLockedStake} LOB had to be locked in staking at this proposal's snapshot`
+        : 'This proposal is weighted by locked LOB and your wallet had none locked at its snapshot';
+    default:
+      return 'Your vote would carry no weight on this proposal';
+  }
+};
 
-async function finalizeProposalIfExpired(proposal) {
-  const priorAutoFinalized = proposal.voting?.autoFinalized;
-  proposal.finalizeIfNeeded();
+// A vote that missed quorum decided nothing; only a settlement both parties approved can close it
+const isSettledByAgreement = (proposal) => Boolean(
+  proposal.disputeContext?.settlement?.clientApproved && proposal.disputeContext?.settlement?.talentApproved
+);
 
-  if (!priorAutoFinalized && proposal.voting?.autoFinalized) {
-    if (proposal.voteTallies) {
-      proposal.markModified('voteTallies');
-    }
-    if (proposal.analytics) {
-      proposal.markModified('analytics');
-    }
-    await proposal.save();
-  }
-}
+const canResolveFromVote = (proposal) => proposal.status !== 'failed_quorum' || isSettledByAgreement(proposal);
+
+const eligibleJobStatuses = ['in-progress', 'completed'];
+const eligibleOrderStatuses = ['in-progress', 'delivered', 'completed'];
 
 const mapUserPreview = (userDoc) => {
   if (!userDoc || typeof userDoc === 'string') {
@@ -180,17 +220,27 @@ const buildProposalResponse = async (proposal, viewer, eligibleVoters = 0) => {
   const viewerHasVoted = viewerId
     ? proposal.votes.some((vote) => vote.user?.toString() === viewerId)
     : false;
-  const canViewerVote = Boolean(
-    viewer &&
-    viewer.canVote() &&
-    proposal.status === 'voting' &&
-    !hasVotingEnded &&
-    !viewerHasVoted
-  );
-
-  const participationRate = eligibleVoters > 0
-    ? Number(((proposal.voteTallies.total / eligibleVoters) * 100).toFixed(2))
-    : 0;
+  const viewerEligibility = viewer && proposal.status === 'voting' && !hasVotingEnded && !viewerHasVoted
+    ? await getVoterEligibility(proposal, viewer)
+    : null;
+  const viewerIsEligible = Boolean(viewerEligibility?.eligible && viewerEligibility.weight > 0);
+
+  // Secret ballots show who committed and revealed, but no choices until voting is finalized
+  const ballotPhase = proposal.ballotPhase();
+  const hideChoices = proposal.hidesTallies();
+  const viewerCommit = viewerId
+    ? (proposal.commits || []).find((commit) => (commit.user?._id || commit.user).toString() === viewerId)
+    : null;
+  const canViewerVote = viewerIsEligible && ballotPhase === 'open';
+
+  // Proposals with a recorded electorate (and all weighted ones) measure turnout against it
+  const strategy = proposal.voting?.strategy || 'one_person_one_vote';
+  const usesStoredElectorate = strategy !== 'one_person_one_vote' || Boolean(proposal.voting?.snapshot?.recordedAt);
+  const participationRate = usesStoredElectorate
+    ? proposal.analytics?.participationRate || 0
+    : eligibleVoters > 0
+      ? Number(((proposal.voteTallies.total / eligibleVoters) * 100).toFixed(2))
+      : 0;
 
   const comments = (proposal.comments || []).map((comment) => ({
     _id: comment._id,
@@ -199,10 +249,15 @@ const buildProposalResponse = async (proposal, viewer, eligibleVoters = 0) => {
     user: mapUserPreview(comment.user)
   }));
 
+  const isViewerVote = (vote) => Boolean(viewerId) && (vote.user?._id || vote.user)?.toString() === viewerId;
   const votes = (proposal.votes || []).map((vote) => ({
     _id: vote._id,
-    vote: vote.vote,
-    reason: vote.reason,
+    vote: hideChoices && !isViewerVote(vote) ? null : vote.vote,
+    reason: hideChoices && !isViewerVote(vote) ? null : vote.reason,
+    weight: vote.weight ?? 1,
+    weightBasis: vote.weightBasis,
+    delegatedWeight: vote.delegatedWeight || 0,
+    delegators: vote.delegatedFrom?.length || 0,
     votedAt: vote.votedAt,
     user: mapUserPreview(vote.user)
   }));
@@ -313,6 +368,7 @@ const buildProposalResponse = async (proposal, viewer, eligibleVoters = 0) => {
       job: workItemSummary,
       client: mapUserPreview(ctx.client),
       talent: mapUserPreview(ctx.talent),
+      milestone: ctx.milestone?.milestoneId ? ctx.milestone : null,
       issueSummary: ctx.issueSummary,
       clientNarrative: ctx.clientNarrative,
       talentNarrative: ctx.talentNarrative,
@@ -372,21 +428,40 @@ const buildProposalResponse = async (proposal, viewer, eligibleVoters = 0) => {
       finalizedAt: proposal.voting?.finalizedAt,
       autoFinalized: proposal.voting?.autoFinalized ?? false,
       quorum: proposal.voting?.quorum ?? 0,
+      strategy,
+      snapshot: proposal.voting?.snapshot || null,
+      rules: proposal.voting?.rules?.tieBreak ? proposal.voting.rules : null,
+      // A tie extension would say how the hidden ballots stand, so only the new deadline is shown
+      extensions: (proposal.voting?.extensions || []).map((extension) => ({
+        reason: hideChoices && extension.reason === 'tie' ? null : extension.reason,
+        previousEndsAt: extension.previousEndsAt,
+        endsAt: extension.endsAt,
+        extendedAt: extension.extendedAt
+      })),
+      ballot: proposal.voting?.ballot || 'open',
+      phase: ballotPhase,
+      commitEndsAt: proposal.voting?.commitEndsAt || null,
+      commits: proposal.commits?.length || 0,
+      reveals: (proposal.commits || []).filter((commit) => commit.revealedAt).length,
+      finalization: proposal.voting?.finalization?.reason ? proposal.voting.finalization : null,
       timeRemainingMs: votingTimeRemainingMs,
       timeRemainingLabel: votingTimeRemainingMs === 0
         ? 'Voting ended'
         : humanizeDuration(votingTimeRemainingMs)
     },
-    voteTallies: proposal.voteTallies,
+    voteTallies: hideChoices ? null : proposal.voteTallies,
     voteOptions: allowedVotes.map((option) => ({
       id: option,
       label: voteOptionLabels[option] || option,
-      votes: proposal.voteTallies[option] || 0
+      votes: hideChoices ? null : proposal.voteTallies[option] || 0,
+      voters: hideChoices ? null : votes.filter((vote) => vote.vote === option).length
     })),
     analytics: {
       ...proposal.analytics,
       participationRate,
-      totalEligibleVoters: eligibleVoters,
+      totalEligibleVoters: usesStoredElectorate
+        ? proposal.analytics?.totalEligibleVoters ?? eligibleVoters
+        : eligibleVoters,
       uniqueVoters: proposal.analytics?.uniqueVoters ?? proposal.votes.length
     },
     results: {
@@ -406,11 +481,20 @@ const buildProposalResponse = async (proposal, viewer, eligibleVoters = 0) => {
     viewerContext: {
       canVote: canViewerVote,
       hasVoted: viewerHasVoted,
+      canCommit: viewerIsEligible && ballotPhase === 'commit',
+      canReveal: Boolean(viewerCommit && !viewerCommit.revealedAt && ballotPhase === 'reveal'),
+      hasCommitted: Boolean(viewerCommit),
+      eligibility: viewerEligibility ? {
+        eligible: viewerEligibility.eligible,
+        reason: viewerEligibility.ineligibleReason || null,
+        weight: viewerEligibility.weight
+      } : null,
       canComment: Boolean(viewer && viewer.canVote()),
       canResolve: Boolean(
         viewer &&
         viewer.canVote() &&
         proposal.voting?.autoFinalized &&
+        canResolveFromVote(proposal) &&
         !proposal.resolution?.resolvedAt
       )
     }
@@ -689,6 +773,7 @@ router.get(
             awaiting_resolution: statsByStatus.awaiting_resolution || 0,
             passed: statsByStatus.passed || 0,
             rejected: statsByStatus.rejected || 0,
+            failed_quorum: statsByStatus.failed_quorum || 0,
             resolved: statsByStatus.resolved || 0
           },
           byType: {
@@ -801,8 +886,9 @@ router.get(
   }
 );
 
-// GET /api/governance/eligibility
+// GET /api/governance/eligibility?proposalId=
 // Check voting eligibility (activity points + locked staking info)
+// With proposalId, the answer comes from that proposal's voter snapshot instead of live values
 router.get('/eligibility', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
@@ -810,6 +896,38 @@ router.get('/eligibility', auth, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (req.query.proposalId) {
+      const proposal = mongoose.Types.ObjectId.isValid(req.query.proposalId)
+        ? await Proposal.findById(req.query.proposalId).select('voting')
+        : null;
+      if (!proposal) {
+        return res.status(404).json({ error: 'Proposal not found' });
+      }
+
+      const eligibility = await getVoterEligibility(proposal, user);
+      const entry = eligibility.fromSnapshot
+        ? await VoterSnapshot.findOne({ proposal: proposal._id, user: user._id }).lean()
+        : null;
+      return res.json({
+        proposalId: proposal._id,
+        eligible: eligibility.eligible && eligibility.weight > 0,
+        reason: eligibility.ineligibleReason || null,
+        weight: eligibility.weight,
+        fromSnapshot: eligibility.fromSnapshot,
+        snapshot: entry ? {
+          takenAt: proposal.voting.snapshot.takenAt,
+          role: entry.role,
+          activityPoints: entry.activityPoints,
+          lockedStake: entry.lockedStake
+        } : null,
+        requiredActivityPoints: proposal.voting.minActivityPoints,
+        requiredLockedStaking: proposal.voting.snapshot?.minLockedStake ?? null,
+        message: eligibility.eligible && eligibility.weight > 0
+          ? 'You can vote on this proposal'
+          : getIneligibleMessage(proposal, eligibility.ineligibleReason)
+      });
+    }
+
     const activityPoints = user.stats?.activityPoints || 0;
     const minActivityPoints = await getMinVoteActivityPoints();
     const hasMinActivityPoints = activityPoints >= minActivityPoints;
@@ -844,6 +962,75 @@ router.get('/eligibility', auth, async (req, res) => {
   }
 });
 
+const mapDelegation = (delegation) => ({
+  _id: delegation._id,
+  scope: delegation.scope,
+  delegator: mapUserPreview(delegation.delegator),
+  delegate: mapUserPreview(delegation.delegate),
+  createdAt: delegation.createdAt
+});
+
+// GET /api/governance/delegations
+// Active delegations the user has given and received
+router.get('/delegations', auth, async (req, res) => {
+  try {
+    const { outgoing, incoming } = await listDelegations(req.user.id);
+    res.json({
+      outgoing: outgoing.map(mapDelegation),
+      incoming: incoming.map(mapDelegation),
+      scopes: DELEGATION_SCOPES
+    });
+  } catch (error) {
+    console.error('[governance:delegations] error', error);
+    res.status(500).json({ error: 'Unable to fetch delegations' });
+  }
+});
+
+// POST /api/governance/delegations
+// Delegate voting power for every proposal ('all') or one category; replaces the delegation for that scope
+router.post(
+  '/delegations',
+  auth,
+  [
+    body('delegateId').notEmpty().withMessage('delegateId is required'),
+    body('scope').optional().isIn(DELEGATION_SCOPES)
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const delegation = await createDelegation({
+        delegatorId: req.user.id,
+        delegateId: req.body.delegateId,
+        scope: req.body.scope || 'all',
+        minActivityPoints: await getMinVoteActivityPoints()
+      });
+      await delegation.populate('delegate', 'username profile');
+      res.status(201).json({ message: 'Voting power delegated', delegation: mapDelegation(delegation) });
+    } catch (error) {
+      if (error instanceof DelegationError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('[governance:delegate] error', error);
+      res.status(500).json({ error: 'Unable to delegate voting power' });
+    }
+  }
+);
+
+// DELETE /api/governance/delegations/:id
+// Revoke a delegation; it stops counting on proposals that have not closed yet
+router.delete('/delegations/:id', auth, async (req, res) => {
+  try {
+    const delegation = await revokeDelegation(req.user.id, req.params.id);
+    res.json({ message: 'Delegation revoked', delegation: mapDelegation(delegation) });
+  } catch (error) {
+    if (error instanceof DelegationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[governance:revoke-delegation] error', error);
+    res.status(500).json({ error: 'Unable to revoke delegation' });
+  }
+});
+
 // GET /api/governance/eligible-work
 // This endpoint uses the SAME approach as /api/chats to fetch chats
 // but filters for workflowStatus: 'in-progress' or 'completed'
@@ -1118,6 +1305,8 @@ router.get('/metrics/activity', auth, ensureDaoProposalEligibility, async (req,
     ]);
 
     const voteActivity = await Proposal.aggregate([
+      // Ballots revealed on a secret vote stay out of the activity figures until the proposal is finalized
+      { $match: { $nor: [{ 'voting.ballot': 'commit_reveal', 'voting.autoFinalized': { $ne: true } }] } },
       { $unwind: { path: '$votes', preserveNullAndEmptyArrays: false } },
       { $match: { 'votes.votedAt': { $gte: thirtyDaysAgo } } },
       {
@@ -1229,9 +1418,10 @@ router.get('/chat/:chatId/proposal', auth, async (req, res) => {
     // Find active dispute proposals that reference this chat
     // For job disputes, the job field in disputeContext might be an application ID
     // For gig disputes, the job field might be an order ID or chat ID
+    // Disputes that missed quorum stay open until the parties settle
     const activeProposals = await Proposal.find({
       proposalType: 'dispute',
-      status: { $in: ['voting', 'awaiting_resolution'] },
+      status: { $in: ['voting', 'awaiting_resolution', 'failed_quorum'] },
       isActive: { $ne: false },
       $or: [
         // Check if disputeContext.job references this chat (for Chat-based disputes)
@@ -1264,7 +1454,7 @@ router.get('/chat/:chatId/proposal', auth, async (req, res) => {
           const applicationIds = job.applications.map(app => app._id.toString());
           const jobProposals = await Proposal.find({
             proposalType: 'dispute',
-            status: { $in: ['voting', 'awaiting_resolution'] },
+            status: { $in: ['voting', 'awaiting_resolution', 'failed_quorum'] },
             isActive: { $ne: false },
             'disputeContext.jobModel': 'Job',
             'disputeContext.job': { $in: applicationIds }
@@ -1292,7 +1482,7 @@ router.get('/chat/:chatId/proposal', auth, async (req, res) => {
           const orderIds = orders.map(o => o._id.toString());
           const orderProposals = await Proposal.find({
             proposalType: 'dispute',
-            status: { $in: ['voting', 'awaiting_resolution'] },
+            status: { $in: ['voting', 'awaiting_resolution', 'failed_quorum'] },
             isActive: { $ne: false },
             'disputeContext.jobModel': 'Order',
             'disputeContext.job': { $in: orderIds }
@@ -1493,6 +1683,118 @@ router.get('/:id/contract-history', tryAuth, async (req, res) => {
   }
 });
 
+// GET /api/governance/:id/snapshot?eligible=true|false&page=&limit=
+// @desc Audit the voter snapshot recorded when the proposal opened
+// @access Public (everyone can view)
+router.get(
+  '/:id/snapshot',
+  tryAuth,
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: MAX_LIST_LIMIT }).toInt(),
+    query('eligible').optional().isBoolean().toBoolean()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid proposal id' });
+      }
+
+      const proposal = await Proposal.findById(req.params.id).select('voting analytics');
+      if (!proposal) {
+        return res.status(404).json({ error: 'Proposal not found' });
+      }
+      if (!proposal.voting?.snapshot?.recordedAt) {
+        return res.status(404).json({ error: 'This proposal was created before voter snapshots were recorded' });
+      }
+
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const filter = { proposal: proposal._id };
+      if (req.query.eligible !== undefined) {
+        filter.eligible = req.query.eligible;
+      }
+
+      const [entries, total, [recount], own] = await Promise.all([
+        VoterSnapshot.find(filter)
+          .select('user eligible weight')
+          .sort({ eligible: -1, weight: -1, _id: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        VoterSnapshot.countDocuments(filter),
+        VoterSnapshot.aggregate([
+          { $match: { proposal: proposal._id } },
+          {
+            $group: {
+              _id: null,
+              recordedUsers: { $sum: 1 },
+              eligibleVoters: { $sum: { $cond: ['$eligible', 1, 0] } },
+              eligibleWeight: { $sum: '$weight' }
+            }
+          }
+        ]),
+        req.user
+          ? VoterSnapshot.findOne({ proposal: proposal._id, user: req.user._id }).lean()
+          : null
+      ]);
+
+      // Recounted from the stored rows so anyone can check the totals the proposal was created with
+      const recounted = {
+        recordedUsers: recount?.recordedUsers || 0,
+        eligibleVoters: recount?.eligibleVoters || 0,
+        eligibleWeight: Math.round((recount?.eligibleWeight || 0) * 1e4) / 1e4
+      };
+      const recorded = {
+        recordedUsers: proposal.voting.snapshot.recordedUsers || 0,
+        eligibleVoters: proposal.analytics?.totalEligibleVoters || 0,
+        eligibleWeight: proposal.analytics?.totalEligibleWeight || 0
+      };
+
+      res.json({
+        snapshot: {
+          strategy: proposal.voting.strategy,
+          blockNumber: proposal.voting.snapshot.blockNumber ?? null,
+          takenAt: proposal.voting.snapshot.takenAt,
+          recordedAt: proposal.voting.snapshot.recordedAt,
+          minActivityPoints: proposal.voting.minActivityPoints,
+          minLockedStake: proposal.voting.snapshot.minLockedStake,
+          quorum: proposal.voting.quorum
+        },
+        totals: recorded,
+        recounted,
+        consistent: recorded.recordedUsers === recounted.recordedUsers &&
+          recorded.eligibleVoters === recounted.eligibleVoters &&
+          recorded.eligibleWeight === recounted.eligibleWeight,
+        // Enough to recount the totals; wallets, points and stake stay private to each voter
+        voters: entries.map((entry) => ({
+          user: entry.user,
+          eligible: entry.eligible,
+          weight: entry.weight
+        })),
+        pagination: {
+          total,
+          totalPages: Math.ceil(total / limit),
+          currentPage: page,
+          pageSize: limit
+        },
+        you: req.user ? {
+          eligible: Boolean(own?.eligible),
+          ineligibleReason: own?.ineligibleReason ?? null,
+          role: own?.role ?? null,
+          activityPoints: own?.activityPoints ?? null,
+          lockedStake: own?.lockedStake ?? null,
+          weight: own?.weight || 0
+        } : null
+      });
+    } catch (error) {
+      console.error('[governance:snapshot] error', error);
+      res.status(500).json({ error: 'Unable to fetch voter snapshot' });
+    }
+  }
+);
+
 // Helper function to get participants by role
 function getParticipantsByRole(chat) {
   const client = chat.participants?.find((p) => p.role === 'client');
@@ -1540,7 +1842,11 @@ router.post(
     body('category').optional().isString(),
     body('tags').optional().isArray(),
     body('platformDetails').optional().isObject(),
-    body('disputeContext').optional().isObject()
+    body('disputeContext').optional().isObject(),
+    body('votingStrategy').optional().isIn(VOTING_STRATEGIES).withMessage('Invalid voting strategy'),
+    body('snapshotBlock').optional().isInt({ min: 0 }),
+    body('snapshotAt').optional().isISO8601(),
+    body('ballot').optional().isIn(BALLOT_MODES).withMessage('Invalid ballot mode')
   ],
   handleValidation,
   async (req, res) => {
@@ -1560,20 +1866,46 @@ router.post(
         });
       }
 
+      // Locked stake is read at the snapshot, so stake added after it carries no weight on this proposal
+      const votingStrategy = req.body.votingStrategy
+        || await Config.getValue('governance_voting_strategy', 'one_person_one_vote');
+      const snapshot = await resolveSnapshot({ snapshotBlock: req.body.snapshotBlock, snapshotAt: req.body.snapshotAt });
+      // Quorum, threshold and tie-break rules are frozen so later config changes do not move the goalposts
+      const proposalCategory = category || (proposalType === 'platform' ? 'platform' : 'dispute');
+      const rules = getProposalRules(proposalCategory, await getFinalizationRules());
+
+      // Secret ballots are for disputes; the commit phase takes the usual voting duration and the reveal period follows it
+      if (proposalType === 'platform' && req.body.ballot === 'commit_reveal') {
+        return res.status(400).json({ error: 'Commit-reveal ballots are only available for dispute proposals' });
+      }
+      const ballot = proposalType === 'dispute'
+        ? req.body.ballot || await Config.getValue('dispute_ballot_mode', 'open')
+        : 'open';
+      const votingStartsAt = new Date();
+      const votingDurationMs = (await getVotingDurationDays()) * 24 * 60 * 60 * 1000;
+      const commitEndsAt = ballot === 'commit_reveal' ? new Date(votingStartsAt.getTime() + votingDurationMs) : undefined;
+      const votingEndsAt = commitEndsAt
+        ? new Date(commitEndsAt.getTime() + (await Config.getValue('reveal_period_hours', 24)) * 60 * 60 * 1000)
+        : new Date(votingStartsAt.getTime() + votingDurationMs);
+
       const baseProposal = new Proposal({
         title,
         summary,
         description,
         proposalType,
-        category: category || (proposalType === 'platform' ? 'platform' : 'dispute'),
+        category: proposalCategory,
         proposer: proposer._id,
         tags,
         voting: {
-          startsAt: new Date(),
-          endsAt: new Date(Date.now() + (await getVotingDurationDays()) * 24 * 60 * 60 * 1000),
+          startsAt: votingStartsAt,
+          endsAt: votingEndsAt,
+          ballot,
+          commitEndsAt,
           durationDays: await getVotingDurationDays(),
           minActivityPoints: await getMinVoteActivityPoints(),
-          quorum: 0
+          strategy: votingStrategy,
+          snapshot,
+          rules
         },
       status: 'voting',
         isActive: true
@@ -2289,11 +2621,46 @@ router.post(
           actualJobModel
         });
 
+        // Partial dispute: only one escrow milestone is contested
+        let milestoneRef;
+        if (disputeContext.milestoneId) {
+          const milestoneChatId = disputeContext.chatId ||
+            (disputeContext.jobModel === 'Chat' ? disputeContext.jobId : workItem.chat);
+          const milestoneChat = milestoneChatId && mongoose.Types.ObjectId.isValid(milestoneChatId)
+            ? await Chat.findById(milestoneChatId).select('participants milestones')
+            : null;
+          if (!milestoneChat) {
+            return res.status(404).json({ error: 'Chat for the disputed milestone not found' });
+          }
+
+          const inChat = milestoneChat.participants.some(p => p.user.toString() === proposerIdStr);
+          const milestone = mongoose.Types.ObjectId.isValid(disputeContext.milestoneId)
+            ? milestoneChat.milestones.id(disputeContext.milestoneId)
+            : null;
+          if (!inChat || !milestone) {
+            return res.status(404).json({ error: 'Milestone not found' });
+          }
+
+          if (!DISPUTABLE_STATUSES.includes(milestone.status)) {
+            return res.status(400).json({
+              error: `Only funded milestones can be disputed (milestone is "${milestone.status}")`
+            });
+          }
+
+          milestoneRef = {
+            chat: milestoneChat._id,
+            milestoneId: milestone._id,
+            title: milestone.title,
+            amountUSD: milestone.funding?.amountUSD || milestone.amountUSD
+          };
+        }
+
         baseProposal.disputeContext = {
           job: workItem._id,
           jobModel: actualJobModel, // Use resolved model (Order if Chat was provided)
           client: clientId,
           talent: talentId,
+          milestone: milestoneRef,
           issueSummary: disputeContext.issueSummary,
           clientNarrative: disputeContext.clientNarrative,
           talentNarrative: disputeContext.talentNarrative,
@@ -2302,7 +2669,36 @@ router.post(
         };
       }
 
-      await baseProposal.save();
+      // Eligibility is frozen here, so points farmed or LOB staked mid-vote do not count
+      await recordEligibilitySnapshot(baseProposal, {
+        minLockedStake: await Config.getValue('min_locked_staking_governance', MIN_LOCKED_STAKING_LOB)
+      });
+      try {
+        await baseProposal.save();
+      } catch (saveError) {
+        await discardEligibilitySnapshot(baseProposal._id);
+        throw saveError;
+      }
+
+      const milestoneRef = baseProposal.disputeContext?.milestone;
+      if (milestoneRef?.milestoneId) {
+        try {
+          await markMilestoneDisputed({
+            chatId: milestoneRef.chat,
+            milestoneId: milestoneRef.milestoneId,
+            proposalId: baseProposal._id,
+            userId: proposer._id
+          });
+        } catch (milestoneError) {
+          // Another dispute or a release got there first; don't leave a dangling proposal
+          await Proposal.deleteOne({ _id: baseProposal._id });
+          await discardEligibilitySnapshot(baseProposal._id);
+          if (milestoneError instanceof MilestoneError) {
+            return res.status(milestoneError.status).json({ error: milestoneError.message });
+          }
+          throw milestoneError;
+        }
+      }
       
       console.log('[governance:create] Proposal created:', {
         id: baseProposal._id,
@@ -2316,6 +2712,10 @@ router.post(
         proposalType === 'dispute' ? 'disputesRaised' : 'proposalsSubmitted'
       );
 
+      await enqueueJob('governance.notify-delegates', { proposalId: baseProposal._id.toString() }, {
+        uniqueKey: `governance.notify-delegates:${baseProposal._id}`
+      }).catch(error => console.error('Error queueing delegate notifications:', error.message));
+
       const hydrated = await withFinalizedProposal(baseProposal._id);
       const minActivityPoints = await getMinVoteActivityPoints();
       const eligibleVoters = await User.countDocuments({
@@ -2330,6 +2730,9 @@ router.post(
 
       res.status(201).json(response);
     } catch (error) {
+      if (error instanceof GovernanceError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('[governance:create] error', error);
       res.status(500).json({ error: 'Unable to create proposal' });
     }
@@ -2355,11 +2758,6 @@ router.post(
       }
 
       const minActivityPoints = await getMinVoteActivityPoints();
-      if (!voter.canVote()) {
-        return res.status(403).json({
-          error: `Minimum ${minActivityPoints} activity points required to vote`
-        });
-    }
 
     const proposal = await Proposal.findById(req.params.id);
 
@@ -2373,6 +2771,12 @@ router.post(
         return res.status(400).json({ error: 'Voting period has ended for this proposal' });
       }
 
+      if (proposal.voting.ballot === 'commit_reveal') {
+        return res.status(400).json({
+          error: 'This proposal uses secret ballots: commit a hash of your vote, then reveal it once the commit phase ends'
+        });
+      }
+
       const allowedVotes = proposal.allowedVoteOptions();
       if (!allowedVotes.includes(vote)) {
         return res.status(400).json({ error: 'Invalid vote option for this proposal' });
@@ -2395,12 +2799,25 @@ router.post(
         });
       }
 
+      // Checked against the eligibility recorded when the proposal opened, not the voter's current standing
+      const { eligible, ineligibleReason, weight, weightBasis } = await getVoterEligibility(proposal, voter);
+      if (!eligible || weight <= 0) {
+        return res.status(403).json({
+          error: getIneligibleMessage(proposal, ineligibleReason),
+          ineligibleReason: ineligibleReason || 'no_weight'
+        });
+      }
+
     proposal.votes.push({
         user: voter._id,
         vote,
-        reason
+        reason,
+        weight,
+        weightBasis
       });
 
+      // A direct vote takes the voter's own weight back from whoever they had delegated to
+      await applyDelegatedWeight(proposal);
       proposal.recalculateTallies();
     await proposal.save();
 
@@ -2425,6 +2842,7 @@ router.post(
         message: 'Vote recorded successfully. You can now claim your voter reward.',
         proposal: await buildProposalResponse(refreshed, voter, eligibleVoters),
         votePower: votePower,
+        voteWeight: weight,
         shouldClaimReward: voterRewardAmount > 0, // Only claim if reward amount is set
         voterRewardAmount: voterRewardAmount // Return the reward amount from config
       });
@@ -2435,6 +2853,162 @@ router.post(
   }
 );
 
+// POST /api/governance/:id/commit
+// Commit a secret ballot: commitHash is sha256 of "<proposalId>:<userId>:<vote>:<salt>" (see hashBallot)
+// Committing again during the commit phase replaces the earlier commitment
+router.post(
+  '/:id/commit',
+  auth,
+  [
+    body('commitHash').isString().matches(/^[0-9a-fA-F]{64}$/).withMessage('commitHash must be a sha256 hex digest')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const voter = await User.findById(req.user.id);
+      if (!voter) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const proposal = await Proposal.findById(req.params.id);
+      if (!proposal) {
+        return res.status(404).json({ error: 'Proposal not found' });
+      }
+
+      await finalizeProposalIfExpired(proposal);
+
+      if (proposal.voting.ballot !== 'commit_reveal') {
+        return res.status(400).json({ error: 'This proposal uses an open ballot; vote directly instead' });
+      }
+      if (proposal.ballotPhase() !== 'commit') {
+        return res.status(400).json({ error: 'The commit phase has ended for this proposal' });
+      }
+
+      const { eligible, ineligibleReason, weight, weightBasis } = await getVoterEligibility(proposal, voter);
+      if (!eligible || weight <= 0) {
+        return res.status(403).json({
+          error: getIneligibleMessage(proposal, ineligibleReason),
+          ineligibleReason: ineligibleReason || 'no_weight'
+        });
+      }
+
+      const commitHash = req.body.commitHash.toLowerCase();
+      const existing = proposal.commits.find((commit) => commit.user.toString() === voter._id.toString());
+      if (existing) {
+        existing.commitHash = commitHash;
+        existing.committedAt = new Date();
+      } else {
+        proposal.commits.push({ user: voter._id, commitHash, weight, weightBasis });
+      }
+      await proposal.save();
+
+      const refreshed = await withFinalizedProposal(proposal._id);
+      res.json({
+        message: existing ? 'Ballot commitment replaced' : 'Ballot committed. Reveal it once the commit phase ends.',
+        commit: {
+          commitHash,
+          revealOpensAt: proposal.voting.commitEndsAt,
+          revealEndsAt: proposal.voting.endsAt
+        },
+        proposal: await buildProposalResponse(refreshed, voter)
+      });
+    } catch (error) {
+      console.error('[governance:commit] error', error);
+      res.status(500).json({ error: 'Unable to commit ballot' });
+    }
+  }
+);
+
+// POST /api/governance/:id/reveal
+// Reveal a committed ballot; only revealed ballots are counted
+router.post(
+  '/:id/reveal',
+  auth,
+  [
+    body('vote').notEmpty().withMessage('Vote selection is required'),
+    body('salt').isString().isLength({ min: MIN_SALT_LENGTH, max: 256 })
+      .withMessage(`salt must be at least ${MIN_SALT_LENGTH} characters`),
+    body('reason').optional().isString().isLength({ max: 1000 })
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { vote, salt, reason } = req.body;
+
+      const voter = await User.findById(req.user.id);
+      if (!voter) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const proposal = await Proposal.findById(req.params.id);
+      if (!proposal) {
+        return res.status(404).json({ error: 'Proposal not found' });
+      }
+
+      await finalizeProposalIfExpired(proposal);
+
+      if (proposal.voting.ballot !== 'commit_reveal') {
+        return res.status(400).json({ error: 'This proposal uses an open ballot; vote directly instead' });
+      }
+      const phase = proposal.ballotPhase();
+      if (phase === 'commit') {
+        return res.status(400).json({ error: `Ballots can be revealed from ${proposal.voting.commitEndsAt.toISOString()}` });
+      }
+      if (phase !== 'reveal') {
+        return res.status(400).json({ error: 'The reveal period has ended for this proposal' });
+      }
+
+      const commit = proposal.commits.find((entry) => entry.user.toString() === voter._id.toString());
+      if (!commit) {
+        return res.status(404).json({ error: 'You did not commit a ballot on this proposal' });
+      }
+      if (commit.revealedAt) {
+        return res.status(400).json({ error: 'You have already revealed your ballot' });
+      }
+      if (!proposal.allowedVoteOptions().includes(vote)) {
+        return res.status(400).json({ error: 'Invalid vote option for this proposal' });
+      }
+
+      const expected = hashBallot({ proposalId: proposal._id, userId: voter._id, vote, salt });
+      if (expected !== commit.commitHash) {
+        return res.status(400).json({ error: 'Vote and salt do not match your commitment' });
+      }
+
+      // Ordered by commitment time, so a first_to_reach tie-break does not reward revealing early
+      proposal.votes.push({
+        user: voter._id,
+        vote,
+        reason,
+        weight: commit.weight,
+        weightBasis: commit.weightBasis,
+        votedAt: commit.committedAt
+      });
+      commit.revealedAt = new Date();
+
+      await applyDelegatedWeight(proposal);
+      proposal.recalculateTallies();
+      await proposal.save();
+
+      const activityPoints = await Config.getValue('activity_points_voting', 5);
+      await voter.addActivityPoints(activityPoints);
+      await voter.incrementDaoStat('votesCast');
+
+      const voterRewardAmount = await Config.getValue('voter_reward_amount', 0);
+      const refreshed = await withFinalizedProposal(proposal._id);
+      res.json({
+        message: 'Ballot revealed and counted. You can now claim your voter reward.',
+        proposal: await buildProposalResponse(refreshed, voter),
+        voteWeight: commit.weight,
+        shouldClaimReward: voterRewardAmount > 0,
+        voterRewardAmount
+      });
+    } catch (error) {
+      console.error('[governance:reveal] error', error);
+      res.status(500).json({ error: 'Unable to reveal ballot' });
+    }
+  }
+);
+
 // POST /api/governance/:id/comments
 router.post(
   '/:id/comments',
@@ -2614,6 +3188,12 @@ router.post('/:id/resolve', auth, async (req, res) => {
       return res.status(400).json({ error: 'Proposal already resolved' });
     }
 
+    if (!canResolveFromVote(proposal)) {
+      return res.status(409).json({
+        error: 'Voting did not reach quorum, so there is no outcome to resolve. Disputes can still be settled by agreement.'
+      });
+    }
+
     // For dispute proposals, calculate settlement amounts and return contract call data
     let resolveDisputeData = null;
     if (proposal.proposalType === 'dispute') {
@@ -2788,6 +3368,12 @@ router.post('/:id/resolve/confirm', auth, async (req, res) => {
       return res.status(400).json({ error: 'Proposal already resolved' });
     }
 
+    if (proposal.status === 'failed_quorum' && !(isSettledByAgreement(proposal) && req.body.resolutionType === 'mutual_agreement')) {
+      return res.status(409).json({
+        error: 'Voting did not reach quorum; only a settlement both parties approved can resolve this proposal'
+      });
+    }
+
     // Verify contract transaction hash if provided
     const { txHash } = req.body;
     if (proposal.proposalType === 'dispute' && !txHash) {
@@ -2837,6 +3423,10 @@ router.post('/:id/resolve/confirm', auth, async (req, res) => {
     
     if (proposal.proposalType === 'dispute') {
       await resolver.incrementDaoStat('disputesResolved');
+      await resolveMilestoneDispute(proposal, {
+        outcome: proposal.resolution.outcome,
+        txHash
+      });
     }
 
     const hydrated = await withFinalizedProposal(proposal._id);
@@ -0,0 +1,129 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const Chat = require('../models/Chat');
+const Invoice = require('../models/Invoice');
+const { InvoiceError, issueChatInvoices, renderInvoicePdf, toInvoiceJson } = require('../utils/invoices');
+
+const isParty = (doc, userId) =>
+  doc.seller.user.toString() === userId || doc.buyer.user.toString() === userId;
+
+const loadOwnInvoice = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid invoice ID' });
+    return null;
+  }
+  const doc = await Invoice.findById(req.params.id);
+  if (!doc) {
+    res.status(404).json({ error: 'Invoice not found' });
+    return null;
+  }
+  if (!isParty(doc, req.user.id)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return doc;
+};
+
+// @route   GET /api/invoices
+// @desc    Invoices and receipts where the user is the seller or the buyer (?kind=invoice|receipt&role=seller|buyer)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const filter = req.query.role === 'seller'
+      ? { 'seller.user': req.user.id }
+      : req.query.role === 'buyer'
+        ? { 'buyer.user': req.user.id }
+        : { $or: [{ 'seller.user': req.user.id }, { 'buyer.user': req.user.id }] };
+    if (['invoice', 'receipt'].includes(req.query.kind)) filter.kind = req.query.kind;
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(filter)
+    ]);
+
+    res.json({
+      invoices: invoices.map(toInvoiceJson),
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+// @route   POST /api/invoices/chats/:chatId
+// @desc    Issue the invoice and receipt for a confirmed chat, or return them if already issued
+// @access  Private (chat participants)
+router.post('/chats/:chatId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.chatId)) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+    const chat = await Chat.findById(req.params.chatId).select('participants');
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+    if (!chat.participants.some(p => p.user.toString() === req.user.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { invoice, receipt, created } = await issueChatInvoices(chat._id);
+    res.status(created ? 201 : 200).json({
+      invoice: toInvoiceJson(invoice),
+      receipt: toInvoiceJson(receipt)
+    });
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error issuing invoices:', error);
+    res.status(500).json({ error: 'Failed to issue invoices' });
+  }
+});
+
+// @route   GET /api/invoices/:id
+// @desc    Invoice or receipt as JSON
+// @access  Private (seller or buyer)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const doc = await loadOwnInvoice(req, res);
+    if (!doc) return;
+    res.json(toInvoiceJson(doc));
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    res.status(500).json({ error: 'Failed to fetch invoice' });
+  }
+});
+
+// @route   GET /api/invoices/:id/pdf
+// @desc    Download an invoice or receipt as PDF
+// @access  Private (seller or buyer)
+router.get('/:id/pdf', auth, async (req, res) => {
+  try {
+    const doc = await loadOwnInvoice(req, res);
+    if (!doc) return;
+
+    const pdf = await renderInvoicePdf(doc);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${doc.number}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error rendering invoice PDF:', error);
+    res.status(500).json({ error: 'Failed to render invoice' });
+  }
+});
+
+module.exports = router;
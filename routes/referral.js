@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const User = require('../models/User');
 const Referral = require('../models/Referral');
 
@@ -95,6 +96,7 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.post('/withdraw', [
   auth,
+  idempotent(),
   body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
 ], async (req, res) => {
   try {
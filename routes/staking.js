@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const Staking = require('../models/Staking');
 const Staker = require('../models/Staker');
+const { syncStakerTotals, recordRewardClaim } = require('../utils/stakingLedger');
+const { isIndexerEnabled } = require('../utils/chainIndexer');
+
+// Retries of a record-* call are recognised by their txHash when no Idempotency-Key is sent
+const txHashKey = (req) => req.body.txHash;
 
 // @route   GET /api/staking/pool-info
 // @desc    Get staking pool information
@@ -112,7 +118,7 @@ router.get('/all-stakes', async (req, res) => {
 // @route   POST /api/staking/record-stake
 // @desc    Record a new stake (called after successful smart contract transaction)
 // @access  Private
-router.post('/record-stake', auth, async (req, res) => {
+router.post('/record-stake', auth, idempotent({ keyFrom: txHashKey }), async (req, res) => {
   try {
     const { stakeId, amount, isLocked, lockDays, txHash } = req.body;
     const walletAddress = req.user.walletAddress?.toLowerCase();
@@ -131,24 +137,27 @@ router.post('/record-stake', auth, async (req, res) => {
       return res.status(400).json({ error: 'Invalid amount' });
     }
 
-    // Generate stakeId if not provided (fallback)
-    let finalStakeId = stakeId;
-    if (!finalStakeId) {
-      // Get the highest stakeId and increment
-      const lastStake = await Staking.findOne().sort({ stakeId: -1 });
-      finalStakeId = lastStake ? lastStake.stakeId + 1 : 1;
+    // The chain indexer may already have stored this stake from its Staked event
+    const indexedStake = await Staking.findOne({ txHash: txHash.toLowerCase() });
+    if (indexedStake) {
+      return res.json({ success: true, stake: indexedStake });
     }
 
-    // Check if stakeId already exists
-    const existingStake = await Staking.findOne({ stakeId: finalStakeId });
-    if (existingStake) {
-      // If it exists and has the same txHash, return success (idempotent)
-      if (existingStake.txHash === txHash) {
-        return res.json({ success: true, stake: existingStake });
+    const hasStakeId = stakeId !== undefined && stakeId !== null && stakeId !== '';
+    if (!hasStakeId) {
+      if (isIndexerEnabled('staking')) {
+        return res.status(202).json({
+          success: true,
+          pending: true,
+          message: 'Stake will be recorded once its Staked event is indexed'
+        });
       }
-      // Otherwise, generate a new stakeId
-      const lastStake = await Staking.findOne().sort({ stakeId: -1 });
-      finalStakeId = lastStake ? lastStake.stakeId + 1 : 1;
+      return res.status(400).json({ error: 'stakeId is required' });
+    }
+
+    const existingStake = await Staking.findOne({ stakeId: Number(stakeId) });
+    if (existingStake) {
+      return res.status(409).json({ error: 'This stakeId is already recorded for a different transaction' });
     }
 
     const unlockTime = isLocked && lockDays 
@@ -157,34 +166,18 @@ router.post('/record-stake', auth, async (req, res) => {
 
     // Create stake record
     const stake = new Staking({
-      stakeId: finalStakeId,
+      stakeId: Number(stakeId),
       walletAddress: walletAddress.toLowerCase(),
       amount: amountNum,
       stakedAt: new Date(),
       unlockTime,
       isLocked: isLocked || false,
       isActive: true,
-      txHash
+      txHash: txHash.toLowerCase()
     });
 
     await stake.save();
-
-    // Update or create staker record
-    let staker = await Staker.findOne({ walletAddress: walletAddress.toLowerCase() });
-    if (!staker) {
-      staker = new Staker({
-        walletAddress: walletAddress.toLowerCase(),
-        totalStaked: 0,
-        totalLocked: 0,
-        claimableRewards: 0
-      });
-    }
-
-    staker.totalStaked += amount;
-    if (isLocked) {
-      staker.totalLocked += amount;
-    }
-    await staker.save();
+    await syncStakerTotals(walletAddress);
 
     res.json({ success: true, stake });
   } catch (error) {
@@ -196,7 +189,7 @@ router.post('/record-stake', auth, async (req, res) => {
 // @route   POST /api/staking/record-unstake
 // @desc    Record an unstake (called after successful smart contract transaction)
 // @access  Private
-router.post('/record-unstake', auth, async (req, res) => {
+router.post('/record-unstake', auth, idempotent({ keyFrom: txHashKey }), async (req, res) => {
   try {
     const { stakeId, txHash } = req.body;
     const walletAddress = req.user.walletAddress?.toLowerCase();
@@ -214,20 +207,16 @@ router.post('/record-unstake', auth, async (req, res) => {
       return res.status(404).json({ error: 'Stake not found' });
     }
 
+    // Already unstaked by the chain indexer
+    if (!stake.isActive) {
+      return res.json({ success: true });
+    }
+
     stake.isActive = false;
     stake.unstakedAt = new Date();
     stake.unstakeTxHash = txHash;
     await stake.save();
-
-    // Update staker record
-    const staker = await Staker.findOne({ walletAddress: walletAddress.toLowerCase() });
-    if (staker) {
-      staker.totalStaked -= stake.amount;
-      if (stake.isLocked) {
-        staker.totalLocked -= stake.amount;
-      }
-      await staker.save();
-    }
+    await syncStakerTotals(walletAddress);
 
     res.json({ success: true });
   } catch (error) {
@@ -239,7 +228,7 @@ router.post('/record-unstake', auth, async (req, res) => {
 // @route   POST /api/staking/record-claim
 // @desc    Record a reward claim (called after successful smart contract transaction)
 // @access  Private
-router.post('/record-claim', auth, async (req, res) => {
+router.post('/record-claim', auth, idempotent({ keyFrom: txHashKey }), async (req, res) => {
   try {
     const { amount, txHash, stakeId } = req.body;
     const walletAddress = req.user.walletAddress?.toLowerCase();
@@ -254,12 +243,8 @@ router.post('/record-claim', auth, async (req, res) => {
       return res.status(400).json({ error: 'Invalid amount' });
     }
 
-    // Update staker record
-    const staker = await Staker.findOne({ walletAddress: walletAddress.toLowerCase() });
-    if (staker) {
-      staker.claimableRewards = Math.max(0, staker.claimableRewards - amountNum);
-      await staker.save();
-    }
+    // Claims with a txHash are only deducted once, even if the indexer saw them first
+    await recordRewardClaim(walletAddress, amountNum, txHash);
 
     res.json({ success: true });
   } catch (error) {
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const {
+  StatementError,
+  getStatementPeriod,
+  buildStatement,
+  statementToCsv,
+  renderStatementPdf
+} = require('../utils/statements');
+
+// @route   GET /api/statements?year=2026&quarter=3&format=json|csv|pdf
+// @desc    Earnings statement for a year or quarter with totals per income type and fees
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const period = getStatementPeriod(req.query.year ?? new Date().getUTCFullYear(), req.query.quarter);
+    const statement = await buildStatement(req.user.id, period);
+    const filename = `workloob-statement-${period.label}`;
+
+    if (req.query.format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      });
+      return res.send(statementToCsv(statement));
+    }
+
+    if (req.query.format === 'pdf') {
+      const pdf = await renderStatementPdf(statement);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
+
+    res.json(statement);
+  } catch (error) {
+    if (error instanceof StatementError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error building statement:', error);
+    res.status(500).json({ error: 'Failed to build statement' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const Token = require('../models/Token');
+const { getTokenPrice, resolveToken, TokenError } = require('../utils/tokens');
+
+const withPrice = async (token) => ({
+  ...token.toObject(),
+  price: await getTokenPrice(token)
+});
+
+// GET /api/tokens
+// Tokens accepted for escrow and wallet balances, with their latest USD price
+router.get('/', async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.query.chainId) filter.chainId = Number(req.query.chainId);
+
+    const tokens = await Token.find(filter).sort({ chainId: 1, isNative: -1, symbol: 1 });
+    res.json({ tokens: await Promise.all(tokens.map(withPrice)) });
+  } catch (error) {
+    console.error('Error fetching tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch tokens' });
+  }
+});
+
+// GET /api/tokens/:symbol
+// Single token by symbol or contract address (?chainId= defaults to CHAIN_ID)
+router.get('/:symbol', async (req, res) => {
+  try {
+    const token = req.query.chainId
+      ? await resolveToken(req.params.symbol, req.query.chainId)
+      : await resolveToken(req.params.symbol);
+    res.json({ token: await withPrice(token) });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error fetching token:', error);
+    res.status(500).json({ error: 'Failed to fetch token' });
+  }
+});
+
+module.exports = router;
@@ -307,6 +307,79 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/billing-profile
+// @desc    Billing and tax details printed on the user's invoices, receipts and statements
+// @access  Private
+router.get('/billing-profile', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+billingProfile');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ billingProfile: user.billingProfile || {} });
+  } catch (error) {
+    console.error('Get billing profile error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/users/billing-profile
+// @desc    Update billing details; applies to invoices issued from now on
+// @access  Private
+router.put('/billing-profile', auth, [
+  body('legalName').optional().isString().isLength({ max: 200 }),
+  body('companyName').optional().isString().isLength({ max: 200 }),
+  body('entityType').optional().isIn(['individual', 'business']),
+  body('taxResidenceCountry').optional().isString().isLength({ max: 64 }),
+  body('taxId').optional().isString().isLength({ max: 64 }),
+  body('vatNumber').optional().isString().isLength({ max: 64 }),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Please provide a valid email address'),
+  body('address').optional().isObject(),
+  body('address.country').optional().isString().isLength({ max: 64 }),
+  body('taxLabel').optional().isString().isLength({ max: 32 }),
+  body('taxRatePercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+billingProfile');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const fields = [
+      'legalName',
+      'companyName',
+      'entityType',
+      'taxResidenceCountry',
+      'taxId',
+      'vatNumber',
+      'email',
+      'taxLabel',
+      'taxRatePercent'
+    ];
+    const profile = user.billingProfile ? user.billingProfile.toObject() : {};
+    fields.forEach((field) => {
+      if (req.body[field] !== undefined) profile[field] = req.body[field];
+    });
+    if (req.body.address) {
+      const { line1, line2, city, state, postalCode, country } = req.body.address;
+      profile.address = { line1, line2, city, state, postalCode, country };
+    }
+
+    user.billingProfile = profile;
+    await user.save();
+
+    res.json({ billingProfile: user.billingProfile });
+  } catch (error) {
+    console.error('Update billing profile error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID (authenticated)
 // @access  Private
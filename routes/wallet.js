@@ -1,8 +1,22 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const Token = require('../models/Token');
+const { ChainVerificationError, verifyTransaction } = require('../utils/chainVerifier');
+const {
+  LedgerError,
+  PLATFORM_ACCOUNTS,
+  userAccountKey,
+  platformAccountKey,
+  withLedgerTransaction,
+  postJournalEntry,
+  getWalletBalances,
+  getAllWalletBalances
+} = require('../utils/ledger');
+const { TokenError, resolveWalletCurrency } = require('../utils/tokens');
 
 const router = express.Router();
 
@@ -11,18 +25,24 @@ const router = express.Router();
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('wallet username email');
+    const user = await User.findById(req.user.id).select('_id');
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const [{ balance, escrowBalance }, ...tokenBalances] = await getAllWalletBalances(user._id);
     res.json({
       wallet: {
-        balance: user.wallet.balance,
-        escrowBalance: user.wallet.escrowBalance,
-        totalBalance: user.wallet.balance + user.wallet.escrowBalance,
-        currency: 'USD'
+        balance,
+        escrowBalance,
+        totalBalance: balance + escrowBalance,
+        currency: 'USD',
+        // Balances held in other registered tokens
+        tokens: tokenBalances.map(tokenBalance => ({
+          ...tokenBalance,
+          totalBalance: tokenBalance.balance + tokenBalance.escrowBalance
+        }))
       }
     });
   } catch (error) {
@@ -36,18 +56,24 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.get('/balance', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('wallet username email');
+    const user = await User.findById(req.user.id).select('_id');
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const [{ balance, escrowBalance }, ...tokenBalances] = await getAllWalletBalances(user._id);
     res.json({
       wallet: {
-        balance: user.wallet.balance,
-        escrowBalance: user.wallet.escrowBalance,
-        totalBalance: user.wallet.balance + user.wallet.escrowBalance,
-        currency: 'USD'
+        balance,
+        escrowBalance,
+        totalBalance: balance + escrowBalance,
+        currency: 'USD',
+        // Balances held in other registered tokens
+        tokens: tokenBalances.map(tokenBalance => ({
+          ...tokenBalance,
+          totalBalance: tokenBalance.balance + tokenBalance.escrowBalance
+        }))
       }
     });
   } catch (error) {
@@ -61,7 +87,7 @@ router.get('/balance', auth, async (req, res) => {
 // @access  Private
 router.get('/transactions', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 20, type, status } = req.query;
+    const { page = 1, limit = 20, type, status, currency } = req.query;
 
     let query = {
       $or: [
@@ -78,6 +104,14 @@ router.get('/transactions', auth, async (req, res) => {
       query.status = status;
     }
 
+    if (currency) {
+      if (typeof currency !== 'string') {
+        return res.status(400).json({ error: 'currency must be a single value' });
+      }
+      const code = currency.toUpperCase();
+      query.$and = [{ $or: [{ currency: code }, { tokenSymbol: code }] }];
+    }
+
     const transactions = await Transaction.find(query)
       .populate('fromUser', 'username email')
       .populate('toUser', 'username email')
@@ -107,6 +141,7 @@ router.get('/transactions', auth, async (req, res) => {
 // @access  Private
 router.post('/deposit', [
   auth,
+  idempotent(),
   body('amount').isNumeric().withMessage('Amount must be a number'),
   body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least $1')
 ], async (req, res) => {
@@ -116,36 +151,47 @@ router.post('/deposit', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { amount, paymentMethod } = req.body;
-
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Update wallet balance
-    user.wallet.balance += amount;
-    await user.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
-      fromUser: null, // External payment
-      toUser: req.user.id,
-      amount,
-      type: 'deposit',
-      status: 'completed',
-      description: `Deposit via ${paymentMethod || 'payment method'}`,
-      paymentMethod
+    const amount = Number(req.body.amount);
+    const { paymentMethod } = req.body;
+    const currency = await resolveWalletCurrency(req.body.currency);
+
+    const transaction = await withLedgerTransaction(async (session) => {
+      const [created] = await Transaction.create([{
+        fromUser: null, // External payment
+        toUser: req.user.id,
+        amount,
+        currency,
+        type: 'deposit',
+        status: 'completed',
+        description: `Deposit via ${paymentMethod || 'payment method'}`,
+        paymentMethod
+      }], { session });
+
+      await postJournalEntry({
+        type: 'deposit',
+        description: created.description,
+        transaction: created._id,
+        createdBy: req.user.id,
+        lines: [
+          { account: platformAccountKey(PLATFORM_ACCOUNTS.deposits, currency), debit: amount },
+          { account: userAccountKey(req.user.id, 'available', currency), credit: amount }
+        ]
+      }, session);
+
+      return created;
     });
 
-    await transaction.save();
-
+    const { balance } = await getWalletBalances(req.user.id, currency);
     res.json({
       message: 'Deposit successful',
-      newBalance: user.wallet.balance,
+      currency,
+      newBalance: balance,
       transaction
     });
   } catch (error) {
+    if (error instanceof LedgerError || error instanceof TokenError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -156,6 +202,7 @@ router.post('/deposit', [
 // @access  Private
 router.post('/withdraw', [
   auth,
+  idempotent(),
   body('amount').isNumeric().withMessage('Amount must be a number'),
   body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least $1'),
   body('bankAccount').notEmpty().withMessage('Bank account information is required')
@@ -166,41 +213,48 @@ router.post('/withdraw', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { amount, bankAccount } = req.body;
-
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Check if user has sufficient balance
-    if (user.wallet.balance < amount) {
-      return res.status(400).json({ error: 'Insufficient balance' });
-    }
-
-    // Update wallet balance
-    user.wallet.balance -= amount;
-    await user.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
-      fromUser: req.user.id,
-      toUser: null, // External withdrawal
-      amount,
-      type: 'withdrawal',
-      status: 'pending',
-      description: `Withdrawal to ${bankAccount}`,
-      bankAccount
+    const amount = Number(req.body.amount);
+    const { bankAccount } = req.body;
+    const currency = await resolveWalletCurrency(req.body.currency);
+
+    // Funds leave the wallet now and sit with the platform until the payout is sent
+    const transaction = await withLedgerTransaction(async (session) => {
+      const [created] = await Transaction.create([{
+        fromUser: req.user.id,
+        toUser: null, // External withdrawal
+        amount,
+        currency,
+        type: 'withdrawal',
+        status: 'pending',
+        description: `Withdrawal to ${bankAccount}`,
+        bankAccount
+      }], { session });
+
+      await postJournalEntry({
+        type: 'withdrawal',
+        description: created.description,
+        transaction: created._id,
+        createdBy: req.user.id,
+        lines: [
+          { account: userAccountKey(req.user.id, 'available', currency), debit: amount },
+          { account: platformAccountKey(PLATFORM_ACCOUNTS.withdrawals, currency), credit: amount }
+        ]
+      }, session);
+
+      return created;
     });
 
-    await transaction.save();
-
+    const { balance } = await getWalletBalances(req.user.id, currency);
     res.json({
       message: 'Withdrawal request submitted',
-      newBalance: user.wallet.balance,
+      currency,
+      newBalance: balance,
       transaction
     });
   } catch (error) {
+    if (error instanceof LedgerError || error instanceof TokenError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -211,6 +265,7 @@ router.post('/withdraw', [
 // @access  Private
 router.post('/transfer', [
   auth,
+  idempotent(),
   body('toUser').isMongoId().withMessage('Valid recipient ID is required'),
   body('amount').isNumeric().withMessage('Amount must be a number'),
   body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least $1'),
@@ -222,7 +277,9 @@ router.post('/transfer', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { toUser, amount, description } = req.body;
+    const { toUser, description } = req.body;
+    const amount = Number(req.body.amount);
+    const currency = await resolveWalletCurrency(req.body.currency);
 
     // Check if recipient exists
     const recipient = await User.findById(toUser);
@@ -235,41 +292,43 @@ router.post('/transfer', [
       return res.status(400).json({ error: 'Cannot transfer to yourself' });
     }
 
-    const sender = await User.findById(req.user.id);
-    if (!sender) {
-      return res.status(404).json({ error: 'Sender not found' });
-    }
-
-    // Check if sender has sufficient balance
-    if (sender.wallet.balance < amount) {
-      return res.status(400).json({ error: 'Insufficient balance' });
-    }
-
-    // Update balances
-    sender.wallet.balance -= amount;
-    recipient.wallet.balance += amount;
-
-    await sender.save();
-    await recipient.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
-      fromUser: req.user.id,
-      toUser,
-      amount,
-      type: 'transfer',
-      status: 'completed',
-      description: description || `Transfer to ${recipient.username}`
+    const transaction = await withLedgerTransaction(async (session) => {
+      const [created] = await Transaction.create([{
+        fromUser: req.user.id,
+        toUser,
+        amount,
+        currency,
+        type: 'transfer',
+        status: 'completed',
+        description: description || `Transfer to ${recipient.username}`
+      }], { session });
+
+      // Fails with "Insufficient balance" (and rolls back) if the sender cannot cover it
+      await postJournalEntry({
+        type: 'transfer',
+        description: created.description,
+        transaction: created._id,
+        createdBy: req.user.id,
+        lines: [
+          { account: userAccountKey(req.user.id, 'available', currency), debit: amount },
+          { account: userAccountKey(toUser, 'available', currency), credit: amount }
+        ]
+      }, session);
+
+      return created;
     });
 
-    await transaction.save();
-
+    const { balance } = await getWalletBalances(req.user.id, currency);
     res.json({
       message: 'Transfer successful',
-      newBalance: sender.wallet.balance,
+      currency,
+      newBalance: balance,
       transaction
     });
   } catch (error) {
+    if (error instanceof LedgerError || error instanceof TokenError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -280,6 +339,7 @@ router.post('/transfer', [
 // @access  Private
 router.post('/escrow', [
   auth,
+  idempotent(),
   body('amount').isNumeric().withMessage('Amount must be a number'),
   body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least $1'),
   body('action').isIn(['deposit', 'release']).withMessage('Action must be deposit or release'),
@@ -292,56 +352,53 @@ router.post('/escrow', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { amount, action, jobId, gigId, description } = req.body;
-
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    if (action === 'deposit') {
-      // Check if user has sufficient balance
-      if (user.wallet.balance < amount) {
-        return res.status(400).json({ error: 'Insufficient balance' });
-      }
-
-      // Move money from balance to escrow
-      user.wallet.balance -= amount;
-      user.wallet.escrowBalance += amount;
-    } else if (action === 'release') {
-      // Check if user has sufficient escrow balance
-      if (user.wallet.escrowBalance < amount) {
-        return res.status(400).json({ error: 'Insufficient escrow balance' });
-      }
-
-      // Move money from escrow to balance
-      user.wallet.escrowBalance -= amount;
-      user.wallet.balance += amount;
-    }
-
-    await user.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
-      fromUser: action === 'deposit' ? req.user.id : null,
-      toUser: action === 'release' ? req.user.id : null,
-      amount,
-      type: action === 'deposit' ? 'escrow_deposit' : 'escrow_release',
-      status: 'completed',
-      description: description || `Escrow ${action}`,
-      job: jobId,
-      gig: gigId
+    const { action, jobId, gigId, description } = req.body;
+    const amount = Number(req.body.amount);
+    const currency = await resolveWalletCurrency(req.body.currency);
+
+    const available = userAccountKey(req.user.id, 'available', currency);
+    const escrow = userAccountKey(req.user.id, 'escrow', currency);
+
+    const transaction = await withLedgerTransaction(async (session) => {
+      const [created] = await Transaction.create([{
+        fromUser: action === 'deposit' ? req.user.id : null,
+        toUser: action === 'release' ? req.user.id : null,
+        amount,
+        currency,
+        type: action === 'deposit' ? 'escrow_deposit' : 'escrow_release',
+        status: 'completed',
+        description: description || `Escrow ${action}`,
+        job: jobId,
+        gig: gigId
+      }], { session });
+
+      // deposit: balance -> escrow, release: escrow -> balance
+      await postJournalEntry({
+        type: action === 'deposit' ? 'escrow_deposit' : 'escrow_release',
+        description: created.description,
+        transaction: created._id,
+        createdBy: req.user.id,
+        lines: [
+          { account: action === 'deposit' ? available : escrow, debit: amount },
+          { account: action === 'deposit' ? escrow : available, credit: amount }
+        ]
+      }, session);
+
+      return created;
     });
 
-    await transaction.save();
-
+    const { balance, escrowBalance } = await getWalletBalances(req.user.id, currency);
     res.json({
       message: `Escrow ${action} successful`,
-      newBalance: user.wallet.balance,
-      newEscrowBalance: user.wallet.escrowBalance,
+      currency,
+      newBalance: balance,
+      newEscrowBalance: escrowBalance,
       transaction
     });
   } catch (error) {
+    if (error instanceof LedgerError || error instanceof TokenError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -476,6 +533,15 @@ router.post('/transactions/onchain', [
       return res.status(400).json({ error: 'Transaction already exists' });
     }
 
+    // Prefer the registry's symbol for known token contracts
+    let symbol = tokenSymbol || 'ETH';
+    if (tokenAddress) {
+      const registered = await Token.findOne({ address: tokenAddress.toLowerCase() }).select('symbol');
+      if (registered) {
+        symbol = registered.symbol;
+      }
+    }
+
     // Determine which wallet address to use: 
     // For email users, use connectedWalletAddress if available, otherwise walletAddress
     // For wallet users, use walletAddress
@@ -503,16 +569,17 @@ router.post('/transactions/onchain', [
       toUser: isToUser ? req.user.id : null,
       amount,
       type,
-      status: 'completed',
+      // Completed once the chain verifier has checked the txHash
+      status: 'pending',
       description: description || `On-chain ${type}`,
       txHash,
-      tokenSymbol: tokenSymbol || 'ETH',
+      tokenSymbol: symbol,
       fromAddress,
       toAddress,
       blockNumber,
       gasUsed,
       isOnChain: true,
-      currency: tokenSymbol || 'ETH',
+      currency: symbol,
       direction
     };
 
@@ -572,6 +639,43 @@ router.post('/transactions/onchain', [
   }
 });
 
+// @route   POST /api/wallet/transactions/:id/verify
+// @desc    Re-check an on-chain transaction against the configured RPC node
+// @access  Private (sender or recipient)
+router.post('/transactions/:id/verify', auth, async (req, res) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const isParty = [transaction.fromUser, transaction.toUser]
+      .some(userId => userId && userId.toString() === req.user.id);
+    if (!isParty) {
+      return res.status(403).json({ error: 'Not authorized to verify this transaction' });
+    }
+
+    if (!transaction.isOnChain || !transaction.txHash) {
+      return res.status(400).json({ error: 'Only on-chain transactions can be verified' });
+    }
+
+    const verification = await verifyTransaction(transaction, { io: req.app.get('io') });
+
+    res.json({
+      transactionId: transaction._id,
+      txHash: transaction.txHash,
+      status: transaction.status,
+      verification
+    });
+  } catch (error) {
+    if (error instanceof ChainVerificationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Verify transaction error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   POST /api/wallet/connect
 // @desc    Connect wallet address for email-logged users
 // @access  Private
@@ -9,8 +9,21 @@ const path = require('path');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
-const cron = require("node-cron");
-const { router: ethPriceRouter, updateEthPrice } = require("./routes/ethPrice");
+const { router: ethPriceRouter } = require("./routes/ethPrice");
+const { socketAuth } = require('./middleware/auth');
+const { userRoom, emitToUser, emitToUsers, isChatParticipant } = require('./utils/socketRooms');
+const { handlePresenceConnect, handlePresenceDisconnect, resetPresence } = require('./utils/presence');
+const { ensureDefaultTokens } = require('./utils/tokens');
+const { enqueueJob, startWorker } = require('./utils/jobQueue');
+const { scheduleRecurringJobs } = require('./utils/backgroundJobs');
+const {
+  ChatMessageError,
+  REPLY_PREVIEW_FIELDS,
+  resolveReplyTo,
+  editMessage,
+  deleteMessage,
+  toggleReaction
+} = require('./utils/chatMessages');
 
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
@@ -25,19 +38,13 @@ const deployerRoutes = require('./routes/deployer');
 const searchRoutes = require('./routes/search');
 const stakingRoutes = require('./routes/staking');
 const blogRoutes = require('./routes/blogs');
+const tokenRoutes = require('./routes/tokens');
+const invoiceRoutes = require('./routes/invoices');
+const statementRoutes = require('./routes/statements');
 // ethPrice router is imported above as ethPriceRouter
 
 
 
-// Update ETH price every 5 minutes
-cron.schedule("*/5 * * * *", async () => {
-  console.log("Updating ETH price from CoinGecko...");
-  await updateEthPrice();
-});
-
-// Fetch once on startup
-updateEthPrice();
-
 const app = express();
 const server = createServer(app);
 
@@ -59,6 +66,12 @@ const io = new Server(server, {
 // Make io available to routes
 app.set('io', io);
 
+// Background jobs run in this process unless JOB_WORKER=off, in which case `npm run worker` runs them
+if (process.env.JOB_WORKER !== 'off') {
+  scheduleRecurringJobs();
+  startWorker({ io });
+}
+
 const corsOptions = {
   origin: (origin, callback) => {
     // Allow requests with no origin (like mobile apps or curl requests)
@@ -78,8 +91,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Disposition']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Id', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Disposition', 'Idempotent-Replayed']
 };
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
@@ -121,6 +134,16 @@ const mongoOptions = {
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/workloobnew', mongoOptions)
 .then(() => {
   console.log('Connected to MongoDB');
+
+  resetPresence().catch((err) => {
+    console.error('Error resetting presence:', err);
+  });
+
+  ensureDefaultTokens()
+    .then(() => enqueueJob('prices.update', {}, { uniqueKey: 'recurring:prices.update' }))
+    .catch((err) => {
+      console.error('Error registering default tokens:', err);
+    });
   
   // Set up connection event handlers
   mongoose.connection.on('error', (err) => {
@@ -180,50 +203,106 @@ app.use('/api/deployer', deployerRoutes);
 app.use('/api/staking', stakingRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/blogs', blogRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/statements', statementRoutes);
 app.use('/api/ethprice', ethPriceRouter);
 // Alias route for Escrowintegration.js compatibility
 app.use('/api/v1/price', ethPriceRouter);
 
 // Socket.IO for real-time messaging
+// Every connection must present a valid access token whose session has not been revoked
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  const userId = socket.data.user._id.toString();
+  console.log('User connected:', socket.id, 'user:', userId);
+
+  // Private room for notifications and unread counts addressed to this user
+  socket.join(userRoom(userId));
+
+  handlePresenceConnect(io, userId).catch((err) => {
+    console.error('Error updating presence on connect:', err);
+  });
+
+  // Join chat room (participants only)
+  socket.on('join-chat', async (chatId) => {
+    try {
+      const Chat = require('./models/Chat');
+      const chat = mongoose.Types.ObjectId.isValid(chatId)
+        ? await Chat.findById(chatId).select('participants')
+        : null;
+
+      if (!chat || !isChatParticipant(chat, userId)) {
+        socket.emit('error', { message: 'Not authorized to join this chat', chatId });
+        return;
+      }
 
-  // Join chat room
-  socket.on('join-chat', (chatId) => {
-    socket.join(chatId);
-    console.log(`User ${socket.id} joined chat ${chatId}`);
+      socket.join(chatId.toString());
+      console.log(`User ${userId} joined chat ${chatId}`);
+    } catch (error) {
+      console.error('Error joining chat:', error);
+      socket.emit('error', { message: 'Failed to join chat', chatId });
+    }
   });
 
   // Leave chat room
   socket.on('leave-chat', (chatId) => {
     socket.leave(chatId);
-    console.log(`User ${socket.id} left chat ${chatId}`);
+    console.log(`User ${userId} left chat ${chatId}`);
   });
 
+  // Typing indicators are only relayed to chats this socket has joined
+  const relayTyping = (event) => (data) => {
+    const chatId = (data?.chatId || data)?.toString();
+    if (!chatId || !socket.rooms.has(chatId)) return;
+
+    socket.to(chatId).emit(event, {
+      chatId,
+      userId,
+      username: socket.data.user.username
+    });
+  };
+
+  socket.on('typing', relayTyping('typing'));
+  socket.on('stop-typing', relayTyping('stop-typing'));
+
   // Handle new message
   socket.on('send-message', async (data) => {
     try {
-      const { chatId, senderId, content, type } = data;
+      const { chatId, content, type, replyTo: replyToId } = data;
+      // The sender is always the authenticated user, never a client-supplied id
+      const senderId = userId;
       
       // Store message in database
       const Message = require('./models/Message');
       const Chat = require('./models/Chat');
       const Notification = require('./models/Notification');
+
+      const chat = mongoose.Types.ObjectId.isValid(chatId)
+        ? await Chat.findById(chatId)
+          .populate('job', 'title')
+          .populate('gig', 'title')
+        : null;
+      if (!chat || !isChatParticipant(chat, senderId)) {
+        socket.emit('error', { message: 'Not authorized to send messages in this chat' });
+        return;
+      }
+
+      const replyTo = await resolveReplyTo(chat, replyToId);
       
       const message = new Message({
         chatId,
         senderId,
         content,
         type,
+        replyTo,
         timestamp: new Date()
       });
       await message.save();
+      await message.populate('replyTo', REPLY_PREVIEW_FIELDS);
 
       // Update chat's last message and unread counts
-      const chat = await Chat.findById(chatId)
-        .populate('job', 'title')
-        .populate('gig', 'title');
-        
       if (chat) {
         // Get sender info for notifications
         const User = require('./models/User');
@@ -237,30 +316,15 @@ io.on('connection', (socket) => {
 
         // Increment unread count for all participants except sender and create notifications
         const notificationPromises = [];
-        const emailPromises = [];
-        const { sendNotificationEmail } = require('./utils/emailService');
-        
-        // Fetch all recipients to check their preferences
         const recipientIds = chat.participants
           .filter(p => p.user.toString() !== senderId)
           .map(p => p.user);
-        
-        const recipients = await User.find({ _id: { $in: recipientIds } })
-          .select('notificationEmail preferences.notifications');
-        
-        const recipientMap = new Map();
-        recipients.forEach(r => recipientMap.set(r._id.toString(), r));
-        
+
         chat.participants.forEach(participant => {
           if (participant.user.toString() !== senderId) {
             const currentCount = chat.unreadCount.get(participant.user.toString()) || 0;
             chat.unreadCount.set(participant.user.toString(), currentCount + 1);
 
-            const recipient = recipientMap.get(participant.user.toString());
-            const shouldSendEmail = recipient?.preferences?.notifications?.email && 
-                                   recipient?.preferences?.notifications?.chat &&
-                                   recipient?.notificationEmail;
-
             // Create notification for the recipient
             const notification = new Notification({
               user: participant.user,
@@ -274,47 +338,12 @@ io.on('connection', (socket) => {
                 messageId: message._id
               }
             });
-            notificationPromises.push(notification.save());
-
-            // Send email if chat notifications are enabled and email notifications are enabled
-            if (shouldSendEmail) {
-              const actionUrl = `/chats/${chatId}`;
-              emailPromises.push(
-                sendNotificationEmail({
-                  to: recipient.notificationEmail,
-                  subject: 'New Message on Workloob',
-                  title: 'New Message',
-                  message: `${sender?.username || 'Someone'} sent you a message${chat.job ? ` about "${chat.job.title}"` : chat.gig ? ` about "${chat.gig.title}"` : ''}`,
-                  actionUrl: actionUrl,
-                  actionText: 'View Message'
-                }).then(result => {
-                  if (!result.success) {
-                    console.error('Failed to send email notification:', {
-                      to: recipient.notificationEmail,
-                      error: result.error,
-                      details: result.details
-                    });
-                  }
-                  return result;
-                }).catch(err => {
-                  console.error('Exception sending email notification:', {
-                    to: recipient.notificationEmail,
-                    error: err.message,
-                    code: err.code,
-                    responseCode: err.responseCode
-                  });
-                  // Don't fail the whole operation if email fails
-                  return { success: false, error: err.message };
-                })
-              );
-            } else {
-              console.log('Email not sent for user:', {
-                userId: recipient._id,
-                hasEmail: !!recipient.notificationEmail,
-                emailEnabled: recipient?.preferences?.notifications?.email,
-                chatEnabled: recipient?.preferences?.notifications?.chat
-              });
-            }
+
+            // Email goes out from the job queue once the recipient's preferences are checked
+            notificationPromises.push(notification.save().then(saved =>
+              enqueueJob('notifications.email', { notificationId: saved._id.toString() })
+                .catch(err => console.error('Error queueing notification email:', err.message))
+            ));
           }
         });
 
@@ -323,17 +352,12 @@ io.on('connection', (socket) => {
         // Save all notifications
         await Promise.all(notificationPromises);
         
-        // Send emails (don't await to avoid blocking)
-        Promise.all(emailPromises).catch(err => {
-          console.error('Error sending email notifications:', err);
-        });
-        
-        // Emit unread count update for all participants except sender
-        chat.participants.forEach(participant => {
-          if (participant.user.toString() !== senderId) {
-            io.emit('unread-count-updated', { userId: participant.user.toString() });
-          }
+        // Emit unread count and notification updates only to the recipients
+        const recipientUserIds = recipientIds.map(id => id.toString());
+        recipientUserIds.forEach(recipientId => {
+          emitToUser(io, recipientId, 'unread-count-updated', { userId: recipientId });
         });
+        emitToUsers(io, recipientUserIds, 'new-notification');
       }
 
       // Broadcast message to all users in the chat room
@@ -343,6 +367,7 @@ io.on('connection', (socket) => {
         senderId,
         content,
         type,
+        replyTo: message.replyTo,
         timestamp: message.timestamp
       });
 
@@ -353,17 +378,58 @@ io.on('connection', (socket) => {
         content: content.substring(0, 50) + '...'
       });
 
-      // Emit notification event
-      io.emit('new-notification');
-      
     } catch (error) {
+      if (error instanceof ChatMessageError) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
       console.error('Error sending message:', error);
       socket.emit('error', { message: 'Failed to send message' });
     }
   });
 
+  // Edit, delete and react share the REST handlers' rules and broadcasts
+  const handleMessageChange = (action, label) => async (data = {}) => {
+    try {
+      const Chat = require('./models/Chat');
+      const chat = mongoose.Types.ObjectId.isValid(data.chatId)
+        ? await Chat.findById(data.chatId)
+        : null;
+      if (!chat) {
+        socket.emit('error', { message: 'Chat not found', chatId: data.chatId });
+        return;
+      }
+
+      await action({ ...data, io, chat, userId });
+    } catch (error) {
+      if (error instanceof ChatMessageError) {
+        socket.emit('error', { message: error.message, chatId: data.chatId });
+        return;
+      }
+      console.error(`Error trying to ${label}:`, error);
+      socket.emit('error', { message: `Failed to ${label}`, chatId: data.chatId });
+    }
+  };
+
+  socket.on('edit-message', handleMessageChange(editMessage, 'edit message'));
+  socket.on('delete-message', handleMessageChange(deleteMessage, 'delete message'));
+  socket.on('react-message', handleMessageChange(toggleReaction, 'react to message'));
+
+  // Clear typing indicators in every chat this socket was still in
+  socket.on('disconnecting', () => {
+    socket.rooms.forEach((room) => {
+      if (mongoose.Types.ObjectId.isValid(room)) {
+        socket.to(room).emit('stop-typing', { chatId: room, userId });
+      }
+    });
+  });
+
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
+
+    handlePresenceDisconnect(io, userId).catch((err) => {
+      console.error('Error updating presence on disconnect:', err);
+    });
   });
 });
 
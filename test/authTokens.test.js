@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { query, objectId } = require('./helpers');
+const Session = require('../models/Session');
+const { createSession, rotateSession } = require('../utils/authTokens');
+
+const request = () => ({ body: { deviceId: 'laptop' }, header: () => '', ip: '127.0.0.1' });
+
+// One session kept in memory; findOneAndUpdate applies only when every filter field matches, as MongoDB would
+const useSessionStore = (t) => {
+  const store = {};
+  const matches = filter => store.session &&
+    store.session._id.toString() === filter._id.toString() &&
+    (filter.refreshTokenHash === undefined || store.session.refreshTokenHash === filter.refreshTokenHash) &&
+    (filter.revokedAt === undefined || store.session.revokedAt === filter.revokedAt) &&
+    (!filter.expiresAt || store.session.expiresAt > filter.expiresAt.$gt);
+
+  t.mock.method(Session, 'updateMany', async () => ({}));
+  t.mock.method(Session.prototype, 'save', async function() {
+    store.session = this;
+    return this;
+  });
+  t.mock.method(Session, 'findOneAndUpdate', (filter, update) => query(async () => {
+    // Let concurrent callers interleave between the read and the write
+    await new Promise(resolve => setImmediate(resolve));
+    if (!matches(filter)) return null;
+    store.session.set(update.$set);
+    return store.session;
+  }));
+  // Reads return their own copy, like separate queries would
+  t.mock.method(Session, 'findById', () => query(() => store.session && Session.hydrate(store.session.toObject())));
+  t.mock.method(Session, 'updateOne', async (filter, update) => {
+    if (matches(filter)) store.session.set(update);
+  });
+  return store;
+};
+
+test('a refresh token rotates once and the old one is then rejected as reuse', async (t) => {
+  const store = useSessionStore(t);
+  const { refreshToken } = await createSession({ _id: objectId() }, request(), 'email');
+
+  const rotated = await rotateSession(refreshToken);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+  assert.equal(store.session.revokedAt, null);
+
+  await assert.rejects(rotateSession(refreshToken), { name: 'AuthTokenError', message: 'Refresh token has already been used. Session revoked.' });
+  assert.equal(store.session.revokedReason, 'refresh_reuse');
+  await assert.rejects(rotateSession(rotated.refreshToken), { message: 'Session has expired or been revoked' });
+});
+
+test('two concurrent refreshes with the same token cannot both succeed', async (t) => {
+  const store = useSessionStore(t);
+  const { refreshToken } = await createSession({ _id: objectId() }, request(), 'wallet');
+
+  const results = await Promise.allSettled([rotateSession(refreshToken), rotateSession(refreshToken)]);
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(store.session.revokedReason, 'refresh_reuse');
+});
+
+test('malformed refresh tokens are rejected before any lookup', async (t) => {
+  useSessionStore(t);
+  await assert.rejects(rotateSession('not-a-token'), { status: 401, message: 'Invalid refresh token' });
+  assert.equal(Session.findOneAndUpdate.mock.callCount(), 0);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { objectId } = require('./helpers');
+const { hashBallot } = require('../utils/governance');
+
+const ballot = () => ({
+  proposalId: objectId(),
+  userId: objectId(),
+  vote: 'client_refund',
+  salt: 'a-long-random-salt-value'
+});
+
+test('hashBallot is the sha256 hex of "<proposalId>:<userId>:<vote>:<salt>"', () => {
+  const input = ballot();
+  const expected = crypto
+    .createHash('sha256')
+    .update(`${input.proposalId}:${input.userId}:${input.vote}:${input.salt}`)
+    .digest('hex');
+
+  assert.equal(hashBallot(input), expected);
+  // Ids may arrive as ObjectIds or strings
+  assert.equal(hashBallot({ ...input, proposalId: input.proposalId.toString(), userId: input.userId.toString() }), expected);
+});
+
+test('a reveal only matches the commitment it was made with', () => {
+  const input = ballot();
+  const commitment = hashBallot(input);
+
+  assert.equal(hashBallot({ ...input }), commitment);
+  assert.notEqual(hashBallot({ ...input, vote: 'talent_refund' }), commitment);
+  assert.notEqual(hashBallot({ ...input, salt: `${input.salt}x` }), commitment);
+  // Bound to the proposal and the voter, so a commitment cannot be replayed elsewhere
+  assert.notEqual(hashBallot({ ...input, proposalId: objectId() }), commitment);
+  assert.notEqual(hashBallot({ ...input, userId: objectId() }), commitment);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { query, objectId } = require('./helpers');
+const Message = require('../models/Message');
+const {
+  resolveReplyTo,
+  editMessage,
+  deleteMessage,
+  toggleReaction
+} = require('../utils/chatMessages');
+
+const buildChat = () => {
+  const client = objectId();
+  const talent = objectId();
+  return {
+    _id: objectId(),
+    client,
+    talent,
+    participants: [{ user: client }, { user: talent }],
+    lastMessage: null,
+    saved: 0,
+    async save() {
+      this.saved += 1;
+    }
+  };
+};
+
+// Serves `messages` by id within the chat; `latest` answers the last-message lookup
+const useMessages = (t, messages, latest = messages[messages.length - 1]) => {
+  messages.forEach((message) => {
+    message.save = async () => message;
+  });
+  t.mock.method(Message, 'findOne', (filter) => {
+    if (!filter._id) return query(latest);
+    return query(messages.find(message => (
+      message._id.toString() === filter._id.toString() &&
+      message.chatId.toString() === filter.chatId.toString()
+    )) || null);
+  });
+};
+
+// Records what each room was sent
+const fakeIo = () => {
+  const sent = [];
+  return {
+    sent,
+    to: room => ({ emit: (event, payload) => sent.push({ room, event, payload }) })
+  };
+};
+
+test('editing keeps the previous content and refreshes the chat preview', async (t) => {
+  const chat = buildChat();
+  const message = new Message({ chatId: chat._id, senderId: chat.client, content: 'Scope: 3 pages' });
+  useMessages(t, [message]);
+  const io = fakeIo();
+
+  const edited = await editMessage({ io, chat, messageId: message._id, userId: chat.client, content: ' Scope: 4 pages ' });
+
+  assert.equal(edited.content, 'Scope: 4 pages');
+  assert.ok(edited.editedAt instanceof Date);
+  assert.deepEqual(edited.editHistory.map(entry => entry.content), ['Scope: 3 pages']);
+  assert.equal(chat.lastMessage.content, 'Scope: 4 pages');
+  assert.equal(chat.saved, 1);
+  assert.deepEqual(io.sent.map(({ room, event }) => [room, event]), [[chat._id.toString(), 'message-updated']]);
+});
+
+test('only the sender can edit, and not once the message is deleted', async (t) => {
+  const chat = buildChat();
+  const message = new Message({ chatId: chat._id, senderId: chat.client, content: 'Hello' });
+  useMessages(t, [message]);
+
+  await assert.rejects(
+    editMessage({ chat, messageId: message._id, userId: chat.talent, content: 'Changed' }),
+    { name: 'ChatMessageError', status: 403, message: 'You can only edit your own messages' }
+  );
+  await assert.rejects(
+    editMessage({ chat, messageId: message._id, userId: objectId(), content: 'Changed' }),
+    { status: 403, message: 'Not authorized to access this chat' }
+  );
+
+  message.deletedForEveryone = true;
+  await assert.rejects(
+    editMessage({ chat, messageId: message._id, userId: chat.client, content: 'Changed' }),
+    { message: 'This message can no longer be edited' }
+  );
+  assert.equal(message.editHistory.length, 0);
+});
+
+test('deleting for everyone hides the content in the preview and for every participant', async (t) => {
+  const chat = buildChat();
+  const message = new Message({ chatId: chat._id, senderId: chat.client, content: 'Wrong file' });
+  useMessages(t, [message]);
+  const io = fakeIo();
+
+  await assert.rejects(
+    deleteMessage({ chat, messageId: message._id, userId: chat.talent, scope: 'everyone' }),
+    { status: 403 }
+  );
+
+  const deleted = await deleteMessage({ io, chat, messageId: message._id, userId: chat.client, scope: 'everyone' });
+  assert.equal(deleted.deletedForEveryone, true);
+  assert.ok(deleted.deletedAt instanceof Date);
+  assert.equal(chat.lastMessage.content, 'This message was deleted');
+  assert.equal(deleted.toJSON().content, '');
+  assert.deepEqual(io.sent.map(({ room, event }) => [room, event]), [[chat._id.toString(), 'message-deleted']]);
+});
+
+test('deleting for me only hides the message for that user', async (t) => {
+  const chat = buildChat();
+  const message = new Message({ chatId: chat._id, senderId: chat.client, content: 'Draft terms' });
+  useMessages(t, [message]);
+  const io = fakeIo();
+
+  await deleteMessage({ io, chat, messageId: message._id, userId: chat.talent, scope: 'me' });
+  await deleteMessage({ io, chat, messageId: message._id, userId: chat.talent, scope: 'me' });
+
+  assert.deepEqual(message.deletedFor.map(String), [chat.talent.toString()]);
+  assert.equal(message.deletedForEveryone, false);
+  assert.deepEqual(io.sent.map(({ room }) => room), [`user:${chat.talent}`, `user:${chat.talent}`]);
+  await assert.rejects(
+    deleteMessage({ chat, messageId: message._id, userId: chat.talent, scope: 'all' }),
+    { message: 'Scope must be "everyone" or "me"' }
+  );
+});
+
+test('a reply can only quote a message from the same chat', async (t) => {
+  const chat = buildChat();
+  const quoted = new Message({ chatId: chat._id, senderId: chat.talent, content: 'Quote: 1200 USD' });
+  const elsewhere = new Message({ chatId: objectId(), senderId: chat.talent, content: 'Other chat' });
+  useMessages(t, [quoted, elsewhere]);
+
+  assert.equal(await resolveReplyTo(chat, undefined), null);
+  assert.equal((await resolveReplyTo(chat, quoted._id.toString())).toString(), quoted._id.toString());
+  await assert.rejects(resolveReplyTo(chat, elsewhere._id.toString()), { status: 404, message: 'Message not found' });
+  await assert.rejects(resolveReplyTo(chat, 'not-an-id'), { status: 400, message: 'Invalid message ID' });
+});
+
+test('reacting twice with the same emoji removes the reaction', async (t) => {
+  const chat = buildChat();
+  const message = new Message({ chatId: chat._id, senderId: chat.client, content: 'Deal?' });
+  useMessages(t, [message]);
+  const io = fakeIo();
+
+  await toggleReaction({ io, chat, messageId: message._id, userId: chat.talent, emoji: '👍' });
+  await toggleReaction({ io, chat, messageId: message._id, userId: chat.client, emoji: '👍' });
+  assert.deepEqual(message.reactions.map(r => r.user.toString()), [chat.talent.toString(), chat.client.toString()]);
+
+  await toggleReaction({ io, chat, messageId: message._id, userId: chat.talent, emoji: '👍' });
+  assert.deepEqual(message.reactions.map(r => r.user.toString()), [chat.client.toString()]);
+  assert.equal(io.sent.length, 3);
+  assert.equal(io.sent[2].event, 'message-reaction');
+
+  await assert.rejects(
+    toggleReaction({ chat, messageId: message._id, userId: chat.talent, emoji: 'ok' }),
+    { message: 'A single emoji is required' }
+  );
+});
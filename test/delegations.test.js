@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { query, objectId } = require('./helpers');
+const Delegation = require('../models/Delegation');
+const User = require('../models/User');
+const { createDelegation } = require('../utils/delegations');
+
+// Active delegations as { delegator, delegate, scope }; createDelegation adds to the list
+const useDelegations = (t, delegations) => {
+  const matches = (entry, filter) => entry.delegator === filter.delegator.toString() &&
+    (!filter.scope?.$in || filter.scope.$in.includes(entry.scope)) &&
+    (!filter.scope?.$ne || entry.scope !== filter.scope.$ne);
+
+  t.mock.method(User, 'findById', () => query({ isActive: true, stats: { activityPoints: 50 } }));
+  t.mock.method(Delegation, 'find', filter => query(() => delegations.filter(entry => matches(entry, filter))));
+  t.mock.method(Delegation, 'distinct', async (field, filter) => (
+    delegations.filter(entry => matches(entry, filter)).map(entry => entry[field])
+  ));
+  t.mock.method(Delegation, 'updateOne', async () => ({}));
+  t.mock.method(Delegation, 'create', async (doc) => {
+    const created = { ...doc, delegator: doc.delegator.toString(), delegate: doc.delegate.toString() };
+    delegations.push(created);
+    return created;
+  });
+};
+
+const users = () => Array.from({ length: 3 }, () => objectId().toString());
+
+test('a delegation back to the delegator is rejected as a cycle', async (t) => {
+  const [alice, bob] = users();
+  useDelegations(t, [{ delegator: bob, delegate: alice, scope: 'all' }]);
+
+  await assert.rejects(
+    createDelegation({ delegatorId: alice, delegateId: bob, scope: 'dispute' }),
+    { name: 'DelegationError', status: 409, message: 'This delegation would create a cycle for dispute proposals' }
+  );
+});
+
+test('cycles are found through longer chains', async (t) => {
+  const [alice, bob, carol] = users();
+  useDelegations(t, [
+    { delegator: bob, delegate: carol, scope: 'all' },
+    { delegator: carol, delegate: alice, scope: 'all' }
+  ]);
+
+  await assert.rejects(createDelegation({ delegatorId: alice, delegateId: bob, scope: 'all' }), { status: 409 });
+});
+
+test('a category delegation elsewhere breaks the chain for that category only', async (t) => {
+  const [alice, bob, carol] = users();
+  useDelegations(t, [
+    { delegator: bob, delegate: alice, scope: 'all' },
+    { delegator: bob, delegate: carol, scope: 'dispute' }
+  ]);
+
+  const created = await createDelegation({ delegatorId: alice, delegateId: bob, scope: 'dispute' });
+  assert.equal(created.delegate, bob);
+
+  await assert.rejects(createDelegation({ delegatorId: alice, delegateId: bob, scope: 'policy' }), { status: 409 });
+});
+
+test('an existing loop that does not lead back to the delegator is not a cycle for them', async (t) => {
+  const [alice, bob, carol] = users();
+  useDelegations(t, [
+    { delegator: bob, delegate: carol, scope: 'all' },
+    { delegator: carol, delegate: bob, scope: 'all' }
+  ]);
+
+  const created = await createDelegation({ delegatorId: alice, delegateId: bob, scope: 'all' });
+  assert.equal(created.scope, 'all');
+});
+
+test('delegating to yourself is rejected before any lookup', async (t) => {
+  const [alice] = users();
+  useDelegations(t, []);
+
+  await assert.rejects(createDelegation({ delegatorId: alice, delegateId: alice }), { message: 'You cannot delegate to yourself' });
+  assert.equal(User.findById.mock.callCount(), 0);
+});
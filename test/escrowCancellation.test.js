@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { objectId } = require('./helpers');
+const ledger = require('../utils/ledger');
+
+// Settlement runs without a replica set here and keeps its journal entries in memory;
+// replaced before escrowCancellation takes its reference
+ledger.withLedgerTransaction = work => work(null);
+const journal = [];
+ledger.postJournalEntry = async (entry) => {
+  journal.push(entry);
+  return entry;
+};
+
+const Transaction = require('../models/Transaction');
+const Order = require('../models/Order');
+const {
+  CancellationError,
+  getEscrowRemaining,
+  splitRemainingEscrow,
+  settleCancellation
+} = require('../utils/escrowCancellation');
+
+const buildChat = (escrow = {}) => ({
+  _id: objectId(),
+  escrow: {
+    deposit: {
+      amountUSD: 1000,
+      amountToken: 0.5,
+      token: { symbol: 'ETH', address: null, decimals: 18 },
+      fromAddress: '0xclient',
+      toAddress: '0xtalent'
+    },
+    disbursements: [],
+    ...escrow
+  },
+  saved: 0,
+  markModified() {},
+  async save() {
+    this.saved += 1;
+  }
+});
+
+const participants = () => ({
+  client: { user: { _id: objectId() } },
+  talent: { user: { _id: objectId() } }
+});
+
+test('getEscrowRemaining subtracts partial disbursements in USD and tokens', () => {
+  const chat = buildChat({ disbursements: [{ amountUSD: 250, amountToken: 0.125 }] });
+  const remaining = getEscrowRemaining(chat);
+  assert.equal(remaining.amountUSD, 750);
+  assert.equal(remaining.amountToken, 0.375);
+  assert.equal(remaining.token.symbol, 'ETH');
+});
+
+test('splitRemainingEscrow refunds everything by default and splits tokens in proportion', () => {
+  const chat = buildChat();
+  assert.deepEqual(splitRemainingEscrow(chat), {
+    refundUSD: 1000,
+    talentUSD: 0,
+    refundToken: 0.5,
+    talentToken: 0,
+    tokenSymbol: 'ETH'
+  });
+
+  const split = splitRemainingEscrow(chat, 400);
+  assert.equal(split.refundUSD, 400);
+  assert.equal(split.talentUSD, 600);
+  assert.equal(split.refundToken, 0.2);
+  assert.equal(split.talentToken, 0.3);
+});
+
+test('splitRemainingEscrow rejects refunds outside what is left in escrow', () => {
+  const chat = buildChat({ disbursements: [{ amountUSD: 1000, amountToken: 0.5 }] });
+  assert.throws(() => splitRemainingEscrow(chat), { name: 'CancellationError', message: 'Nothing is left in escrow to refund' });
+  assert.throws(() => splitRemainingEscrow(buildChat(), 1000.01), /refundUSD must be between 0 and 1000/);
+  assert.throws(() => splitRemainingEscrow(buildChat(), -1), CancellationError);
+});
+
+test('settleCancellation records the refund and the talent payout and closes the chat', async (t) => {
+  const created = [];
+  t.mock.method(Transaction, 'create', async ([doc]) => {
+    created.push(doc);
+    return [{ _id: objectId(), ...doc }];
+  });
+  const orderUpdates = t.mock.method(Order, 'updateMany', async () => ({}));
+  journal.length = 0;
+
+  const chat = buildChat();
+  chat.escrow.cancellation = { kind: 'mutual', status: 'agreed', ...splitRemainingEscrow(chat, 400) };
+  const { client, talent } = participants();
+
+  const { refund, payout } = await settleCancellation({
+    chat,
+    client,
+    talent,
+    fee: { feeUSD: 30 },
+    txHash: '0xsettle',
+    fromAddress: '0xclient',
+    description: 'Logo design',
+    userId: client.user._id
+  });
+
+  assert.equal(refund.type, 'refund');
+  assert.equal(refund.amount, 400);
+  assert.equal(refund.toAddress, '0xclient');
+  assert.equal(refund.metadata.amountToken, 0.2);
+  assert.equal(payout.type, 'escrow_settlement');
+  assert.equal(payout.amount, 600);
+  assert.equal(payout.fees, 30);
+  // Transaction.txHash is unique, so the payout keeps the shared hash in its metadata
+  assert.equal(payout.txHash, undefined);
+  assert.equal(payout.metadata.txHash, '0xsettle');
+
+  // One balanced entry per leg, in the deposit token
+  assert.deepEqual(journal.map(entry => [entry.type, entry.transaction, entry.lines]), [
+    ['escrow_refund', refund._id, [
+      { account: 'platform:escrow_contract:ETH', debit: 0.2 },
+      { account: 'platform:escrow_refunds:ETH', credit: 0.2 }
+    ]],
+    ['escrow_settlement', payout._id, [
+      { account: 'platform:escrow_contract:ETH', debit: 0.3 },
+      { account: 'platform:escrow_payouts:ETH', credit: 0.3 }
+    ]]
+  ]);
+
+  assert.equal(chat.escrow.cancellation.status, 'settled');
+  assert.equal(chat.workflowStatus, 'cancelled');
+  assert.equal(chat.saved, 1);
+  assert.deepEqual(orderUpdates.mock.calls[0].arguments[1], { $set: { status: 'cancelled', 'payment.status': 'refunded' } });
+});
+
+test('settleCancellation answers a txHash that is already recorded with 409', async (t) => {
+  t.mock.method(Transaction, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  const orderUpdates = t.mock.method(Order, 'updateMany', async () => ({}));
+
+  const chat = buildChat();
+  chat.escrow.cancellation = { kind: 'client', status: 'agreed', ...splitRemainingEscrow(chat) };
+  const { client, talent } = participants();
+
+  await assert.rejects(
+    settleCancellation({
+      chat,
+      client,
+      talent,
+      fee: null,
+      txHash: '0xreused',
+      fromAddress: '0xclient',
+      description: 'Logo design',
+      userId: client.user._id
+    }),
+    { name: 'CancellationError', status: 409 }
+  );
+  assert.equal(chat.saved, 0);
+  assert.equal(orderUpdates.mock.callCount(), 0);
+});
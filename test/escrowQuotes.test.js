@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { query, objectId } = require('./helpers');
+const priceOracle = require('../utils/priceOracle');
+
+// Quotes are priced at 2000 USD per ETH; replaced before escrowQuotes takes its reference
+priceOracle.assertFreshPrice = async () => ({ usd: 2000, lastUpdated: new Date() });
+
+const EscrowQuote = require('../models/EscrowQuote');
+const {
+  EscrowQuoteError,
+  createEscrowQuote,
+  redeemEscrowQuote,
+  releaseEscrowQuote
+} = require('../utils/escrowQuotes');
+
+const ETH = { symbol: 'ETH', address: null, decimals: 18, chainId: 1 };
+
+const useQuoteStore = (t) => {
+  const quotes = new Map();
+  t.mock.method(EscrowQuote, 'create', async (data) => {
+    const quote = new EscrowQuote(data);
+    quotes.set(quote._id.toString(), quote);
+    return quote;
+  });
+  t.mock.method(EscrowQuote, 'findById', id => query(() => quotes.get(id.toString()) || null));
+  t.mock.method(EscrowQuote, 'findOneAndUpdate', (filter, update) => query(() => {
+    const quote = quotes.get(filter._id.toString());
+    if (!quote || (filter.usedAt === null && quote.usedAt)) return null;
+    quote.set(update);
+    return quote;
+  }));
+  t.mock.method(EscrowQuote, 'updateOne', async (filter, update) => {
+    const quote = quotes.get(filter._id.toString());
+    if (quote && quote.txHash === filter.txHash) {
+      Object.keys(update.$unset).forEach(path => quote.set(path, undefined));
+    }
+  });
+  return quotes;
+};
+
+const setup = async (t) => {
+  const quotes = useQuoteStore(t);
+  const chat = { _id: objectId() };
+  const userId = objectId().toString();
+  const { quoteId, quote } = await createEscrowQuote({ chat, userId, action: 'deposit', token: ETH, amountUSD: 500 });
+  const redeem = (overrides = {}) => redeemEscrowQuote({
+    quoteId,
+    chat,
+    userId,
+    action: 'deposit',
+    token: ETH,
+    amountUSD: 500,
+    amountToken: 0.25,
+    txHash: '0xabc',
+    ...overrides
+  });
+  return { quotes, quoteId, quote, redeem };
+};
+
+test('createEscrowQuote locks the token amount at the current rate', async (t) => {
+  const { quoteId, quote } = await setup(t);
+  assert.equal(quote.amountToken, 0.25);
+  assert.equal(quote.rate, 2000);
+  assert.match(quoteId, /^[0-9a-f]{24}\.[0-9a-f]{64}$/);
+});
+
+test('a quote can be redeemed once', async (t) => {
+  const { redeem } = await setup(t);
+
+  const redeemed = await redeem();
+  assert.ok(redeemed.usedAt instanceof Date);
+  assert.equal(redeemed.txHash, '0xabc');
+
+  await assert.rejects(redeem({ txHash: '0xdef' }), { name: 'EscrowQuoteError', status: 409 });
+});
+
+test('a forged or mismatched quote is rejected without being used', async (t) => {
+  const { quotes, quoteId, quote, redeem } = await setup(t);
+  const [id] = quoteId.split('.');
+
+  await assert.rejects(redeem({ quoteId: `${id}.${'0'.repeat(64)}` }), { message: 'Invalid quote' });
+  await assert.rejects(redeem({ action: 'disburse' }), { message: 'This quote was not issued for this disburse' });
+  await assert.rejects(redeem({ token: { symbol: 'USDC', address: '0x1' } }), /This quote is for ETH/);
+  await assert.rejects(redeem({ amountToken: 0.3 }), /differs from the quoted 0.25/);
+  await assert.rejects(redeem({ amountUSD: 520 }), /differs from the quoted 500/);
+  assert.equal(quotes.get(quote._id.toString()).usedAt, undefined);
+});
+
+test('an expired quote is rejected', async (t) => {
+  process.env.ESCROW_QUOTE_TTL_SECONDS = '-1';
+  t.after(() => delete process.env.ESCROW_QUOTE_TTL_SECONDS);
+  const { redeem } = await setup(t);
+
+  await assert.rejects(redeem(), error => error instanceof EscrowQuoteError && /expired/.test(error.message));
+});
+
+test('a released quote can be redeemed again', async (t) => {
+  const { redeem } = await setup(t);
+  const redeemed = await redeem();
+
+  await releaseEscrowQuote(redeemed);
+  const again = await redeem({ txHash: '0xdef' });
+  assert.equal(again.txHash, '0xdef');
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { query, objectId } = require('./helpers');
+const ledger = require('../utils/ledger');
+
+// Steps are saved without a replica set here; replaced before escrowRecords takes its reference
+ledger.withLedgerTransaction = work => work(null);
+
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Transaction = require('../models/Transaction');
+const EscrowQuote = require('../models/EscrowQuote');
+const { saveEscrowStep } = require('../utils/escrowRecords');
+
+const buildChat = () => ({
+  _id: objectId(),
+  saved: 0,
+  async save() {
+    this.saved += 1;
+  }
+});
+
+const record = chat => ({
+  fromUser: objectId(),
+  toUser: objectId(),
+  amount: 500,
+  type: 'escrow_deposit',
+  status: 'completed',
+  description: 'Escrow transaction for project — deposit',
+  isOnChain: true,
+  txHash: '0xdeposit',
+  chat: chat._id
+});
+
+test('saveEscrowStep writes the Transaction and the chat together', async (t) => {
+  t.mock.method(Transaction, 'findOneAndUpdate', () => query(null));
+  const created = t.mock.method(Transaction, 'create', async ([doc]) => [{ _id: objectId(), ...doc }]);
+  const chat = buildChat();
+
+  const transaction = await saveEscrowStep(chat, record(chat));
+  assert.equal(transaction.txHash, '0xdeposit');
+  assert.equal(created.mock.callCount(), 1);
+  assert.equal(chat.saved, 1);
+});
+
+test('saveEscrowStep adopts the record the chain indexer built for the txHash', async (t) => {
+  const indexed = { _id: objectId(), txHash: '0xdeposit' };
+  const adopt = t.mock.method(Transaction, 'findOneAndUpdate', () => query(indexed));
+  const created = t.mock.method(Transaction, 'create', async () => []);
+  const chat = buildChat();
+
+  assert.equal(await saveEscrowStep(chat, record(chat)), indexed);
+  assert.deepEqual(adopt.mock.calls[0].arguments[0], { txHash: '0xdeposit', 'metadata.recordedBy': 'chain_indexer' });
+  assert.equal(created.mock.callCount(), 0);
+  assert.equal(chat.saved, 1);
+});
+
+test('a txHash that is already recorded answers 409, leaves the chat unsaved and releases the quote', async (t) => {
+  t.mock.method(Transaction, 'findOneAndUpdate', () => query(null));
+  t.mock.method(Transaction, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  const released = t.mock.method(EscrowQuote, 'updateOne', async () => ({}));
+  const chat = buildChat();
+  const quote = { _id: objectId(), txHash: '0xdeposit' };
+
+  await assert.rejects(saveEscrowStep(chat, record(chat), quote), { name: 'EscrowRecordError', status: 409 });
+  assert.equal(chat.saved, 0);
+  assert.deepEqual(released.mock.calls[0].arguments[0], { _id: quote._id, txHash: '0xdeposit' });
+});
+
+test('a step is refused while an earlier step of the same escrow is on hold', async (t) => {
+  const created = t.mock.method(Transaction, 'create', async ([doc]) => [doc]);
+  t.mock.method(Transaction, 'findOneAndUpdate', () => query(null));
+  const heldMilestone = objectId();
+  const chat = buildChat();
+  chat.escrow = {
+    verificationHolds: [{ txHash: '0xfund', action: 'milestone_fund', milestoneId: heldMilestone, reasons: ['Transaction reverted'] }]
+  };
+
+  await assert.rejects(
+    saveEscrowStep(chat, { ...record(chat), metadata: { milestoneId: heldMilestone.toString() } }),
+    { status: 409, message: /milestone fund transaction 0xfund failed on-chain verification/ }
+  );
+  // Other milestones carry on
+  await saveEscrowStep(chat, { ...record(chat), metadata: { milestoneId: objectId().toString() } });
+  assert.equal(created.mock.callCount(), 1);
+  assert.equal(chat.saved, 1);
+});
+
+test('a rejected escrow txHash puts its escrow on hold once and tells the chat', async (t) => {
+  process.env.CHAIN_RPC_URL = 'http://127.0.0.1:1';
+  const { verifyTransaction, resetProvider } = require('../utils/chainVerifier');
+  t.after(() => {
+    resetProvider();
+    delete process.env.CHAIN_RPC_URL;
+  });
+
+  const chatId = objectId();
+  const updates = [];
+  t.mock.method(Chat, 'updateOne', async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: updates.length === 1 ? 1 : 0 };
+  });
+  t.mock.method(Chat, 'findById', () => query({ _id: chatId, participants: [{ user: objectId() }] }));
+  const messages = t.mock.method(Message, 'create', async doc => ({ _id: objectId(), timestamp: new Date(), ...doc }));
+
+  const transaction = new Transaction({
+    type: 'escrow_deposit',
+    amount: 500,
+    status: 'completed',
+    isOnChain: true,
+    txHash: 'not-a-hash',
+    chat: chatId,
+    metadata: { action: 'deposit' }
+  });
+  transaction.save = async () => transaction;
+
+  await verifyTransaction(transaction);
+  await verifyTransaction(transaction);
+
+  assert.equal(transaction.status, 'failed');
+  assert.equal(transaction.verification.status, 'rejected');
+  assert.deepEqual(updates[0].update.$push['escrow.verificationHolds'].reasons, ['Malformed transaction hash']);
+  assert.equal(messages.mock.callCount(), 1);
+  assert.match(messages.mock.calls[0].arguments[0].content, /deposit transaction not-a-hash failed on-chain verification/);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { query, objectId } = require('./helpers');
+const authTokens = require('../utils/authTokens');
+const User = require('../models/User');
+
+// Every request with a token is this member; replaced before the auth middleware takes its reference
+const member = new User({ username: 'member', email: 'member@example.com', stats: { activityPoints: 500 } });
+authTokens.verifyAccessToken = async () => ({ user: member, session: { _id: objectId() } });
+
+const Config = require('../models/Config');
+const Proposal = require('../models/Proposal');
+const governanceRoutes = require('../routes/governance');
+
+const HOUR = 60 * 60 * 1000;
+const CHOICE = 'client_refund';
+const REASON = 'The talent never delivered the files';
+
+// Dispute with a secret ballot in its reveal phase: one ballot revealed, one still committed
+const buildSecretBallot = ({ finalized = false } = {}) => {
+  const now = Date.now();
+  const voter = objectId();
+  const proposal = new Proposal({
+    title: 'Refund for the logo design',
+    summary: 'Client asks for a refund',
+    description: 'Dispute',
+    proposalType: 'dispute',
+    category: 'dispute',
+    status: finalized ? 'resolved' : 'voting',
+    proposer: objectId(),
+    voting: {
+      startsAt: new Date(now - 48 * HOUR),
+      commitEndsAt: new Date(now - 2 * HOUR),
+      endsAt: new Date(now + (finalized ? -HOUR : HOUR)),
+      ballot: 'commit_reveal',
+      autoFinalized: finalized,
+      extensions: [{ reason: 'tie', previousEndsAt: new Date(now - HOUR), endsAt: new Date(now + HOUR) }]
+    },
+    commits: [
+      { user: voter, commitHash: 'a'.repeat(64), revealedAt: new Date(now - HOUR) },
+      { user: objectId(), commitHash: 'b'.repeat(64) }
+    ],
+    votes: [{ user: voter, vote: CHOICE, reason: REASON, weight: 1, votedAt: new Date(now - 24 * HOUR) }]
+  });
+  proposal.recalculateTallies();
+  return proposal;
+};
+
+const startServer = async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/governance', governanceRoutes);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const base = `http://127.0.0.1:${server.address().port}/api/governance`;
+  return async (path, { token } = {}) => {
+    const response = await fetch(`${base}${path}`, { headers: token ? { Authorization: 'Bearer test' } : {} });
+    return { status: response.status, body: await response.json() };
+  };
+};
+
+const useProposal = (t, proposal) => {
+  t.mock.method(Config, 'getValue', async (key, fallback) => fallback);
+  t.mock.method(User, 'countDocuments', async () => 10);
+  t.mock.method(User, 'findById', () => query(member));
+  t.mock.method(User, 'aggregate', async () => []);
+  t.mock.method(User, 'find', () => query([]));
+  t.mock.method(Proposal, 'findById', () => query(proposal));
+  t.mock.method(Proposal, 'find', () => query([proposal]));
+  t.mock.method(Proposal, 'countDocuments', async () => 1);
+  return t.mock.method(Proposal, 'aggregate', async () => []);
+};
+
+const assertChoicesHidden = (view) => {
+  assert.equal(view.voteTallies, null);
+  view.voteOptions.forEach((option) => {
+    assert.equal(option.votes, null);
+    assert.equal(option.voters, null);
+  });
+  view.votes.forEach((vote) => {
+    assert.equal(vote.vote, null);
+    assert.equal(vote.reason, null);
+  });
+  assert.equal(view.voting.finalDecision, undefined);
+  assert.equal(view.voting.finalization, null);
+  assert.deepEqual(view.voting.extensions.map(extension => extension.reason), [null]);
+  assert.equal(view.voting.reveals, 1);
+  assert.ok(!JSON.stringify(view).includes(REASON));
+};
+
+test('GET /:id hides revealed choices and tallies until the proposal is finalized', async (t) => {
+  useProposal(t, buildSecretBallot());
+  const request = await startServer(t);
+
+  const { status, body } = await request(`/${objectId()}`);
+  assert.equal(status, 200);
+  assertChoicesHidden(body);
+});
+
+test('GET / hides revealed choices and tallies until the proposal is finalized', async (t) => {
+  useProposal(t, buildSecretBallot());
+  const request = await startServer(t);
+
+  const { status, body } = await request('/');
+  assert.equal(status, 200);
+  assert.equal(body.proposals.length, 1);
+  assertChoicesHidden(body.proposals[0]);
+});
+
+test('GET /metrics/activity leaves unfinalized secret ballots out of the vote activity', async (t) => {
+  const aggregate = useProposal(t, buildSecretBallot());
+  const request = await startServer(t);
+
+  const { status } = await request('/metrics/activity', { token: true });
+  assert.equal(status, 200);
+
+  const pipelines = aggregate.mock.calls.map(call => call.arguments[0]);
+  const voteActivity = pipelines.find(pipeline => pipeline.some(stage => stage.$unwind?.path === '$votes'));
+  assert.deepEqual(voteActivity[0], {
+    $match: { $nor: [{ 'voting.ballot': 'commit_reveal', 'voting.autoFinalized': { $ne: true } }] }
+  });
+});
+
+test('GET /:id/snapshot lists every voter\'s eligibility and weight but no choices or wallets', async (t) => {
+  const proposal = buildSecretBallot();
+  proposal.voting.snapshot = { recordedAt: new Date(), takenAt: new Date(), recordedUsers: 2 };
+  proposal.analytics = { totalEligibleVoters: 1, totalEligibleWeight: 1 };
+  useProposal(t, proposal);
+  const VoterSnapshot = require('../models/VoterSnapshot');
+  const entries = [
+    { user: objectId(), walletAddress: '0x' + '1'.repeat(40), lockedStake: 150, eligible: true, weight: 1 },
+    { user: objectId(), walletAddress: '0x' + '2'.repeat(40), lockedStake: 0, eligible: false, ineligibleReason: 'locked_stake', weight: 0 }
+  ];
+  t.mock.method(VoterSnapshot, 'find', () => query(entries));
+  t.mock.method(VoterSnapshot, 'countDocuments', async () => entries.length);
+  t.mock.method(VoterSnapshot, 'aggregate', async () => [{ recordedUsers: 2, eligibleVoters: 1, eligibleWeight: 1 }]);
+  const request = await startServer(t);
+
+  const { status, body } = await request(`/${objectId()}/snapshot`);
+  assert.equal(status, 200);
+  assert.equal(body.you, null);
+  assert.equal(body.consistent, true);
+  assert.deepEqual(body.voters, entries.map(({ user, eligible, weight }) => ({ user: user.toString(), eligible, weight })));
+  assert.equal(body.pagination.total, 2);
+  assert.ok(!JSON.stringify(body).includes('0x'));
+  assert.ok(!JSON.stringify(body).includes(CHOICE));
+});
+
+test('choices, tallies and tie extensions are shown once the proposal is finalized', async (t) => {
+  useProposal(t, buildSecretBallot({ finalized: true }));
+  const request = await startServer(t);
+
+  const { body } = await request(`/${objectId()}`);
+  assert.equal(body.voteTallies[CHOICE], 1);
+  assert.equal(body.voteOptions.find(option => option.id === CHOICE).voters, 1);
+  assert.equal(body.votes[0].vote, CHOICE);
+  assert.equal(body.votes[0].reason, REASON);
+  assert.deepEqual(body.voting.extensions.map(extension => extension.reason), ['tie']);
+});
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Tests stub the model methods they reach; anything left unstubbed fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const CHAIN_METHODS = ['select', 'session', 'populate', 'sort', 'limit', 'skip', 'lean'];
+
+/**
+ * Stand-in for a mongoose Query: chainable like one and resolving to `value`
+ * @param {*} value - Result, or a function returning it (called when the query is awaited)
+ * @returns {Object} Thenable query
+ */
+const query = (value) => {
+  const run = () => Promise.resolve(typeof value === 'function' ? value() : value);
+  const fake = {
+    then: (resolve, reject) => run().then(resolve, reject),
+    catch: reject => run().catch(reject),
+    exec: run
+  };
+  CHAIN_METHODS.forEach((method) => {
+    fake[method] = () => fake;
+  });
+  return fake;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  query,
+  objectId
+};
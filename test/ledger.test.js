@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { query, objectId } = require('./helpers');
+const User = require('../models/User');
+const Token = require('../models/Token');
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerEntry = require('../models/LedgerEntry');
+const {
+  LedgerError,
+  PLATFORM_ACCOUNTS,
+  userAccountKey,
+  platformAccountKey,
+  postJournalEntry
+} = require('../utils/ledger');
+
+// In-memory accounts behind the LedgerAccount, LedgerEntry and User calls postJournalEntry makes
+const useLedgerStore = (t, { wallet = {}, tokenDecimals = 18 } = {}) => {
+  const accounts = new Map();
+  const entries = [];
+  const walletUpdates = [];
+
+  const applyInc = (key, units) => {
+    const account = accounts.get(key);
+    account.balanceUnits = (BigInt(account.balanceUnits) + BigInt(units)).toString();
+    return account;
+  };
+
+  t.mock.method(LedgerAccount, 'findOne', ({ key }) => query(accounts.get(key) || null));
+  t.mock.method(LedgerAccount, 'updateOne', async ({ key }, update) => {
+    if (update.$setOnInsert && !accounts.has(key)) {
+      accounts.set(key, { ...update.$setOnInsert });
+    }
+    if (update.$inc) {
+      if (!accounts.has(key)) {
+        accounts.set(key, { key, kind: 'platform', allowNegative: true, balanceUnits: '0' });
+      }
+      applyInc(key, update.$inc.balanceUnits);
+    }
+  });
+  t.mock.method(LedgerAccount, 'findOneAndUpdate', (filter, update) => query(() => {
+    if (update.$setOnInsert) {
+      const updatedExisting = accounts.has(filter.key);
+      if (!updatedExisting) accounts.set(filter.key, { allowNegative: false, ...update.$setOnInsert });
+      return { value: accounts.get(filter.key), lastErrorObject: { updatedExisting } };
+    }
+    const account = accounts.get(filter.key);
+    if (!account) return null;
+    const minimum = filter.$or?.[1]?.balanceUnits?.$gte;
+    if (minimum !== undefined && !account.allowNegative && BigInt(account.balanceUnits) < BigInt(minimum)) {
+      return null;
+    }
+    return { ...applyInc(filter.key, update.$inc.balanceUnits) };
+  }));
+  t.mock.method(LedgerEntry, 'create', async (docs) => {
+    entries.push(...docs);
+    return docs;
+  });
+  t.mock.method(User, 'findById', id => query({ _id: id, wallet }));
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    walletUpdates.push(update.$set);
+  });
+  t.mock.method(Token, 'findOne', () => query({ decimals: tokenDecimals }));
+
+  return { accounts, entries, walletUpdates };
+};
+
+test('postJournalEntry moves a balanced amount in cents and mirrors USD balances to User.wallet', async (t) => {
+  const store = useLedgerStore(t);
+  const userId = objectId().toString();
+  const available = userAccountKey(userId);
+
+  await postJournalEntry({
+    type: 'deposit',
+    description: 'Deposit',
+    lines: [
+      { account: PLATFORM_ACCOUNTS.deposits, debit: 12.34 },
+      { account: available, credit: 12.34 }
+    ]
+  }, null);
+
+  assert.equal(store.accounts.get(available).balanceUnits, '1234');
+  assert.equal(store.accounts.get(PLATFORM_ACCOUNTS.deposits).balanceUnits, '-1234');
+
+  const [entry] = store.entries;
+  assert.equal(entry.type, 'deposit');
+  assert.equal(entry.currency, 'USD');
+  assert.equal(entry.decimals, 2);
+  assert.deepEqual(entry.lines.map(line => [line.debitUnits, line.creditUnits]), [['1234', '0'], ['0', '1234']]);
+  assert.deepEqual(store.walletUpdates, [{ 'wallet.balance': 12.34 }]);
+});
+
+test('postJournalEntry carries over the wallet balance when it opens a user\'s accounts', async (t) => {
+  const store = useLedgerStore(t, { wallet: { balance: 5, escrowBalance: 1.5 } });
+  const userId = objectId().toString();
+
+  await postJournalEntry({
+    type: 'withdrawal',
+    description: 'Withdrawal',
+    lines: [
+      { account: userAccountKey(userId), debit: 5 },
+      { account: PLATFORM_ACCOUNTS.withdrawals, credit: 5 }
+    ]
+  }, null);
+
+  assert.equal(store.accounts.get(userAccountKey(userId)).balanceUnits, '0');
+  assert.equal(store.accounts.get(userAccountKey(userId, 'escrow')).balanceUnits, '150');
+  assert.equal(store.accounts.get(PLATFORM_ACCOUNTS.openingBalances).balanceUnits, '-650');
+  assert.equal(store.entries[0].type, 'opening_balance');
+});
+
+test('two first deposits at once open a user\'s accounts and carry the balance over only once', async (t) => {
+  const store = useLedgerStore(t, { wallet: { balance: 2 } });
+  const userId = objectId().toString();
+  const deposit = () => postJournalEntry({
+    type: 'deposit',
+    description: 'Deposit',
+    lines: [
+      { account: PLATFORM_ACCOUNTS.deposits, debit: 1 },
+      { account: userAccountKey(userId), credit: 1 }
+    ]
+  }, null);
+
+  await Promise.all([deposit(), deposit()]);
+
+  assert.deepEqual(store.entries.map(entry => entry.type).sort(), ['deposit', 'deposit', 'opening_balance']);
+  assert.equal(store.accounts.get(userAccountKey(userId)).balanceUnits, '400');
+  assert.equal(store.accounts.get(PLATFORM_ACCOUNTS.openingBalances).balanceUnits, '-200');
+});
+
+test('postJournalEntry refuses to take a user account below zero', async (t) => {
+  const store = useLedgerStore(t, { wallet: { balance: 5 } });
+  const userId = objectId().toString();
+
+  await assert.rejects(
+    postJournalEntry({
+      type: 'withdrawal',
+      description: 'Withdrawal',
+      lines: [
+        { account: userAccountKey(userId), debit: 5.01 },
+        { account: PLATFORM_ACCOUNTS.withdrawals, credit: 5.01 }
+      ]
+    }, null),
+    error => error instanceof LedgerError && error.message === 'Insufficient balance'
+  );
+  assert.equal(store.accounts.get(userAccountKey(userId)).balanceUnits, '500');
+});
+
+test('postJournalEntry rejects unbalanced and mixed-currency entries before touching any account', async (t) => {
+  const store = useLedgerStore(t);
+  const userId = objectId().toString();
+
+  await assert.rejects(
+    postJournalEntry({
+      type: 'transfer',
+      lines: [
+        { account: userAccountKey(userId), debit: 10 },
+        { account: PLATFORM_ACCOUNTS.deposits, credit: 9.99 }
+      ]
+    }, null),
+    { name: 'LedgerError', message: 'Journal entry is not balanced', status: 500 }
+  );
+  await assert.rejects(
+    postJournalEntry({
+      type: 'transfer',
+      lines: [
+        { account: userAccountKey(userId, 'available', 'USDC'), debit: 10 },
+        { account: PLATFORM_ACCOUNTS.deposits, credit: 10 }
+      ]
+    }, null),
+    { name: 'LedgerError', message: 'Journal entry lines must share one currency' }
+  );
+  assert.equal(store.accounts.size, 0);
+  assert.equal(store.entries.length, 0);
+});
+
+test('postJournalEntry keeps every base unit of an 18-decimal token', async (t) => {
+  const store = useLedgerStore(t, { tokenDecimals: 18 });
+  const userId = objectId().toString();
+  const amount = '12345.123456789012345678';
+
+  await postJournalEntry({
+    type: 'deposit',
+    description: 'Token deposit',
+    lines: [
+      { account: platformAccountKey(PLATFORM_ACCOUNTS.deposits, 'WETH'), debit: amount },
+      { account: userAccountKey(userId, 'available', 'WETH'), credit: amount }
+    ]
+  }, null);
+
+  assert.equal(store.accounts.get(userAccountKey(userId, 'available', 'WETH')).balanceUnits, '12345123456789012345678');
+  assert.equal(store.entries[0].decimals, 18);
+  assert.equal(store.walletUpdates.length, 0);
+});
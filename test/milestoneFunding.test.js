@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { query, objectId } = require('./helpers');
+const authTokens = require('../utils/authTokens');
+const priceOracle = require('../utils/priceOracle');
+const User = require('../models/User');
+
+// Replaced before the routes take their references: requests come from the client, ETH is 2000 USD,
+// and saved escrow steps are kept in memory
+const client = new User({ username: 'client', email: 'client@example.com' });
+const talent = new User({ username: 'talent', email: 'talent@example.com', walletAddress: '0x' + '2'.repeat(40) });
+authTokens.verifyAccessToken = async () => ({ user: client, session: { _id: objectId() } });
+priceOracle.assertFreshPrice = async () => ({ usd: 2000, lastUpdated: new Date() });
+const escrowRecords = require('../utils/escrowRecords');
+const savedSteps = [];
+escrowRecords.saveEscrowStep = async (chat, data, quote = null) => {
+  savedSteps.push({ data, quote });
+  return data;
+};
+
+const Chat = require('../models/Chat');
+const Token = require('../models/Token');
+const EscrowQuote = require('../models/EscrowQuote');
+const { createEscrowQuote } = require('../utils/escrowQuotes');
+const chatRoutes = require('../routes/chats');
+
+const ETH = new Token({ symbol: 'ETH', name: 'Ether', decimals: 18, chainId: 1, isNative: true, isActive: true });
+
+const buildChat = () => {
+  const chat = new Chat({
+    participants: [{ user: client._id, role: 'client' }, { user: talent._id, role: 'talent' }],
+    workflowStatus: 'offered',
+    milestones: [{ title: 'Wireframes', amountUSD: 500, status: 'proposed' }]
+  });
+  chat.participants[0].user = client;
+  chat.participants[1].user = talent;
+  return chat;
+};
+
+const useChat = (t, chat) => {
+  const quotes = new Map();
+  t.mock.method(Chat, 'findById', () => query(chat));
+  t.mock.method(Token, 'findOne', () => query(ETH));
+  t.mock.method(EscrowQuote, 'create', async (data) => {
+    const quote = new EscrowQuote(data);
+    quotes.set(quote._id.toString(), quote);
+    return quote;
+  });
+  t.mock.method(EscrowQuote, 'findById', id => query(() => quotes.get(id.toString()) || null));
+  t.mock.method(EscrowQuote, 'findOneAndUpdate', (filter, update) => query(() => {
+    const quote = quotes.get(filter._id.toString());
+    if (!quote || quote.usedAt) return null;
+    quote.set(update);
+    return quote;
+  }));
+  savedSteps.length = 0;
+};
+
+const startServer = async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chats', chatRoutes);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const base = `http://127.0.0.1:${server.address().port}/api/chats`;
+  return async (path, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer test', 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+};
+
+const fundingBody = (fields = {}) => ({
+  txHash: '0x' + 'a'.repeat(64),
+  fromAddress: '0x' + '1'.repeat(40),
+  amountUSD: 500,
+  ...fields
+});
+
+test('milestone funding needs a quote', async (t) => {
+  const chat = buildChat();
+  useChat(t, chat);
+  const post = await startServer(t);
+
+  const { status, body } = await post(`/${chat._id}/milestones/${chat.milestones[0]._id}/fund`, fundingBody({ amountETH: 0.25 }));
+  assert.equal(status, 400);
+  assert.deepEqual(body.errors.map(error => error.path), ['quoteId']);
+  assert.equal(chat.milestones[0].status, 'proposed');
+});
+
+test('a token amount that does not match the quoted rate is refused', async (t) => {
+  const chat = buildChat();
+  useChat(t, chat);
+  const post = await startServer(t);
+  const { quoteId } = await createEscrowQuote({ chat, userId: client._id.toString(), action: 'deposit', token: ETH, amountUSD: 500 });
+
+  // 0.01 ETH is worth 20 USD at the quoted rate, not the 500 USD claimed
+  const { status, body } = await post(
+    `/${chat._id}/milestones/${chat.milestones[0]._id}/fund`,
+    fundingBody({ amountETH: 0.01, quoteId })
+  );
+  assert.equal(status, 400);
+  assert.match(body.error, /ETH amount 0.01 differs from the quoted 0.25/);
+  assert.equal(chat.milestones[0].status, 'proposed');
+  assert.equal(savedSteps.length, 0);
+});
+
+test('a milestone funded with a matching quote stores the quoted rate', async (t) => {
+  const chat = buildChat();
+  useChat(t, chat);
+  const post = await startServer(t);
+  const { quoteId, quote } = await createEscrowQuote({ chat, userId: client._id.toString(), action: 'deposit', token: ETH, amountUSD: 500 });
+
+  const { status } = await post(`/${chat._id}/milestones/${chat.milestones[0]._id}/fund`, fundingBody({ amountETH: 0.25, quoteId }));
+  assert.equal(status, 200);
+
+  const { funding } = chat.milestones[0];
+  assert.equal(chat.milestones[0].status, 'funded');
+  assert.equal(funding.priceUSD, 2000);
+  assert.equal(funding.quote.toString(), quote._id.toString());
+  assert.equal(savedSteps[0].quote._id.toString(), quote._id.toString());
+  assert.ok(savedSteps[0].quote.usedAt instanceof Date);
+});
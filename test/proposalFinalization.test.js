@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { objectId } = require('./helpers');
+const Proposal = require('../models/Proposal');
+const { validateFinalizationRules, getProposalRules } = require('../utils/governance');
+
+const HOUR = 60 * 60 * 1000;
+
+const RULES = {
+  quorum: { minVoters: 3, percentOfEligible: 10 },
+  approvalThresholds: { platform: 50, feature: 50, policy: 66.67, dispute: 0, other: 50 },
+  tieBreak: 'extend',
+  extension: { hours: 48, maxExtensions: 1 }
+};
+
+// Closed proposal whose votes are given as a list of options, cast one minute apart
+const closedProposal = ({ proposalType = 'platform', category = 'platform', votes = [], eligible = 10 } = {}) => {
+  const start = Date.now() - 2 * HOUR;
+  return new Proposal({
+    title: 'Lower the listing fee',
+    summary: 'Fee change',
+    description: 'Fee change',
+    proposalType,
+    category,
+    status: 'voting',
+    proposer: objectId(),
+    voting: { startsAt: new Date(start), endsAt: new Date(Date.now() - HOUR) },
+    analytics: { totalEligibleVoters: eligible },
+    votes: votes.map((vote, index) => ({ user: objectId(), vote, weight: 1, votedAt: new Date(start + index * 60000) }))
+  });
+};
+
+test('a proposal short of quorum is extended once and then fails with failed_quorum', () => {
+  const rules = getProposalRules('platform', RULES);
+  const proposal = closedProposal({ votes: ['approve', 'approve'], eligible: 40 });
+  assert.equal(proposal.requiredVoters(rules), 4);
+
+  assert.equal(proposal.finalizeIfNeeded(rules), 'extended');
+  assert.equal(proposal.voting.extensions[0].reason, 'failed_quorum');
+  assert.ok(proposal.voting.endsAt > new Date());
+
+  proposal.voting.endsAt = new Date(Date.now() - 1000);
+  assert.equal(proposal.finalizeIfNeeded(rules), 'finalized');
+  assert.equal(proposal.status, 'failed_quorum');
+  assert.equal(proposal.voting.finalDecision, undefined);
+  assert.deepEqual(
+    { voters: proposal.voting.finalization.voters, required: proposal.voting.finalization.requiredVoters },
+    { voters: 2, required: 4 }
+  );
+});
+
+test('delegators represented by a vote count towards quorum', () => {
+  const rules = getProposalRules('platform', { ...RULES, extension: { hours: 48, maxExtensions: 0 } });
+  const proposal = closedProposal({ votes: ['approve'] });
+  proposal.votes[0].delegatedFrom = [objectId(), objectId()];
+  proposal.votes[0].delegatedWeight = 2;
+
+  assert.equal(proposal.finalizeIfNeeded(rules), 'finalized');
+  assert.equal(proposal.voting.finalization.voters, 3);
+  assert.equal(proposal.status, 'passed');
+});
+
+test('a policy proposal needs its supermajority to pass', () => {
+  const rules = getProposalRules('policy', RULES);
+  // Abstentions count towards quorum but not towards the share approve needs
+  const short = closedProposal({ category: 'policy', votes: ['approve', 'approve', 'approve', 'reject', 'reject', 'abstain'] });
+  short.finalizeIfNeeded(rules);
+  assert.equal(short.voting.finalization.reason, 'below_threshold');
+  assert.equal(short.voting.finalization.winningShare, 60);
+  assert.equal(short.status, 'rejected');
+
+  const passed = closedProposal({ category: 'policy', votes: ['approve', 'approve', 'approve', 'reject'] });
+  passed.finalizeIfNeeded(rules);
+  assert.equal(passed.voting.finalDecision, 'approve');
+  assert.equal(passed.status, 'passed');
+});
+
+test('ties follow the configured tie-break rule', () => {
+  const votes = ['client_refund', 'talent_refund', 'talent_refund', 'client_refund'];
+  const dispute = { proposalType: 'dispute', category: 'dispute', votes };
+
+  const extended = closedProposal(dispute);
+  assert.equal(extended.finalizeIfNeeded(getProposalRules('dispute', RULES)), 'extended');
+  assert.equal(extended.voting.extensions[0].reason, 'tie');
+
+  const statusQuo = closedProposal(dispute);
+  statusQuo.finalizeIfNeeded(getProposalRules('dispute', { ...RULES, tieBreak: 'status_quo' }));
+  assert.equal(statusQuo.voting.finalization.reason, 'tie');
+  assert.equal(statusQuo.status, 'rejected');
+
+  // talent_refund reaches 2 with the third vote, client_refund only with the fourth
+  const firstToReach = closedProposal(dispute);
+  firstToReach.finalizeIfNeeded(getProposalRules('dispute', { ...RULES, tieBreak: 'first_to_reach' }));
+  assert.equal(firstToReach.voting.finalization.reason, 'tie_broken');
+  assert.equal(firstToReach.voting.finalDecision, 'talent_refund');
+  assert.equal(firstToReach.status, 'awaiting_resolution');
+});
+
+test('validateFinalizationRules rejects unknown categories and out-of-range settings', () => {
+  assert.doesNotThrow(() => validateFinalizationRules(RULES));
+  assert.throws(
+    () => validateFinalizationRules({ ...RULES, approvalThresholds: { treasury: 50 } }),
+    { name: 'GovernanceError', message: 'Unknown proposal category "treasury" in approvalThresholds' }
+  );
+  assert.throws(() => validateFinalizationRules({ ...RULES, quorum: { minVoters: 1.5, percentOfEligible: 10 } }), /minVoters/);
+  assert.throws(() => validateFinalizationRules({ ...RULES, tieBreak: 'coin_flip' }), /tieBreak must be one of/);
+});
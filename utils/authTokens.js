@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+class AuthTokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthTokenError';
+    this.status = status;
+  }
+}
+
+// A missing JWT_SECRET is fatal in production. In development we fall back to a
+// per-process random secret so nothing predictable is ever used to sign tokens.
+let devSecret = null;
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  if (!devSecret) {
+    devSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  JWT_SECRET not set. Using a random secret; all sessions end when the server restarts.');
+  }
+  return devSecret;
+};
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const getRequestDevice = (req) => ({
+  deviceId: (req.body?.deviceId || req.header('X-Device-Id') || crypto.randomUUID()).toString().slice(0, 128),
+  deviceName: (req.body?.deviceName || '').toString().slice(0, 128),
+  userAgent: (req.header('User-Agent') || '').slice(0, 512),
+  ipAddress: req.ip || ''
+});
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, getJwtSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a scan
+const newRefreshSecret = () => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return {
+    secret,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+const issueRefreshToken = (session) => {
+  const { secret, refreshTokenHash, expiresAt } = newRefreshSecret();
+  session.refreshTokenHash = refreshTokenHash;
+  session.expiresAt = expiresAt;
+  return `${session._id.toString()}.${secret}`;
+};
+
+/**
+ * Start a new session for a user on the requesting device.
+ * Any previous active session on the same device is replaced.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (device id, user agent, ip)
+ * @param {String} loginMethod - 'email' or 'wallet'
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ */
+const createSession = async (user, req, loginMethod) => {
+  const device = getRequestDevice(req);
+
+  await Session.updateMany(
+    { user: user._id, deviceId: device.deviceId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'replaced' }
+  );
+
+  const session = new Session({
+    user: user._id,
+    ...device,
+    loginMethod
+  });
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a rotated refresh token.
+ * The rotation only applies while the session still holds the presented token, so of two
+ * refreshes with the same token one wins and the other is treated as reuse.
+ * Presenting an already-rotated refresh token revokes the whole session.
+ * @param {String} refreshToken - Token returned by login or a previous refresh
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ */
+const rotateSession = async (refreshToken) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    throw new AuthTokenError('Invalid refresh token');
+  }
+
+  const now = new Date();
+  const next = newRefreshSecret();
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hashToken(secret), revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { refreshTokenHash: next.refreshTokenHash, expiresAt: next.expiresAt, lastUsedAt: now } },
+    { new: true }
+  );
+
+  if (!session) {
+    const current = await Session.findById(sessionId).select('revokedAt expiresAt');
+    if (!current || !current.isActive()) {
+      throw new AuthTokenError('Session has expired or been revoked');
+    }
+    // The token was valid once but has since been rotated: assume it was stolen
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: now, revokedReason: 'refresh_reuse' }
+    );
+    throw new AuthTokenError('Refresh token has already been used. Session revoked.');
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: `${session._id.toString()}.${next.secret}`,
+    session
+  };
+};
+
+/**
+ * Verify an access token and the session behind it
+ * @param {String} token - Bearer access token
+ * @returns {Promise<Object>} { user, session }
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    throw new AuthTokenError('Token is not valid');
+  }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+  if (!decoded.sid) {
+    throw new AuthTokenError('Token is not valid');
+  }
+
+  const [session, user] = await Promise.all([
+    Session.findById(decoded.sid).select('-refreshTokenHash'),
+    User.findById(decoded.userId).select('-password')
+  ]);
+
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId?.toString()) {
+    throw new AuthTokenError('Session has been revoked');
+  }
+
+  if (!user) {
+    throw new AuthTokenError('Token is not valid');
+  }
+
+  return { user, session };
+};
+
+/**
+ * Force-disconnect any sockets opened with a revoked session
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @param {Array<String>} sessionIds - Revoked session ids
+ */
+const disconnectSessionSockets = (io, sessionIds = []) => {
+  if (!io) return;
+  sessionIds.forEach((sessionId) => {
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  });
+};
+
+module.exports = {
+  AuthTokenError,
+  getJwtSecret,
+  createSession,
+  rotateSession,
+  verifyAccessToken,
+  disconnectSessionSockets
+};
@@ -0,0 +1,127 @@
+const Blog = require('../models/Blog');
+const BlogEarning = require('../models/BlogEarning');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { PermanentJobError, defineJob, scheduleRecurringJob } = require('./jobQueue');
+const { sendEmailForNotification } = require('./emailService');
+const { InvoiceError, issueChatInvoices, emailChatInvoices } = require('./invoices');
+const { updatePrices } = require('./priceOracle');
+const { verifyPendingTransactions } = require('./chainVerifier');
+const { runChainIndexer } = require('./chainIndexer');
+const { runAutoReleaseSweep } = require('./escrowAutoRelease');
+const { finalizeExpiredProposals } = require('./governance');
+const { approvePendingReferrals } = require('./referrals');
+const { notifyDelegates } = require('./delegations');
+
+// Recurring jobs and their default schedules; the cron variables predate the queue and still apply
+const RECURRING_JOBS = [
+  { name: 'prices.update', env: 'PRICE_CRON', expression: '*/5 * * * *' },
+  { name: 'transactions.verify', env: 'TX_VERIFY_CRON', expression: '* * * * *' },
+  { name: 'chain.index', env: 'INDEXER_CRON', expression: '*/30 * * * * *' },
+  { name: 'escrow.auto-release', env: 'ESCROW_AUTO_RELEASE_CRON', expression: '*/15 * * * *' },
+  { name: 'proposals.finalize', env: 'PROPOSAL_FINALIZE_CRON', expression: '* * * * *' }
+];
+
+// A missing SMTP setup will not fix itself between attempts
+const assertEmailSent = (result) => {
+  if (result.success || result.skipped) return result;
+  if (result.error === 'SMTP not configured') {
+    return { skipped: true, reason: result.error };
+  }
+  throw new Error(`Email not sent: ${result.error}${result.details ? ` (${result.details})` : ''}`);
+};
+
+defineJob('notifications.email', async ({ notificationId }) => {
+  const notification = await Notification.findById(notificationId);
+  if (!notification) {
+    return { skipped: true, reason: 'Notification no longer exists' };
+  }
+  const user = await User.findById(notification.user).select('notificationEmail preferences.notifications');
+  return assertEmailSent(await sendEmailForNotification(notification, user));
+});
+
+defineJob('invoices.issue', async ({ chatId }) => {
+  try {
+    const { invoice, receipt, created } = await issueChatInvoices(chatId);
+    return { invoice: invoice.number, receipt: receipt.number, created };
+  } catch (error) {
+    if (error instanceof InvoiceError) throw new PermanentJobError(error.message);
+    throw error;
+  }
+});
+
+defineJob('invoices.email', async ({ invoiceId, receiptId }) => {
+  const [invoice, receipt] = await Promise.all([Invoice.findById(invoiceId), Invoice.findById(receiptId)]);
+  if (!invoice || !receipt) {
+    throw new PermanentJobError('Invoice or receipt not found');
+  }
+  if (invoice.emailedAt) {
+    return { skipped: true, reason: 'Already emailed' };
+  }
+
+  const results = await emailChatInvoices(invoice, receipt);
+  const failed = results.filter(result => !result.success);
+  if (results.length > 0 && failed.length === results.length) {
+    assertEmailSent(failed[0]);
+  }
+  return { sent: results.length - failed.length, failed: failed.length };
+});
+
+defineJob('referrals.approve', ({ userId }, { signal }) => approvePendingReferrals(userId, { signal }));
+
+defineJob('governance.notify-delegates', ({ proposalId }, { io }) => notifyDelegates(proposalId, io));
+
+// Recent credit keys kept on the blog; older milestones are recognised by their BlogEarning record
+const EARNING_CREDITS_KEPT = 100;
+
+// The blog's earningCredits guard and the BlogEarning unique index make a retry a no-op
+defineJob('blogs.credit-earnings', async ({ blogId, type, milestone, amount }) => {
+  if (await BlogEarning.exists({ blog: blogId, type, milestone })) {
+    return { credited: false, amount };
+  }
+
+  const key = `${type}:${milestone}`;
+  const blog = await Blog.findOneAndUpdate(
+    { _id: blogId, earningCredits: { $ne: key } },
+    {
+      $inc: { 'earnings.totalEarned': amount, 'earnings.available': amount },
+      $push: { earningCredits: { $each: [key], $slice: -EARNING_CREDITS_KEPT } }
+    },
+    { new: true }
+  ).select('author');
+  const author = blog?.author || (await Blog.findById(blogId).select('author'))?.author;
+  if (!author) {
+    throw new PermanentJobError('Blog not found');
+  }
+
+  await BlogEarning.updateOne(
+    { blog: blogId, type, milestone },
+    { $setOnInsert: { user: author, amount, status: 'available' } },
+    { upsert: true }
+  );
+  return { credited: Boolean(blog), amount };
+});
+
+// Sweeps run again on their next tick, so a failed run is not retried
+const SWEEP_OPTIONS = { maxAttempts: 1 };
+
+defineJob('prices.update', () => updatePrices(), SWEEP_OPTIONS);
+defineJob('transactions.verify', (payload, { io }) => verifyPendingTransactions(io), SWEEP_OPTIONS);
+defineJob('chain.index', (payload, { io }) => runChainIndexer(io), SWEEP_OPTIONS);
+defineJob('escrow.auto-release', (payload, { io }) => runAutoReleaseSweep(io), SWEEP_OPTIONS);
+defineJob('proposals.finalize', (payload, { signal }) => finalizeExpiredProposals(undefined, { signal }), SWEEP_OPTIONS);
+
+/**
+ * Start the cron schedules that enqueue the recurring jobs
+ * Several processes may schedule at once; each job's uniqueKey keeps a single run queued.
+ * @returns {Array} node-cron tasks
+ */
+const scheduleRecurringJobs = () => RECURRING_JOBS.map(({ name, env, expression }) =>
+  scheduleRecurringJob(name, process.env[env] || expression)
+);
+
+module.exports = {
+  RECURRING_JOBS,
+  scheduleRecurringJobs
+};
@@ -0,0 +1,529 @@
+const mongoose = require('mongoose');
+const { Interface, formatEther, formatUnits } = require('ethers');
+const ChainEvent = require('../models/ChainEvent');
+const ChainCursor = require('../models/ChainCursor');
+const Staking = require('../models/Staking');
+const Transaction = require('../models/Transaction');
+const Chat = require('../models/Chat');
+const PriceSample = require('../models/PriceSample');
+const Config = require('../models/Config');
+const { ChainVerificationError, getChainConfig, getProvider, resetProvider } = require('./chainVerifier');
+const { syncStakerTotals, recordRewardClaim } = require('./stakingLedger');
+const { emitToUsers } = require('./socketRooms');
+
+// Event ABIs per application action. Override any of them with the
+// `chain_indexer_events` config key: { staking: { stake: 'event ...' }, escrow: { ... } }
+const DEFAULT_EVENTS = {
+  staking: {
+    stake: 'event Staked(address indexed user, uint256 indexed stakeId, uint256 amount, bool isLocked, uint256 unlockTime)',
+    unstake: 'event Unstaked(address indexed user, uint256 indexed stakeId, uint256 amount)',
+    claim: 'event RewardClaimed(address indexed user, uint256 amount)'
+  },
+  escrow: {
+    deposit: 'event Deposited(string chatId, address indexed customer, uint256 amount)',
+    'in-progress': 'event WorkStarted(string chatId, address indexed talent)',
+    completed: 'event WorkCompleted(string chatId, address indexed talent)',
+    disburse: 'event Disbursed(string chatId, address indexed recipient, uint256 amount)',
+    confirm: 'event Confirmed(string chatId, address indexed talent, uint256 amount)'
+  }
+};
+
+const SOURCES = Object.keys(DEFAULT_EVENTS);
+
+/**
+ * Read indexer settings from the environment
+ * @returns {Object} Indexer config
+ */
+const getIndexerConfig = () => {
+  const startBlock = (value) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+  };
+
+  return {
+    // Logs are only processed once they are this many blocks deep, so shallow reorgs never reach the database
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS, 10) || 12,
+    batchSize: parseInt(process.env.INDEXER_BLOCK_BATCH, 10) || 2000,
+    maxBatchesPerRun: parseInt(process.env.INDEXER_MAX_BATCHES, 10) || 10,
+    stakingDecimals: parseInt(process.env.STAKING_TOKEN_DECIMALS, 10) || 18,
+    sources: {
+      staking: {
+        address: process.env.WORKLOB_STAKING_CONTRACT_ADDRESS || '',
+        startBlock: startBlock(process.env.STAKING_START_BLOCK)
+      },
+      escrow: {
+        address: getChainConfig().escrowContract,
+        startBlock: startBlock(process.env.ESCROW_START_BLOCK)
+      }
+    }
+  };
+};
+
+/**
+ * True when the indexer can sync the given contract
+ * @param {String} source - 'staking' or 'escrow'
+ * @returns {Boolean}
+ */
+const isIndexerEnabled = (source) => !!getProvider() && !!getIndexerConfig().sources[source]?.address;
+
+// Build the ABI for a source and remember which action each event topic maps to
+const loadEventInterface = async (source) => {
+  const overrides = await Config.getValue('chain_indexer_events', {});
+  const fragments = { ...DEFAULT_EVENTS[source], ...(overrides?.[source] || {}) };
+
+  const iface = new Interface(Object.values(fragments));
+  const actionsByTopic = new Map();
+  Object.entries(fragments).forEach(([action, fragment]) => {
+    actionsByTopic.set(new Interface([fragment]).fragments[0].topicHash, action);
+  });
+
+  return { iface, actionsByTopic };
+};
+
+// Decoded args as plain JSON (BigInts become strings) for storage
+const serializeArgs = (parsed) => parsed.fragment.inputs.reduce((args, input, index) => {
+  const value = parsed.args[index];
+  args[input.name || `arg${index}`] = typeof value === 'bigint' ? value.toString() : value;
+  return args;
+}, {});
+
+const argOf = (parsed, name) => (parsed.fragment.inputs.some(input => input.name === name) ? parsed.args[name] : undefined);
+
+const applyStake = async (event, parsed, { blockTime, config }) => {
+  const walletAddress = argOf(parsed, 'user').toLowerCase();
+  const stakeId = Number(argOf(parsed, 'stakeId'));
+  const amount = Number(formatUnits(argOf(parsed, 'amount'), config.stakingDecimals));
+  const unlockSeconds = argOf(parsed, 'unlockTime');
+  const unlockTime = unlockSeconds && unlockSeconds > 0n ? new Date(Number(unlockSeconds) * 1000) : null;
+  const isLocked = argOf(parsed, 'isLocked') ?? !!unlockTime;
+
+  // The frontend used to guess stakeIds; drop any record of this transaction stored under the wrong id
+  await Staking.deleteMany({ txHash: event.txHash, stakeId: { $ne: stakeId } });
+
+  await Staking.findOneAndUpdate(
+    { stakeId },
+    {
+      $set: { walletAddress, amount, isLocked, unlockTime, txHash: event.txHash },
+      $setOnInsert: { stakedAt: blockTime, isActive: true }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+  await syncStakerTotals(walletAddress);
+};
+
+const applyUnstake = async (event, parsed, { blockTime }) => {
+  const stakeId = Number(argOf(parsed, 'stakeId'));
+  const stake = await Staking.findOneAndUpdate(
+    { stakeId },
+    { isActive: false, unstakedAt: blockTime, unstakeTxHash: event.txHash },
+    { new: true }
+  );
+  if (!stake) {
+    throw new Error(`Unstake for unknown stake ${stakeId}`);
+  }
+  await syncStakerTotals(stake.walletAddress);
+};
+
+const applyClaim = async (event, parsed, { blockTime, config }) => {
+  const amount = Number(formatUnits(argOf(parsed, 'amount'), config.stakingDecimals));
+  await recordRewardClaim(argOf(parsed, 'user'), amount, event.txHash, blockTime);
+};
+
+const ESCROW_TRANSACTION_TYPES = {
+  deposit: 'escrow_deposit',
+  'in-progress': 'escrow_in_progress',
+  completed: 'escrow_completion',
+  disburse: 'escrow_disburse',
+  confirm: 'escrow_confirm'
+};
+
+const findChatForEvent = async (chatId) => {
+  if (!chatId) return null;
+  if (mongoose.Types.ObjectId.isValid(chatId)) {
+    const chat = await Chat.findById(chatId).select('participants');
+    if (chat) return chat;
+  }
+  return Chat.findOne({ 'escrow.identifiers.chatId': chatId }).select('participants');
+};
+
+// USD value of an escrow amount from the last ETH price sampled before the block
+const valueAtBlock = async (amountETH, blockTime) => {
+  if (!amountETH) return { amountUSD: 0, priceUSD: null };
+  const sample = await PriceSample.findOne({ symbol: 'ETH', sampledAt: { $lte: blockTime } })
+    .sort({ sampledAt: -1 })
+    .select('usd');
+  if (!sample) return { amountUSD: 0, priceUSD: null };
+  return { amountUSD: Math.round(amountETH * sample.usd * 100) / 100, priceUSD: sample.usd };
+};
+
+// Escrow events upsert the chat's escrow Transaction, keyed by txHash and log index, so the
+// indexer can rebuild records the app never wrote. Workflow side effects stay with the chat
+// routes: when the indexer wrote the record, the participants are told to re-sync the step, and
+// the route adopts the record when the step is re-submitted. An event for a chat that cannot be
+// found (or an action with no escrow record type) is kept as "unmatched".
+const applyEscrowEvent = async (event, parsed, { blockTime, io }) => {
+  const chat = await findChatForEvent(argOf(parsed, 'chatId'));
+  const existing = await Transaction.findOne({ txHash: event.txHash, type: /^escrow_/ }).select('chat logIndex');
+  if (existing) {
+    event.chat = existing.chat || chat?._id;
+    if (existing.logIndex === undefined || existing.logIndex === null) {
+      await Transaction.updateOne({ _id: existing._id }, { $set: { logIndex: event.logIndex, blockNumber: event.blockNumber } });
+    }
+    return;
+  }
+
+  event.chat = chat?._id;
+  const type = ESCROW_TRANSACTION_TYPES[event.action];
+  if (!chat || !type) {
+    event.status = 'unmatched';
+    return;
+  }
+
+  const amount = argOf(parsed, 'amount');
+  const amountETH = amount !== undefined ? Number(formatEther(amount)) : null;
+  const { amountUSD, priceUSD } = await valueAtBlock(amountETH, blockTime);
+  const client = chat.participants.find(p => p.role === 'client');
+  const talent = chat.participants.find(p => p.role === 'talent');
+  const wallet = (argOf(parsed, 'customer') || argOf(parsed, 'talent') || argOf(parsed, 'recipient'))?.toLowerCase();
+
+  try {
+    await Transaction.updateOne(
+      { txHash: event.txHash, logIndex: event.logIndex },
+      {
+        $setOnInsert: {
+          fromUser: client?.user,
+          toUser: talent?.user,
+          amount: amountUSD,
+          type,
+          status: 'completed',
+          description: `Escrow ${event.action} indexed from contract log`,
+          currency: 'USD',
+          isOnChain: true,
+          ...(event.action === 'deposit' ? { fromAddress: wallet } : { toAddress: wallet }),
+          blockNumber: event.blockNumber,
+          metadata: {
+            amountETH,
+            priceUSD,
+            chatId: chat._id.toString(),
+            action: event.action,
+            occurredAt: blockTime,
+            recordedBy: 'chain_indexer'
+          },
+          chat: chat._id,
+          direction: 'debit',
+          verification: { status: 'verified', blockNumber: event.blockNumber, verifiedAt: new Date() }
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The chat route recorded the same txHash in the meantime
+    if (error.code !== 11000) throw error;
+    return;
+  }
+
+  emitToUsers(io, chat.participants.map(p => p.user.toString()), 'escrow-unrecorded', {
+    chatId: chat._id.toString(),
+    action: event.action,
+    txHash: event.txHash,
+    amountETH,
+    occurredAt: blockTime
+  });
+};
+
+const STAKING_HANDLERS = {
+  stake: applyStake,
+  unstake: applyUnstake,
+  claim: applyClaim
+};
+
+// Store one log and apply it. Returns true when the log had not been seen before.
+const processLog = async (source, log, context) => {
+  const txHash = log.transactionHash.toLowerCase();
+  const existing = await ChainEvent.findOne({ txHash, logIndex: log.index });
+  if (existing) {
+    // Re-included in a different block after a reorg: keep the record, refresh its position
+    if (existing.blockHash !== log.blockHash) {
+      existing.blockNumber = log.blockNumber;
+      existing.blockHash = log.blockHash;
+      if (existing.status === 'reorged') existing.status = 'applied';
+      await existing.save();
+    }
+    return false;
+  }
+
+  const parsed = context.iface.parseLog(log);
+  if (!parsed) return false;
+
+  const action = context.actionsByTopic.get(log.topics[0]);
+  const event = new ChainEvent({
+    source,
+    contractAddress: log.address,
+    event: parsed.name,
+    action,
+    txHash,
+    logIndex: log.index,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    args: serializeArgs(parsed)
+  });
+
+  const handler = source === 'escrow' ? applyEscrowEvent : STAKING_HANDLERS[action];
+  try {
+    if (handler) {
+      await handler(event, parsed, context);
+    }
+    event.appliedAt = new Date();
+  } catch (error) {
+    event.status = 'failed';
+    event.error = error.message;
+    console.error(`Chain indexer failed to apply ${parsed.name} in ${txHash}:`, error.message);
+  }
+
+  try {
+    await event.save();
+  } catch (error) {
+    // Another run stored the same log first
+    if (error.code !== 11000) throw error;
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Sync one contract's logs up to the confirmed block
+ * @param {String} source - 'staking' or 'escrow'
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @returns {Promise<Object>} { fromBlock, toBlock, events } or { skipped: true }
+ */
+const indexSource = async (source, io) => {
+  const rpc = getProvider();
+  const config = getIndexerConfig();
+  const { address, startBlock } = config.sources[source];
+  if (!rpc || !address) return { skipped: true };
+
+  const { iface, actionsByTopic } = await loadEventInterface(source);
+  let cursor = await ChainCursor.findOne({ source });
+  if (!cursor || cursor.contractAddress !== address.toLowerCase()) {
+    // New contract (or a redeploy): start over from its configured start block
+    cursor = cursor || new ChainCursor({ source });
+    cursor.contractAddress = address;
+    cursor.lastBlock = null;
+    cursor.lastBlockHash = null;
+  }
+
+  let head;
+  try {
+    head = await rpc.getBlockNumber();
+  } catch (error) {
+    resetProvider();
+    throw new ChainVerificationError(`RPC node unavailable: ${error.shortMessage || error.message}`);
+  }
+
+  const safeBlock = head - config.confirmations;
+  cursor.headBlock = head;
+  cursor.safeBlock = safeBlock;
+  cursor.lastRunAt = new Date();
+
+  if (cursor.lastBlock === null) {
+    // Without a start block only events from now on are indexed
+    cursor.lastBlock = startBlock !== null ? startBlock - 1 : safeBlock;
+  } else if (cursor.lastBlockHash) {
+    const block = await rpc.getBlock(cursor.lastBlock);
+    if (!block || block.hash !== cursor.lastBlockHash) {
+      const rewindTo = Math.max(cursor.lastBlock - config.confirmations, (startBlock ?? 0) - 1);
+      console.warn(`⚠️  Chain indexer (${source}): reorg deeper than ${config.confirmations} blocks at ${cursor.lastBlock}, rescanning from ${rewindTo + 1}`);
+      cursor.reorgs += 1;
+      cursor.lastReorgBlock = cursor.lastBlock;
+      cursor.lastBlock = rewindTo;
+      cursor.lastBlockHash = null;
+    }
+  }
+
+  const fromBlock = cursor.lastBlock + 1;
+  const topics = [[...actionsByTopic.keys()]];
+  const context = { iface, actionsByTopic, config, io };
+  let events = 0;
+
+  for (let batch = 0; batch < config.maxBatchesPerRun && cursor.lastBlock < safeBlock; batch += 1) {
+    const from = cursor.lastBlock + 1;
+    const to = Math.min(from + config.batchSize - 1, safeBlock);
+
+    const logs = await rpc.getLogs({ address, fromBlock: from, toBlock: to, topics });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const blockTimes = new Map();
+    const seen = [];
+    for (const log of logs) {
+      if (!blockTimes.has(log.blockNumber)) {
+        const block = await rpc.getBlock(log.blockNumber);
+        blockTimes.set(log.blockNumber, new Date(block.timestamp * 1000));
+      }
+      context.blockTime = blockTimes.get(log.blockNumber);
+      if (await processLog(source, log, context)) {
+        events += 1;
+      }
+      seen.push({ txHash: log.transactionHash.toLowerCase(), logIndex: log.index });
+    }
+
+    // Anything stored for this range that the chain no longer has was reorged out
+    await ChainEvent.updateMany(
+      {
+        source,
+        blockNumber: { $gte: from, $lte: to },
+        status: { $ne: 'reorged' },
+        ...(seen.length > 0 ? { $nor: seen } : {})
+      },
+      { status: 'reorged' }
+    );
+
+    const lastBlock = await rpc.getBlock(to);
+    cursor.lastBlock = to;
+    cursor.lastBlockHash = lastBlock?.hash || null;
+    cursor.eventsIndexed += logs.length;
+    await cursor.save();
+  }
+
+  cursor.lastSuccessAt = new Date();
+  cursor.lastError = null;
+  await cursor.save();
+
+  return { fromBlock, toBlock: cursor.lastBlock, events };
+};
+
+// Unmatched escrow events become applied once the chat routes record their txHash
+const reconcileUnmatchedEscrow = async (limit = 100) => {
+  const events = await ChainEvent.find({ source: 'escrow', status: 'unmatched' })
+    .sort({ blockNumber: 1 })
+    .limit(limit);
+  if (events.length === 0) return 0;
+
+  const records = await Transaction.find({
+    txHash: { $in: events.map(event => event.txHash) },
+    type: /^escrow_/
+  }).select('txHash chat');
+
+  let matched = 0;
+  for (const event of events) {
+    const record = records.find(r => r.txHash?.toLowerCase() === event.txHash);
+    if (!record) continue;
+    event.status = 'applied';
+    event.chat = record.chat;
+    event.appliedAt = new Date();
+    await event.save();
+    matched += 1;
+  }
+  return matched;
+};
+
+let runInProgress = false;
+let warnedDisabled = false;
+
+/**
+ * Sync staking and escrow state from contract logs
+ * Safe to call from a cron job; overlapping runs are skipped.
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @returns {Promise<Object>} Result per source
+ */
+const runChainIndexer = async (io) => {
+  if (!getProvider()) {
+    if (!warnedDisabled) {
+      console.warn('⚠️  CHAIN_RPC_URL not set. Contract events will not be indexed.');
+      warnedDisabled = true;
+    }
+    return { skipped: true };
+  }
+  if (runInProgress) return { skipped: true };
+
+  runInProgress = true;
+  const results = {};
+  try {
+    for (const source of SOURCES) {
+      try {
+        results[source] = await indexSource(source, io);
+        if (source === 'escrow' && !results[source].skipped) {
+          results[source].matched = await reconcileUnmatchedEscrow();
+        }
+      } catch (error) {
+        results[source] = { error: error.message };
+        await ChainCursor.updateOne({ source }, { lastError: error.message, lastRunAt: new Date() });
+        console.error(`Chain indexer (${source}) error:`, error.message);
+      }
+    }
+  } finally {
+    runInProgress = false;
+  }
+
+  return results;
+};
+
+/**
+ * Indexer progress per contract, for the admin lag endpoint
+ * @returns {Promise<Object>} { head, confirmations, sources }
+ */
+const getIndexerStatus = async () => {
+  const config = getIndexerConfig();
+  const rpc = getProvider();
+
+  let head = null;
+  let rpcError = null;
+  if (rpc) {
+    try {
+      head = await rpc.getBlockNumber();
+    } catch (error) {
+      resetProvider();
+      rpcError = error.shortMessage || error.message;
+    }
+  }
+
+  const [cursors, counts] = await Promise.all([
+    ChainCursor.find({}),
+    ChainEvent.aggregate([
+      { $group: { _id: { source: '$source', status: '$status' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const sources = SOURCES.map((source) => {
+    const cursor = cursors.find(c => c.source === source);
+    const currentHead = head ?? cursor?.headBlock ?? null;
+    const lastBlock = cursor?.lastBlock ?? null;
+    const events = counts
+      .filter(c => c._id.source === source)
+      .reduce((byStatus, c) => ({ ...byStatus, [c._id.status]: c.count }), {});
+
+    return {
+      source,
+      enabled: !!rpc && !!config.sources[source].address,
+      contractAddress: config.sources[source].address || null,
+      headBlock: currentHead,
+      safeBlock: currentHead !== null ? currentHead - config.confirmations : null,
+      lastBlock,
+      // Blocks behind the chain head; up to `confirmations` of this is by design
+      lagBlocks: currentHead !== null && lastBlock !== null ? Math.max(0, currentHead - lastBlock) : null,
+      lagSeconds: cursor?.lastSuccessAt ? Math.round((Date.now() - cursor.lastSuccessAt.getTime()) / 1000) : null,
+      lastRunAt: cursor?.lastRunAt || null,
+      lastSuccessAt: cursor?.lastSuccessAt || null,
+      lastError: cursor?.lastError || null,
+      reorgs: cursor?.reorgs || 0,
+      lastReorgBlock: cursor?.lastReorgBlock ?? null,
+      eventsIndexed: cursor?.eventsIndexed || 0,
+      events
+    };
+  });
+
+  return {
+    rpcConfigured: !!rpc,
+    rpcError,
+    headBlock: head,
+    confirmations: config.confirmations,
+    sources
+  };
+};
+
+module.exports = {
+  DEFAULT_EVENTS,
+  getIndexerConfig,
+  isIndexerEnabled,
+  runChainIndexer,
+  getIndexerStatus
+};
@@ -0,0 +1,367 @@
+const { JsonRpcProvider, Contract, Interface, id, parseEther, parseUnits, getAddress } = require('ethers');
+const Transaction = require('../models/Transaction');
+const Config = require('../models/Config');
+const { emitToUsers } = require('./socketRooms');
+const { syncVerificationHold } = require('./escrowRecords');
+
+const ERC20_INTERFACE = new Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'function decimals() view returns (uint8)'
+]);
+const TRANSFER_TOPIC = ERC20_INTERFACE.getEvent('Transfer').topicHash;
+
+// Escrow actions where the caller sends ETH along with the contract call
+const VALUE_BEARING_ACTIONS = ['deposit', 'milestone_fund'];
+
+class ChainVerificationError extends Error {
+  constructor(message, status = 503) {
+    super(message);
+    this.name = 'ChainVerificationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read verification settings from the environment
+ * @returns {Object} Chain verification config
+ */
+const getChainConfig = () => ({
+  rpcUrl: process.env.CHAIN_RPC_URL || '',
+  chainId: parseInt(process.env.CHAIN_ID, 10) || null,
+  confirmations: parseInt(process.env.TX_CONFIRMATIONS, 10) || 1,
+  toleranceBps: parseInt(process.env.TX_VALUE_TOLERANCE_BPS, 10) || 100,
+  maxPendingMs: (parseInt(process.env.TX_VERIFY_MAX_PENDING_MINUTES, 10) || 60) * 60 * 1000,
+  escrowContract: process.env.ESCROW_CONTRACT_ADDRESS || process.env.WORKLOB_JOB_CONTRACT_ADDRESS || ''
+});
+
+let provider = null;
+let providerUrl = null;
+
+/**
+ * Shared JSON-RPC provider for the configured node (Hardhat, Anvil or a hosted RPC)
+ * @returns {Object|null} ethers JsonRpcProvider, or null when CHAIN_RPC_URL is unset
+ */
+const getProvider = () => {
+  const { rpcUrl, chainId } = getChainConfig();
+  if (!rpcUrl) return null;
+
+  if (!provider || providerUrl !== rpcUrl) {
+    // staticNetwork stops ethers from polling an unreachable node in the background
+    provider = new JsonRpcProvider(rpcUrl, chainId || undefined, { staticNetwork: true });
+    providerUrl = rpcUrl;
+  }
+  return provider;
+};
+
+// A provider that never reached its node keeps retrying in the background, so drop it
+const resetProvider = () => {
+  if (provider) {
+    provider.destroy();
+  }
+  provider = null;
+  providerUrl = null;
+};
+
+const sameAddress = (a, b) => {
+  try {
+    return !!a && !!b && getAddress(a) === getAddress(b);
+  } catch (error) {
+    return false;
+  }
+};
+
+const toWei = (amount, decimals = 18) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  const fixed = value.toFixed(Math.min(decimals, 18));
+  return decimals === 18 ? parseEther(fixed) : parseUnits(fixed, decimals);
+};
+
+// |actual - expected| must stay within toleranceBps of expected
+const withinTolerance = (actual, expected, toleranceBps) => {
+  const diff = actual > expected ? actual - expected : expected - actual;
+  return diff * 10000n <= expected * BigInt(toleranceBps);
+};
+
+const getTokenDecimals = async (rpc, tokenAddress) => {
+  try {
+    const token = new Contract(tokenAddress, ERC20_INTERFACE, rpc);
+    return Number(await token.decimals());
+  } catch (error) {
+    return 18;
+  }
+};
+
+// Escrow contracts: the call must target the escrow contract and emit its events
+const checkEscrowTransaction = async (transaction, tx, receipt, config, findings, rpc) => {
+  const action = transaction.metadata?.action;
+
+  if (config.escrowContract) {
+    if (!sameAddress(tx.to, config.escrowContract)) {
+      findings.reject.push(`Transaction was sent to ${tx.to}, not the escrow contract`);
+      return;
+    }
+
+    const contractLogs = receipt.logs.filter(log => sameAddress(log.address, config.escrowContract));
+    if (contractLogs.length === 0) {
+      findings.flag.push('Escrow contract emitted no events');
+    }
+
+    const signatures = await Config.getValue('escrow_event_signatures', {});
+    const signature = signatures?.[action];
+    if (signature && !contractLogs.some(log => log.topics[0] === id(signature))) {
+      findings.flag.push(`Expected event ${signature} was not emitted`);
+    }
+  }
+
+  // Token-funded escrows move an ERC-20 into the contract instead of sending ETH
+  if (VALUE_BEARING_ACTIONS.includes(action) && transaction.tokenAddress) {
+    const decimals = transaction.metadata?.tokenDecimals ?? await getTokenDecimals(rpc, transaction.tokenAddress);
+    const expected = toWei(transaction.metadata?.amountToken, decimals);
+    const transfer = receipt.logs
+      .filter(log => sameAddress(log.address, transaction.tokenAddress) && log.topics[0] === TRANSFER_TOPIC)
+      .map(log => ERC20_INTERFACE.parseLog(log))
+      .find(parsed => !config.escrowContract || sameAddress(parsed.args.to, config.escrowContract));
+
+    if (!transfer) {
+      findings.flag.push('No token Transfer into the escrow contract found');
+    } else if (expected && !withinTolerance(transfer.args.value, expected, config.toleranceBps)) {
+      findings.flag.push(`Token amount deposited (${transfer.args.value}) does not match recorded amount (${expected})`);
+    }
+    return;
+  }
+
+  if (VALUE_BEARING_ACTIONS.includes(action) && !transaction.tokenAddress) {
+    const expected = toWei(transaction.metadata?.amountETH);
+    if (expected && !withinTolerance(tx.value, expected, config.toleranceBps)) {
+      findings.flag.push(`Value sent (${tx.value} wei) does not match recorded amount (${expected} wei)`);
+    }
+  }
+};
+
+// Wallet transfers: native ETH is checked on the tx itself, ERC-20 through its Transfer event
+const checkWalletTransaction = async (transaction, tx, receipt, config, findings, rpc) => {
+  if (transaction.type === 'swap') return;
+
+  if (transaction.tokenAddress) {
+    const decimals = await getTokenDecimals(rpc, transaction.tokenAddress);
+    const expected = toWei(transaction.amount, decimals);
+    const transfer = receipt.logs
+      .filter(log => sameAddress(log.address, transaction.tokenAddress) && log.topics[0] === TRANSFER_TOPIC)
+      .map(log => ERC20_INTERFACE.parseLog(log))
+      .find(parsed =>
+        (!transaction.fromAddress || sameAddress(parsed.args.from, transaction.fromAddress)) &&
+        (!transaction.toAddress || sameAddress(parsed.args.to, transaction.toAddress))
+      );
+
+    if (!transfer) {
+      findings.flag.push('No matching token Transfer event found');
+    } else if (expected && !withinTolerance(transfer.args.value, expected, config.toleranceBps)) {
+      findings.flag.push(`Token amount transferred (${transfer.args.value}) does not match recorded amount (${expected})`);
+    }
+    return;
+  }
+
+  if (transaction.toAddress && !sameAddress(tx.to, transaction.toAddress)) {
+    findings.reject.push(`Recipient ${tx.to} does not match recorded recipient`);
+    return;
+  }
+
+  const expected = toWei(transaction.amount);
+  if (expected && !withinTolerance(tx.value, expected, config.toleranceBps)) {
+    findings.flag.push(`Value sent (${tx.value} wei) does not match recorded amount (${expected} wei)`);
+  }
+};
+
+const notifyParties = (io, transaction) => {
+  const parties = [transaction.fromUser, transaction.toUser].filter(Boolean).map(u => u.toString());
+  emitToUsers(io, parties, 'transaction-verification', {
+    transactionId: transaction._id.toString(),
+    txHash: transaction.txHash,
+    type: transaction.type,
+    chatId: transaction.chat?.toString() || null,
+    verification: transaction.verification
+  });
+};
+
+/**
+ * Check a recorded transaction against the chain and store the outcome
+ * - verified: mined, successful, enough confirmations and every check passed; a pending record becomes completed
+ * - pending: not mined yet or not enough confirmations (retried later)
+ * - rejected: reverted, wrong sender/recipient/contract, or never mined; the record fails and the chat's
+ *   escrow step is put on hold (see utils/escrowRecords.js)
+ * - flagged: mined but amounts or events need a human look
+ * @param {Object} transaction - Transaction document with a txHash
+ * @param {Object} options - { io } to notify the parties when the outcome is final
+ * @returns {Promise<Object>} The transaction's verification subdocument
+ * @throws {ChainVerificationError} When no RPC node is configured or reachable
+ */
+const verifyTransaction = async (transaction, { io } = {}) => {
+  const rpc = getProvider();
+  if (!rpc) {
+    throw new ChainVerificationError('CHAIN_RPC_URL is not configured');
+  }
+  if (!transaction.txHash) {
+    throw new ChainVerificationError('Transaction has no txHash', 400);
+  }
+
+  // A malformed hash can never be found on chain
+  if (!/^0x[0-9a-fA-F]{64}$/.test(transaction.txHash)) {
+    transaction.verification.status = 'rejected';
+    transaction.verification.reasons = ['Malformed transaction hash'];
+    transaction.verification.attempts = (transaction.verification.attempts || 0) + 1;
+    transaction.verification.checkedAt = new Date();
+    transaction.status = 'failed';
+    await transaction.save();
+    await syncVerificationHold(transaction, io);
+    notifyParties(io, transaction);
+    return transaction.verification;
+  }
+
+  const config = getChainConfig();
+  let network;
+  let tx;
+  let receipt;
+  let latestBlock;
+  try {
+    [network, tx, receipt, latestBlock] = await Promise.all([
+      rpc.getNetwork(),
+      rpc.getTransaction(transaction.txHash),
+      rpc.getTransactionReceipt(transaction.txHash),
+      rpc.getBlockNumber()
+    ]);
+  } catch (error) {
+    resetProvider();
+    throw new ChainVerificationError(`RPC node unavailable: ${error.shortMessage || error.message}`);
+  }
+
+  if (config.chainId && Number(network.chainId) !== config.chainId) {
+    throw new ChainVerificationError(`RPC node is on chain ${network.chainId}, expected ${config.chainId}`);
+  }
+
+  const { verification } = transaction;
+  verification.attempts = (verification.attempts || 0) + 1;
+  verification.checkedAt = new Date();
+  verification.chainId = Number(network.chainId);
+
+  const findings = { reject: [], flag: [] };
+  let pendingReason = null;
+
+  if (!tx || !receipt) {
+    const age = Date.now() - new Date(transaction.createdAt || Date.now()).getTime();
+    if (!tx && age > config.maxPendingMs) {
+      findings.reject.push('Transaction was not found on chain');
+    } else {
+      pendingReason = tx ? 'Waiting to be mined' : 'Not yet visible on chain';
+    }
+  } else {
+    verification.blockNumber = receipt.blockNumber;
+    verification.confirmations = latestBlock - receipt.blockNumber + 1;
+
+    if (receipt.status !== 1) {
+      findings.reject.push('Transaction reverted');
+    }
+    if (transaction.fromAddress && !sameAddress(tx.from, transaction.fromAddress)) {
+      findings.reject.push(`Sender ${tx.from} does not match recorded sender`);
+    }
+
+    if (findings.reject.length === 0) {
+      if (transaction.type.startsWith('escrow_')) {
+        await checkEscrowTransaction(transaction, tx, receipt, config, findings, rpc);
+      } else {
+        await checkWalletTransaction(transaction, tx, receipt, config, findings, rpc);
+      }
+    }
+
+    if (verification.confirmations < config.confirmations) {
+      pendingReason = `${verification.confirmations}/${config.confirmations} confirmations`;
+    }
+  }
+
+  if (findings.reject.length > 0) {
+    verification.status = 'rejected';
+    verification.reasons = [...findings.reject, ...findings.flag];
+    transaction.status = 'failed';
+  } else if (findings.flag.length > 0) {
+    verification.status = 'flagged';
+    verification.reasons = findings.flag;
+  } else if (pendingReason) {
+    verification.status = 'pending';
+    verification.reasons = [pendingReason];
+  } else {
+    verification.status = 'verified';
+    verification.reasons = [];
+    verification.verifiedAt = new Date();
+    // Wallet records wait as pending until the chain confirms them
+    if (transaction.status === 'pending') {
+      transaction.status = 'completed';
+    }
+  }
+
+  await transaction.save();
+  await syncVerificationHold(transaction, io);
+
+  if (verification.status !== 'pending') {
+    notifyParties(io, transaction);
+  }
+
+  return transaction.verification;
+};
+
+let sweepInProgress = false;
+let warnedMissingRpc = false;
+
+/**
+ * Verify every on-chain transaction that is new or still pending
+ * Safe to call from a cron job; overlapping runs are skipped.
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @param {Number} limit - Maximum transactions per run
+ * @returns {Promise<Object>} Counts per outcome
+ */
+const verifyPendingTransactions = async (io, limit = 50) => {
+  if (!getProvider()) {
+    if (!warnedMissingRpc) {
+      console.warn('⚠️  CHAIN_RPC_URL not set. On-chain transactions will not be verified.');
+      warnedMissingRpc = true;
+    }
+    return { skipped: true };
+  }
+  if (sweepInProgress) return { skipped: true };
+
+  sweepInProgress = true;
+  const counts = { verified: 0, pending: 0, rejected: 0, flagged: 0, errors: 0 };
+  try {
+    const transactions = await Transaction.find({
+      isOnChain: true,
+      txHash: { $exists: true, $ne: null },
+      'verification.status': { $in: ['unverified', 'pending'] }
+    })
+      .sort({ 'verification.checkedAt': 1, createdAt: 1 })
+      .limit(limit);
+
+    for (const transaction of transactions) {
+      try {
+        const { status } = await verifyTransaction(transaction, { io });
+        counts[status] = (counts[status] || 0) + 1;
+      } catch (error) {
+        counts.errors += 1;
+        console.error('Transaction verification error:', transaction.txHash, error.message);
+        // An unreachable node affects every transaction; try again next run
+        if (error instanceof ChainVerificationError && error.status === 503) break;
+      }
+    }
+  } finally {
+    sweepInProgress = false;
+  }
+
+  return counts;
+};
+
+module.exports = {
+  ChainVerificationError,
+  getChainConfig,
+  getProvider,
+  resetProvider,
+  verifyTransaction,
+  verifyPendingTransactions
+};
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { ChatMessageError, REPLY_PREVIEW_FIELDS } = require('./chatMessages');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const SNIPPET_RADIUS = 60;
+
+const clampLimit = (limit) => {
+  const parsed = parseInt(limit, 10);
+  if (!parsed || parsed < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+// Query strings can repeat a key (?q=a&q=b), which Express turns into an array
+const assertStringParams = (params) => {
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined && typeof value !== 'string') {
+      throw new ChatMessageError(`"${name}" must be a single value`);
+    }
+  });
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Messages hidden from this user: deleted for everyone or deleted for themselves
+const visibleTo = (chatId, userId) => ({
+  chatId,
+  deletedFor: { $ne: userId }
+});
+
+// Cursors are message ids; ordering is (timestamp, _id) so equal timestamps stay stable
+const buildCursorFilter = async (chatId, cursorId, direction) => {
+  if (!mongoose.Types.ObjectId.isValid(cursorId)) {
+    throw new ChatMessageError('Invalid cursor');
+  }
+
+  const cursor = await Message.findOne({ _id: cursorId, chatId }).select('timestamp');
+  if (!cursor) {
+    throw new ChatMessageError('Cursor message not found in this chat', 404);
+  }
+
+  const op = direction === 'before' ? '$lt' : '$gt';
+  return {
+    $or: [
+      { timestamp: { [op]: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { [op]: cursor._id } }
+    ]
+  };
+};
+
+/**
+ * Load one page of a chat's history
+ * Without a cursor the newest page is returned. Messages are always oldest first.
+ * @param {String|ObjectId} chatId - Chat id
+ * @param {String} userId - Requesting user
+ * @param {Object} options - { before, after, limit }
+ * @returns {Promise<Object>} { messages, pagination }
+ */
+const fetchMessagePage = async (chatId, userId, { before, after, limit } = {}) => {
+  assertStringParams({ before, after, limit });
+  if (before && after) {
+    throw new ChatMessageError('Use either "before" or "after", not both');
+  }
+
+  const pageSize = clampLimit(limit);
+  const direction = after ? 'after' : 'before';
+  const filter = visibleTo(chatId, userId);
+
+  if (before || after) {
+    Object.assign(filter, await buildCursorFilter(chatId, before || after, direction));
+  }
+
+  const sortOrder = direction === 'after' ? 1 : -1;
+  const results = await Message.find(filter)
+    .sort({ timestamp: sortOrder, _id: sortOrder })
+    .limit(pageSize + 1)
+    .populate('senderId', 'username email profile')
+    .populate('replyTo', REPLY_PREVIEW_FIELDS);
+
+  const hasMore = results.length > pageSize;
+  const messages = results.slice(0, pageSize);
+  if (direction === 'before') {
+    messages.reverse();
+  }
+
+  return {
+    messages,
+    pagination: {
+      limit: pageSize,
+      direction,
+      hasMore,
+      // Pass these back as `before` / `after` to keep paging
+      before: messages.length > 0 ? messages[0]._id : null,
+      after: messages.length > 0 ? messages[messages.length - 1]._id : null
+    }
+  };
+};
+
+const getSearchTerms = (q = '') => q
+  .trim()
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 10);
+
+/**
+ * Find the match ranges of every term in a piece of text
+ * @param {String} text - Text to scan
+ * @param {Array<String>} terms - Search terms
+ * @returns {Array<Array<Number>>} Sorted, merged [start, end) ranges
+ */
+const findMatchRanges = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+
+  const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+  const ranges = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Build an HTML-escaped snippet around the first match with <mark> tags
+ * @param {String} text - Original text
+ * @param {Array<Array<Number>>} ranges - Match ranges from findMatchRanges
+ * @returns {String} Snippet safe to render as HTML
+ */
+const buildSnippet = (text, ranges) => {
+  if (ranges.length === 0) {
+    return escapeHtml(text.slice(0, SNIPPET_RADIUS * 2));
+  }
+
+  const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS);
+
+  let snippet = start > 0 ? '…' : '';
+  let position = start;
+  ranges
+    .filter(([from, to]) => from < end && to > start)
+    .forEach(([from, to]) => {
+      const markFrom = Math.max(from, start);
+      const markTo = Math.min(to, end);
+      snippet += escapeHtml(text.slice(position, markFrom));
+      snippet += `<mark>${escapeHtml(text.slice(markFrom, markTo))}</mark>`;
+      position = markTo;
+    });
+  snippet += escapeHtml(text.slice(position, end));
+  if (end < text.length) snippet += '…';
+
+  return snippet;
+};
+
+/**
+ * Search the messages of one chat
+ * Every term must appear in the content or an attachment name (case-insensitive).
+ * Results are newest first and page with the `before` cursor.
+ * @param {String|ObjectId} chatId - Chat id
+ * @param {String} userId - Requesting user
+ * @param {Object} options - { q, sender, hasAttachments, from, to, before, limit }
+ * @returns {Promise<Object>} { results, pagination }
+ */
+const searchChatMessages = async (chatId, userId, options = {}) => {
+  const { q, sender, hasAttachments, from, to, before, limit } = options;
+  assertStringParams({ q, sender, from, to, before, limit });
+  const terms = getSearchTerms(q);
+
+  if (terms.length === 0 && !sender && !hasAttachments && !from && !to) {
+    throw new ChatMessageError('Provide a search query or at least one filter');
+  }
+
+  const pageSize = clampLimit(limit);
+  const filter = {
+    ...visibleTo(chatId, userId),
+    deletedForEveryone: { $ne: true }
+  };
+  const conditions = terms.map((term) => {
+    const regex = { $regex: escapeRegex(term), $options: 'i' };
+    return { $or: [{ content: regex }, { 'attachments.originalName': regex }] };
+  });
+
+  if (sender) {
+    if (!mongoose.Types.ObjectId.isValid(sender)) {
+      throw new ChatMessageError('Invalid sender');
+    }
+    filter.senderId = sender;
+  }
+
+  if (hasAttachments) {
+    filter['attachments.0'] = { $exists: true };
+  }
+
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = new Date(from);
+    if (to) filter.timestamp.$lte = new Date(to);
+    if (Object.values(filter.timestamp).some(date => isNaN(date.getTime()))) {
+      throw new ChatMessageError('Invalid date range');
+    }
+  }
+
+  if (before) {
+    conditions.push(await buildCursorFilter(chatId, before, 'before'));
+  }
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+
+  const found = await Message.find(filter)
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate('senderId', 'username email profile');
+
+  const hasMore = found.length > pageSize;
+  const results = found.slice(0, pageSize).map((message) => {
+    const ranges = findMatchRanges(message.content, terms);
+    return {
+      message,
+      highlight: {
+        ranges,
+        snippet: buildSnippet(message.content || '', ranges),
+        attachments: message.attachments
+          .map((attachment, index) => ({ index, ranges: findMatchRanges(attachment.originalName, terms) }))
+          .filter(match => match.ranges.length > 0)
+      }
+    };
+  });
+
+  return {
+    results,
+    pagination: {
+      limit: pageSize,
+      hasMore,
+      before: results.length > 0 ? results[results.length - 1].message._id : null
+    }
+  };
+};
+
+module.exports = {
+  fetchMessagePage,
+  searchChatMessages,
+  findMatchRanges,
+  buildSnippet
+};
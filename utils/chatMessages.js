@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
+const { emitToUser, isChatParticipant } = require('./socketRooms');
+
+// Fields sent along with a message to preview the message it replies to
+const REPLY_PREVIEW_FIELDS = 'content senderId type attachments deletedForEveryone timestamp';
+
+const DELETED_PLACEHOLDER = 'This message was deleted';
+const MAX_EMOJI_LENGTH = 16;
+const EMOJI_REGEX = /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+
+class ChatMessageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChatMessageError';
+    this.status = status;
+  }
+}
+
+const assertParticipant = (chat, userId) => {
+  if (!isChatParticipant(chat, userId)) {
+    throw new ChatMessageError('Not authorized to access this chat', 403);
+  }
+};
+
+const findChatMessage = async (chat, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw new ChatMessageError('Invalid message ID');
+  }
+
+  const message = await Message.findOne({ _id: messageId, chatId: chat._id });
+  if (!message) {
+    throw new ChatMessageError('Message not found', 404);
+  }
+  return message;
+};
+
+// Keep the chat list preview in step when the latest message changes
+const syncLastMessage = async (chat, message) => {
+  const latest = await Message.findOne({ chatId: chat._id })
+    .sort({ timestamp: -1 })
+    .select('_id');
+  if (!latest || latest._id.toString() !== message._id.toString()) return;
+
+  chat.lastMessage = {
+    content: message.deletedForEveryone ? DELETED_PLACEHOLDER : message.content,
+    sender: message.senderId,
+    timestamp: chat.lastMessage?.timestamp || message.timestamp
+  };
+  await chat.save();
+};
+
+/**
+ * Validate a replyTo reference for a new message
+ * @param {Object} chat - Chat document
+ * @param {String} replyToId - Id of the quoted message (optional)
+ * @returns {Promise<ObjectId|null>} Id to store on the new message
+ */
+const resolveReplyTo = async (chat, replyToId) => {
+  if (!replyToId) return null;
+  const target = await findChatMessage(chat, replyToId);
+  return target._id;
+};
+
+/**
+ * Edit the content of one of the user's own messages, keeping the previous version
+ * @param {Object} params
+ * @param {Object} params.io - Socket.IO server (may be undefined)
+ * @param {Object} params.chat - Chat document
+ * @param {String} params.messageId - Message to edit
+ * @param {String} params.userId - Editing user
+ * @param {String} params.content - New content
+ * @returns {Promise<Object>} Updated message
+ */
+const editMessage = async ({ io, chat, messageId, userId, content }) => {
+  assertParticipant(chat, userId);
+
+  const newContent = (content || '').trim();
+  if (!newContent) {
+    throw new ChatMessageError('Message content is required');
+  }
+
+  const message = await findChatMessage(chat, messageId);
+  if (message.senderId?.toString() !== userId.toString()) {
+    throw new ChatMessageError('You can only edit your own messages', 403);
+  }
+  if (message.type === 'system' || message.deletedForEveryone) {
+    throw new ChatMessageError('This message can no longer be edited');
+  }
+  if (message.content === newContent) {
+    return message;
+  }
+
+  const editedAt = new Date();
+  message.editHistory.push({ content: message.content, editedAt });
+  message.content = newContent;
+  message.editedAt = editedAt;
+  await message.save();
+  await syncLastMessage(chat, message);
+
+  if (io) {
+    io.to(chat._id.toString()).emit('message-updated', {
+      id: message._id,
+      chatId: chat._id.toString(),
+      content: message.content,
+      editedAt
+    });
+  }
+
+  return message;
+};
+
+/**
+ * Soft-delete a message for every participant or only for the requesting user
+ * @param {Object} params
+ * @param {Object} params.io - Socket.IO server (may be undefined)
+ * @param {Object} params.chat - Chat document
+ * @param {String} params.messageId - Message to delete
+ * @param {String} params.userId - Deleting user
+ * @param {String} params.scope - 'everyone' (sender only) or 'me'
+ * @returns {Promise<Object>} Updated message
+ */
+const deleteMessage = async ({ io, chat, messageId, userId, scope = 'me' }) => {
+  assertParticipant(chat, userId);
+
+  if (!['everyone', 'me'].includes(scope)) {
+    throw new ChatMessageError('Scope must be "everyone" or "me"');
+  }
+
+  const message = await findChatMessage(chat, messageId);
+  const payload = {
+    id: message._id,
+    chatId: chat._id.toString(),
+    scope
+  };
+
+  if (scope === 'me') {
+    if (!message.deletedFor.some(id => id.toString() === userId.toString())) {
+      message.deletedFor.push(userId);
+      await message.save();
+    }
+    // Only the user's other devices need to hide it
+    emitToUser(io, userId, 'message-deleted', payload);
+    return message;
+  }
+
+  if (message.senderId?.toString() !== userId.toString()) {
+    throw new ChatMessageError('You can only delete your own messages for everyone', 403);
+  }
+  if (message.type === 'system') {
+    throw new ChatMessageError('System messages cannot be deleted');
+  }
+
+  if (!message.deletedForEveryone) {
+    message.deletedForEveryone = true;
+    message.deletedAt = new Date();
+    await message.save();
+    await syncLastMessage(chat, message);
+  }
+
+  if (io) {
+    io.to(chat._id.toString()).emit('message-deleted', payload);
+  }
+
+  return message;
+};
+
+/**
+ * Add an emoji reaction, or remove it if the user already reacted with it
+ * @param {Object} params
+ * @param {Object} params.io - Socket.IO server (may be undefined)
+ * @param {Object} params.chat - Chat document
+ * @param {String} params.messageId - Message to react to
+ * @param {String} params.userId - Reacting user
+ * @param {String} params.emoji - Emoji
+ * @returns {Promise<Object>} Updated message
+ */
+const toggleReaction = async ({ io, chat, messageId, userId, emoji }) => {
+  assertParticipant(chat, userId);
+
+  const value = (emoji || '').trim();
+  if (!value || value.length > MAX_EMOJI_LENGTH || !EMOJI_REGEX.test(value)) {
+    throw new ChatMessageError('A single emoji is required');
+  }
+
+  const message = await findChatMessage(chat, messageId);
+  if (message.deletedForEveryone) {
+    throw new ChatMessageError('Cannot react to a deleted message');
+  }
+
+  const existingIndex = message.reactions.findIndex(
+    r => r.user.toString() === userId.toString() && r.emoji === value
+  );
+  if (existingIndex === -1) {
+    message.reactions.push({ user: userId, emoji: value });
+  } else {
+    message.reactions.splice(existingIndex, 1);
+  }
+  await message.save();
+
+  if (io) {
+    io.to(chat._id.toString()).emit('message-reaction', {
+      id: message._id,
+      chatId: chat._id.toString(),
+      reactions: message.reactions
+    });
+  }
+
+  return message;
+};
+
+/**
+ * Post a platform message (no sender) into a chat and count it as unread for every participant
+ * @param {Object} params
+ * @param {Object} params.io - Socket.IO server (optional)
+ * @param {Object} params.chat - Chat document or lean chat with participants
+ * @param {String} params.content - Message text
+ * @returns {Promise<Object>} Created message
+ */
+const postSystemMessage = async ({ io, chat, content }) => {
+  const message = await Message.create({ chatId: chat._id, type: 'system', content });
+  const participantIds = chat.participants.map(p => (p.user?._id || p.user).toString());
+
+  await Chat.updateOne({ _id: chat._id }, {
+    $set: { lastMessage: { content, sender: null, timestamp: message.timestamp } },
+    $inc: Object.fromEntries(participantIds.map(id => [`unreadCount.${id}`, 1]))
+  });
+
+  if (io) {
+    io.to(chat._id.toString()).emit('new-message', {
+      id: message._id,
+      chatId: chat._id.toString(),
+      senderId: null,
+      content: message.content,
+      type: message.type,
+      attachments: [],
+      timestamp: message.timestamp
+    });
+    participantIds.forEach(id => emitToUser(io, id, 'unread-count-updated', { userId: id }));
+  }
+
+  return message;
+};
+
+module.exports = {
+  ChatMessageError,
+  REPLY_PREVIEW_FIELDS,
+  resolveReplyTo,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  postSystemMessage
+};
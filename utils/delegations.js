@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Delegation = require('../models/Delegation');
+const Notification = require('../models/Notification');
+const Proposal = require('../models/Proposal');
+const User = require('../models/User');
+const VoterSnapshot = require('../models/VoterSnapshot');
+const { enqueueJob } = require('./jobQueue');
+const { emitToUsers } = require('./socketRooms');
+
+const PROPOSAL_CATEGORIES = Proposal.schema.path('category').enumValues;
+const DELEGATION_SCOPES = ['all', ...PROPOSAL_CATEGORIES];
+
+class DelegationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DelegationError';
+    this.status = status;
+  }
+}
+
+const roundWeight = (value) => Math.round(value * 1e4) / 1e4;
+
+// Who each delegator's vote goes to for one category; a category delegation beats 'all'
+const buildDelegationMap = (delegations, category) => {
+  const map = new Map();
+  delegations.forEach(({ delegator, delegate, scope }) => {
+    const key = delegator.toString();
+    if (scope === category || !map.has(key)) {
+      map.set(key, { delegate: delegate.toString(), scope });
+    }
+  });
+  return map;
+};
+
+const getDelegateFor = async (userId, category) => {
+  const delegations = await Delegation.find({ delegator: userId, active: true, scope: { $in: [category, 'all'] } })
+    .select('delegate scope')
+    .lean();
+  const chosen = delegations.find(delegation => delegation.scope === category) || delegations[0];
+  return chosen?.delegate.toString();
+};
+
+/**
+ * Category in which a new delegation would close a loop back to the delegator
+ * An 'all' delegation is checked for every category the delegator has not delegated separately.
+ * @param {String} delegatorId - User delegating
+ * @param {String} delegateId - Proposed delegate
+ * @param {String} scope - 'all' or a category
+ * @returns {Promise<String|null>} The category with a cycle, or null
+ */
+const findDelegationCycle = async (delegatorId, delegateId, scope) => {
+  let categories = [scope];
+  if (scope === 'all') {
+    const own = await Delegation.distinct('scope', { delegator: delegatorId, active: true, scope: { $ne: 'all' } });
+    categories = PROPOSAL_CATEGORIES.filter(category => !own.includes(category));
+  }
+
+  for (const category of categories) {
+    const seen = new Set();
+    let current = delegateId.toString();
+    while (current && !seen.has(current)) {
+      if (current === delegatorId.toString()) return category;
+      seen.add(current);
+      current = await getDelegateFor(current, category);
+    }
+  }
+  return null;
+};
+
+/**
+ * Delegate a user's vote, replacing their current delegation for the same scope
+ * @param {Object} params - { delegatorId, delegateId, scope, minActivityPoints }
+ * @returns {Promise<Object>} The new Delegation
+ * @throws {DelegationError} For an unknown scope, an ineligible delegate or a delegation cycle
+ */
+const createDelegation = async ({ delegatorId, delegateId, scope = 'all', minActivityPoints = 0 }) => {
+  if (!DELEGATION_SCOPES.includes(scope)) {
+    throw new DelegationError(`scope must be one of: ${DELEGATION_SCOPES.join(', ')}`);
+  }
+  if (!mongoose.isValidObjectId(delegateId)) {
+    throw new DelegationError('Delegate not found', 404);
+  }
+  if (delegateId.toString() === delegatorId.toString()) {
+    throw new DelegationError('You cannot delegate to yourself');
+  }
+
+  const delegate = await User.findById(delegateId).select('isActive stats.activityPoints');
+  if (!delegate) {
+    throw new DelegationError('Delegate not found', 404);
+  }
+  if (delegate.isActive === false || (delegate.stats?.activityPoints || 0) < minActivityPoints) {
+    throw new DelegationError(`Delegates must be eligible voters (${minActivityPoints}+ activity points)`);
+  }
+
+  const cycleCategory = await findDelegationCycle(delegatorId, delegateId, scope);
+  if (cycleCategory) {
+    throw new DelegationError(`This delegation would create a cycle for ${cycleCategory} proposals`, 409);
+  }
+
+  await Delegation.updateOne(
+    { delegator: delegatorId, scope, active: true },
+    { $set: { active: false, revokedAt: new Date() } }
+  );
+  try {
+    return await Delegation.create({ delegator: delegatorId, delegate: delegateId, scope });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new DelegationError('Another delegation for this scope was just created', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Revoke one of a user's active delegations
+ * @param {String} delegatorId - Owner of the delegation
+ * @param {String} delegationId - Delegation id
+ * @returns {Promise<Object>} The revoked Delegation
+ * @throws {DelegationError} When the user has no such active delegation
+ */
+const revokeDelegation = async (delegatorId, delegationId) => {
+  const delegation = mongoose.isValidObjectId(delegationId)
+    ? await Delegation.findOneAndUpdate(
+      { _id: delegationId, delegator: delegatorId, active: true },
+      { $set: { active: false, revokedAt: new Date() } },
+      { new: true }
+    )
+    : null;
+  if (!delegation) {
+    throw new DelegationError('Delegation not found', 404);
+  }
+  return delegation;
+};
+
+/**
+ * Add the weight of members who delegated and did not vote to the votes their delegation reaches
+ * Chains are followed until they reach someone who voted; a delegator's own vote always wins.
+ * A secret ballot committed but never revealed also stops the chain, and its weight is not counted.
+ * Only proposals with a voter snapshot take delegations, and delegated weight is the snapshot weight.
+ * @param {Object} proposal - Proposal document (saved by the caller)
+ */
+const applyDelegatedWeight = async (proposal) => {
+  if (!proposal.voting?.snapshot?.recordedAt || proposal.votes.length === 0) return;
+
+  const voteByUser = new Map(proposal.votes.map(vote => [(vote.user?._id || vote.user).toString(), vote]));
+  const voted = new Set([
+    ...voteByUser.keys(),
+    ...(proposal.commits || []).map(commit => (commit.user?._id || commit.user).toString())
+  ]);
+  proposal.votes.forEach((vote) => {
+    vote.delegatedWeight = 0;
+    vote.delegatedFrom = [];
+  });
+
+  const delegations = await Delegation.find({ active: true, scope: { $in: ['all', proposal.category] } })
+    .select('delegator delegate scope')
+    .lean();
+  const map = buildDelegationMap(delegations, proposal.category);
+  const delegators = [...map.keys()].filter(userId => !voted.has(userId));
+
+  if (delegators.length > 0) {
+    const entries = await VoterSnapshot.find({
+      proposal: proposal._id,
+      user: { $in: delegators },
+      eligible: true,
+      weight: { $gt: 0 }
+    }).select('user weight').lean();
+
+    entries.forEach(({ user, weight }) => {
+      const seen = new Set([user.toString()]);
+      let current = map.get(user.toString())?.delegate;
+      while (current && !voted.has(current) && !seen.has(current)) {
+        seen.add(current);
+        current = map.get(current)?.delegate;
+      }
+
+      const vote = current && voteByUser.get(current);
+      if (vote) {
+        vote.delegatedWeight = roundWeight(vote.delegatedWeight + weight);
+        vote.delegatedFrom.push({ user, weight });
+      }
+    });
+  }
+  proposal.markModified('votes');
+};
+
+/**
+ * Tell delegates that a new proposal in their delegators' scope is open
+ * Delegates already told about this proposal are skipped, so a retried run sends nothing twice.
+ * @param {String} proposalId - Proposal id
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @returns {Promise<Object>} { notified }
+ */
+const notifyDelegates = async (proposalId, io) => {
+  const proposal = await Proposal.findById(proposalId).select('title category status voting.endsAt');
+  if (!proposal || proposal.status !== 'voting') {
+    return { notified: 0 };
+  }
+
+  const delegations = await Delegation.find({ active: true, scope: { $in: ['all', proposal.category] } })
+    .select('delegator delegate scope')
+    .lean();
+  const delegatorCounts = new Map();
+  buildDelegationMap(delegations, proposal.category).forEach(({ delegate }) => {
+    delegatorCounts.set(delegate, (delegatorCounts.get(delegate) || 0) + 1);
+  });
+
+  const alreadyNotified = await Notification.distinct('user', {
+    'data.kind': 'delegate_vote_needed',
+    'data.proposalId': proposal._id.toString()
+  });
+  const notifiedIds = new Set(alreadyNotified.map(id => id.toString()));
+  const delegates = [...delegatorCounts.keys()].filter(userId => !notifiedIds.has(userId));
+  if (delegates.length === 0) {
+    return { notified: 0 };
+  }
+
+  const endsOn = proposal.voting.endsAt.toISOString().slice(0, 10);
+  const notifications = await Notification.insertMany(delegates.map(user => ({
+    user,
+    type: 'system',
+    title: 'A proposal needs your vote',
+    message: `${delegatorCounts.get(user)} member(s) delegated their vote to you. "${proposal.title}" is open for voting until ${endsOn}.`,
+    data: {
+      kind: 'delegate_vote_needed',
+      proposalId: proposal._id.toString(),
+      delegators: delegatorCounts.get(user)
+    },
+    link: `/governance/${proposal._id}`
+  })));
+  emitToUsers(io, delegates, 'new-notification');
+
+  await Promise.all(notifications.map(notification =>
+    enqueueJob('notifications.email', { notificationId: notification._id.toString() })
+  ));
+  return { notified: delegates.length };
+};
+
+/**
+ * A user's active delegations in both directions
+ * @param {String} userId - User id
+ * @returns {Promise<Object>} { outgoing, incoming }
+ */
+const listDelegations = async (userId) => {
+  const [outgoing, incoming] = await Promise.all([
+    Delegation.find({ delegator: userId, active: true }).populate('delegate', 'username profile').sort({ scope: 1 }),
+    Delegation.find({ delegate: userId, active: true }).populate('delegator', 'username profile').sort({ createdAt: -1 })
+  ]);
+  return { outgoing, incoming };
+};
+
+module.exports = {
+  DELEGATION_SCOPES,
+  DelegationError,
+  createDelegation,
+  revokeDelegation,
+  applyDelegatedWeight,
+  notifyDelegates,
+  listDelegations
+};
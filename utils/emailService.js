@@ -46,9 +46,10 @@ const createTransporter = () => {
  * @param {String} options.message - Notification message
  * @param {String} options.actionUrl - URL for action button
  * @param {String} options.actionText - Text for action button (default: "View Details")
+ * @param {Array<Object>} options.attachments - Nodemailer attachments (optional)
  * @returns {Promise<Object>} Email send result
  */
-const sendNotificationEmail = async ({ to, subject, title, message, actionUrl, actionText = 'View Details' }) => {
+const sendNotificationEmail = async ({ to, subject, title, message, actionUrl, actionText = 'View Details', attachments }) => {
   try {
     // Validate required fields
     if (!to || !subject || !title || !message) {
@@ -164,7 +165,8 @@ You received this email because you have email notifications enabled in your acc
       to: to,
       subject: subject,
       text: textContent,
-      html: htmlContent
+      html: htmlContent,
+      attachments
     };
 
     // Verify connection before sending
@@ -238,6 +240,9 @@ const sendEmailForNotification = async (notification, user, clientUrl = null) =>
     } else if (notification.data?.gigId) {
       actionUrl = `/gigs/${notification.data.gigId}`;
       actionText = 'View Gig';
+    } else if (notification.data?.proposalId) {
+      actionUrl = `/governance/${notification.data.proposalId}`;
+      actionText = 'View Proposal';
     }
 
     return await sendNotificationEmail({
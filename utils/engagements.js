@@ -0,0 +1,107 @@
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Gig = require('../models/Gig');
+const Config = require('../models/Config');
+const { enqueueJob } = require('./jobQueue');
+
+/**
+ * Stats, referral and job/gig status updates once an engagement is fully paid out
+ * @param {Object} chat - Chat document
+ * @param {Object} client - Client participant
+ * @param {Object} talent - Talent participant
+ */
+const completeEngagement = async (chat, client, talent) => {
+  const [clientUser, talentUser] = await Promise.all([
+    User.findById(client.user._id),
+    User.findById(talent.user._id)
+  ]);
+
+  if (clientUser) {
+    clientUser.stats = clientUser.stats || {};
+    // Get activity points from config (default: 10)
+    const activityPoints = await Config.getValue('activity_points_job_completion', 10);
+    clientUser.stats.activityPoints = (clientUser.stats.activityPoints || 0) + activityPoints;
+    // Increment jobsCompleted for both jobs and gigs (treating gigs as jobs for completion tracking)
+    if (chat.type === 'job' || chat.type === 'gig') {
+      clientUser.stats.jobsCompleted = (clientUser.stats.jobsCompleted || 0) + 1;
+    }
+    await clientUser.save();
+  }
+
+  if (talentUser) {
+    talentUser.stats = talentUser.stats || {};
+    // Get activity points from config (default: 10)
+    const activityPoints = await Config.getValue('activity_points_job_completion', 10);
+    talentUser.stats.activityPoints = (talentUser.stats.activityPoints || 0) + activityPoints;
+    // Increment jobsCompleted for both jobs and gigs (treating gigs as jobs for completion tracking)
+    if (chat.type === 'job' || chat.type === 'gig') {
+      talentUser.stats.jobsCompleted = (talentUser.stats.jobsCompleted || 0) + 1;
+    }
+    await talentUser.save();
+
+    // Approve pending referrals for the talent user when they complete their first job/gig
+    await enqueueJob('referrals.approve', { userId: talentUser._id.toString() }, {
+      uniqueKey: `referrals.approve:${talentUser._id}`
+    }).catch(error => console.error('Error queueing referral approval:', error.message));
+  }
+
+  if (chat.job) {
+    const job = await Job.findById(chat.job._id || chat.job);
+    if (job) {
+      // Update application status to 'completed' when chat is confirmed
+      const application = job.applications.find(app => 
+        app.chatId && app.chatId.toString() === chat._id.toString()
+      );
+      if (!application && chat.escrow?.identifiers) {
+        // Try to find by talent ID from escrow identifiers
+        const talentId = chat.escrow.identifiers.talentId;
+        if (talentId) {
+          const matchingApplication = job.applications.find(app => 
+            app.talent && (app.talent.toString() === talentId.toString() || 
+                       (app.talent._id && app.talent._id.toString() === talentId.toString()))
+          );
+          if (matchingApplication) {
+            matchingApplication.status = 'completed';
+            await job.save();
+          }
+        }
+      } else if (application) {
+        application.status = 'completed';
+        await job.save();
+      }
+    }
+    await Job.findByIdAndUpdate(chat.job._id, { status: 'completed' });
+  }
+
+  if (chat.gig) {
+    const gig = await Gig.findById(chat.gig._id);
+    if (gig) {
+      // Update order status to 'completed' when chat is confirmed
+      const order = gig.orders.find(o => 
+        o.chatId && o.chatId.toString() === chat._id.toString()
+      );
+      if (!order && chat.escrow?.identifiers) {
+        // Try to find by client ID from escrow identifiers
+        const clientId = chat.escrow.identifiers.customerId;
+        if (clientId) {
+          const matchingOrder = gig.orders.find(o => 
+            o.client && (o.client.toString() === clientId.toString() || 
+                       (o.client._id && o.client._id.toString() === clientId.toString()))
+          );
+          if (matchingOrder) {
+            matchingOrder.status = 'completed';
+            await gig.save();
+          }
+        }
+      } else if (order) {
+        order.status = 'completed';
+        await gig.save();
+      }
+    }
+    await Gig.findByIdAndUpdate(chat.gig._id, { status: 'completed' });
+  }
+};
+
+module.exports = {
+  completeEngagement
+};
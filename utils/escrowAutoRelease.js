@@ -0,0 +1,262 @@
+const Chat = require('../models/Chat');
+const Job = require('../models/Job');
+const Order = require('../models/Order');
+const Proposal = require('../models/Proposal');
+const Notification = require('../models/Notification');
+const { emitToUsers } = require('./socketRooms');
+const { postSystemMessage } = require('./chatMessages');
+
+const HOUR_MS = 60 * 60 * 1000;
+// A dispute that missed quorum is still unsettled, so it keeps holding the funds
+const ACTIVE_DISPUTE_STATUSES = ['voting', 'awaiting_resolution', 'failed_quorum'];
+
+/**
+ * Confirmation window settings from the environment
+ * ESCROW_AUTO_RELEASE_DAYS=0 turns the timer off.
+ * @returns {Object} { enabled, windowDays, reminderHours }
+ */
+const getAutoReleaseConfig = () => {
+  const days = process.env.ESCROW_AUTO_RELEASE_DAYS;
+  const windowDays = days === undefined || days === '' ? 7 : Number(days);
+  const reminderHours = (process.env.ESCROW_AUTO_RELEASE_REMINDER_HOURS || '72,24')
+    .split(',')
+    .map(Number)
+    .filter(hours => Number.isFinite(hours) && hours > 0);
+  return {
+    enabled: Number.isFinite(windowDays) && windowDays > 0,
+    windowDays,
+    reminderHours
+  };
+};
+
+/**
+ * Start the client's confirmation window on a chat the talent just marked complete
+ * Reminders that would fall before the window starts are skipped. The caller saves the chat.
+ * @param {Object} chat - Chat document
+ * @param {Date} startedAt - When the work was marked complete
+ * @returns {Object|null} The autoRelease record, or null when the timer is disabled
+ */
+const scheduleAutoRelease = (chat, startedAt = new Date()) => {
+  const { enabled, windowDays, reminderHours } = getAutoReleaseConfig();
+  if (!enabled) return null;
+
+  const dueAt = new Date(startedAt.getTime() + windowDays * 24 * HOUR_MS);
+  chat.escrow.autoRelease = {
+    status: 'scheduled',
+    startedAt,
+    dueAt,
+    reminders: reminderHours
+      .map(hoursBefore => ({ hoursBefore, dueAt: new Date(dueAt.getTime() - hoursBefore * HOUR_MS) }))
+      .filter(reminder => reminder.dueAt > startedAt)
+      .sort((a, b) => a.dueAt - b.dueAt)
+  };
+  chat.markModified('escrow');
+  return chat.escrow.autoRelease;
+};
+
+/**
+ * Stop a running confirmation window (the client confirmed, or the escrow was cancelled)
+ * @param {Object} chat - Chat document (saved by the caller)
+ * @param {String} status - 'confirmed' or 'cancelled'
+ */
+const closeAutoRelease = (chat, status) => {
+  if (chat.escrow?.autoRelease?.status !== 'scheduled') return;
+  chat.escrow.autoRelease.status = status;
+  chat.escrow.autoRelease.closedAt = new Date();
+  chat.markModified('escrow');
+};
+
+/**
+ * Open dispute proposal for a chat, whether it references the chat, its gig order or its job application
+ * @param {Object} chat - Chat with job and gig ids
+ * @returns {Promise<Object|null>} Proposal (id and status) or null
+ */
+const findActiveDispute = async (chat) => {
+  const references = [chat._id.toString()];
+
+  if (chat.job) {
+    const job = await Job.findById(chat.job._id || chat.job).select('applications._id applications.chatId').lean();
+    (job?.applications || [])
+      .filter(app => app.chatId && app.chatId.toString() === chat._id.toString())
+      .forEach(app => references.push(app._id.toString()));
+  }
+  if (chat.gig) {
+    const orders = await Order.find({ chat: chat._id }).select('_id').lean();
+    orders.forEach(order => references.push(order._id.toString()));
+  }
+
+  return Proposal.findOne({
+    proposalType: 'dispute',
+    status: { $in: ACTIVE_DISPUTE_STATUSES },
+    isActive: { $ne: false },
+    'disputeContext.job': { $in: references }
+  }).select('_id status');
+};
+
+const getParticipantIds = (chat) => chat.participants.map(p => (p.user?._id || p.user).toString());
+
+const getClientId = (chat) => {
+  const client = chat.participants.find(p => p.role === 'client');
+  return client ? (client.user?._id || client.user).toString() : null;
+};
+
+const notify = async (io, userIds, { title, message, chat }) => {
+  await Notification.insertMany(userIds.map(user => ({
+    user,
+    type: 'payment',
+    title,
+    message,
+    data: { chatId: chat._id.toString() },
+    link: `/chats/${chat._id}`
+  })));
+  emitToUsers(io, userIds, 'new-notification');
+};
+
+const formatRemaining = (hours) => (hours >= 48 ? `${Math.round(hours / 24)} days` : `${Math.round(hours)} hours`);
+
+// A dispute opened during the window takes over; the timer stops for good
+const pauseForDispute = async (io, chat, dispute) => {
+  const result = await Chat.updateOne(
+    { _id: chat._id, 'escrow.autoRelease.status': 'scheduled' },
+    {
+      $set: {
+        'escrow.autoRelease.status': 'disputed',
+        'escrow.autoRelease.dispute': dispute._id,
+        'escrow.autoRelease.closedAt': new Date()
+      }
+    }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  await postSystemMessage({
+    io,
+    chat,
+    content: 'A dispute is open for this engagement, so the automatic release timer has stopped. The DAO decision will settle the escrow.'
+  });
+  return true;
+};
+
+const sendReminder = async (io, chat, reminder) => {
+  const result = await Chat.updateOne(
+    { _id: chat._id, 'escrow.autoRelease.status': 'scheduled' },
+    { $set: { 'escrow.autoRelease.reminders.$[reminder].sentAt': new Date() } },
+    { arrayFilters: [{ 'reminder._id': reminder._id, 'reminder.sentAt': null }] }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  const remaining = formatRemaining((chat.escrow.autoRelease.dueAt - Date.now()) / HOUR_MS);
+  await postSystemMessage({
+    io,
+    chat,
+    content: `Reminder: the work was marked complete. The client has ${remaining} left to confirm and release the escrow or open a dispute before this engagement is escalated.`
+  });
+  const clientId = getClientId(chat);
+  if (clientId) {
+    await notify(io, [clientId], {
+      chat,
+      title: 'Please confirm the completed work',
+      message: `You have ${remaining} left to release the escrow or open a dispute.`
+    });
+  }
+  return true;
+};
+
+// The platform cannot sign a release from the client's wallet, so an expired window is escalated
+const escalate = async (io, chat) => {
+  const result = await Chat.updateOne(
+    { _id: chat._id, 'escrow.autoRelease.status': 'scheduled' },
+    { $set: { 'escrow.autoRelease.status': 'escalated', 'escrow.autoRelease.closedAt': new Date() } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  await postSystemMessage({
+    io,
+    chat,
+    content: 'The confirmation window has ended without a release or dispute. This engagement has been escalated for review; the talent can now open a dispute to have the escrow released.'
+  });
+  await notify(io, getParticipantIds(chat), {
+    chat,
+    title: 'Escrow release escalated',
+    message: 'The client did not confirm the completed work in time. The engagement has been escalated for review.'
+  });
+  return true;
+};
+
+let sweepInProgress = false;
+
+/**
+ * Send due reminders and close expired confirmation windows
+ * Timer state lives on the chat, so nothing is lost across restarts; overlapping runs are skipped.
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @param {Number} limit - Maximum chats per run
+ * @returns {Promise<Object>} Counts per outcome
+ */
+const runAutoReleaseSweep = async (io, limit = 100) => {
+  if (sweepInProgress) return { skipped: true };
+
+  sweepInProgress = true;
+  const counts = { reminded: 0, escalated: 0, disputed: 0, closed: 0, errors: 0 };
+  try {
+    const now = new Date();
+
+    // Confirmed or cancelled some other way (e.g. a dispute settlement); nothing left to time
+    const closed = await Chat.updateMany(
+      { 'escrow.autoRelease.status': 'scheduled', workflowStatus: { $ne: 'completed' } },
+      { $set: { 'escrow.autoRelease.status': 'cancelled', 'escrow.autoRelease.closedAt': now } }
+    );
+    counts.closed = closed.modifiedCount;
+
+    const chats = await Chat.find({
+      workflowStatus: 'completed',
+      'escrow.autoRelease.status': 'scheduled',
+      $or: [
+        { 'escrow.autoRelease.dueAt': { $lte: now } },
+        { 'escrow.autoRelease.reminders': { $elemMatch: { sentAt: null, dueAt: { $lte: now } } } }
+      ]
+    })
+      .select('participants job gig workflowStatus escrow.autoRelease')
+      .sort({ 'escrow.autoRelease.dueAt': 1 })
+      .limit(limit);
+
+    for (const chat of chats) {
+      try {
+        const dispute = await findActiveDispute(chat);
+        if (dispute) {
+          if (await pauseForDispute(io, chat, dispute)) counts.disputed += 1;
+          continue;
+        }
+
+        if (chat.escrow.autoRelease.dueAt <= now) {
+          if (await escalate(io, chat)) counts.escalated += 1;
+          continue;
+        }
+
+        // Only the latest due reminder is sent when several fell due while the server was down
+        const due = chat.escrow.autoRelease.reminders.filter(r => !r.sentAt && r.dueAt <= now);
+        if (due.length > 0 && await sendReminder(io, chat, due[due.length - 1])) {
+          counts.reminded += 1;
+          await Chat.updateOne(
+            { _id: chat._id },
+            { $set: { 'escrow.autoRelease.reminders.$[reminder].sentAt': now } },
+            { arrayFilters: [{ 'reminder.sentAt': null, 'reminder.dueAt': { $lte: now } }] }
+          );
+        }
+      } catch (error) {
+        counts.errors += 1;
+        console.error('Escrow auto-release error:', chat._id.toString(), error.message);
+      }
+    }
+  } finally {
+    sweepInProgress = false;
+  }
+
+  return counts;
+};
+
+module.exports = {
+  getAutoReleaseConfig,
+  scheduleAutoRelease,
+  closeAutoRelease,
+  findActiveDispute,
+  runAutoReleaseSweep
+};
@@ -0,0 +1,249 @@
+const Transaction = require('../models/Transaction');
+const Order = require('../models/Order');
+const Gig = require('../models/Gig');
+const {
+  PLATFORM_ACCOUNTS,
+  platformAccountKey,
+  withLedgerTransaction,
+  postJournalEntry
+} = require('./ledger');
+
+// Single-deposit escrows that can still be cancelled; the client alone may cancel before work starts
+const CANCELLABLE_STATUSES = ['deposit', 'in-progress'];
+const CLIENT_CANCELLABLE_STATUSES = ['deposit'];
+
+class CancellationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CancellationError';
+    this.status = status;
+  }
+}
+
+const roundUSD = (value) => Math.round(value * 100) / 100;
+const roundToken = (value) => Math.round(value * 1e8) / 1e8;
+
+// Token an escrow was funded with; deposits recorded before tokens were supported are ETH
+const getDepositToken = (chat) => {
+  const token = chat.escrow?.deposit?.token;
+  return token?.symbol ? token : { symbol: 'ETH', address: null, decimals: 18 };
+};
+
+const getDepositedTokenAmount = (chat) => (
+  Number(chat.escrow?.deposit?.amountToken ?? chat.escrow?.deposit?.amountETH) || 0
+);
+
+const sumDisbursedTokens = (chat) => (chat.escrow?.disbursements || []).reduce(
+  (sum, disbursement) => sum + (Number(disbursement.amountToken ?? disbursement.amountETH) || 0),
+  0
+);
+
+/**
+ * What is still held in a chat's escrow after partial disbursements
+ * @param {Object} chat - Chat document
+ * @returns {Object} { token, amountUSD, amountToken }
+ */
+const getEscrowRemaining = (chat) => {
+  const disbursedUSD = (chat.escrow?.disbursements || []).reduce((sum, d) => sum + (Number(d.amountUSD) || 0), 0);
+  return {
+    token: getDepositToken(chat),
+    amountUSD: roundUSD(Math.max(0, (Number(chat.escrow?.deposit?.amountUSD) || 0) - disbursedUSD)),
+    amountToken: roundToken(Math.max(0, getDepositedTokenAmount(chat) - sumDisbursedTokens(chat)))
+  };
+};
+
+/**
+ * Split the remaining escrow between a refund to the client and a payout to the talent
+ * Token amounts follow the USD split so the escrow is emptied exactly.
+ * @param {Object} chat - Chat document
+ * @param {Number} refundUSD - Amount returned to the client (defaults to everything left)
+ * @returns {Object} { refundUSD, talentUSD, refundToken, talentToken, tokenSymbol }
+ * @throws {CancellationError} When the refund is negative or more than is left in escrow
+ */
+const splitRemainingEscrow = (chat, refundUSD) => {
+  const remaining = getEscrowRemaining(chat);
+  if (remaining.amountUSD <= 0 || remaining.amountToken <= 0) {
+    throw new CancellationError('Nothing is left in escrow to refund');
+  }
+
+  const refund = refundUSD === undefined || refundUSD === null ? remaining.amountUSD : roundUSD(Number(refundUSD));
+  if (!Number.isFinite(refund) || refund < 0 || refund > remaining.amountUSD) {
+    throw new CancellationError(`refundUSD must be between 0 and ${remaining.amountUSD}`);
+  }
+
+  const refundToken = refund === remaining.amountUSD
+    ? remaining.amountToken
+    : roundToken(remaining.amountToken * refund / remaining.amountUSD);
+
+  return {
+    refundUSD: refund,
+    talentUSD: roundUSD(remaining.amountUSD - refund),
+    refundToken,
+    talentToken: roundToken(remaining.amountToken - refundToken),
+    tokenSymbol: remaining.token.symbol
+  };
+};
+
+// Gig orders tied to the chat are cancelled; their payment is marked refunded when the client got money back
+const cancelChatOrders = async (chat, refunded) => {
+  const orderUpdate = { status: 'cancelled' };
+  if (refunded) {
+    orderUpdate['payment.status'] = 'refunded';
+  }
+  await Order.updateMany({ chat: chat._id }, { $set: orderUpdate });
+
+  if (chat.gig) {
+    const gig = await Gig.findById(chat.gig._id || chat.gig);
+    const clientId = chat.escrow?.identifiers?.customerId;
+    const order = gig?.orders.find(o => o.chatId && o.chatId.toString() === chat._id.toString())
+      || gig?.orders.find(o => clientId && o.client && o.client.toString() === clientId.toString()
+        && !['completed', 'cancelled'].includes(o.status));
+    if (order) {
+      order.status = 'cancelled';
+      await gig.save();
+    }
+  }
+};
+
+/**
+ * Record the on-chain refund (and any talent payout) that closes a cancelled escrow
+ * The refund and payout Transactions, their ledger entries and the chat are written in one MongoDB transaction.
+ * @param {Object} params
+ * @param {Object} params.chat - Chat document with escrow.cancellation holding the agreed split
+ * @param {Object} params.client - Client participant
+ * @param {Object} params.talent - Talent participant
+ * @param {Object} params.fee - Fee breakdown for the talent's share (see utils/fees.js), or null
+ * @param {String} params.txHash - Hash of the contract call that paid out the escrow
+ * @param {String} params.fromAddress - Wallet that made the call
+ * @param {String} params.description - Transaction description prefix
+ * @param {String} params.userId - Acting user
+ * @returns {Promise<Object>} { refund, payout } Transactions (either may be null)
+ * @throws {CancellationError} When txHash has already been recorded (409)
+ */
+const settleCancellation = async ({ chat, client, talent, fee, txHash, fromAddress, description, userId }) => {
+  const cancellation = chat.escrow.cancellation;
+  const token = getDepositToken(chat);
+  const contractAccount = platformAccountKey(PLATFORM_ACCOUNTS.escrowContract, token.symbol);
+  const clientWallet = chat.escrow.deposit.fromAddress;
+  const talentWallet = chat.escrow.inProgress?.toAddress || chat.escrow.deposit.toAddress;
+  const shared = {
+    status: 'completed',
+    job: chat.job?._id,
+    gig: chat.gig?._id,
+    currency: 'USD',
+    isOnChain: true,
+    tokenSymbol: token.symbol,
+    tokenAddress: token.address || undefined,
+    fromAddress,
+    chat: chat._id
+  };
+
+  let result;
+  try {
+    result = await withLedgerTransaction(async (session) => {
+      let refund = null;
+      let payout = null;
+
+      if (cancellation.refundToken > 0) {
+        [refund] = await Transaction.create([{
+          ...shared,
+          fromUser: talent.user._id,
+          toUser: client.user._id,
+          amount: cancellation.refundUSD,
+          type: 'refund',
+          description: `${description} — ${cancellation.kind === 'client' ? 'cancelled, full refund' : 'cancelled, refund'}`,
+          txHash,
+          toAddress: clientWallet,
+          metadata: {
+            amountToken: cancellation.refundToken,
+            amountETH: token.address ? undefined : cancellation.refundToken,
+            tokenDecimals: token.decimals,
+            chatId: chat._id.toString(),
+            action: 'cancel_refund'
+          },
+          direction: 'credit'
+        }], { session });
+
+        await postJournalEntry({
+          type: 'escrow_refund',
+          description: refund.description,
+          transaction: refund._id,
+          createdBy: userId,
+          lines: [
+            { account: contractAccount, debit: cancellation.refundToken },
+            { account: platformAccountKey(PLATFORM_ACCOUNTS.escrowRefunds, token.symbol), credit: cancellation.refundToken }
+          ]
+        }, session);
+      }
+
+      if (cancellation.talentToken > 0) {
+        // Transaction.txHash is unique, so when both legs share one contract call the payout keeps it in metadata
+        [payout] = await Transaction.create([{
+          ...shared,
+          fromUser: client.user._id,
+          toUser: talent.user._id,
+          amount: cancellation.talentUSD,
+          type: 'escrow_settlement',
+          fees: fee?.feeUSD || 0,
+          description: `${description} — cancelled, agreed payout`,
+          txHash: refund ? undefined : txHash,
+          toAddress: talentWallet,
+          metadata: {
+            amountToken: cancellation.talentToken,
+            amountETH: token.address ? undefined : cancellation.talentToken,
+            tokenDecimals: token.decimals,
+            fee,
+            txHash,
+            chatId: chat._id.toString(),
+            action: 'cancel_settlement'
+          },
+          direction: 'debit'
+        }], { session });
+
+        await postJournalEntry({
+          type: 'escrow_settlement',
+          description: payout.description,
+          transaction: payout._id,
+          createdBy: userId,
+          lines: [
+            { account: contractAccount, debit: cancellation.talentToken },
+            { account: platformAccountKey(PLATFORM_ACCOUNTS.escrowPayouts, token.symbol), credit: cancellation.talentToken }
+          ]
+        }, session);
+      }
+
+      cancellation.status = 'settled';
+      cancellation.feeUSD = fee?.feeUSD || 0;
+      cancellation.txHash = txHash;
+      cancellation.fromAddress = fromAddress;
+      cancellation.performedBy = userId;
+      cancellation.settledAt = new Date();
+      chat.workflowStatus = 'cancelled';
+      chat.markModified('escrow');
+      await chat.save({ session });
+
+      return { refund, payout };
+    });
+  } catch (error) {
+    // Transaction.txHash is unique; a hash that was already recorded cannot settle this escrow again
+    if (error.code === 11000) {
+      throw new CancellationError('This transaction hash has already been recorded', 409);
+    }
+    throw error;
+  }
+
+  await cancelChatOrders(chat, cancellation.refundUSD > 0);
+  return result;
+};
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  CLIENT_CANCELLABLE_STATUSES,
+  CancellationError,
+  getDepositToken,
+  getDepositedTokenAmount,
+  sumDisbursedTokens,
+  getEscrowRemaining,
+  splitRemainingEscrow,
+  settleCancellation
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const EscrowQuote = require('../models/EscrowQuote');
+const { getJwtSecret } = require('./authTokens');
+const { assertFreshPrice } = require('./priceOracle');
+
+// Token amounts are quoted with at most this many decimals
+const QUOTE_DECIMALS = 8;
+
+class EscrowQuoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EscrowQuoteError';
+    this.status = status;
+  }
+}
+
+const getQuoteConfig = () => ({
+  ttlSeconds: parseInt(process.env.ESCROW_QUOTE_TTL_SECONDS, 10) || 300,
+  toleranceBps: parseInt(process.env.ESCROW_QUOTE_TOLERANCE_BPS, 10) || 50
+});
+
+const getQuoteSecret = () => process.env.ESCROW_QUOTE_SECRET || getJwtSecret();
+
+// HMAC over every field the quote locks, so a quote id cannot be forged or reused for other terms
+const signQuote = (quote) => crypto
+  .createHmac('sha256', getQuoteSecret())
+  .update(JSON.stringify([
+    quote._id.toString(),
+    quote.chat.toString(),
+    quote.user.toString(),
+    quote.action,
+    quote.token.symbol,
+    quote.token.address || '',
+    quote.token.chainId,
+    quote.amountUSD,
+    quote.amountToken,
+    quote.rate,
+    quote.expiresAt.toISOString()
+  ]))
+  .digest('hex');
+
+const deviationBps = (amount, quoted) => Math.abs(amount - quoted) / quoted * 10000;
+
+const sameToken = (a, b) => a.symbol === b.symbol && (a.address || null) === (b.address || null);
+
+/**
+ * Lock the current USD rate for an escrow deposit or disbursement
+ * @param {Object} params
+ * @param {Object} params.chat - Chat document
+ * @param {String} params.userId - User who will submit the escrow step
+ * @param {String} params.action - "deposit" or "disburse"
+ * @param {Object} params.token - Token document (or reference with isStablecoin)
+ * @param {Number} params.amountUSD - USD amount to convert
+ * @returns {Promise<Object>} { quoteId, quote }
+ * @throws {PriceOracleError} When the token price is stale
+ */
+const createEscrowQuote = async ({ chat, userId, action, token, amountUSD }) => {
+  const price = await assertFreshPrice(token);
+  const amountToken = Number((amountUSD / price.usd).toFixed(Math.min(token.decimals ?? 18, QUOTE_DECIMALS)));
+  if (!(amountToken > 0)) {
+    throw new EscrowQuoteError('Amount is too small to quote');
+  }
+
+  const { ttlSeconds } = getQuoteConfig();
+  const quote = await EscrowQuote.create({
+    chat: chat._id,
+    user: userId,
+    action,
+    token: {
+      symbol: token.symbol,
+      address: token.address || null,
+      decimals: token.decimals,
+      chainId: token.chainId
+    },
+    amountUSD,
+    amountToken,
+    rate: price.usd,
+    priceUpdatedAt: price.lastUpdated,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+  });
+
+  return { quoteId: `${quote._id.toString()}.${signQuote(quote)}`, quote };
+};
+
+/**
+ * Check a quote against a submitted escrow step and mark it used
+ * @param {Object} params
+ * @param {String} params.quoteId - Signed quote id returned by createEscrowQuote
+ * @param {Object} params.chat - Chat document
+ * @param {String} params.userId - Submitting user
+ * @param {String} params.action - "deposit" or "disburse"
+ * @param {Object} params.token - Token being paid ({ symbol, address })
+ * @param {Number} params.amountUSD - Submitted USD amount
+ * @param {Number} params.amountToken - Submitted token amount
+ * @param {String} params.txHash - On-chain transaction the quote is used for
+ * @returns {Promise<Object>} The redeemed quote
+ * @throws {EscrowQuoteError} When the quote is invalid, expired, used or the amounts deviate beyond tolerance
+ */
+const redeemEscrowQuote = async ({ quoteId, chat, userId, action, token, amountUSD, amountToken, txHash }) => {
+  const [id, signature] = String(quoteId || '').split('.');
+  if (!mongoose.Types.ObjectId.isValid(id) || !signature) {
+    throw new EscrowQuoteError('A valid quoteId is required; request one from /escrow/quote');
+  }
+
+  const quote = await EscrowQuote.findById(id);
+  const expected = quote ? Buffer.from(signQuote(quote)) : null;
+  const provided = Buffer.from(signature);
+  if (!quote || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new EscrowQuoteError('Invalid quote');
+  }
+
+  if (quote.chat.toString() !== chat._id.toString() || quote.user.toString() !== userId || quote.action !== action) {
+    throw new EscrowQuoteError(`This quote was not issued for this ${action}`);
+  }
+  if (!sameToken(quote.token, token)) {
+    throw new EscrowQuoteError(`This quote is for ${quote.token.symbol}, not ${token.symbol}`);
+  }
+  if (quote.usedAt) {
+    throw new EscrowQuoteError('This quote has already been used', 409);
+  }
+  if (quote.expiresAt <= new Date()) {
+    throw new EscrowQuoteError('This quote has expired; request a new one');
+  }
+
+  const { toleranceBps } = getQuoteConfig();
+  if (deviationBps(amountUSD, quote.amountUSD) > toleranceBps) {
+    throw new EscrowQuoteError(
+      `USD amount ${amountUSD} differs from the quoted ${quote.amountUSD} by more than ${toleranceBps / 100}%`
+    );
+  }
+  if (deviationBps(amountToken, quote.amountToken) > toleranceBps) {
+    throw new EscrowQuoteError(
+      `${quote.token.symbol} amount ${amountToken} differs from the quoted ${quote.amountToken} by more than ${toleranceBps / 100}%`
+    );
+  }
+
+  // Claim atomically so two requests cannot spend the same quote
+  const redeemed = await EscrowQuote.findOneAndUpdate(
+    { _id: quote._id, usedAt: null },
+    { usedAt: new Date(), txHash },
+    { new: true }
+  );
+  if (!redeemed) {
+    throw new EscrowQuoteError('This quote has already been used', 409);
+  }
+  return redeemed;
+};
+
+/**
+ * Hand a redeemed quote back when the escrow step it was redeemed for could not be saved
+ * @param {Object} quote - Quote returned by redeemEscrowQuote
+ * @returns {Promise<Object>} Update result
+ */
+const releaseEscrowQuote = (quote) => EscrowQuote.updateOne(
+  { _id: quote._id, txHash: quote.txHash },
+  { $unset: { usedAt: 1, txHash: 1 } }
+);
+
+module.exports = {
+  EscrowQuoteError,
+  getQuoteConfig,
+  createEscrowQuote,
+  redeemEscrowQuote,
+  releaseEscrowQuote
+};
@@ -0,0 +1,131 @@
+const Chat = require('../models/Chat');
+const Transaction = require('../models/Transaction');
+const { withLedgerTransaction } = require('./ledger');
+const { releaseEscrowQuote } = require('./escrowQuotes');
+const { postSystemMessage } = require('./chatMessages');
+
+class EscrowRecordError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EscrowRecordError';
+    this.status = status;
+  }
+}
+
+/**
+ * Write the Transaction for an escrow txHash
+ * The chain indexer may already have built this txHash's record from the contract log. The
+ * route's record (users, token, USD amount) replaces it and is verified again like any other.
+ * @param {Object} data - Transaction fields
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<Object>} Transaction
+ */
+const recordEscrowTransaction = async (data, session = null) => {
+  const fields = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+  const adopted = await Transaction.findOneAndUpdate(
+    { txHash: data.txHash, 'metadata.recordedBy': 'chain_indexer' },
+    { $set: { ...fields, verification: { status: 'unverified', attempts: 0 } } },
+    { new: true, runValidators: true, session }
+  );
+  if (adopted) return adopted;
+
+  const [created] = await Transaction.create([data], { session });
+  return created;
+};
+
+// A failed deposit or payout holds its own escrow: the single deposit, or one milestone
+const findVerificationHold = (chat, milestoneId = null) => (chat.escrow?.verificationHolds || []).find(
+  hold => (hold.milestoneId?.toString() || null) === (milestoneId?.toString() || null)
+);
+
+/**
+ * Save an escrow step on a chat together with the Transaction for its txHash
+ * Both are written in one MongoDB transaction, so a txHash that is already recorded leaves the chat
+ * as it was. A quote redeemed for the step is handed back when the step is not saved.
+ * @param {Object} chat - Chat document with the step applied
+ * @param {Object} data - Transaction fields
+ * @param {Object} quote - Escrow quote redeemed for this step (optional)
+ * @returns {Promise<Object>} Transaction
+ * @throws {EscrowRecordError} When the txHash has already been recorded, or an earlier step of this
+ *   escrow failed on-chain verification (409)
+ */
+const saveEscrowStep = async (chat, data, quote = null) => {
+  try {
+    const hold = findVerificationHold(chat, data.metadata?.milestoneId);
+    if (hold) {
+      throw new EscrowRecordError(
+        `The ${hold.action.replace(/_/g, ' ')} transaction ${hold.txHash} failed on-chain verification; settle it through a cancellation or dispute`,
+        409
+      );
+    }
+
+    return await withLedgerTransaction(async (session) => {
+      const transaction = await recordEscrowTransaction(data, session);
+      await chat.save({ session });
+      return transaction;
+    });
+  } catch (error) {
+    if (quote) {
+      await releaseEscrowQuote(quote).catch(releaseError => console.error('Error releasing escrow quote:', releaseError.message));
+    }
+    // Transaction.txHash is unique, so one contract call can only back one escrow step
+    if (error.code === 11000) {
+      throw new EscrowRecordError('This transaction hash has already been recorded', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Keep a chat's escrow in step with the on-chain verification of one of its Transactions
+ * A rejected txHash puts a hold on the escrow it funded or paid out, and the parties are told in the chat.
+ * The hold is lifted if a later check verifies the txHash after all.
+ * @param {Object} transaction - Transaction document after verification
+ * @param {Object} io - Socket.IO server (may be undefined)
+ */
+const syncVerificationHold = async (transaction, io) => {
+  if (!transaction.chat || !transaction.txHash) return;
+  const { status, reasons } = transaction.verification;
+
+  if (status === 'verified') {
+    await Chat.updateOne(
+      { _id: transaction.chat },
+      { $pull: { 'escrow.verificationHolds': { txHash: transaction.txHash } } }
+    );
+    return;
+  }
+  if (status !== 'rejected') return;
+
+  const action = transaction.metadata?.action || transaction.type;
+  const result = await Chat.updateOne(
+    { _id: transaction.chat, 'escrow.verificationHolds.txHash': { $ne: transaction.txHash } },
+    {
+      $push: {
+        'escrow.verificationHolds': {
+          txHash: transaction.txHash,
+          action,
+          milestoneId: transaction.metadata?.milestoneId || undefined,
+          reasons,
+          heldAt: new Date()
+        }
+      }
+    }
+  );
+  if (result.modifiedCount === 0) return;
+
+  const chat = await Chat.findById(transaction.chat).select('participants');
+  if (chat) {
+    await postSystemMessage({
+      io,
+      chat,
+      content: `The ${action.replace(/_/g, ' ')} transaction ${transaction.txHash} failed on-chain verification (${reasons.join('; ')}). This escrow is on hold until it is settled through a cancellation or dispute.`
+    });
+  }
+};
+
+module.exports = {
+  EscrowRecordError,
+  recordEscrowTransaction,
+  saveEscrowStep,
+  syncVerificationHold
+};
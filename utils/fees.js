@@ -0,0 +1,184 @@
+const Config = require('../models/Config');
+const User = require('../models/User');
+
+const FEE_SCHEDULE_KEY = 'fee_schedule';
+
+// Payouts the platform fee is taken from
+const FEE_TRANSACTION_TYPES = ['escrow_disburse', 'escrow_confirm', 'escrow_milestone_release', 'escrow_settlement'];
+
+// Rates and discounts are in basis points of the paid-out USD amount
+const DEFAULT_FEE_SCHEDULE = {
+  rates: {
+    job: 500,
+    gig: {
+      default: 500,
+      professional: 500,
+      labour: 300
+    }
+  },
+  // The talent's highest tier by activity points applies
+  tiers: [
+    { name: 'standard', minActivityPoints: 0, discountBps: 0 },
+    { name: 'trusted', minActivityPoints: 100, discountBps: 100 },
+    { name: 'elite', minActivityPoints: 500, discountBps: 200 }
+  ],
+  // Talent who signed up through a referral pay less for their first durationDays
+  referral: {
+    discountBps: 100,
+    durationDays: 90
+  },
+  minFeeUSD: 0,
+  maxFeeUSD: null
+};
+
+class FeeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FeeError';
+    this.status = status;
+  }
+}
+
+const roundUSD = (value) => Math.round(value * 100) / 100;
+
+const isBps = (value) => Number.isFinite(value) && value >= 0 && value <= 10000;
+
+/**
+ * Check a fee schedule before it is stored
+ * @param {Object} schedule - Fee schedule (same shape as DEFAULT_FEE_SCHEDULE)
+ * @throws {FeeError} When a rate, tier or limit is invalid
+ */
+const validateFeeSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== 'object') {
+    throw new FeeError('Fee schedule must be an object');
+  }
+
+  const { rates, tiers, referral, minFeeUSD, maxFeeUSD } = schedule;
+  if (!isBps(rates?.job)) {
+    throw new FeeError('rates.job must be between 0 and 10000 basis points');
+  }
+  if (!rates.gig || typeof rates.gig !== 'object' || !Object.values(rates.gig).every(isBps)) {
+    throw new FeeError('rates.gig must map gig types to basis points between 0 and 10000');
+  }
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new FeeError('tiers must be a non-empty array');
+  }
+  tiers.forEach((tier, index) => {
+    if (!tier?.name || !(tier.minActivityPoints >= 0) || !isBps(tier.discountBps)) {
+      throw new FeeError(`tiers[${index}] needs a name, minActivityPoints >= 0 and discountBps between 0 and 10000`);
+    }
+  });
+  if (referral && (!isBps(referral.discountBps) || !(referral.durationDays >= 0))) {
+    throw new FeeError('referral needs discountBps between 0 and 10000 and durationDays >= 0');
+  }
+  if (minFeeUSD != null && !(minFeeUSD >= 0)) {
+    throw new FeeError('minFeeUSD must be zero or more');
+  }
+  if (maxFeeUSD != null && !(maxFeeUSD >= (minFeeUSD || 0))) {
+    throw new FeeError('maxFeeUSD must be at least minFeeUSD');
+  }
+};
+
+// Stored schedule layered over the defaults, so new settings get a value before the deployer sets one
+const getFeeSchedule = async () => {
+  const stored = await Config.getValue(FEE_SCHEDULE_KEY, null);
+  if (!stored) return DEFAULT_FEE_SCHEDULE;
+
+  return {
+    ...DEFAULT_FEE_SCHEDULE,
+    ...stored,
+    rates: {
+      ...DEFAULT_FEE_SCHEDULE.rates,
+      ...stored.rates,
+      gig: { ...DEFAULT_FEE_SCHEDULE.rates.gig, ...stored.rates?.gig }
+    },
+    referral: { ...DEFAULT_FEE_SCHEDULE.referral, ...stored.referral }
+  };
+};
+
+/**
+ * Apply a fee schedule to one payout
+ * The fee is recorded against the payout but not withheld from it: the escrow contract pays the
+ * talent the gross amount, so netUSD is what the talent keeps once the fee is settled separately.
+ * @param {Number} amountUSD - Amount paid out to the talent
+ * @param {Object} context - { category: 'job'|'gig', gigType, activityPoints, referredAt }
+ * @param {Object} schedule - Fee schedule
+ * @returns {Object} Fee breakdown with feeUSD and netUSD
+ */
+const calculateFee = (amountUSD, context, schedule) => {
+  const amount = Number(amountUSD) || 0;
+  const rateBps = context.category === 'job'
+    ? schedule.rates.job
+    : (schedule.rates.gig[context.gigType] ?? schedule.rates.gig.default);
+
+  const tier = [...schedule.tiers]
+    .sort((a, b) => b.minActivityPoints - a.minActivityPoints)
+    .find(candidate => (context.activityPoints || 0) >= candidate.minActivityPoints);
+  const tierDiscountBps = tier?.discountBps || 0;
+
+  const referralEndsAt = context.referredAt && schedule.referral
+    ? new Date(new Date(context.referredAt).getTime() + schedule.referral.durationDays * 24 * 60 * 60 * 1000)
+    : null;
+  const referralDiscountBps = referralEndsAt && referralEndsAt > new Date() ? schedule.referral.discountBps : 0;
+
+  const effectiveBps = Math.max(0, rateBps - tierDiscountBps - referralDiscountBps);
+  let feeUSD = roundUSD(amount * effectiveBps / 10000);
+  if (effectiveBps > 0 && schedule.minFeeUSD) feeUSD = Math.max(feeUSD, schedule.minFeeUSD);
+  if (schedule.maxFeeUSD != null) feeUSD = Math.min(feeUSD, schedule.maxFeeUSD);
+  feeUSD = Math.min(feeUSD, amount);
+
+  return {
+    category: context.category,
+    gigType: context.gigType || null,
+    tier: tier?.name || null,
+    rateBps,
+    tierDiscountBps,
+    referralDiscountBps,
+    effectiveBps,
+    amountUSD: amount,
+    feeUSD,
+    netUSD: roundUSD(amount - feeUSD)
+  };
+};
+
+/**
+ * Fee context for a chat: job or gig, the gig type and the talent's tier and referral
+ * @param {Object} chat - Chat with job/gig populated (gig needs `type`)
+ * @param {Object} talentUser - Talent user, populated or an id
+ * @returns {Promise<Object>} Context for calculateFee
+ */
+const getChatFeeContext = async (chat, talentUser) => {
+  const talent = talentUser?.stats !== undefined && talentUser?.createdAt
+    ? talentUser
+    : await User.findById(talentUser?._id || talentUser).select('stats referral.referredBy createdAt');
+
+  return {
+    category: chat.job ? 'job' : 'gig',
+    gigType: chat.gig?.type,
+    activityPoints: talent?.stats?.activityPoints || 0,
+    referredAt: talent?.referral?.referredBy ? talent.createdAt : null
+  };
+};
+
+/**
+ * Platform fee for paying out part of a chat's escrow to the talent
+ * @param {Object} chat - Chat document
+ * @param {Object} talentUser - Talent user (populated or id)
+ * @param {Number} amountUSD - Amount being paid out
+ * @returns {Promise<Object>} Fee breakdown (see calculateFee)
+ */
+const calculateChatFee = async (chat, talentUser, amountUSD) => {
+  const [schedule, context] = await Promise.all([getFeeSchedule(), getChatFeeContext(chat, talentUser)]);
+  return calculateFee(amountUSD, context, schedule);
+};
+
+module.exports = {
+  FEE_SCHEDULE_KEY,
+  FEE_TRANSACTION_TYPES,
+  DEFAULT_FEE_SCHEDULE,
+  FeeError,
+  validateFeeSchedule,
+  getFeeSchedule,
+  calculateFee,
+  calculateChatFee
+};
@@ -0,0 +1,470 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Config = require('../models/Config');
+const Proposal = require('../models/Proposal');
+const User = require('../models/User');
+const Staking = require('../models/Staking');
+const VoterSnapshot = require('../models/VoterSnapshot');
+const { getProvider } = require('./chainVerifier');
+const { applyDelegatedWeight } = require('./delegations');
+
+const VOTING_STRATEGIES = ['one_person_one_vote', 'stake_weighted', 'activity_weighted', 'quadratic'];
+const TIE_BREAK_RULES = ['extend', 'status_quo', 'first_to_reach'];
+const BALLOT_MODES = ['open', 'commit_reveal'];
+// Only three dispute options exist, so a short salt would let anyone try every vote against a commit
+const MIN_SALT_LENGTH = 16;
+const PROPOSAL_CATEGORIES = ['platform', 'feature', 'policy', 'dispute', 'other'];
+
+const FINALIZATION_RULES_KEY = 'governance_finalization_rules';
+
+const DEFAULT_FINALIZATION_RULES = {
+  // A vote counts once it has the larger of minVoters and percentOfEligible% of the eligible voters
+  quorum: {
+    minVoters: 3,
+    percentOfEligible: 10
+  },
+  // Share of the deciding weight the winning option needs, per category; 0 means a plurality is enough
+  approvalThresholds: {
+    platform: 50,
+    feature: 50,
+    policy: 66.67,
+    dispute: 0,
+    other: 50
+  },
+  // extend: reopen voting; status_quo: no change (platform proposals are rejected);
+  // first_to_reach: the tied option that reached its total first wins
+  tieBreak: 'extend',
+  // Extensions apply to missed quorum and, with tieBreak 'extend', to ties; maxExtensions 0 turns them off
+  extension: {
+    hours: 48,
+    maxExtensions: 1
+  }
+};
+
+class GovernanceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GovernanceError';
+    this.status = status;
+  }
+}
+
+const roundWeight = (value) => Math.round(value * 1e4) / 1e4;
+
+const isPercent = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+
+/**
+ * Check finalization rules before they are stored
+ * @param {Object} rules - Rules (same shape as DEFAULT_FINALIZATION_RULES)
+ * @throws {GovernanceError} When a quorum, threshold, tie-break or extension setting is invalid
+ */
+const validateFinalizationRules = (rules) => {
+  if (!rules || typeof rules !== 'object') {
+    throw new GovernanceError('Finalization rules must be an object');
+  }
+
+  const { quorum, approvalThresholds, tieBreak, extension } = rules;
+  if (!Number.isInteger(quorum?.minVoters) || quorum.minVoters < 0) {
+    throw new GovernanceError('quorum.minVoters must be a whole number of voters');
+  }
+  if (!isPercent(quorum.percentOfEligible)) {
+    throw new GovernanceError('quorum.percentOfEligible must be between 0 and 100');
+  }
+  if (!approvalThresholds || typeof approvalThresholds !== 'object') {
+    throw new GovernanceError('approvalThresholds must map categories to percentages');
+  }
+  Object.entries(approvalThresholds).forEach(([category, threshold]) => {
+    if (!PROPOSAL_CATEGORIES.includes(category)) {
+      throw new GovernanceError(`Unknown proposal category "${category}" in approvalThresholds`);
+    }
+    if (!isPercent(threshold)) {
+      throw new GovernanceError(`approvalThresholds.${category} must be between 0 and 100`);
+    }
+  });
+  if (!TIE_BREAK_RULES.includes(tieBreak)) {
+    throw new GovernanceError(`tieBreak must be one of: ${TIE_BREAK_RULES.join(', ')}`);
+  }
+  if (!(extension?.hours > 0) || !Number.isInteger(extension.maxExtensions) || extension.maxExtensions < 0) {
+    throw new GovernanceError('extension needs hours above 0 and a whole number of maxExtensions');
+  }
+};
+
+// Stored rules layered over the defaults, so new settings get a value before the deployer sets one
+const getFinalizationRules = async () => {
+  const stored = await Config.getValue(FINALIZATION_RULES_KEY, null);
+  if (!stored) return DEFAULT_FINALIZATION_RULES;
+
+  return {
+    ...DEFAULT_FINALIZATION_RULES,
+    ...stored,
+    quorum: { ...DEFAULT_FINALIZATION_RULES.quorum, ...stored.quorum },
+    approvalThresholds: { ...DEFAULT_FINALIZATION_RULES.approvalThresholds, ...stored.approvalThresholds },
+    extension: { ...DEFAULT_FINALIZATION_RULES.extension, ...stored.extension }
+  };
+};
+
+/**
+ * The rules one proposal is finalized under, as stored on Proposal.voting.rules
+ * @param {String} category - Proposal category
+ * @param {Object} rules - Finalization rules from getFinalizationRules
+ * @returns {Object} { minVoters, quorumPercent, approvalThresholdPercent, tieBreak, extensionHours, maxExtensions }
+ */
+const getProposalRules = (category, rules) => ({
+  minVoters: rules.quorum.minVoters,
+  quorumPercent: rules.quorum.percentOfEligible,
+  approvalThresholdPercent: rules.approvalThresholds[category] ?? rules.approvalThresholds.other,
+  tieBreak: rules.tieBreak,
+  extensionHours: rules.extension.hours,
+  maxExtensions: rules.extension.maxExtensions
+});
+
+/**
+ * Resolve the snapshot a weighted proposal reads locked stake at
+ * A block is turned into its timestamp through CHAIN_RPC_URL; without either, the snapshot is now.
+ * @param {Object} options - { snapshotBlock, snapshotAt }
+ * @returns {Promise<Object>} { blockNumber, takenAt }
+ * @throws {GovernanceError} When the block or time is invalid or in the future
+ */
+const resolveSnapshot = async ({ snapshotBlock, snapshotAt } = {}) => {
+  const now = new Date();
+
+  if (snapshotBlock !== undefined && snapshotBlock !== null && snapshotBlock !== '') {
+    const blockNumber = Number(snapshotBlock);
+    if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+      throw new GovernanceError('snapshotBlock must be a block number');
+    }
+    const rpc = getProvider();
+    if (!rpc) {
+      throw new GovernanceError('A snapshot block needs CHAIN_RPC_URL to be configured', 503);
+    }
+    const block = await rpc.getBlock(blockNumber);
+    if (!block) {
+      throw new GovernanceError(`Block ${blockNumber} has not been mined yet`);
+    }
+    return { blockNumber, takenAt: new Date(Number(block.timestamp) * 1000) };
+  }
+
+  if (snapshotAt) {
+    const takenAt = new Date(snapshotAt);
+    if (Number.isNaN(takenAt.getTime()) || takenAt > now) {
+      throw new GovernanceError('snapshotAt must be a date that is not in the future');
+    }
+    return { takenAt };
+  }
+
+  return { takenAt: now };
+};
+
+// Locked stake per wallet at a point in time, rebuilt from the stake history
+const getLockedStakeAt = async (wallets, at) => {
+  if (wallets.length === 0) return new Map();
+  const rows = await Staking.aggregate([
+    {
+      $match: {
+        walletAddress: { $in: wallets.map(wallet => wallet.toLowerCase()) },
+        isLocked: true,
+        stakedAt: { $lte: at },
+        $and: [
+          { $or: [{ unstakedAt: null }, { unstakedAt: { $gt: at } }] },
+          { $or: [{ unlockTime: null }, { unlockTime: { $gt: at } }] }
+        ]
+      }
+    },
+    { $group: { _id: '$walletAddress', locked: { $sum: '$amount' } } }
+  ]);
+  return new Map(rows.map(row => [row._id, row.locked]));
+};
+
+const weightFor = (strategy, basis) => {
+  if (strategy === 'one_person_one_vote') return 1;
+  if (strategy === 'quadratic') return roundWeight(Math.sqrt(Math.max(0, basis)));
+  return roundWeight(Math.max(0, basis));
+};
+
+// Snapshot weight per strategy, mirroring weightFor
+const weightExpression = (strategy) => {
+  if (strategy === 'one_person_one_vote') return { $literal: 1 };
+  if (strategy === 'activity_weighted') return { $round: [{ $max: [0, '$activityPoints'] }, 4] };
+  if (strategy === 'quadratic') return { $round: [{ $sqrt: { $max: [0, '$lockedStake'] } }, 4] };
+  return { $round: [{ $max: [0, '$lockedStake'] }, 4] };
+};
+
+/**
+ * Record every user's eligibility for a new proposal and the totals it implies
+ * Activity points, role and active status are read now; locked stake at voting.snapshot.takenAt.
+ * The proposal is updated in memory (snapshot, analytics, quorum) and is saved by the caller.
+ * @param {Object} proposal - Proposal document with voting.strategy, rules, snapshot and minActivityPoints set
+ * @param {Object} options - { minLockedStake }
+ * @returns {Promise<Object>} { recordedUsers, eligibleVoters, eligibleWeight }
+ */
+const recordEligibilitySnapshot = async (proposal, { minLockedStake = 0 } = {}) => {
+  const recordedAt = new Date();
+  const at = proposal.voting.snapshot?.takenAt || recordedAt;
+  const minActivityPoints = proposal.voting.minActivityPoints || 0;
+
+  await User.aggregate([
+    {
+      $project: {
+        role: 1,
+        isActive: { $ne: ['$isActive', false] },
+        walletAddress: { $toLower: { $ifNull: ['$walletAddress', ''] } },
+        activityPoints: { $ifNull: ['$stats.activityPoints', 0] }
+      }
+    },
+    {
+      $lookup: {
+        from: Staking.collection.name,
+        let: { wallet: '$walletAddress' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $and: [{ $ne: ['$$wallet', ''] }, { $eq: ['$walletAddress', '$$wallet'] }] },
+              isLocked: true,
+              stakedAt: { $lte: at },
+              $and: [
+                { $or: [{ unstakedAt: null }, { unstakedAt: { $gt: at } }] },
+                { $or: [{ unlockTime: null }, { unlockTime: { $gt: at } }] }
+              ]
+            }
+          },
+          { $group: { _id: null, locked: { $sum: '$amount' } } }
+        ],
+        as: 'stake'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        proposal: { $literal: proposal._id },
+        user: '$_id',
+        role: 1,
+        walletAddress: { $cond: [{ $eq: ['$walletAddress', ''] }, null, '$walletAddress'] },
+        activityPoints: 1,
+        lockedStake: { $ifNull: [{ $arrayElemAt: ['$stake.locked', 0] }, 0] },
+        isActive: 1,
+        recordedAt: { $literal: recordedAt }
+      }
+    },
+    {
+      $set: {
+        ineligibleReason: {
+          $switch: {
+            branches: [
+              { case: { $not: ['$isActive'] }, then: 'inactive' },
+              { case: { $lt: ['$activityPoints', minActivityPoints] }, then: 'activity_points' },
+              { case: { $lt: ['$lockedStake', minLockedStake] }, then: 'locked_stake' }
+            ],
+            default: null
+          }
+        }
+      }
+    },
+    { $set: { eligible: { $eq: ['$ineligibleReason', null] } } },
+    { $set: { weight: { $cond: ['$eligible', weightExpression(proposal.voting.strategy), 0] } } },
+    { $unset: 'isActive' },
+    {
+      $merge: {
+        into: VoterSnapshot.collection.name,
+        on: ['proposal', 'user'],
+        whenMatched: 'replace',
+        whenNotMatched: 'insert'
+      }
+    }
+  ]);
+
+  const [totals] = await VoterSnapshot.aggregate([
+    { $match: { proposal: proposal._id } },
+    {
+      $group: {
+        _id: null,
+        recordedUsers: { $sum: 1 },
+        eligibleVoters: { $sum: { $cond: ['$eligible', 1, 0] } },
+        eligibleWeight: { $sum: '$weight' }
+      }
+    }
+  ]);
+  const counts = {
+    recordedUsers: totals?.recordedUsers || 0,
+    eligibleVoters: totals?.eligibleVoters || 0,
+    eligibleWeight: roundWeight(totals?.eligibleWeight || 0)
+  };
+
+  proposal.set('voting.snapshot.takenAt', at);
+  proposal.set('voting.snapshot.recordedAt', recordedAt);
+  proposal.set('voting.snapshot.minLockedStake', minLockedStake);
+  proposal.set('voting.snapshot.recordedUsers', counts.recordedUsers);
+  if (!proposal.analytics) {
+    proposal.analytics = {};
+  }
+  proposal.analytics.totalEligibleVoters = counts.eligibleVoters;
+  proposal.analytics.totalEligibleWeight = counts.eligibleWeight;
+  proposal.voting.quorum = proposal.requiredVoters(proposal.voting.rules || {});
+  return counts;
+};
+
+// Snapshot rows of a proposal that was never created after all
+const discardEligibilitySnapshot = (proposalId) => VoterSnapshot.deleteMany({ proposal: proposalId });
+
+/**
+ * Whether a user may vote on a proposal, and what the vote would count for
+ * Proposals with a recorded snapshot use it. Older ones fall back to the stake locked when voting started and,
+ * for activity-weighted votes, the points the user had when first checked.
+ * @param {Object} proposal - Proposal document
+ * @param {Object} voter - User document
+ * @returns {Promise<Object>} { eligible, ineligibleReason, weight, weightBasis, fromSnapshot }
+ */
+const getVoterEligibility = async (proposal, voter) => {
+  const strategy = proposal.voting?.strategy || 'one_person_one_vote';
+
+  if (proposal.voting?.snapshot?.recordedAt) {
+    const entry = await VoterSnapshot.findOne({ proposal: proposal._id, user: voter._id }).lean();
+    if (!entry) {
+      // Accounts created after the proposal opened were not part of the electorate
+      return { eligible: false, ineligibleReason: 'not_in_snapshot', weight: 0, fromSnapshot: true };
+    }
+    return {
+      eligible: entry.eligible,
+      ineligibleReason: entry.ineligibleReason || undefined,
+      weight: entry.weight,
+      weightBasis: strategy === 'one_person_one_vote'
+        ? undefined
+        : (strategy === 'activity_weighted' ? entry.activityPoints : entry.lockedStake),
+      fromSnapshot: true
+    };
+  }
+
+  if (!voter.canVote()) {
+    return { eligible: false, ineligibleReason: 'activity_points', weight: 0, fromSnapshot: false };
+  }
+  if (strategy === 'one_person_one_vote') {
+    return { eligible: true, weight: 1, weightBasis: undefined, fromSnapshot: false };
+  }
+  if (strategy === 'activity_weighted') {
+    // Points are frozen the first time the voter is checked, so points earned while voting is open never count
+    const entry = await VoterSnapshot.findOneAndUpdate(
+      { proposal: proposal._id, user: voter._id },
+      {
+        $setOnInsert: {
+          role: voter.role,
+          activityPoints: voter.stats?.activityPoints || 0,
+          eligible: true,
+          weight: weightFor(strategy, voter.stats?.activityPoints || 0),
+          recordedAt: new Date()
+        }
+      },
+      { upsert: true, new: true }
+    ).lean();
+    return { eligible: true, weight: entry.weight, weightBasis: entry.activityPoints, fromSnapshot: false };
+  }
+
+  const wallet = voter.walletAddress?.toLowerCase();
+  const takenAt = proposal.voting.snapshot?.takenAt || proposal.voting.startsAt;
+  const locked = wallet ? (await getLockedStakeAt([wallet], takenAt)).get(wallet) || 0 : 0;
+  const weight = weightFor(strategy, locked);
+  return {
+    eligible: weight > 0,
+    ineligibleReason: weight > 0 ? undefined : 'locked_stake',
+    weight,
+    weightBasis: locked,
+    fromSnapshot: false
+  };
+};
+
+/**
+ * Commitment for a secret ballot: sha256 hex of "<proposalId>:<userId>:<vote>:<salt>"
+ * Binding the proposal and voter stops a commit being copied to another proposal or account.
+ * @param {Object} ballot - { proposalId, userId, vote, salt }
+ * @returns {String} Lowercase hex digest
+ */
+const hashBallot = ({ proposalId, userId, vote, salt }) => crypto
+  .createHash('sha256')
+  .update(`${proposalId}:${userId}:${vote}:${salt}`)
+  .digest('hex');
+
+/**
+ * Close voting on a proposal whose voting period has ended and save the decision
+ * Proposals created before rules were frozen on them use the current rules. The save only applies while the
+ * proposal is still open with the deadline that was read, so two runs cannot finalize or extend it twice.
+ * @param {Object} proposal - Proposal document
+ * @returns {Promise<String|null>} 'finalized' or 'extended' when this call changed the proposal
+ */
+const finalizeProposalIfExpired = async (proposal) => {
+  if (proposal.voting?.autoFinalized || !proposal.voting?.endsAt || proposal.voting.endsAt > new Date()) {
+    return null;
+  }
+  const endsAt = proposal.voting.endsAt;
+
+  const rules = proposal.voting.rules?.tieBreak
+    ? proposal.voting.rules
+    : getProposalRules(proposal.category, await getFinalizationRules());
+  // Delegations count as they stand when voting closes
+  await applyDelegatedWeight(proposal);
+  const result = proposal.finalizeIfNeeded(rules);
+  if (!result) return null;
+
+  if (proposal.voteTallies) {
+    proposal.markModified('voteTallies');
+  }
+  if (proposal.analytics) {
+    proposal.markModified('analytics');
+  }
+  proposal.$where = { 'voting.autoFinalized': { $ne: true }, 'voting.endsAt': endsAt };
+  try {
+    await proposal.save();
+  } catch (error) {
+    // Another run finalized or extended the proposal first
+    if (error instanceof mongoose.Error.DocumentNotFoundError) return null;
+    throw error;
+  }
+  return result;
+};
+
+/**
+ * Finalize every proposal still open past its voting deadline
+ * Reads finalize lazily as well, so this only makes sure nothing waits for a visitor.
+ * @param {Number} limit - Maximum proposals per run
+ * @param {Object} options - { signal: AbortSignal; no further proposal is started once it fires }
+ * @returns {Promise<Object>} { finalized, extended, errors }
+ */
+const finalizeExpiredProposals = async (limit = 100, { signal } = {}) => {
+  const proposals = await Proposal.find({
+    status: 'voting',
+    'voting.autoFinalized': { $ne: true },
+    'voting.endsAt': { $lte: new Date() }
+  })
+    .sort({ 'voting.endsAt': 1 })
+    .limit(limit);
+
+  const counts = { finalized: 0, extended: 0, errors: 0 };
+  for (const proposal of proposals) {
+    signal?.throwIfAborted();
+    try {
+      const result = await finalizeProposalIfExpired(proposal);
+      if (result) counts[result] += 1;
+    } catch (error) {
+      counts.errors += 1;
+      console.error('Proposal finalization error:', proposal._id.toString(), error.message);
+    }
+  }
+  return counts;
+};
+
+module.exports = {
+  VOTING_STRATEGIES,
+  TIE_BREAK_RULES,
+  BALLOT_MODES,
+  MIN_SALT_LENGTH,
+  FINALIZATION_RULES_KEY,
+  DEFAULT_FINALIZATION_RULES,
+  GovernanceError,
+  validateFinalizationRules,
+  getFinalizationRules,
+  getProposalRules,
+  resolveSnapshot,
+  recordEligibilitySnapshot,
+  discardEligibilitySnapshot,
+  getVoterEligibility,
+  hashBallot,
+  finalizeProposalIfExpired,
+  finalizeExpiredProposals
+};
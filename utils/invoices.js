@@ -0,0 +1,346 @@
+const PDFDocument = require('pdfkit');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Transaction = require('../models/Transaction');
+const { FEE_TRANSACTION_TYPES } = require('./fees');
+const { sendNotificationEmail } = require('./emailService');
+const { enqueueJob } = require('./jobQueue');
+
+const NUMBER_PREFIXES = {
+  invoice: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+  receipt: process.env.RECEIPT_NUMBER_PREFIX || 'RCT'
+};
+
+class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+  }
+}
+
+const roundUSD = (value) => Math.round(value * 100) / 100;
+
+// Numbers run per kind and year: INV-2026-000042
+const nextDocumentNumber = async (kind, issuedAt) => {
+  const year = issuedAt.getUTCFullYear();
+  const seq = await Counter.next(`${kind}:${year}`);
+  return `${NUMBER_PREFIXES[kind]}-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Placeholder number held by a claimed (chat, kind) slot until its real number is allocated
+const pendingNumber = (chatId, kind) => `PENDING-${kind}-${chatId}`;
+const isPendingNumber = (number) => number.startsWith('PENDING-');
+
+// A claim left unnumbered this long belongs to a caller that failed, so another caller may finish it
+const STALE_CLAIM_MS = 60 * 1000;
+
+/**
+ * Claim the (chat, kind) slot before a number is allocated, so concurrent callers cannot both use one
+ * @param {Object} fields - Document fields, including chat and kind
+ * @returns {Promise<Object>} { doc, claimed } - claimed is true for the caller that inserted the slot
+ */
+const claimDocumentSlot = async (fields) => {
+  const filter = { chat: fields.chat, kind: fields.kind };
+  try {
+    const result = await Invoice.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { ...fields, number: pendingNumber(fields.chat, fields.kind) } },
+      { upsert: true, new: true, rawResult: true }
+    );
+    return { doc: result.value, claimed: !result.lastErrorObject?.updatedExisting };
+  } catch (error) {
+    // Two upserts raced on the unique (chat, kind) index; the other caller owns the slot
+    if (error.code === 11000) {
+      return { doc: await Invoice.findOne(filter), claimed: false };
+    }
+    throw error;
+  }
+};
+
+// Give a claimed slot its number; the pending-number filter stops two callers numbering it
+const numberDocument = async (doc, issuedAt) => {
+  const number = await nextDocumentNumber(doc.kind, issuedAt);
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: doc._id, number: doc.number },
+    { $set: { number, issuedAt } },
+    { new: true }
+  );
+  return numbered || Invoice.findById(doc._id);
+};
+
+const claimAndNumber = async (fields, issuedAt) => {
+  const { doc, claimed } = await claimDocumentSlot(fields);
+  const stalled = !claimed && isPendingNumber(doc.number) && Date.now() - doc.createdAt.getTime() > STALE_CLAIM_MS;
+  if (claimed || stalled) {
+    return { doc: await numberDocument(doc, issuedAt), created: true };
+  }
+  return { doc, created: false };
+};
+
+const toParty = (user) => {
+  const profile = user.billingProfile || {};
+  return {
+    user: user._id,
+    username: user.username,
+    legalName: profile.legalName,
+    companyName: profile.companyName,
+    taxId: profile.taxId,
+    vatNumber: profile.vatNumber,
+    email: profile.email || user.notificationEmail || user.email,
+    walletAddress: user.walletAddress,
+    address: profile.address
+  };
+};
+
+const getChatTitle = (chat) => chat.job?.title || chat.gig?.title || 'Project';
+
+// One line per released milestone, otherwise a single line for the engagement
+const buildLineItems = (chat, totalUSD) => {
+  const released = (chat.milestones || []).filter(m => m.status === 'released' && m.release?.amountUSD);
+  if (released.length > 0) {
+    return released.map(milestone => ({
+      description: `${getChatTitle(chat)} — milestone "${milestone.title}"`,
+      quantity: 1,
+      unitPriceUSD: milestone.release.amountUSD,
+      amountUSD: milestone.release.amountUSD
+    }));
+  }
+  return [{
+    description: getChatTitle(chat),
+    quantity: 1,
+    unitPriceUSD: totalUSD,
+    amountUSD: totalUSD
+  }];
+};
+
+/**
+ * Issue the invoice and receipt for a confirmed chat (once; later calls return the existing documents)
+ * Each document claims its (chat, kind) slot before taking a number, so a concurrent call returns the
+ * claimed documents instead of failing on the unique index or using up a number.
+ * @param {String} chatId - Chat id
+ * @param {Object} options - { email: queue both documents for emailing to both parties when newly issued (default true) }
+ * @returns {Promise<Object>} { invoice, receipt, created }
+ * @throws {InvoiceError} When the chat does not exist, is not confirmed or has no recorded payouts
+ */
+const issueChatInvoices = async (chatId, { email = true } = {}) => {
+  const existing = await Invoice.find({ chat: chatId });
+  const existingInvoice = existing.find(doc => doc.kind === 'invoice');
+  const existingReceipt = existing.find(doc => doc.kind === 'receipt');
+  const finished = (doc) => doc && !isPendingNumber(doc.number);
+  if (finished(existingInvoice) && finished(existingReceipt)) {
+    return { invoice: existingInvoice, receipt: existingReceipt, created: false };
+  }
+
+  const chat = await Chat.findById(chatId)
+    .populate('job', 'title')
+    .populate('gig', 'title');
+  if (!chat) {
+    throw new InvoiceError('Chat not found', 404);
+  }
+  if (chat.workflowStatus !== 'confirmed') {
+    throw new InvoiceError('Invoices are issued once the engagement is confirmed', 409);
+  }
+
+  const clientId = chat.participants.find(p => p.role === 'client')?.user;
+  const talentId = chat.participants.find(p => p.role === 'talent')?.user;
+  const [client, talent, payouts] = await Promise.all([
+    User.findById(clientId).select('+billingProfile username email notificationEmail walletAddress'),
+    User.findById(talentId).select('+billingProfile username email notificationEmail walletAddress'),
+    Transaction.find({ chat: chat._id, type: { $in: FEE_TRANSACTION_TYPES }, status: 'completed' }).sort({ createdAt: 1 })
+  ]);
+  if (!client || !talent) {
+    throw new InvoiceError('Both parties are required to issue an invoice');
+  }
+  if (payouts.length === 0) {
+    throw new InvoiceError('No payouts have been recorded for this engagement');
+  }
+
+  const totalUSD = roundUSD(payouts.reduce((sum, tx) => sum + (tx.amount || 0), 0));
+  const platformFeeUSD = roundUSD(payouts.reduce((sum, tx) => sum + (tx.fees || 0), 0));
+  const taxRatePercent = talent.billingProfile?.taxRatePercent || 0;
+  const subtotalUSD = roundUSD(totalUSD / (1 + taxRatePercent / 100));
+  const issuedAt = new Date();
+
+  const data = {
+    chat: chat._id,
+    job: chat.job?._id,
+    gig: chat.gig?._id,
+    seller: toParty(talent),
+    buyer: toParty(client),
+    description: getChatTitle(chat),
+    lineItems: buildLineItems(chat, totalUSD),
+    priceHistory: (chat.priceHistory || []).map(entry => ({
+      amount: entry.amount,
+      reason: entry.reason,
+      changedAt: entry.timestamp
+    })),
+    payments: payouts.map(tx => ({
+      transaction: tx._id,
+      type: tx.type,
+      txHash: tx.txHash,
+      amountUSD: tx.amount,
+      feeUSD: tx.fees || 0,
+      amountToken: tx.metadata?.amountToken ?? tx.metadata?.amountETH,
+      tokenSymbol: tx.tokenSymbol || 'ETH',
+      paidAt: tx.createdAt
+    })),
+    currency: 'USD',
+    token: chat.escrow?.deposit?.token?.symbol ? chat.escrow.deposit.token : undefined,
+    subtotalUSD,
+    tax: {
+      label: talent.billingProfile?.taxLabel || 'VAT',
+      ratePercent: taxRatePercent,
+      amountUSD: roundUSD(totalUSD - subtotalUSD),
+      inclusive: true
+    },
+    totalUSD,
+    platformFeeUSD,
+    netUSD: roundUSD(totalUSD - platformFeeUSD),
+    issuedAt
+  };
+
+  const { doc: invoice, created: invoiceCreated } = await claimAndNumber({ ...data, kind: 'invoice' }, issuedAt);
+  const { doc: receipt, created: receiptCreated } = await claimAndNumber({
+    ...data,
+    kind: 'receipt',
+    invoice: invoice._id
+  }, issuedAt);
+  const created = invoiceCreated || receiptCreated;
+
+  if (email && created) {
+    await enqueueJob('invoices.email', { invoiceId: invoice._id.toString(), receiptId: receipt._id.toString() }, {
+      uniqueKey: `invoices.email:${invoice._id}`
+    });
+  }
+
+  return { invoice, receipt, created };
+};
+
+const formatUSD = (value) => `$${(Number(value) || 0).toFixed(2)}`;
+
+const formatParty = (party) => [
+  party.companyName,
+  party.legalName || party.username,
+  party.address?.line1,
+  party.address?.line2,
+  [party.address?.postalCode, party.address?.city, party.address?.state].filter(Boolean).join(' '),
+  party.address?.country,
+  party.taxId && `Tax ID: ${party.taxId}`,
+  party.vatNumber && `VAT: ${party.vatNumber}`,
+  party.email,
+  party.walletAddress && `Wallet: ${party.walletAddress}`
+].filter(Boolean).join('\n');
+
+/**
+ * Render an invoice or receipt as a PDF
+ * @param {Object} doc - Invoice document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderInvoicePdf = (doc) => new Promise((resolve, reject) => {
+  const pdf = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${doc.kind} ${doc.number}` } });
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  const title = doc.kind === 'receipt' ? 'RECEIPT' : 'INVOICE';
+  pdf.fontSize(20).text(`Workloob ${title}`, { align: 'right' });
+  pdf.fontSize(10)
+    .text(`No. ${doc.number}`, { align: 'right' })
+    .text(`Issued ${doc.issuedAt.toISOString().slice(0, 10)}`, { align: 'right' });
+  if (doc.kind === 'receipt') {
+    pdf.text('Status: PAID', { align: 'right' });
+  }
+  pdf.moveDown(2);
+
+  const partiesTop = pdf.y;
+  pdf.fontSize(11).text('From', 50, partiesTop).fontSize(9).text(formatParty(doc.seller), 50, pdf.y, { width: 230 });
+  const fromBottom = pdf.y;
+  pdf.fontSize(11).text('Bill to', 310, partiesTop).fontSize(9).text(formatParty(doc.buyer), 310, pdf.y, { width: 230 });
+  pdf.y = Math.max(fromBottom, pdf.y) + 20;
+  pdf.x = 50;
+
+  pdf.fontSize(11).text('Description', 50, pdf.y, { continued: true }).text('Amount', { align: 'right' });
+  pdf.moveTo(50, pdf.y + 2).lineTo(545, pdf.y + 2).stroke();
+  pdf.moveDown(0.5).fontSize(10);
+  doc.lineItems.forEach((item) => {
+    pdf.text(item.description, 50, pdf.y, { width: 380, continued: true }).text(formatUSD(item.amountUSD), { align: 'right' });
+  });
+  pdf.moveDown();
+
+  const totals = [
+    ['Subtotal', formatUSD(doc.subtotalUSD)],
+    [`${doc.tax.label} (${doc.tax.ratePercent}%, included)`, formatUSD(doc.tax.amountUSD)],
+    ['Total', formatUSD(doc.totalUSD)],
+    ['Platform fee (settled separately)', formatUSD(doc.platformFeeUSD)],
+    ['Net to contractor', formatUSD(doc.netUSD)]
+  ];
+  totals.forEach(([label, value]) => {
+    pdf.text(label, 300, pdf.y, { width: 170, continued: true }).text(value, { align: 'right' });
+  });
+  pdf.x = 50;
+  pdf.moveDown(2);
+
+  pdf.fontSize(11).text(doc.kind === 'receipt' ? 'Payments received' : 'Payments');
+  pdf.fontSize(8);
+  doc.payments.forEach((payment) => {
+    const amountToken = payment.amountToken != null ? ` (${payment.amountToken} ${payment.tokenSymbol})` : '';
+    pdf.text(`${payment.paidAt.toISOString().slice(0, 10)}  ${formatUSD(payment.amountUSD)}${amountToken}  ${payment.txHash || ''}`);
+  });
+
+  pdf.end();
+});
+
+// Machine-readable form served at /api/invoices/:id and attached to the email
+const toInvoiceJson = (doc) => {
+  const { _id, __v, createdAt, updatedAt, ...fields } = doc.toObject();
+  return { id: _id.toString(), ...fields };
+};
+
+/**
+ * Email the invoice and receipt (PDF and JSON) to both parties
+ * @param {Object} invoice - Invoice document
+ * @param {Object} receipt - Receipt document
+ * @returns {Promise<Array>} One sendNotificationEmail result per recipient
+ */
+const emailChatInvoices = async (invoice, receipt) => {
+  const [invoicePdf, receiptPdf] = await Promise.all([renderInvoicePdf(invoice), renderInvoicePdf(receipt)]);
+  const attachments = [
+    { filename: `${invoice.number}.pdf`, content: invoicePdf, contentType: 'application/pdf' },
+    { filename: `${receipt.number}.pdf`, content: receiptPdf, contentType: 'application/pdf' },
+    {
+      filename: `${invoice.number}.json`,
+      content: JSON.stringify({ invoice: toInvoiceJson(invoice), receipt: toInvoiceJson(receipt) }, null, 2),
+      contentType: 'application/json'
+    }
+  ];
+
+  const results = await Promise.all([invoice.buyer, invoice.seller].filter(party => party.email).map(party =>
+    sendNotificationEmail({
+      to: party.email,
+      subject: `Invoice ${invoice.number} for ${invoice.description}`,
+      title: `Invoice ${invoice.number}`,
+      message: `The engagement "${invoice.description}" is confirmed. The invoice and payment receipt (${formatUSD(invoice.totalUSD)}) are attached.`,
+      actionUrl: `/chats/${invoice.chat}`,
+      actionText: 'View Engagement',
+      attachments
+    })
+  ));
+
+  if (results.some(result => result.success)) {
+    const emailedAt = new Date();
+    await Invoice.updateMany({ _id: { $in: [invoice._id, receipt._id] } }, { emailedAt });
+  }
+  return results;
+};
+
+module.exports = {
+  InvoiceError,
+  issueChatInvoices,
+  renderInvoicePdf,
+  toInvoiceJson,
+  emailChatInvoices
+};
@@ -0,0 +1,280 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const BackgroundJob = require('../models/BackgroundJob');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = Number(process.env.JOB_MAX_BACKOFF_MS) || 60 * 60 * 1000;
+const JOB_TIMEOUT_MS = Number(process.env.JOB_TIMEOUT_MS) || 5 * 60 * 1000;
+// A running job whose worker has been silent this long is assumed lost and retried
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+const MAX_FAILURES_KEPT = 10;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const definitions = new Map();
+
+class JobQueueError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'JobQueueError';
+    this.status = status;
+  }
+}
+
+// Thrown by a handler when retrying cannot help; the job goes straight to the dead-letter state
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+/**
+ * Register the handler for a job name
+ * @param {String} name - Job name, e.g. 'notifications.email'
+ * @param {Function} handler - async (payload, { io, job, signal }) => result. `signal` is an AbortSignal that
+ *   fires when the job times out; the attempt is retried while the handler may still be running, so handlers
+ *   with side effects must stop once it fires and be safe to run again.
+ * @param {Object} options - { maxAttempts, backoffMs (first retry delay, doubled each attempt), timeoutMs }
+ */
+const defineJob = (name, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, backoffMs = DEFAULT_BACKOFF_MS, timeoutMs = JOB_TIMEOUT_MS } = {}) => {
+  definitions.set(name, { handler, maxAttempts, backoffMs, timeoutMs });
+};
+
+/**
+ * Add a job to the queue
+ * With a uniqueKey, a job that is already queued or running under that key is returned instead of a new one.
+ * @param {String} name - Job name
+ * @param {Object} payload - Plain JSON data handed to the handler
+ * @param {Object} options - { runAt, delayMs, maxAttempts, uniqueKey }
+ * @returns {Promise<Object>} BackgroundJob document
+ */
+const enqueueJob = async (name, payload = {}, { runAt, delayMs, maxAttempts, uniqueKey } = {}) => {
+  const job = {
+    name,
+    payload,
+    runAt: runAt || new Date(Date.now() + (delayMs || 0)),
+    maxAttempts: maxAttempts || definitions.get(name)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    uniqueKey,
+    activeKey: uniqueKey
+  };
+
+  try {
+    return await BackgroundJob.create(job);
+  } catch (error) {
+    if (error.code !== 11000 || !uniqueKey) throw error;
+    const existing = await BackgroundJob.findOne({ activeKey: uniqueKey });
+    // The other job finished between the insert and the lookup
+    return existing || BackgroundJob.create(job);
+  }
+};
+
+const getBackoffMs = (job) => {
+  const base = definitions.get(job.name)?.backoffMs || DEFAULT_BACKOFF_MS;
+  return Math.min(MAX_BACKOFF_MS, base * 2 ** Math.max(0, job.attempts - 1));
+};
+
+const claimNextJob = () => {
+  const now = new Date();
+  return BackgroundJob.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: now } },
+    { $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const completeJob = (job, result) => BackgroundJob.updateOne(
+  { _id: job._id, status: 'running', lockedBy: job.lockedBy },
+  {
+    $set: { status: 'completed', completedAt: new Date(), result },
+    $unset: { activeKey: 1, lockedAt: 1, lockedBy: 1 }
+  }
+);
+
+const failJob = (job, error) => {
+  const now = new Date();
+  const message = error?.message || String(error);
+  const dead = error instanceof PermanentJobError || job.attempts >= job.maxAttempts;
+  const update = {
+    $set: dead
+      ? { status: 'dead', deadAt: now, lastError: message }
+      : { status: 'queued', runAt: new Date(now.getTime() + getBackoffMs(job)), lastError: message },
+    $unset: { lockedAt: 1, lockedBy: 1, ...(dead && { activeKey: 1 }) },
+    $push: { failures: { $each: [{ attempt: job.attempts, message, failedAt: now }], $slice: -MAX_FAILURES_KEPT } }
+  };
+
+  if (dead) {
+    console.error(`Background job ${job.name} (${job._id}) moved to dead-letter after ${job.attempts} attempt(s):`, message);
+  }
+  return BackgroundJob.updateOne({ _id: job._id, status: 'running', lockedBy: job.lockedBy }, update);
+};
+
+// Jobs left running by a crashed or stopped worker count as a failed attempt
+const releaseStaleJobs = async () => {
+  const stale = await BackgroundJob.find({
+    status: 'running',
+    lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+  }).limit(100);
+  await Promise.all(stale.map(job => failJob(job, new Error(`Worker ${job.lockedBy} did not finish the job in time`))));
+  return stale.length;
+};
+
+// Run work(signal) with a deadline; the signal is aborted when the deadline passes
+const withTimeout = (work, ms, name) => {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${name} timed out after ${ms}ms`);
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([Promise.resolve().then(() => work(controller.signal)), timeout])
+    .finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run one claimed job and record the outcome
+ * @param {Object} job - BackgroundJob in the running state
+ * @param {Object} context - Passed to the handler ({ io })
+ */
+const runJob = async (job, context = {}) => {
+  const definition = definitions.get(job.name);
+  try {
+    if (!definition) {
+      throw new PermanentJobError(`No handler registered for job "${job.name}"`);
+    }
+    const result = await withTimeout(
+      signal => definition.handler(job.payload || {}, { ...context, job, signal }),
+      definition.timeoutMs,
+      job.name
+    );
+    await completeJob(job, result);
+  } catch (error) {
+    await failJob(job, error);
+  }
+};
+
+/**
+ * Poll the queue and run due jobs one at a time until stopped
+ * @param {Object} options - { io, pollIntervalMs }
+ * @returns {Function} async stop(): resolves once the job in progress has finished
+ */
+const startWorker = ({ io, pollIntervalMs = POLL_INTERVAL_MS } = {}) => {
+  let stopped = false;
+  let timer = null;
+  let running = Promise.resolve();
+
+  const tick = async () => {
+    try {
+      if (mongoose.connection.readyState === 1) {
+        await releaseStaleJobs();
+        let job = await claimNextJob();
+        while (job) {
+          await runJob(job, { io });
+          job = stopped ? null : await claimNextJob();
+        }
+      }
+    } catch (error) {
+      console.error('Job worker error:', error.message);
+    }
+  };
+
+  const schedule = () => {
+    if (stopped) return;
+    timer = setTimeout(() => {
+      running = tick().then(schedule);
+    }, pollIntervalMs);
+  };
+
+  schedule();
+  console.log(`Job worker ${WORKER_ID} started`);
+
+  return async () => {
+    stopped = true;
+    clearTimeout(timer);
+    await running;
+  };
+};
+
+/**
+ * Enqueue a job on a cron schedule
+ * A tick is skipped while the previous run is still queued or running.
+ * @param {String} name - Job name
+ * @param {String} expression - node-cron expression
+ * @param {Object} payload - Job payload
+ * @returns {Object} node-cron task
+ */
+const scheduleRecurringJob = (name, expression, payload = {}) => cron.schedule(expression, async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  try {
+    await enqueueJob(name, payload, { uniqueKey: `recurring:${name}` });
+  } catch (error) {
+    console.error(`Failed to schedule ${name}:`, error.message);
+  }
+});
+
+/**
+ * Put a dead job back on the queue with a fresh set of attempts
+ * @param {String} id - BackgroundJob id
+ * @returns {Promise<Object>} The requeued job
+ * @throws {JobQueueError} When the job does not exist, is not dead, or an identical job is already queued
+ */
+const retryJob = async (id) => {
+  const job = mongoose.isValidObjectId(id) ? await BackgroundJob.findById(id) : null;
+  if (!job) {
+    throw new JobQueueError('Job not found', 404);
+  }
+  if (job.status !== 'dead') {
+    throw new JobQueueError('Only dead jobs can be retried', 409);
+  }
+
+  job.status = 'queued';
+  job.attempts = 0;
+  job.runAt = new Date();
+  job.deadAt = undefined;
+  job.activeKey = job.uniqueKey;
+  try {
+    return await job.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new JobQueueError('An identical job is already queued', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Job counts per name and status
+ * @returns {Promise<Object>} { byStatus, byName: { [name]: { [status]: count } }, oldestQueuedAt }
+ */
+const getQueueStats = async () => {
+  const [groups, oldestQueued] = await Promise.all([
+    BackgroundJob.aggregate([{ $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } }]),
+    BackgroundJob.findOne({ status: 'queued', runAt: { $lte: new Date() } }).sort({ runAt: 1 }).select('runAt')
+  ]);
+
+  const byStatus = { queued: 0, running: 0, completed: 0, dead: 0 };
+  const byName = {};
+  groups.forEach(({ _id, count }) => {
+    byStatus[_id.status] = (byStatus[_id.status] || 0) + count;
+    byName[_id.name] = { ...byName[_id.name], [_id.status]: count };
+  });
+  return { byStatus, byName, oldestQueuedAt: oldestQueued?.runAt || null };
+};
+
+module.exports = {
+  JobQueueError,
+  PermanentJobError,
+  defineJob,
+  enqueueJob,
+  runJob,
+  startWorker,
+  scheduleRecurringJob,
+  retryJob,
+  getQueueStats
+};
@@ -0,0 +1,402 @@
+const mongoose = require('mongoose');
+const { parseUnits, formatUnits } = require('ethers');
+const User = require('../models/User');
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerEntry = require('../models/LedgerEntry');
+const { BASE_CURRENCY, getCurrencyDecimals } = require('./tokens');
+
+// Counterparty accounts for money entering or leaving the internal wallet
+const PLATFORM_ACCOUNTS = {
+  deposits: 'platform:deposits',
+  withdrawals: 'platform:withdrawals',
+  openingBalances: 'platform:opening_balances',
+  // On-chain escrow contract and where cancelled escrows were paid out to (in the deposit token)
+  escrowContract: 'platform:escrow_contract',
+  escrowRefunds: 'platform:escrow_refunds',
+  escrowPayouts: 'platform:escrow_payouts'
+};
+
+// Which cached User.wallet field mirrors each user account kind
+const WALLET_FIELDS = {
+  available: 'balance',
+  escrow: 'escrowBalance'
+};
+
+class LedgerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+  }
+}
+
+// Amounts are integer base units of their currency (cents for USD, the token's own decimals
+// otherwise), handled as BigInt and stored as Decimal128 so 18-decimal tokens lose nothing
+const toUnits = (amount, decimals) => {
+  let text = String(amount ?? 0).trim();
+  if (/e/i.test(text) || (text.split('.')[1] || '').length > decimals) {
+    text = Number(text).toFixed(decimals);
+  }
+  try {
+    return parseUnits(text, decimals);
+  } catch (error) {
+    throw new LedgerError(`Invalid amount: ${amount}`);
+  }
+};
+
+// Decimal128 (or aggregation output) back to BigInt; values are always whole numbers
+const readUnits = (value) => {
+  if (value === undefined || value === null) return 0n;
+  const [mantissa, exponent = '0'] = value.toString().toUpperCase().split('E');
+  const [whole, fraction = ''] = mantissa.split('.');
+  const shift = Number(exponent) - fraction.length;
+  const digits = BigInt(`${whole}${fraction}`);
+  return shift >= 0 ? digits * 10n ** BigInt(shift) : digits / 10n ** BigInt(-shift);
+};
+
+const fromUnits = (units, decimals) => Number(formatUnits(units, decimals));
+
+// USD accounts keep their original keys; other currencies get a suffix, e.g. "user:<id>:available:USDC"
+const withCurrency = (key, currency) => (
+  !currency || currency === BASE_CURRENCY ? key : `${key}:${currency}`
+);
+
+const userAccountKey = (userId, kind = 'available', currency = BASE_CURRENCY) => (
+  withCurrency(`user:${userId}:${kind}`, currency)
+);
+
+const platformAccountKey = (account, currency = BASE_CURRENCY) => withCurrency(account, currency);
+
+const parseAccountKey = (key) => {
+  const parts = key.split(':');
+  if (parts[0] === 'user') {
+    return { userId: parts[1], kind: parts[2], currency: parts[3] || BASE_CURRENCY };
+  }
+  return { userId: null, kind: 'platform', currency: parts[2] || BASE_CURRENCY };
+};
+
+/**
+ * Run ledger work inside a MongoDB transaction
+ * Transient write conflicts (e.g. two transfers from the same wallet) are retried by the driver.
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Whatever work returned on the committed attempt
+ */
+const withLedgerTransaction = async (work) => {
+  let result;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      result = await work(session);
+    });
+  } catch (error) {
+    if (error.code === 20 || /replica set member or mongos/i.test(error.message || '')) {
+      throw new LedgerError('The wallet ledger requires MongoDB transactions; run MongoDB as a replica set', 503);
+    }
+    throw error;
+  }
+  return result;
+};
+
+/**
+ * Open a user's ledger accounts in one currency
+ * USD accounts carry over the user's current User.wallet balances; other currencies start at zero.
+ * @param {String} userId - User id
+ * @param {Object} session - MongoDB session
+ * @param {String} currency - Account currency
+ */
+const ensureUserAccounts = async (userId, session, currency = BASE_CURRENCY) => {
+  const existing = await LedgerAccount.findOne({ key: userAccountKey(userId, 'available', currency) }).session(session);
+  if (existing) return;
+
+  const user = await User.findById(userId).select('wallet').session(session);
+  if (!user) {
+    throw new LedgerError('User not found', 404);
+  }
+
+  const decimals = await getCurrencyDecimals(currency);
+  const carryOver = currency === BASE_CURRENCY;
+  const availableUnits = carryOver ? toUnits(user.wallet?.balance || 0, decimals) : 0n;
+  const escrowUnits = carryOver ? toUnits(user.wallet?.escrowBalance || 0, decimals) : 0n;
+
+  // Upserts, so a concurrent first deposit opens the accounts once instead of failing on the unique key
+  const openAccount = (kind, balanceUnits) => LedgerAccount.findOneAndUpdate(
+    { key: userAccountKey(userId, kind, currency) },
+    {
+      $setOnInsert: {
+        key: userAccountKey(userId, kind, currency),
+        user: userId,
+        kind,
+        currency,
+        decimals,
+        balanceUnits: balanceUnits.toString()
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true, rawResult: true, session }
+  );
+
+  const opened = await openAccount('available', availableUnits);
+  // Whoever opened the accounts first has already carried the wallet balances over
+  if (opened.lastErrorObject?.updatedExisting) return;
+  await openAccount('escrow', escrowUnits);
+
+  const openingUnits = availableUnits + escrowUnits;
+  if (openingUnits > 0n) {
+    await ensurePlatformAccount(PLATFORM_ACCOUNTS.openingBalances, session, decimals);
+    await LedgerAccount.updateOne(
+      { key: PLATFORM_ACCOUNTS.openingBalances },
+      { $inc: { balanceUnits: (-openingUnits).toString() } },
+      { session }
+    );
+
+    const lines = [{ account: PLATFORM_ACCOUNTS.openingBalances, debitUnits: openingUnits.toString() }];
+    if (availableUnits > 0n) {
+      lines.push({ account: userAccountKey(userId, 'available'), user: userId, creditUnits: availableUnits.toString() });
+    }
+    if (escrowUnits > 0n) {
+      lines.push({ account: userAccountKey(userId, 'escrow'), user: userId, creditUnits: escrowUnits.toString() });
+    }
+    await LedgerEntry.create([{
+      type: 'opening_balance',
+      description: 'Opening balance carried over from wallet',
+      decimals,
+      lines
+    }], { session });
+  }
+};
+
+const ensurePlatformAccount = async (key, session, decimals) => {
+  const { currency } = parseAccountKey(key);
+  await LedgerAccount.updateOne(
+    { key },
+    { $setOnInsert: { key, kind: 'platform', currency, decimals, allowNegative: true, balanceUnits: '0' } },
+    { upsert: true, session }
+  );
+};
+
+/**
+ * Post a balanced journal entry and update the cached balances it touches
+ * Must run inside withLedgerTransaction. User accounts may never go negative.
+ * @param {Object} entry
+ * @param {String} entry.type - LedgerEntry type
+ * @param {String} entry.description - Human-readable description
+ * @param {Array<Object>} entry.lines - [{ account, debit, credit }] in whole units of the accounts'
+ *   currency (numbers or decimal strings); every line must use the same currency
+ * @param {ObjectId} entry.transaction - Related Transaction (optional)
+ * @param {ObjectId} entry.createdBy - Acting user (optional)
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} Created LedgerEntry
+ */
+const postJournalEntry = async ({ type, description, lines, transaction = null, createdBy = null }, session) => {
+  const currencies = new Set(lines.map(line => parseAccountKey(line.account).currency));
+  if (currencies.size !== 1) {
+    throw new LedgerError('Journal entry lines must share one currency', 500);
+  }
+  const [currency] = currencies;
+  const decimals = await getCurrencyDecimals(currency);
+
+  const entryLines = lines.map((line) => ({
+    account: line.account,
+    user: parseAccountKey(line.account).userId,
+    debitUnits: toUnits(line.debit || 0, decimals),
+    creditUnits: toUnits(line.credit || 0, decimals)
+  }));
+
+  const debits = entryLines.reduce((sum, line) => sum + line.debitUnits, 0n);
+  const credits = entryLines.reduce((sum, line) => sum + line.creditUnits, 0n);
+  if (debits <= 0n || debits !== credits || entryLines.some(line => line.debitUnits < 0n || line.creditUnits < 0n)) {
+    throw new LedgerError('Journal entry is not balanced', 500);
+  }
+
+  for (const line of entryLines) {
+    const owner = parseAccountKey(line.account);
+    if (owner.userId) {
+      await ensureUserAccounts(owner.userId, session, currency);
+    } else {
+      await ensurePlatformAccount(line.account, session, decimals);
+    }
+
+    const netUnits = line.creditUnits - line.debitUnits;
+    const account = await LedgerAccount.findOneAndUpdate(
+      {
+        key: line.account,
+        ...(netUnits < 0n ? { $or: [{ allowNegative: true }, { balanceUnits: { $gte: (-netUnits).toString() } }] } : {})
+      },
+      { $inc: { balanceUnits: netUnits.toString() } },
+      { new: true, session }
+    );
+    if (!account) {
+      throw new LedgerError(owner.kind === 'escrow' ? 'Insufficient escrow balance' : 'Insufficient balance');
+    }
+
+    // User.wallet mirrors the USD accounts for older clients
+    if (owner.userId && currency === BASE_CURRENCY) {
+      await User.updateOne(
+        { _id: owner.userId },
+        { $set: { [`wallet.${WALLET_FIELDS[owner.kind]}`]: fromUnits(readUnits(account.balanceUnits), decimals) } },
+        { session }
+      );
+    }
+  }
+
+  const [created] = await LedgerEntry.create([{
+    type,
+    description,
+    currency,
+    decimals,
+    lines: entryLines.map(line => ({
+      ...line,
+      debitUnits: line.debitUnits.toString(),
+      creditUnits: line.creditUnits.toString()
+    })),
+    transaction,
+    createdBy
+  }], { session });
+  return created;
+};
+
+/**
+ * Current wallet balances for a user in one currency, read from the ledger
+ * USD falls back to User.wallet until the user's accounts are opened.
+ * @param {String} userId - User id
+ * @param {String} currency - Currency (defaults to USD)
+ * @returns {Promise<Object>} { currency, balance, escrowBalance }
+ */
+const getWalletBalances = async (userId, currency = BASE_CURRENCY) => {
+  const accounts = await LedgerAccount.find({ user: userId, currency });
+  if (accounts.length === 0 && currency === BASE_CURRENCY) {
+    const user = await User.findById(userId).select('wallet');
+    return {
+      currency,
+      balance: user?.wallet?.balance || 0,
+      escrowBalance: user?.wallet?.escrowBalance || 0
+    };
+  }
+
+  const decimals = accounts[0]?.decimals ?? await getCurrencyDecimals(currency);
+  const units = (kind) => readUnits(accounts.find(account => account.kind === kind)?.balanceUnits);
+  return {
+    currency,
+    balance: fromUnits(units('available'), decimals),
+    escrowBalance: fromUnits(units('escrow'), decimals)
+  };
+};
+
+/**
+ * Wallet balances for every currency the user holds (USD is always included)
+ * @param {String} userId - User id
+ * @returns {Promise<Array<Object>>} [{ currency, balance, escrowBalance }]
+ */
+const getAllWalletBalances = async (userId) => {
+  const currencies = await LedgerAccount.distinct('currency', { user: userId });
+  const ordered = [BASE_CURRENCY, ...currencies.filter(currency => currency !== BASE_CURRENCY).sort()];
+  return Promise.all(ordered.map(currency => getWalletBalances(userId, currency)));
+};
+
+/**
+ * Compare the journal, the cached account balances and User.wallet
+ * @returns {Promise<Object>} Reconciliation report; `drift` lists every account that disagrees
+ */
+const reconcileLedger = async () => {
+  const [totals, derived, unbalancedEntries, accounts, entryCount] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$currency',
+          debitUnits: { $sum: '$lines.debitUnits' },
+          creditUnits: { $sum: '$lines.creditUnits' }
+        }
+      }
+    ]),
+    LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.account',
+          balanceUnits: { $sum: { $subtract: ['$lines.creditUnits', '$lines.debitUnits'] } }
+        }
+      }
+    ]),
+    LedgerEntry.aggregate([
+      {
+        $project: {
+          debitUnits: { $sum: '$lines.debitUnits' },
+          creditUnits: { $sum: '$lines.creditUnits' }
+        }
+      },
+      { $match: { $expr: { $ne: ['$debitUnits', '$creditUnits'] } } }
+    ]),
+    LedgerAccount.find({}),
+    LedgerEntry.countDocuments()
+  ]);
+
+  const derivedByAccount = new Map(derived.map(row => [row._id, readUnits(row.balanceUnits)]));
+  const userIds = [...new Set(accounts.filter(a => a.user).map(a => a.user.toString()))];
+  const users = await User.find({ _id: { $in: userIds } }).select('username wallet');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const decimalsByCurrency = new Map(accounts.map(account => [account.currency, account.decimals]));
+
+  const drift = [];
+  accounts.forEach((account) => {
+    const ledgerUnits = derivedByAccount.get(account.key) || 0n;
+    const cachedUnits = readUnits(account.balanceUnits);
+    const row = {
+      account: account.key,
+      currency: account.currency,
+      user: account.user,
+      ledger: fromUnits(ledgerUnits, account.decimals),
+      cached: fromUnits(cachedUnits, account.decimals)
+    };
+    let drifted = ledgerUnits !== cachedUnits;
+
+    if (account.user && account.currency === BASE_CURRENCY) {
+      const user = usersById.get(account.user.toString());
+      row.username = user?.username || null;
+      const walletUnits = user ? toUnits(user.wallet?.[WALLET_FIELDS[account.kind]] || 0, account.decimals) : null;
+      row.wallet = walletUnits === null ? null : fromUnits(walletUnits, account.decimals);
+      drifted = drifted || walletUnits !== ledgerUnits;
+    }
+
+    if (drifted) {
+      drift.push(row);
+    }
+  });
+
+  // Debits and credits only add up within one currency
+  const trialBalance = await Promise.all(totals.map(async (row) => {
+    const decimals = decimalsByCurrency.get(row._id) ?? await getCurrencyDecimals(row._id);
+    const debitUnits = readUnits(row.debitUnits);
+    const creditUnits = readUnits(row.creditUnits);
+    return {
+      currency: row._id,
+      debits: fromUnits(debitUnits, decimals),
+      credits: fromUnits(creditUnits, decimals),
+      balanced: debitUnits === creditUnits
+    };
+  }));
+  const balanced = trialBalance.every(row => row.balanced);
+  const usersWithoutAccounts = await User.countDocuments({ _id: { $nin: userIds } });
+
+  return {
+    checkedAt: new Date(),
+    entries: entryCount,
+    accounts: accounts.length,
+    trialBalance,
+    unbalancedEntries: unbalancedEntries.map(entry => entry._id),
+    // Their wallets are carried into the ledger on first use
+    usersWithoutAccounts,
+    drift,
+    healthy: balanced && unbalancedEntries.length === 0 && drift.length === 0
+  };
+};
+
+module.exports = {
+  LedgerError,
+  PLATFORM_ACCOUNTS,
+  userAccountKey,
+  platformAccountKey,
+  withLedgerTransaction,
+  postJournalEntry,
+  getWalletBalances,
+  getAllWalletBalances,
+  reconcileLedger
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const { completeEngagement } = require('./engagements');
+const { enqueueJob } = require('./jobQueue');
+
+// Milestones whose funds are currently held in escrow
+const FUNDED_STATUSES = ['funded', 'submitted', 'approved', 'disputed'];
+const DISPUTABLE_STATUSES = ['funded', 'submitted', 'approved'];
+
+class MilestoneError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MilestoneError';
+    this.status = status;
+  }
+}
+
+/**
+ * Find a milestone on a chat document
+ * @param {Object} chat - Chat document
+ * @param {String} milestoneId - Milestone subdocument id
+ * @returns {Object} Milestone subdocument
+ * @throws {MilestoneError} When it does not exist
+ */
+const findMilestone = (chat, milestoneId) => {
+  const milestone = mongoose.Types.ObjectId.isValid(milestoneId)
+    ? chat.milestones.id(milestoneId)
+    : null;
+  if (!milestone) {
+    throw new MilestoneError('Milestone not found', 404);
+  }
+  return milestone;
+};
+
+/**
+ * Ensure a milestone is in one of the allowed states before a transition
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Array<String>} allowed - Allowed current statuses
+ * @param {String} action - Action name used in the error message
+ */
+const assertMilestoneStatus = (milestone, allowed, action) => {
+  if (!allowed.includes(milestone.status)) {
+    throw new MilestoneError(`Cannot ${action} a milestone that is "${milestone.status}"`);
+  }
+};
+
+// True once any milestone has been funded; the single-deposit flow is then unavailable
+const usesMilestoneEscrow = (chat) => (chat.milestones || []).some(m => m.status !== 'proposed');
+
+// True when there is at least one milestone and every one has been paid out or settled
+const allMilestonesSettled = (chat) => {
+  const milestones = chat.milestones || [];
+  return milestones.length > 0 && milestones.every(m => ['released', 'resolved'].includes(m.status));
+};
+
+/**
+ * Confirm the chat once its last milestone has been released or resolved
+ * @param {Object} chat - Chat document (saved by the caller)
+ * @returns {Boolean} True when the engagement is now complete
+ */
+const confirmIfAllSettled = (chat) => {
+  if (!allMilestonesSettled(chat)) return false;
+  chat.workflowStatus = 'confirmed';
+  chat.status = 'completed';
+  return true;
+};
+
+/**
+ * Stats, job/gig status and invoices for an engagement confirmed by confirmIfAllSettled
+ * @param {Object} chat - Saved chat document
+ * @param {Object} client - Client participant
+ * @param {Object} talent - Talent participant
+ */
+const finishMilestoneEngagement = async (chat, client, talent) => {
+  await completeEngagement(chat, client, talent);
+  await enqueueJob('invoices.issue', { chatId: chat._id.toString() }, { uniqueKey: `invoices.issue:${chat._id}` })
+    .catch(error => console.error('Error queueing invoices:', error.message));
+};
+
+/**
+ * Totals for a chat's milestones
+ * @param {Object} chat - Chat document
+ * @returns {Object} { count, totalUSD, fundedUSD, releasedUSD, inEscrowUSD }
+ */
+const summarizeMilestones = (chat) => {
+  const milestones = chat.milestones || [];
+  const sum = (list, pick) => list.reduce((total, m) => total + (Number(pick(m)) || 0), 0);
+
+  const funded = milestones.filter(m => m.funding?.txHash);
+  const released = milestones.filter(m => m.status === 'released');
+  const held = milestones.filter(m => FUNDED_STATUSES.includes(m.status));
+
+  return {
+    count: milestones.length,
+    totalUSD: sum(milestones, m => m.amountUSD),
+    fundedUSD: sum(funded, m => m.funding.amountUSD),
+    releasedUSD: sum(released, m => m.release?.amountUSD),
+    inEscrowUSD: sum(held, m => m.funding?.amountUSD)
+  };
+};
+
+/**
+ * Put a funded milestone on hold while a dispute proposal is open
+ * @param {Object} params
+ * @param {String} params.chatId - Chat the milestone belongs to
+ * @param {String} params.milestoneId - Disputed milestone
+ * @param {String} params.proposalId - Dispute proposal
+ * @param {String} params.userId - User who raised the dispute
+ * @returns {Promise<Object>} Updated milestone
+ */
+const markMilestoneDisputed = async ({ chatId, milestoneId, proposalId, userId }) => {
+  const chat = await Chat.findById(chatId);
+  if (!chat) {
+    throw new MilestoneError('Chat not found', 404);
+  }
+
+  const milestone = findMilestone(chat, milestoneId);
+  assertMilestoneStatus(milestone, DISPUTABLE_STATUSES, 'dispute');
+
+  milestone.dispute = {
+    proposal: proposalId,
+    previousStatus: milestone.status,
+    raisedBy: userId,
+    raisedAt: new Date()
+  };
+  milestone.status = 'disputed';
+  await chat.save();
+
+  return milestone;
+};
+
+/**
+ * Close the milestone referenced by a resolved dispute proposal
+ * @param {Object} proposal - Resolved dispute proposal
+ * @param {Object} resolution - { outcome, txHash }
+ * @returns {Promise<Object|null>} Updated milestone, or null if the dispute was not milestone-scoped
+ */
+const resolveMilestoneDispute = async (proposal, { outcome, txHash }) => {
+  const ref = proposal.disputeContext?.milestone;
+  if (!ref?.chat || !ref?.milestoneId) return null;
+
+  const chat = await Chat.findById(ref.chat);
+  const milestone = chat?.milestones.id(ref.milestoneId);
+  if (!milestone || milestone.status !== 'disputed') return null;
+
+  milestone.status = 'resolved';
+  milestone.dispute.outcome = outcome;
+  milestone.dispute.txHash = txHash;
+  milestone.dispute.resolvedAt = new Date();
+  const engagementComplete = confirmIfAllSettled(chat);
+  await chat.save();
+
+  if (engagementComplete) {
+    const client = chat.participants.find(p => p.role === 'client');
+    const talent = chat.participants.find(p => p.role === 'talent');
+    await finishMilestoneEngagement(chat, client, talent);
+  }
+
+  return milestone;
+};
+
+module.exports = {
+  MilestoneError,
+  FUNDED_STATUSES,
+  DISPUTABLE_STATUSES,
+  findMilestone,
+  assertMilestoneStatus,
+  usesMilestoneEscrow,
+  allMilestonesSettled,
+  confirmIfAllSettled,
+  finishMilestoneEngagement,
+  summarizeMilestones,
+  markMilestoneDisputed,
+  resolveMilestoneDispute
+};
@@ -0,0 +1,76 @@
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const { userRoom, emitToUsers } = require('./socketRooms');
+
+/**
+ * Users who share at least one chat with the given user
+ * @param {String} userId - User id
+ * @returns {Promise<Array<String>>} Contact user ids (excluding the user)
+ */
+const getChatContactIds = async (userId) => {
+  const ids = await Chat.distinct('participants.user', { 'participants.user': userId });
+  return ids
+    .map((id) => id.toString())
+    .filter((id) => id !== userId.toString());
+};
+
+/**
+ * Persist a user's presence and tell their chat contacts about it
+ * @param {Object} io - Socket.IO server
+ * @param {String} userId - User id
+ * @param {Boolean} isOnline - New presence state
+ */
+const setUserPresence = async (io, userId, isOnline) => {
+  const lastSeen = new Date();
+  await User.updateOne({ _id: userId }, { isOnline, lastSeen });
+
+  const contactIds = await getChatContactIds(userId);
+  emitToUsers(io, contactIds, 'presence-updated', {
+    userId: userId.toString(),
+    isOnline,
+    lastSeen
+  });
+};
+
+/**
+ * Mark a user online when their first socket connects
+ * Call after the socket has joined its user room.
+ * @param {Object} io - Socket.IO server
+ * @param {String} userId - User id
+ */
+const handlePresenceConnect = async (io, userId) => {
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  if (sockets.length === 1) {
+    await setUserPresence(io, userId, true);
+  } else {
+    await User.updateOne({ _id: userId }, { lastSeen: new Date() });
+  }
+};
+
+/**
+ * Mark a user offline once their last socket has disconnected
+ * @param {Object} io - Socket.IO server
+ * @param {String} userId - User id
+ */
+const handlePresenceDisconnect = async (io, userId) => {
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  if (sockets.length === 0) {
+    await setUserPresence(io, userId, false);
+  }
+};
+
+// Nobody is connected right after a restart, so clear any stale online flags
+const resetPresence = async () => {
+  const result = await User.updateMany({ isOnline: true }, { isOnline: false });
+  if (result.modifiedCount > 0) {
+    console.log(`Reset presence for ${result.modifiedCount} users`);
+  }
+};
+
+module.exports = {
+  getChatContactIds,
+  setUserPresence,
+  handlePresenceConnect,
+  handlePresenceDisconnect,
+  resetPresence
+};
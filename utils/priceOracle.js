@@ -0,0 +1,395 @@
+const fs = require('fs');
+const axios = require('axios');
+const Token = require('../models/Token');
+const TokenPrice = require('../models/TokenPrice');
+const EthPrice = require('../models/EthPrice');
+const PriceSample = require('../models/PriceSample');
+
+const MAX_HISTORY_POINTS = 1000;
+const MAX_TWAP_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+
+class PriceOracleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PriceOracleError';
+    this.status = status;
+  }
+}
+
+const getOracleConfig = () => ({
+  providers: (process.env.PRICE_PROVIDERS || 'coingecko,coinbase')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean),
+  minSources: parseInt(process.env.PRICE_MIN_SOURCES, 10) || 1,
+  maxDeviationBps: parseInt(process.env.PRICE_MAX_DEVIATION_BPS, 10) || 500,
+  stalenessSeconds: parseInt(process.env.PRICE_STALENESS_SECONDS, 10) || 900,
+  // Off by default: a depegged stablecoin would otherwise be priced at 1 USD while the feed is down
+  stablecoinPegFallback: process.env.PRICE_STABLECOIN_PEG_FALLBACK === 'true',
+  timeoutMs: parseInt(process.env.PRICE_PROVIDER_TIMEOUT_MS, 10) || 5000
+});
+
+// Providers map a list of tokens to { SYMBOL: usd }; symbols they do not know are left out
+
+const coingeckoProvider = {
+  fetchPrices: async (tokens, { timeoutMs }) => {
+    const ids = [...new Set(tokens.map(token => token.coingeckoId).filter(Boolean))];
+    if (ids.length === 0) return {};
+
+    const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+      params: { ids: ids.join(','), vs_currencies: 'usd' },
+      timeout: timeoutMs
+    });
+
+    return tokens.reduce((prices, token) => {
+      const usd = response.data[token.coingeckoId]?.usd;
+      if (typeof usd === 'number') prices[token.symbol] = usd;
+      return prices;
+    }, {});
+  }
+};
+
+const coinbaseProvider = {
+  fetchPrices: async (tokens, { timeoutMs }) => {
+    const results = await Promise.allSettled(tokens.map(token =>
+      axios.get(`https://api.coinbase.com/v2/prices/${token.symbol}-USD/spot`, { timeout: timeoutMs })
+    ));
+
+    return results.reduce((prices, result, index) => {
+      const usd = Number(result.value?.data?.data?.amount);
+      if (result.status === 'fulfilled' && usd > 0) prices[tokens[index].symbol] = usd;
+      return prices;
+    }, {});
+  }
+};
+
+// Reads PRICE_FILE_PATH, a JSON object such as { "ETH": 3000, "USDC": 1 }
+const fileProvider = {
+  fetchPrices: async () => {
+    if (!process.env.PRICE_FILE_PATH) {
+      throw new Error('PRICE_FILE_PATH is not set');
+    }
+    const raw = await fs.promises.readFile(process.env.PRICE_FILE_PATH, 'utf8');
+    return JSON.parse(raw);
+  }
+};
+
+// Fixed prices from PRICE_MOCK_USD (JSON, same shape as the price file) for local development and tests
+const mockProvider = {
+  fetchPrices: async () => JSON.parse(process.env.PRICE_MOCK_USD || '{"ETH":3000,"USDC":1,"USDT":1}')
+};
+
+const providers = new Map([
+  ['coingecko', coingeckoProvider],
+  ['coinbase', coinbaseProvider],
+  ['file', fileProvider],
+  ['mock', mockProvider]
+]);
+
+/**
+ * Register an additional price provider, enabled by listing its name in PRICE_PROVIDERS
+ * @param {String} name - Provider name
+ * @param {Object} provider - { fetchPrices(tokens, config) => Promise<{ SYMBOL: usd }> }
+ */
+const registerPriceProvider = (name, provider) => {
+  if (typeof provider?.fetchPrices !== 'function') {
+    throw new PriceOracleError('A price provider must implement fetchPrices(tokens)');
+  }
+  providers.set(name.toLowerCase(), provider);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Combine provider quotes into one price
+ * Quotes further than maxDeviationBps from the median are excluded and the median of the rest is used.
+ * @param {Array<Object>} quotes - [{ provider, usd }]
+ * @param {Object} config - Oracle config
+ * @returns {Object|null} { usd, sources } or null when too few quotes agree
+ */
+const aggregateQuotes = (quotes, config) => {
+  if (quotes.length === 0) return null;
+
+  const center = median(quotes.map(quote => quote.usd));
+  const sources = quotes.map(quote => ({
+    ...quote,
+    excluded: Math.abs(quote.usd - center) / center * 10000 > config.maxDeviationBps
+  }));
+  const accepted = sources.filter(source => !source.excluded);
+
+  if (accepted.length < config.minSources) return null;
+  return { usd: median(accepted.map(source => source.usd)), sources };
+};
+
+// Every active registered symbol; ETH alone until the registry is seeded
+const getTrackedTokens = async () => {
+  const tokens = await Token.find({ isActive: true }).select('symbol coingeckoId').lean();
+  const bySymbol = new Map();
+  tokens.forEach((token) => {
+    if (!bySymbol.has(token.symbol) || token.coingeckoId) bySymbol.set(token.symbol, token);
+  });
+  return bySymbol.size > 0 ? [...bySymbol.values()] : [{ symbol: 'ETH', coingeckoId: 'ethereum' }];
+};
+
+const fetchFromProvider = async (name, tokens, config) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    console.warn(`Unknown price provider "${name}" in PRICE_PROVIDERS`);
+    return { name, prices: {} };
+  }
+
+  let timer;
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${config.timeoutMs}ms`)), config.timeoutMs);
+    });
+    const prices = await Promise.race([provider.fetchPrices(tokens, config), timeout]);
+    return { name, prices: prices || {} };
+  } catch (error) {
+    console.error(`Price provider ${name} failed:`, error.message);
+    return { name, prices: {} };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+let updateInProgress = false;
+
+/**
+ * Fetch every tracked token from the configured providers and store one sample per token
+ * Also keeps TokenPrice and the legacy EthPrice document current. Safe to call from a cron job.
+ * @returns {Promise<Object>} { SYMBOL: usd } for the prices that were updated
+ */
+const updatePrices = async () => {
+  if (updateInProgress) return {};
+  updateInProgress = true;
+
+  try {
+    const config = getOracleConfig();
+    const tokens = await getTrackedTokens();
+    const results = await Promise.all(config.providers.map(name => fetchFromProvider(name, tokens, config)));
+
+    const sampledAt = new Date();
+    const updated = {};
+
+    for (const token of tokens) {
+      const quotes = results
+        .map(result => ({ provider: result.name, usd: Number(result.prices[token.symbol]?.usd ?? result.prices[token.symbol]) }))
+        .filter(quote => Number.isFinite(quote.usd) && quote.usd > 0);
+
+      const aggregate = aggregateQuotes(quotes, config);
+      if (!aggregate) {
+        console.warn(`No agreed ${token.symbol} price (${quotes.length} quote(s), ${config.minSources} required)`);
+        continue;
+      }
+
+      await PriceSample.create({ symbol: token.symbol, ...aggregate, sampledAt });
+      const registered = await Token.find({ symbol: token.symbol }).select('_id').lean();
+      await Promise.all(registered.map(({ _id }) => TokenPrice.findOneAndUpdate(
+        { token: _id },
+        { symbol: token.symbol, usd: aggregate.usd, source: 'oracle', lastUpdated: sampledAt },
+        { upsert: true }
+      )));
+      if (token.symbol === 'ETH') {
+        await EthPrice.findOneAndUpdate({}, { usd: aggregate.usd, lastUpdated: sampledAt }, { upsert: true });
+      }
+      updated[token.symbol] = aggregate.usd;
+    }
+
+    return updated;
+  } catch (error) {
+    console.error('Error updating prices:', error.message);
+    return {};
+  } finally {
+    updateInProgress = false;
+  }
+};
+
+/**
+ * Most recent aggregated price of a symbol
+ * @param {String} symbol - Token symbol (default ETH)
+ * @returns {Promise<Object|null>} { symbol, usd, sources, lastUpdated, ageSeconds, isStale }
+ */
+const getLatestPrice = async (symbol = 'ETH') => {
+  const normalized = parseSymbol(symbol);
+  const sample = await PriceSample.findOne({ symbol: normalized }).sort({ sampledAt: -1 });
+  if (!sample) return null;
+
+  const ageSeconds = Math.floor((Date.now() - sample.sampledAt.getTime()) / 1000);
+  return {
+    symbol: normalized,
+    usd: sample.usd,
+    sources: sample.sources,
+    lastUpdated: sample.sampledAt,
+    ageSeconds,
+    isStale: ageSeconds > getOracleConfig().stalenessSeconds
+  };
+};
+
+/**
+ * Latest price of an escrow token, refusing prices older than PRICE_STALENESS_SECONDS
+ * Stablecoins only fall back to their 1 USD peg when PRICE_STABLECOIN_PEG_FALLBACK=true.
+ * @param {Object} token - Token document or reference ({ symbol, isStablecoin })
+ * @returns {Promise<Object>} Latest price (see getLatestPrice)
+ * @throws {PriceOracleError} 503 when no fresh price is available
+ */
+const assertFreshPrice = async (token) => {
+  const latest = await getLatestPrice(token.symbol);
+  if (latest && !latest.isStale) return latest;
+
+  if (token.isStablecoin && getOracleConfig().stablecoinPegFallback) {
+    return { symbol: token.symbol, usd: 1, sources: [], lastUpdated: null, ageSeconds: null, isStale: false };
+  }
+  if (!latest) {
+    throw new PriceOracleError(`No ${token.symbol} price is available yet; escrow deposits are paused`, 503);
+  }
+  throw new PriceOracleError(
+    `The ${token.symbol} price is stale (last updated ${latest.lastUpdated.toISOString()}); escrow deposits are paused until the price feed recovers`,
+    503
+  );
+};
+
+// Query values become arrays when a key is repeated (?symbol=a&symbol=b)
+const parseSymbol = (symbol) => {
+  if (typeof symbol !== 'string' || !symbol.trim()) {
+    throw new PriceOracleError('symbol must be a single token symbol');
+  }
+  return symbol.trim().toUpperCase();
+};
+
+// Accepts seconds or a number with an s/m/h/d suffix ("15m", "1h")
+const parseDuration = (value, fallbackSeconds) => {
+  if (value === undefined || value === '') return fallbackSeconds;
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new PriceOracleError('Duration must be a single value');
+  }
+  const match = /^(\d+)([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new PriceOracleError(`Invalid duration "${value}"; use seconds or a value like 15m, 1h, 1d`);
+  }
+  const multiplier = { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+  const seconds = Number(match[1]) * multiplier;
+  if (seconds <= 0) {
+    throw new PriceOracleError('Duration must be greater than zero');
+  }
+  return seconds;
+};
+
+const parseDate = (value, fallback) => {
+  if (!value) return fallback;
+  if (typeof value !== 'string' && !(value instanceof Date)) {
+    throw new PriceOracleError('Dates must be single values');
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new PriceOracleError(`Invalid date "${value}"`);
+  }
+  return date;
+};
+
+/**
+ * Price history grouped into fixed intervals
+ * @param {Object} params - { symbol, from, to, interval } (interval in seconds or "5m"/"1h"/"1d")
+ * @returns {Promise<Object>} { symbol, from, to, intervalSeconds, points: [{ time, open, high, low, close, average, samples }] }
+ */
+const getPriceHistory = async ({ symbol = 'ETH', from, to, interval } = {}) => {
+  const normalized = parseSymbol(symbol);
+  const end = parseDate(to, new Date());
+  const start = parseDate(from, new Date(end.getTime() - 24 * 60 * 60 * 1000));
+  const intervalSeconds = parseDuration(interval, 3600);
+
+  if (start >= end) {
+    throw new PriceOracleError('"from" must be before "to"');
+  }
+  if ((end - start) / 1000 / intervalSeconds > MAX_HISTORY_POINTS) {
+    throw new PriceOracleError(`Too many points; use a larger interval (at most ${MAX_HISTORY_POINTS} per request)`);
+  }
+
+  const intervalMs = intervalSeconds * 1000;
+  const points = await PriceSample.aggregate([
+    { $match: { symbol: normalized, sampledAt: { $gte: start, $lt: end } } },
+    { $sort: { sampledAt: 1 } },
+    {
+      $group: {
+        _id: {
+          $subtract: [{ $toLong: '$sampledAt' }, { $mod: [{ $toLong: '$sampledAt' }, intervalMs] }]
+        },
+        open: { $first: '$usd' },
+        high: { $max: '$usd' },
+        low: { $min: '$usd' },
+        close: { $last: '$usd' },
+        average: { $avg: '$usd' },
+        samples: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return {
+    symbol: normalized,
+    from: start,
+    to: end,
+    intervalSeconds,
+    points: points.map(({ _id, ...point }) => ({ time: new Date(_id), ...point }))
+  };
+};
+
+/**
+ * Time-weighted average price over a trailing window
+ * Each sample counts for as long as it was the latest price; the sample before the window covers its start.
+ * @param {Object} params - { symbol, window } (window in seconds or "30m"/"1h", default 1h)
+ * @returns {Promise<Object>} { symbol, twap, windowSeconds, from, to, samples }
+ */
+const getTwap = async ({ symbol = 'ETH', window } = {}) => {
+  const normalized = parseSymbol(symbol);
+  const windowSeconds = parseDuration(window, 3600);
+  if (windowSeconds > MAX_TWAP_WINDOW_SECONDS) {
+    throw new PriceOracleError('The TWAP window can be at most 7 days');
+  }
+
+  const end = new Date();
+  const start = new Date(end.getTime() - windowSeconds * 1000);
+  const [previous, samples] = await Promise.all([
+    PriceSample.findOne({ symbol: normalized, sampledAt: { $lt: start } }).sort({ sampledAt: -1 }),
+    PriceSample.find({ symbol: normalized, sampledAt: { $gte: start, $lte: end } }).sort({ sampledAt: 1 })
+  ]);
+
+  const points = previous ? [{ usd: previous.usd, sampledAt: start }, ...samples] : samples;
+  if (points.length === 0) {
+    throw new PriceOracleError(`No ${normalized} prices in the requested window`, 404);
+  }
+
+  let weighted = 0;
+  let duration = 0;
+  points.forEach((point, index) => {
+    const until = index + 1 < points.length ? points[index + 1].sampledAt : end;
+    const span = until - point.sampledAt;
+    weighted += point.usd * span;
+    duration += span;
+  });
+
+  return {
+    symbol: normalized,
+    twap: duration > 0 ? weighted / duration : points[points.length - 1].usd,
+    windowSeconds,
+    from: points[0].sampledAt,
+    to: end,
+    samples: samples.length
+  };
+};
+
+module.exports = {
+  PriceOracleError,
+  getOracleConfig,
+  registerPriceProvider,
+  aggregateQuotes,
+  updatePrices,
+  getLatestPrice,
+  assertFreshPrice,
+  getPriceHistory,
+  getTwap
+};
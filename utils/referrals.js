@@ -0,0 +1,51 @@
+const Referral = require('../models/Referral');
+const User = require('../models/User');
+
+/**
+ * Approve the pending referrals of a user who has completed a job or gig
+ * Each referral is claimed atomically before its referrer is credited, so a retried run never pays twice.
+ * @param {String} userId - The referred user
+ * @param {Object} options - { signal: AbortSignal; no further referral is claimed once it fires }
+ * @returns {Promise<Object>} { approved }
+ */
+const approvePendingReferrals = async (userId, { signal } = {}) => {
+  const user = await User.findById(userId).select('stats.jobsCompleted');
+  if (!user || !(user.stats?.jobsCompleted >= 1)) {
+    return { approved: 0 };
+  }
+
+  const pendingReferrals = await Referral.find({ referredUser: userId, status: 'pending' }).select('_id');
+  let approved = 0;
+
+  for (const { _id } of pendingReferrals) {
+    signal?.throwIfAborted();
+    const referral = await Referral.findOneAndUpdate(
+      { _id, status: 'pending' },
+      { $set: { status: 'approved', approvedAt: new Date() } },
+      { new: true }
+    );
+    if (!referral) continue;
+
+    // Move the bonus from pending to available and add the activity points
+    const tokens = referral.lobTokens || 100;
+    await User.updateOne({ _id: referral.referrer }, [{
+      $set: {
+        'referral.lobTokens.pending': {
+          $max: [0, { $subtract: [{ $ifNull: ['$referral.lobTokens.pending', 0] }, tokens] }]
+        },
+        'referral.lobTokens.available': { $add: [{ $ifNull: ['$referral.lobTokens.available', 0] }, tokens] },
+        'stats.activityPoints': { $add: [{ $ifNull: ['$stats.activityPoints', 0] }, referral.activityPoints || 5] }
+      }
+    }]);
+    approved += 1;
+  }
+
+  if (approved > 0) {
+    console.log(`Approved ${approved} pending referrals for user ${userId}`);
+  }
+  return { approved };
+};
+
+module.exports = {
+  approvePendingReferrals
+};
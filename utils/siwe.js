@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { getAddress, verifyMessage } = require('ethers');
+const AuthNonce = require('../models/AuthNonce');
+
+// How long a sign-in challenge stays valid (default: 10 minutes)
+const NONCE_TTL_MS = parseInt(process.env.SIWE_NONCE_TTL_MS, 10) || 10 * 60 * 1000;
+
+const WALLET_ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
+
+class SiweError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SiweError';
+    this.status = status;
+  }
+}
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+/**
+ * Resolve the EIP-4361 domain, URI and chain id the backend expects
+ * @returns {Object} { domain, uri, chainId }
+ */
+const getSiweConfig = () => {
+  const clientUrl = getClientUrl();
+  let domain = process.env.SIWE_DOMAIN;
+  if (!domain) {
+    try {
+      domain = new URL(clientUrl).host;
+    } catch (error) {
+      domain = 'localhost:3000';
+    }
+  }
+
+  return {
+    domain,
+    uri: process.env.SIWE_URI || clientUrl,
+    chainId: parseInt(process.env.SIWE_CHAIN_ID, 10) || 1
+  };
+};
+
+/**
+ * Build an EIP-4361 (Sign-In with Ethereum) message
+ * @param {Object} fields - Message fields
+ * @returns {String} Message to be signed with personal_sign
+ */
+const buildSiweMessage = ({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) => {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Parse an EIP-4361 message back into its fields
+ * @param {String} message - Signed message
+ * @returns {Object|null} Parsed fields, or null if the message is malformed
+ */
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') return null;
+
+  const lines = message.split('\n');
+  const header = lines[0]?.match(/^(.+) wants you to sign in with your Ethereum account:$/);
+  if (!header || !WALLET_ADDRESS_REGEX.test(lines[1] || '')) {
+    return null;
+  }
+
+  const fields = {
+    domain: header[1],
+    address: lines[1]
+  };
+
+  const fieldMap = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime'
+  };
+
+  lines.slice(2).forEach((line) => {
+    const separator = line.indexOf(': ');
+    if (separator === -1) return;
+    const key = fieldMap[line.slice(0, separator)];
+    if (key) {
+      fields[key] = line.slice(separator + 2).trim();
+    }
+  });
+
+  if (!fields.nonce || !fields.uri || !fields.chainId || fields.version !== '1') {
+    return null;
+  }
+
+  fields.chainId = parseInt(fields.chainId, 10);
+  return fields;
+};
+
+/**
+ * Issue a one-time sign-in challenge for a wallet
+ * @param {String} walletAddress - Wallet that will sign the challenge
+ * @param {String} purpose - 'login' or 'register'
+ * @returns {Promise<Object>} { nonce, message, expiresAt }
+ */
+const issueNonce = async (walletAddress, purpose = 'login') => {
+  const { domain, uri, chainId } = getSiweConfig();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+
+  const message = buildSiweMessage({
+    domain,
+    address: getAddress(walletAddress),
+    statement: purpose === 'register'
+      ? 'Register this wallet with Workloob.'
+      : 'Sign in to Workloob.',
+    uri,
+    chainId,
+    nonce,
+    issuedAt: issuedAt.toISOString(),
+    expirationTime: expiresAt.toISOString()
+  });
+
+  await AuthNonce.create({
+    nonce,
+    walletAddress: walletAddress.toLowerCase(),
+    purpose,
+    message,
+    expiresAt
+  });
+
+  return { nonce, message, expiresAt };
+};
+
+/**
+ * Verify a signed challenge and consume its nonce
+ * Signature recovery is done locally; no RPC node is involved.
+ * @param {Object} params
+ * @param {String} params.walletAddress - Wallet claimed by the client
+ * @param {String} params.message - The EIP-4361 message that was signed
+ * @param {String} params.signature - personal_sign signature
+ * @param {String} params.purpose - 'login' or 'register'
+ * @returns {Promise<String>} Lower-cased verified wallet address
+ * @throws {SiweError} When any check fails
+ */
+const verifySiweLogin = async ({ walletAddress, message, signature, purpose = 'login' }) => {
+  if (!message || !signature) {
+    throw new SiweError('Signed message and signature are required', 400);
+  }
+
+  const fields = parseSiweMessage(message);
+  if (!fields) {
+    throw new SiweError('Malformed sign-in message', 400);
+  }
+
+  const normalizedWallet = walletAddress.toLowerCase();
+  if (fields.address.toLowerCase() !== normalizedWallet) {
+    throw new SiweError('Signed message does not match wallet address');
+  }
+
+  const { domain, uri, chainId } = getSiweConfig();
+  if (fields.domain !== domain || fields.uri !== uri || fields.chainId !== chainId) {
+    throw new SiweError('Sign-in message was issued for a different domain or chain');
+  }
+
+  if (fields.expirationTime && new Date(fields.expirationTime) <= new Date()) {
+    throw new SiweError('Sign-in message has expired');
+  }
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = verifyMessage(message, signature);
+  } catch (error) {
+    throw new SiweError('Invalid signature');
+  }
+
+  if (recoveredAddress.toLowerCase() !== normalizedWallet) {
+    throw new SiweError('Signature was not produced by this wallet');
+  }
+
+  // Atomically mark the nonce as used so a signature can never be replayed
+  const consumed = await AuthNonce.findOneAndUpdate(
+    {
+      nonce: fields.nonce,
+      walletAddress: normalizedWallet,
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!consumed) {
+    throw new SiweError('Nonce is invalid, expired or already used');
+  }
+
+  return normalizedWallet;
+};
+
+module.exports = {
+  SiweError,
+  WALLET_ADDRESS_REGEX,
+  getSiweConfig,
+  buildSiweMessage,
+  parseSiweMessage,
+  issueNonce,
+  verifySiweLogin
+};
@@ -0,0 +1,45 @@
+// Private room every authenticated socket joins on connection
+const userRoom = (userId) => `user:${userId.toString()}`;
+
+/**
+ * Emit an event only to the sockets of one user
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @param {String|ObjectId} userId - Recipient user id
+ * @param {String} event - Event name
+ * @param {*} payload - Event payload
+ */
+const emitToUser = (io, userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+/**
+ * Emit an event to the sockets of several users
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @param {Array<String|ObjectId>} userIds - Recipient user ids
+ * @param {String} event - Event name
+ * @param {*} payload - Event payload
+ */
+const emitToUsers = (io, userIds = [], event, payload) => {
+  if (!io || userIds.length === 0) return;
+  io.to(userIds.map(userRoom)).emit(event, payload);
+};
+
+/**
+ * Check whether a user is a participant of a chat document
+ * @param {Object} chat - Chat document (participants may be populated)
+ * @param {String|ObjectId} userId - User id
+ * @returns {Boolean}
+ */
+const isChatParticipant = (chat, userId) => {
+  if (!chat || !userId) return false;
+  const id = userId.toString();
+  return chat.participants.some((p) => (p.user?._id || p.user).toString() === id);
+};
+
+module.exports = {
+  userRoom,
+  emitToUser,
+  emitToUsers,
+  isChatParticipant
+};
@@ -0,0 +1,64 @@
+const Staking = require('../models/Staking');
+const Staker = require('../models/Staker');
+
+/**
+ * Recalculate a staker's totals from their active stakes
+ * Deriving totals instead of adding/subtracting keeps them correct when the
+ * same stake is recorded by both the frontend and the chain indexer.
+ * @param {String} walletAddress - Staker wallet
+ * @returns {Promise<Object>} Updated Staker document
+ */
+const syncStakerTotals = async (walletAddress) => {
+  const wallet = walletAddress.toLowerCase();
+  const now = new Date();
+  const [totals] = await Staking.aggregate([
+    { $match: { walletAddress: wallet, isActive: true } },
+    {
+      $group: {
+        _id: null,
+        totalStaked: { $sum: '$amount' },
+        totalLocked: { $sum: { $cond: ['$isLocked', '$amount', 0] } }
+      }
+    }
+  ]);
+
+  return Staker.findOneAndUpdate(
+    { walletAddress: wallet },
+    {
+      totalStaked: totals?.totalStaked || 0,
+      totalLocked: totals?.totalLocked || 0,
+      lastSyncedAt: now
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Deduct a reward claim from a staker's claimable rewards
+ * Claims carrying a txHash are applied once, whether reported by the frontend or the indexer.
+ * @param {String} walletAddress - Staker wallet
+ * @param {Number} amount - Claimed amount
+ * @param {String} txHash - Claim transaction hash (optional)
+ * @param {Date} claimedAt - When the claim happened
+ * @returns {Promise<Boolean>} True when the claim was applied, false if already recorded
+ */
+const recordRewardClaim = async (walletAddress, amount, txHash = null, claimedAt = new Date()) => {
+  const wallet = walletAddress.toLowerCase();
+  const hash = txHash ? txHash.toLowerCase() : null;
+
+  const staker = await Staker.findOne({ walletAddress: wallet });
+  if (!staker) return false;
+  if (hash && staker.claims.some(claim => claim.txHash === hash)) return false;
+
+  staker.claimableRewards = Math.max(0, staker.claimableRewards - amount);
+  if (hash) {
+    staker.claims.push({ txHash: hash, amount, claimedAt });
+  }
+  await staker.save();
+  return true;
+};
+
+module.exports = {
+  syncStakerTotals,
+  recordRewardClaim
+};
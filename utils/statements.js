@@ -0,0 +1,314 @@
+const PDFDocument = require('pdfkit');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const BlogEarning = require('../models/BlogEarning');
+const Referral = require('../models/Referral');
+const Staker = require('../models/Staker');
+const { FEE_TRANSACTION_TYPES } = require('./fees');
+
+const INCOME_TYPES = {
+  escrow: 'Escrow payouts',
+  blog: 'Blog earnings',
+  referral: 'Referral bonuses',
+  staking: 'Staking rewards'
+};
+
+const STAKING_REWARD_SYMBOL = 'LOB';
+
+class StatementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StatementError';
+    this.status = status;
+  }
+}
+
+const roundUSD = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calendar year or quarter in UTC
+ * @param {Number|String} year - Four-digit year
+ * @param {Number|String} quarter - 1-4 (optional; the whole year when omitted)
+ * @returns {Object} { year, quarter, label, from, to } with `to` exclusive
+ * @throws {StatementError} When the year or quarter is invalid or in the future
+ */
+const getStatementPeriod = (year, quarter) => {
+  const y = parseInt(year, 10);
+  const q = quarter === undefined || quarter === '' ? null : parseInt(quarter, 10);
+  if (!Number.isInteger(y) || y < 2000 || y > new Date().getUTCFullYear()) {
+    throw new StatementError('year must be a past or current year');
+  }
+  if (q !== null && (!Number.isInteger(q) || q < 1 || q > 4)) {
+    throw new StatementError('quarter must be 1, 2, 3 or 4');
+  }
+
+  const from = new Date(Date.UTC(y, q ? (q - 1) * 3 : 0, 1));
+  const to = new Date(Date.UTC(y, q ? q * 3 : 12, 1));
+  if (from > new Date()) {
+    throw new StatementError('The requested period has not started yet');
+  }
+  return { year: y, quarter: q, label: q ? `${y}-Q${q}` : String(y), from, to };
+};
+
+const loadIncomeItems = async (user, { from, to }) => {
+  const range = { $gte: from, $lt: to };
+  const [payouts, blogEarnings, referrals, staker] = await Promise.all([
+    Transaction.find({ toUser: user._id, type: { $in: FEE_TRANSACTION_TYPES }, status: 'completed', createdAt: range })
+      .sort({ createdAt: 1 }),
+    BlogEarning.find({ user: user._id, createdAt: range })
+      .populate('blog', 'title')
+      .sort({ createdAt: 1 }),
+    Referral.find({ referrer: user._id, status: { $in: ['approved', 'withdrawn'] }, approvedAt: range })
+      .populate('referredUser', 'username')
+      .sort({ approvedAt: 1 }),
+    user.walletAddress ? Staker.findOne({ walletAddress: user.walletAddress.toLowerCase() }) : null
+  ]);
+
+  const items = [
+    ...payouts.map(tx => ({
+      date: tx.createdAt,
+      type: 'escrow',
+      description: tx.description,
+      reference: tx.txHash || tx._id.toString(),
+      grossUSD: tx.amount,
+      feesUSD: tx.fees || 0
+    })),
+    ...blogEarnings.map(earning => ({
+      date: earning.createdAt,
+      type: 'blog',
+      description: `${earning.type === 'view' ? 'Views' : 'Impressions'} — ${earning.blog?.title || 'Blog post'}`,
+      reference: earning._id.toString(),
+      grossUSD: earning.amount,
+      feesUSD: 0
+    })),
+    ...referrals.map(referral => ({
+      date: referral.approvedAt,
+      type: 'referral',
+      description: `Referral bonus — ${referral.referredUser?.username || 'referred user'}`,
+      reference: referral._id.toString(),
+      grossUSD: referral.bonusEarned,
+      feesUSD: 0
+    })),
+    // Rewards are paid in the staking token, which has no USD price feed
+    ...(staker?.claims || [])
+      .filter(claim => claim.claimedAt >= from && claim.claimedAt < to)
+      .map(claim => ({
+        date: claim.claimedAt,
+        type: 'staking',
+        description: 'Staking reward claim',
+        reference: claim.txHash,
+        grossUSD: null,
+        feesUSD: 0,
+        amountToken: claim.amount,
+        tokenSymbol: STAKING_REWARD_SYMBOL
+      }))
+  ];
+
+  return items
+    .map(item => ({
+      ...item,
+      netUSD: item.grossUSD === null ? null : roundUSD(item.grossUSD - item.feesUSD)
+    }))
+    .sort((a, b) => a.date - b.date);
+};
+
+const summarize = (items) => {
+  const usdItems = items.filter(item => item.grossUSD !== null);
+  const grossUSD = roundUSD(usdItems.reduce((sum, item) => sum + item.grossUSD, 0));
+  const feesUSD = roundUSD(usdItems.reduce((sum, item) => sum + item.feesUSD, 0));
+  const tokenItems = items.filter(item => item.amountToken !== undefined);
+  return {
+    count: items.length,
+    grossUSD,
+    feesUSD,
+    netUSD: roundUSD(grossUSD - feesUSD),
+    ...(tokenItems.length > 0 && {
+      amountToken: tokenItems.reduce((sum, item) => sum + (item.amountToken || 0), 0),
+      tokenSymbol: tokenItems[0].tokenSymbol
+    })
+  };
+};
+
+/**
+ * Earnings statement for a user over a year or quarter
+ * @param {String} userId - User id
+ * @param {Object} period - From getStatementPeriod
+ * @returns {Promise<Object>} { user, period, currency, totals, incomeTypes, quarters, items, generatedAt }
+ */
+const buildStatement = async (userId, period) => {
+  const user = await User.findById(userId).select('+billingProfile username email walletAddress');
+  if (!user) {
+    throw new StatementError('User not found', 404);
+  }
+
+  const items = await loadIncomeItems(user, period);
+  const profile = user.billingProfile || {};
+
+  const statement = {
+    user: {
+      username: user.username,
+      legalName: profile.legalName,
+      companyName: profile.companyName,
+      entityType: profile.entityType,
+      taxId: profile.taxId,
+      vatNumber: profile.vatNumber,
+      taxResidenceCountry: profile.taxResidenceCountry || profile.address?.country,
+      address: profile.address,
+      walletAddress: user.walletAddress
+    },
+    period: {
+      label: period.label,
+      year: period.year,
+      quarter: period.quarter,
+      from: period.from,
+      to: new Date(period.to.getTime() - 1)
+    },
+    currency: 'USD',
+    totals: summarize(items),
+    incomeTypes: Object.entries(INCOME_TYPES).map(([type, label]) => ({
+      type,
+      label,
+      ...summarize(items.filter(item => item.type === type))
+    })),
+    items,
+    generatedAt: new Date()
+  };
+
+  if (!period.quarter) {
+    statement.quarters = [1, 2, 3, 4].map(quarter => ({
+      quarter,
+      ...summarize(items.filter(item => Math.floor(item.date.getUTCMonth() / 3) + 1 === quarter))
+    }));
+  }
+
+  return statement;
+};
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep user-provided text (blog titles, descriptions) from being run as spreadsheet formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (fields) => fields.map(csvField).join(',');
+
+/**
+ * Statement as CSV: one row per income item, then one total row per income type
+ * @param {Object} statement - From buildStatement
+ * @returns {String} CSV text
+ */
+const statementToCsv = (statement) => {
+  const { user, period, items, incomeTypes, totals } = statement;
+  const lines = [
+    csvRow(['Statement', period.label]),
+    csvRow(['Name', user.legalName || user.username]),
+    csvRow(['Tax ID', user.taxId]),
+    csvRow(['VAT number', user.vatNumber]),
+    csvRow(['Tax residence', user.taxResidenceCountry]),
+    '',
+    csvRow(['date', 'type', 'description', 'reference', 'gross_usd', 'fees_usd', 'net_usd', 'amount_token', 'token_symbol']),
+    ...items.map(item => csvRow([
+      item.date,
+      item.type,
+      item.description,
+      item.reference,
+      item.grossUSD,
+      item.feesUSD,
+      item.netUSD,
+      item.amountToken,
+      item.tokenSymbol
+    ])),
+    '',
+    csvRow(['total', 'type', 'count', 'gross_usd', 'fees_usd', 'net_usd', 'amount_token', 'token_symbol']),
+    ...incomeTypes.map(row => csvRow([
+      row.label, row.type, row.count, row.grossUSD, row.feesUSD, row.netUSD, row.amountToken, row.tokenSymbol
+    ])),
+    csvRow(['All income', '', totals.count, totals.grossUSD, totals.feesUSD, totals.netUSD])
+  ];
+  return `${lines.join('\n')}\n`;
+};
+
+const formatUSD = (value) => (value === null || value === undefined ? '—' : `$${Number(value).toFixed(2)}`);
+
+/**
+ * Render a statement as PDF
+ * @param {Object} statement - From buildStatement
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderStatementPdf = (statement) => new Promise((resolve, reject) => {
+  const { user, period, incomeTypes, totals, quarters, items } = statement;
+  const pdf = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Earnings statement ${period.label}` } });
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  pdf.fontSize(18).text(`Workloob earnings statement ${period.label}`);
+  pdf.fontSize(9).text(
+    `${period.from.toISOString().slice(0, 10)} to ${period.to.toISOString().slice(0, 10)} (UTC) · generated ${statement.generatedAt.toISOString().slice(0, 10)}`
+  );
+  pdf.moveDown();
+
+  pdf.fontSize(10).text([
+    user.companyName,
+    user.legalName || user.username,
+    user.entityType && `Entity type: ${user.entityType}`,
+    user.taxId && `Tax ID: ${user.taxId}`,
+    user.vatNumber && `VAT: ${user.vatNumber}`,
+    user.taxResidenceCountry && `Tax residence: ${user.taxResidenceCountry}`,
+    user.walletAddress && `Wallet: ${user.walletAddress}`
+  ].filter(Boolean).join('\n'));
+  pdf.moveDown();
+
+  const row = (cells, size = 9) => {
+    const y = pdf.y;
+    const widths = [170, 60, 85, 85, 95];
+    let x = 50;
+    pdf.fontSize(size);
+    cells.forEach((cell, index) => {
+      pdf.text(String(cell ?? ''), x, y, { width: widths[index], align: index === 0 ? 'left' : 'right' });
+      x += widths[index];
+    });
+    pdf.x = 50;
+  };
+
+  row(['Income type', 'Items', 'Gross', 'Fees', 'Net'], 10);
+  incomeTypes.forEach((type) => {
+    const net = type.amountToken !== undefined && type.grossUSD === 0
+      ? `${type.amountToken} ${type.tokenSymbol}`
+      : formatUSD(type.netUSD);
+    row([type.label, type.count, formatUSD(type.grossUSD), formatUSD(type.feesUSD), net]);
+  });
+  row(['Total (USD)', totals.count, formatUSD(totals.grossUSD), formatUSD(totals.feesUSD), formatUSD(totals.netUSD)], 10);
+
+  if (quarters) {
+    pdf.moveDown();
+    row(['Quarter', 'Items', 'Gross', 'Fees', 'Net'], 10);
+    quarters.forEach(quarter => row([
+      `Q${quarter.quarter}`, quarter.count, formatUSD(quarter.grossUSD), formatUSD(quarter.feesUSD), formatUSD(quarter.netUSD)
+    ]));
+  }
+
+  pdf.moveDown();
+  pdf.fontSize(11).text('Items', 50);
+  pdf.fontSize(8);
+  items.forEach((item) => {
+    const amount = item.grossUSD === null ? `${item.amountToken} ${item.tokenSymbol}` : `${formatUSD(item.grossUSD)} (fees ${formatUSD(item.feesUSD)})`;
+    pdf.text(`${item.date.toISOString().slice(0, 10)}  ${INCOME_TYPES[item.type]}  ${item.description}  ${amount}`);
+  });
+
+  pdf.moveDown();
+  pdf.fontSize(7).text('Staking rewards are listed in tokens and are not included in USD totals.');
+  pdf.end();
+});
+
+module.exports = {
+  INCOME_TYPES,
+  StatementError,
+  getStatementPeriod,
+  buildStatement,
+  statementToCsv,
+  renderStatementPdf
+};
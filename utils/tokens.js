@@ -0,0 +1,177 @@
+const Token = require('../models/Token');
+const TokenPrice = require('../models/TokenPrice');
+const EthPrice = require('../models/EthPrice');
+
+// Internal wallet balances are kept in USD unless another registered token is chosen
+const BASE_CURRENCY = 'USD';
+// USD ledger amounts are whole cents
+const BASE_CURRENCY_DECIMALS = 2;
+
+// Registered on startup when missing; more tokens are added through /api/deployer/tokens.
+// Prices are sampled for every active token by utils/priceOracle.
+const DEFAULT_TOKENS = [
+  { symbol: 'ETH', name: 'Ether', address: null, decimals: 18, isNative: true, coingeckoId: 'ethereum' },
+  { symbol: 'USDC', name: 'USD Coin', decimals: 6, isStablecoin: true, coingeckoId: 'usd-coin', addressEnv: 'USDC_TOKEN_ADDRESS' },
+  { symbol: 'USDT', name: 'Tether USD', decimals: 6, isStablecoin: true, coingeckoId: 'tether', addressEnv: 'USDT_TOKEN_ADDRESS' }
+];
+
+// Stablecoin contracts differ per network; these are only used when CHAIN_ID is Ethereum mainnet
+const MAINNET_ADDRESSES = {
+  USDC: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+  USDT: '0xdac17f958d2ee523a2206206994597c13d831ec7'
+};
+
+class TokenError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+  }
+}
+
+const getDefaultChainId = () => parseInt(process.env.CHAIN_ID || process.env.SIWE_CHAIN_ID, 10) || 1;
+
+// Register the default tokens that are not in the registry yet, on the configured chain.
+// An ERC-20 default is skipped until its contract address for that chain is known.
+const ensureDefaultTokens = async () => {
+  const chainId = getDefaultChainId();
+  for (const { addressEnv, ...token } of DEFAULT_TOKENS) {
+    if (addressEnv) {
+      const address = process.env[addressEnv] || (chainId === 1 ? MAINNET_ADDRESSES[token.symbol] : null);
+      if (!address) continue;
+      token.address = address.toLowerCase();
+    }
+    await Token.updateOne(
+      { chainId, symbol: token.symbol },
+      { $setOnInsert: { ...token, chainId } },
+      { upsert: true }
+    );
+  }
+};
+
+/**
+ * Look up an active token by symbol or contract address
+ * @param {String} identifier - Symbol ("USDC") or address; defaults to the native coin
+ * @param {Number} chainId - Chain id (defaults to CHAIN_ID)
+ * @returns {Promise<Object>} Token document
+ * @throws {TokenError} When the token is not registered
+ */
+const resolveToken = async (identifier, chainId = getDefaultChainId()) => {
+  if (identifier && typeof identifier !== 'string') {
+    throw new TokenError('Token must be a symbol or contract address');
+  }
+  const filter = { chainId: Number(chainId), isActive: true };
+  if (!identifier) {
+    filter.isNative = true;
+  } else if (/^0x[0-9a-fA-F]{40}$/.test(identifier)) {
+    filter.address = identifier.toLowerCase();
+  } else {
+    filter.symbol = String(identifier).toUpperCase();
+  }
+
+  const token = await Token.findOne(filter);
+  if (!token) {
+    throw new TokenError(`Token ${identifier || 'native'} is not supported on chain ${chainId}`);
+  }
+  return token;
+};
+
+// Registry entry for a stored token reference, active or not (escrows keep paying out deactivated tokens)
+const findTokenByReference = (reference) => Token.findOne({
+  chainId: reference.chainId || getDefaultChainId(),
+  ...(reference.address ? { address: reference.address.toLowerCase() } : { isNative: true })
+});
+
+/**
+ * Validate a wallet currency: USD or the symbol of a registered token
+ * @param {String} currency - Requested currency (optional)
+ * @returns {Promise<String>} Normalized currency code
+ * @throws {TokenError} When the value is not a string or not a registered token
+ */
+const resolveWalletCurrency = async (currency) => {
+  if (currency !== undefined && currency !== null && typeof currency !== 'string') {
+    throw new TokenError('Currency must be a string');
+  }
+  if (!currency || currency.toUpperCase() === BASE_CURRENCY) return BASE_CURRENCY;
+  const symbol = currency.toUpperCase();
+  const exists = await Token.exists({ symbol, isActive: true });
+  if (!exists) {
+    throw new TokenError(`Currency ${currency} is not supported`);
+  }
+  return symbol;
+};
+
+/**
+ * Decimals of a wallet currency: cents for USD, the registered token's decimals otherwise
+ * @param {String} currency - Normalized currency code
+ * @returns {Promise<Number>} Decimal places
+ * @throws {TokenError} When the currency is not a registered token
+ */
+const getCurrencyDecimals = async (currency = BASE_CURRENCY) => {
+  if (currency === BASE_CURRENCY) return BASE_CURRENCY_DECIMALS;
+  const token = await Token.findOne({ symbol: currency, chainId: getDefaultChainId() }).select('decimals')
+    || await Token.findOne({ symbol: currency }).select('decimals');
+  if (!token) {
+    throw new TokenError(`Currency ${currency} is not supported`);
+  }
+  return token.decimals;
+};
+
+/**
+ * Latest USD price of a token
+ * Native ETH falls back to the EthPrice document and stablecoins to 1.
+ * @param {Object} token - Token document
+ * @returns {Promise<Object|null>} { usd, source, lastUpdated } or null when unknown
+ */
+const getTokenPrice = async (token) => {
+  const price = await TokenPrice.findOne({ token: token._id });
+  if (price) {
+    return { usd: price.usd, source: price.source, lastUpdated: price.lastUpdated };
+  }
+
+  if (token.isNative && token.symbol === 'ETH') {
+    const ethPrice = await EthPrice.findOne({});
+    if (ethPrice) {
+      return { usd: ethPrice.usd, source: 'oracle', lastUpdated: ethPrice.lastUpdated };
+    }
+  }
+  if (token.isStablecoin) {
+    return { usd: 1, source: 'peg', lastUpdated: null };
+  }
+  return null;
+};
+
+/**
+ * Parse the token and amount of an escrow payment from a request body
+ * Native ETH keeps accepting `amountETH`; other tokens send `amountToken`.
+ * @param {Object} body - Request body ({ token, chainId, amountToken, amountETH })
+ * @returns {Promise<Object>} { token, amountToken, amountETH }
+ */
+const resolveEscrowPayment = async (body) => {
+  const token = await resolveToken(body.token, body.chainId || getDefaultChainId());
+  const rawAmount = body.amountToken ?? (token.isNative ? body.amountETH : undefined);
+  const amountToken = Number(rawAmount);
+
+  if (!Number.isFinite(amountToken) || amountToken <= 0) {
+    throw new TokenError(`${token.symbol} amount must be greater than zero`);
+  }
+
+  return {
+    token,
+    amountToken,
+    amountETH: token.isNative ? amountToken : undefined
+  };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  TokenError,
+  getDefaultChainId,
+  ensureDefaultTokens,
+  resolveToken,
+  findTokenByReference,
+  resolveWalletCurrency,
+  getCurrencyDecimals,
+  getTokenPrice,
+  resolveEscrowPayment
+};
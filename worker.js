@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { startWorker } = require('./utils/jobQueue');
+const { scheduleRecurringJobs } = require('./utils/backgroundJobs');
+
+// Standalone job worker for deployments that run the API with JOB_WORKER=off.
+// There is no Socket.IO server here, so jobs run from this process send no real-time events.
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/workloobnew', {
+  maxPoolSize: 5,
+  serverSelectionTimeoutMS: 5000,
+  socketTimeoutMS: 45000,
+  family: 4,
+  retryWrites: true,
+  retryReads: true
+})
+.then(() => {
+  console.log('Job worker connected to MongoDB');
+})
+.catch((err) => {
+  console.error('MongoDB initial connection error:', err);
+  process.exit(1);
+});
+
+const tasks = scheduleRecurringJobs();
+const stopWorker = startWorker();
+
+// Let the job in progress finish before exiting
+const shutdown = async (signal) => {
+  console.log(`${signal} received, stopping job worker`);
+  tasks.forEach(task => task.stop());
+  await stopWorker();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));